@@ -5,11 +5,29 @@ import { RedisLock } from '../lib/lock.js';
 import { getSigner } from '../lib/signer.js';
 import { UniswapScanner } from '../lib/uniswap-scanner.js';
 import { UniswapV3Scanner } from '../lib/uniswap-v3-scanner.js';
+import { PoolStateCache } from '../lib/pool-state-cache.js';
+import { BlockScheduler } from '../lib/block-scheduler.js';
+import { TradeRevalidator } from '../lib/trade-revalidator.js';
+import { OpportunityRanker } from '../lib/opportunity-ranker.js';
+import { ProfitModel } from '../lib/profit-model.js';
+import { ArbTxBuilder, DEFAULT_GAS_LIMIT, COINBASE_PAYMENT_GAS, unsupportedRoute } from '../lib/arb-tx-builder.js';
+import { BundleManager } from '../lib/bundle-manager.js';
+import { RelayManager, parseBuilderUrls } from '../lib/relay-manager.js';
+import { CycleFinder } from '../lib/cycle-finder.js';
+import { CurveScanner } from '../lib/curve-scanner.js';
+import { BalancerScanner } from '../lib/balancer-scanner.js';
+import { PairDiscovery, loadRegistry } from '../lib/pair-discovery.js';
+import { TokenRegistry } from '../lib/token-registry.js';
+import { TokenSafetyDetector } from '../lib/token-safety.js';
+import { DexRegistry } from '../lib/dex-registry.js';
+import { createDexAdapters } from '../lib/dex-adapter.js';
+import { MempoolWatcher } from '../lib/mempool-watcher.js';
 import { CircuitBreaker, DiscordNotifier } from '../lib/monitoring.js';
 import { SlippageCalculator, formatSlippageInfo } from '../lib/slippage-calculator.js';
 dotenv.config();
 import { promisify } from 'util';
 import { exec as execCb } from 'child_process';
+import fs from 'fs';
 const exec = promisify(execCb);
 
 class ArbitrageBot {
@@ -26,7 +44,9 @@ class ArbitrageBot {
     });
     this.notifier = new DiscordNotifier(process.env.DISCORD_WEBHOOK_URL);
     this.flashbotsProvider = null; // Will be initialized in initialize()
+    this.routerDexes = null; // Venues of the contract's [router1, router2], read in initialize()
     this.slippageCalculator = new SlippageCalculator(parseFloat(process.env.SLIPPAGE_TOLERANCE || '2')); // 2% default
+    this.ranker = new OpportunityRanker();
   }
 
   async initialize() {
@@ -38,6 +58,7 @@ class ArbitrageBot {
     // Flexible signer: prefer getSigner abstraction which supports PRIVATE_KEY or RPC signer
     // For localhost testing, use the provider's default signer (Hardhat account #0)
     const isLocalhost = process.env.RPC_URL && (process.env.RPC_URL.includes('localhost') || process.env.RPC_URL.includes('127.0.0.1'));
+    this.isLocalhost = !!isLocalhost;
     
     if (isLocalhost) {
       console.log('🔧 Localhost detected — using provider default signer (Hardhat account #0)');
@@ -84,12 +105,16 @@ class ArbitrageBot {
     // Load contract
     const contractABI = [
       "function executeArbitrage(uint256 amountIn) external",
-      "function flashArbitrage(address asset, uint256 amount, address[] calldata path1, address[] calldata path2, uint256 minProfit) external",
+      "function flashArbitrage(address asset, uint256 amount, address[] calldata path1, address[] calldata path2, uint256 minProfit, uint256 minAmountOut1, uint256 minAmountOut2, uint256 deadline) external",
+      "function flashArbitrageBalancer(address asset, uint256 amount, address[] calldata path1, address[] calldata path2, uint256 minProfit, uint256 minAmountOut1, uint256 minAmountOut2, uint256 deadline) external",
       "function totalProfits() view returns (uint256)",
       "function owner() view returns (address)",
       "function recordProfit(uint256 amount) external",
       "function withdraw(address payable to, uint256 amount) external",
-      "function withdrawToken(address token, address to, uint256 amount) external"
+      "function withdrawToken(address token, address to, uint256 amount) external",
+      "function payCoinbase() external payable",
+      "function router1() view returns (address)",
+      "function router2() view returns (address)"
     ];
     
     // Create a contract instance backed by the provider; connect signer at execution time
@@ -166,14 +191,174 @@ class ArbitrageBot {
     const network = process.env.NETWORK || 'mainnet';
     const useRealData = process.env.USE_REAL_UNISWAP === '1';
     if (useRealData) {
-      this.scanner = new UniswapScanner(this.provider, network);
-      this.v3Scanner = new UniswapV3Scanner(this.provider, network);
+      // Token metadata cache and ETH prices, so non-WETH profits are compared to gas in ETH
+      this.tokenRegistry = new TokenRegistry(this.provider, network, {
+        cachePath: process.env.TOKEN_CACHE || `data/token-registry-${network}.json`,
+        weth: process.env.WETH_ADDRESS,
+      });
+      // Transfer probes for fee-on-transfer / rebasing tokens (needs eth_call state overrides; TOKEN_PROBE=0 disables).
+      // ALLOW_FEE_ON_TRANSFER=1 prices V2 pairs of taxed tokens with the measured fee instead of refusing them.
+      const tokenSafety = process.env.TOKEN_PROBE !== '0' ? new TokenSafetyDetector(this.provider, this.tokenRegistry) : null;
+      const allowFeeOnTransfer = process.env.ALLOW_FEE_ON_TRANSFER === '1';
+
+      // V2 venues: built-in descriptors plus DEX_CONFIG, a JSON file of
+      // { name: { factory, router, initCodeHash, feeBps, feeReader } } (e.g. a 25 bps PancakeSwap fork)
+      const dexes = new DexRegistry(network, {
+        dexes: process.env.DEX_CONFIG ? JSON.parse(fs.readFileSync(process.env.DEX_CONFIG, 'utf8')) : undefined,
+      });
+      // Pair addresses are derived from init code hashes; a wrong hash falls back to factory.getPair
+      for (const name of dexes.names()) {
+        await dexes.verifyInitCodeHash(this.provider, name).catch(error => {
+          console.log(`⚠️  Could not verify ${name} init code hash:`, error.message);
+        });
+      }
+
+      // One adapter per venue (every V2 descriptor plus Uniswap V3): pool lookup, quotes and swap calldata
+      const tickWordRange = parseInt(process.env.V3_TICK_WORD_RANGE || '2');
+      this.dexAdapters = createDexAdapters(this.provider, network, { dexes, v3: { tickWordRange } });
+
+      // Before each trade the route is re-priced at `pending` through the same adapters; edges that lost more
+      // than REVALIDATION_TOLERANCE_BPS of their profit are dropped. REVALIDATION_LOG collects decay samples.
+      if (process.env.REVALIDATE !== '0') {
+        this.revalidator = new TradeRevalidator(this.dexAdapters, {
+          toleranceBps: parseInt(process.env.REVALIDATION_TOLERANCE_BPS || '2000'),
+          logPath: process.env.REVALIDATION_LOG,
+        });
+      }
+
+      // Pair universe: discovered registry if present (DISCOVER_PAIRS=1 refreshes it first), else the built-in tables
+      const registryPath = process.env.PAIR_REGISTRY || `data/pair-registry-${network}.json`;
+      let registry = loadRegistry(registryPath);
+      if (process.env.DISCOVER_PAIRS === '1') {
+        try {
+          const discovery = new PairDiscovery(this.provider, network, {
+            registryPath,
+            allowlist: process.env.DISCOVERY_ALLOWLIST ? JSON.parse(fs.readFileSync(process.env.DISCOVERY_ALLOWLIST, 'utf8')) : undefined,
+            factories: dexes.factories(),
+            tokenSafety,
+            allowFeeOnTransfer,
+          });
+          registry = await discovery.discover();
+        } catch (error) {
+          console.log('⚠️  Pair discovery failed:', error.message);
+        }
+      }
+      if (registry) {
+        console.log(`📚 Pair registry: ${Object.keys(registry.pairs).length} V2 pairs, ${Object.keys(registry.v3Pools).length} V3 pools (block ${registry.blockNumber})`);
+      }
+
+      this.scanner = new UniswapScanner(this.provider, network, {
+        registry,
+        tokenRegistry: this.tokenRegistry,
+        tokenSafety,
+        allowFeeOnTransfer,
+        dexes,
+        adapters: this.dexAdapters,
+        slippageCalculator: this.slippageCalculator,
+        maxPriceImpactPercent: parseFloat(process.env.MAX_PRICE_IMPACT_PERCENT || '1'),
+      });
+      this.v3Scanner = new UniswapV3Scanner(this.provider, network, {
+        registry,
+        tokenRegistry: this.tokenRegistry,
+        maxQuoteCalls: parseInt(process.env.V3_MAX_QUOTE_CALLS || '24'),
+        maxAmountIn: process.env.V3_MAX_AMOUNT ? ethers.parseEther(process.env.V3_MAX_AMOUNT) : null,
+        localSimulation: process.env.V3_LOCAL_SIMULATION !== '0',
+        tickWordRange,
+        adapter: this.dexAdapters.get('uniswapV3'),
+      });
       console.log('📊 Uniswap V2 scanner initialized for', network);
       console.log('📊 Uniswap V3 scanner initialized for', network);
+
+      // Curve StableSwap/CryptoSwap pools priced locally (CURVE_SCAN=0 disables; CURVE_POOLS adds pools from a JSON file).
+      // Monitoring only: the contract has no Curve leg, so executableOnly() keeps these routes out of execution
+      if (process.env.CURVE_SCAN !== '0') {
+        this.curveScanner = new CurveScanner(this.provider, network, {
+          pools: process.env.CURVE_POOLS ? JSON.parse(fs.readFileSync(process.env.CURVE_POOLS, 'utf8')) : undefined,
+          tokenRegistry: this.tokenRegistry,
+          maxAmountIn: process.env.V3_MAX_AMOUNT ? ethers.parseEther(process.env.V3_MAX_AMOUNT) : null,
+        });
+        console.log(`📊 Curve scanner initialized (${Object.keys(this.curveScanner.pools).length} pools, monitoring only)`);
+      }
+
+      // Balancer V2 weighted/stable pools priced locally (BALANCER_SCAN=0 disables; BALANCER_POOLS adds pools from a JSON file).
+      // Also the Vault liquidity check behind FLASH_LOAN_SOURCE=auto. Its routes are monitoring only: the contract swaps
+      // through V2 routers, so executableOnly() keeps them out of execution
+      if (process.env.BALANCER_SCAN !== '0') {
+        this.balancerScanner = new BalancerScanner(this.provider, network, {
+          pools: process.env.BALANCER_POOLS ? JSON.parse(fs.readFileSync(process.env.BALANCER_POOLS, 'utf8')) : undefined,
+          tokenRegistry: this.tokenRegistry,
+          maxAmountIn: process.env.V3_MAX_AMOUNT ? ethers.parseEther(process.env.V3_MAX_AMOUNT) : null,
+        });
+        console.log(`📊 Balancer scanner initialized (${Object.keys(this.balancerScanner.pools).length} pools, monitoring only)`);
+      }
+
+      // Multi-hop cycle search over the same pools (CYCLE_MAX_HOPS=2 or less disables it)
+      const maxHops = parseInt(process.env.CYCLE_MAX_HOPS || '3');
+      if (maxHops >= 3) {
+        this.cycleFinder = new CycleFinder({
+          v2Scanner: this.scanner,
+          v3Scanner: this.v3Scanner,
+          curveScanner: this.curveScanner,
+          maxHops,
+          maxAmountIn: process.env.V3_MAX_AMOUNT ? ethers.parseEther(process.env.V3_MAX_AMOUNT) : null,
+        });
+        console.log(`📊 Cycle finder initialized (up to ${maxHops} hops)`);
+      }
+
+      // Event-driven pool state: seed once, then follow Sync/Swap/Mint/Burn logs
+      if (process.env.POOL_CACHE !== '0') {
+        this.poolCache = new PoolStateCache(this.provider, {
+          v2Scanner: this.scanner,
+          v3Scanner: this.v3Scanner,
+          confirmations: parseInt(process.env.POOL_CACHE_CONFIRMATIONS || '6'),
+        });
+        try {
+          await this.poolCache.start();
+          this.scanner.stateCache = this.poolCache;
+          this.v3Scanner.stateCache = this.poolCache;
+        } catch (error) {
+          console.log('⚠️  Pool state cache failed to start:', error.message);
+          console.log('   Falling back to reading pools every scan');
+          this.poolCache = null;
+        }
+      }
     } else {
       console.log('⚠️  USE_REAL_UNISWAP not set — using simulated opportunities');
     }
 
+    // Net profit every execution path gates on: gross profit less the flash-loan fee (read from Aave / the
+    // Balancer Vault), the route's gas at the base fee, and the tip (PRIORITY_FEE_GWEI, default the node's suggestion)
+    this.profitModel = new ProfitModel(this.provider, network, {
+      aavePool: process.env.AAVE_POOL_ADDRESS,
+      balancerScanner: this.balancerScanner,
+      tokenRegistry: this.tokenRegistry,
+      flashLoanSource: process.env.FLASH_LOAN_SOURCE,
+      priorityFee: process.env.PRIORITY_FEE_GWEI ? ethers.parseUnits(process.env.PRIORITY_FEE_GWEI, 'gwei') : null,
+      minProfitEth: ethers.parseEther(process.env.MIN_PROFIT_ETH || '0.01'),
+    });
+
+    // Every transaction the bot sends is built here: calldata (with per-hop minimums and a TRADE_DEADLINE_SECONDS
+    // deadline), nonce, chain id, the gas estimate plus GAS_MARGIN_BPS, and EIP-1559 fees with the planned tip
+    this.txBuilder = new ArbTxBuilder(this.contract, this.wallet, {
+      provider: this.provider,
+      profitModel: this.profitModel,
+      slippageCalculator: this.slippageCalculator,
+      dexes: this.scanner?.dexes || new DexRegistry(network),
+      minProfit: asset => this.minProfitInAsset(asset),
+      priorityFee: feeData => this.plannedPriorityFee(feeData),
+      gasMarginBps: parseInt(process.env.GAS_MARGIN_BPS || '2000'),
+      deadlineSeconds: parseInt(process.env.TRADE_DEADLINE_SECONDS || '30'),
+    });
+
+    // flashArbitrage swaps the first leg on router1 and the second on router2: only round trips priced on
+    // those venues, in that order, are executed
+    try {
+      this.routerDexes = await this.txBuilder.routerDexes();
+      console.log(`🔀 Contract routes: ${this.routerDexes.join(' → ')}`);
+    } catch (error) {
+      console.log('⚠️  Could not read the contract routers:', error.message);
+    }
+
     // Initialize Flashbots (if enabled)
     const useFlashbots = process.env.USE_FLASHBOTS !== '0'; // Default enabled
     if (useFlashbots && !isLocalhost) {
@@ -184,8 +369,37 @@ class ArbitrageBot {
           process.env.FLASHBOTS_RELAY_URL || 'https://relay.flashbots.net',
           network
         );
+        // With BUILDER_URLS, bundles are sent to every listed builder (eth_sendBundle) and simulated on
+        // BUNDLE_SIMULATOR (default the first); builders that land none of BUILDER_MAX_MISSES bundles are dropped
+        const builders = parseBuilderUrls(process.env.BUILDER_URLS);
+        if (builders.length > 0) {
+          this.relayManager = new RelayManager(builders, {
+            provider: this.provider,
+            authSigner: this.wallet,
+            account: this.walletAddress,
+            simulator: process.env.BUNDLE_SIMULATOR,
+            maxMisses: parseInt(process.env.BUILDER_MAX_MISSES || '20'),
+          });
+          console.log(`🏗️  Bundles fan out to ${builders.length} builders: ${builders.map(b => b.name).join(', ')}`);
+        }
+
+        // Bundles go to BUNDLE_BLOCKS upcoming blocks, re-simulated before each one; the tip is TIP_START_BPS
+        // of the re-priced profit, raised by TIP_STEP_BPS per missed block up to TIP_MAX_BPS, and paid as
+        // priority fee or, with TIP_PAYMENT=coinbase, as a payCoinbase() transfer at the end of the bundle
+        this.bundleManager = new BundleManager(this.relayManager || this.flashbotsProvider, {
+          account: this.walletAddress,
+          blocks: parseInt(process.env.BUNDLE_BLOCKS || '3'),
+          startTipBps: parseInt(process.env.TIP_START_BPS || '1000'),
+          tipStepBps: parseInt(process.env.TIP_STEP_BPS || '1000'),
+          maxTipBps: parseInt(process.env.TIP_MAX_BPS || '5000'),
+          payment: process.env.TIP_PAYMENT || 'priority',
+        });
         console.log('🔒 Flashbots initialized (MEV protection enabled)');
       } catch (error) {
+        // Bundles need all three (e.g. an unknown TIP_PAYMENT fails after the provider is up)
+        this.flashbotsProvider = null;
+        this.relayManager = null;
+        this.bundleManager = null;
         console.log('⚠️  Flashbots initialization failed:', error.message);
         console.log('   Falling back to regular mempool execution');
       }
@@ -194,6 +408,40 @@ class ArbitrageBot {
     } else {
       console.log('⚠️  Flashbots disabled (USE_FLASHBOTS=0)');
     }
+
+    // New heads drive the scans: a newHeads subscription over WS_RPC_URL when set,
+    // otherwise RPC_URL polled every BLOCK_POLL_MS (default 1000)
+    if (process.env.WS_RPC_URL) {
+      this.blockProvider = new ethers.WebSocketProvider(process.env.WS_RPC_URL);
+    } else {
+      this.provider.pollingInterval = parseInt(process.env.BLOCK_POLL_MS || '1000');
+      this.blockProvider = this.provider;
+    }
+
+    // Backrun large pending swaps: decode router calls from the mempool (needs a WebSocket endpoint)
+    // and price them against a copy of the pool state; MEMPOOL_MIN_SWAP_ETH sets what counts as large
+    if (process.env.MEMPOOL_WS_URL && this.scanner) {
+      try {
+        const mempoolProvider = process.env.MEMPOOL_WS_URL === process.env.WS_RPC_URL
+          ? this.blockProvider
+          : new ethers.WebSocketProvider(process.env.MEMPOOL_WS_URL);
+        this.mempoolWatcher = new MempoolWatcher(mempoolProvider, {
+          routers: this.dexAdapters.routers(),
+          v2Scanner: this.scanner,
+          v3Scanner: this.v3Scanner,
+          tokenRegistry: this.tokenRegistry,
+          weth: process.env.WETH_ADDRESS,
+          minSwapEth: ethers.parseEther(process.env.MEMPOOL_MIN_SWAP_ETH || '10'),
+          amountIn: ethers.parseEther(process.env.SCAN_AMOUNT || '1'),
+          onOpportunities: opportunities => this.handleBackruns(opportunities),
+        });
+        await this.mempoolWatcher.start();
+        console.log(`👀 Mempool watcher started (${this.mempoolWatcher.routers.size} routers)`);
+      } catch (error) {
+        console.log('⚠️  Mempool watcher failed to start:', error.message);
+        this.mempoolWatcher = null;
+      }
+    }
     
     // If SELF_TEST set, perform a quick simulated test of executeArbitrage
     if (process.env.SELF_TEST === '1') {
@@ -243,12 +491,13 @@ class ArbitrageBot {
     }
   }
 
-  async scanForOpportunities() {
+  // `block` is the head that triggered the scan ({ number, hash, timestamp }; null outside the scheduler)
+  async scanForOpportunities(block = null) {
     this.stats.scans++;
     
     // Use real Uniswap data if enabled
     if (this.scanner && process.env.USE_REAL_UNISWAP === '1') {
-      await this.scanRealOpportunities();
+      await this.scanRealOpportunities(block);
       return;
     }
     
@@ -310,26 +559,11 @@ class ArbitrageBot {
           return;
         }
 
-        // get fee data
-        const feeData = await this.provider.getFeeData();
-        const maxFeePerGas = feeData.maxFeePerGas || feeData.gasPrice;
-        if (!maxFeePerGas) {
-          console.log('❌ Unable to determine gas price, skipping execution\n');
-          return;
-        }
-
-        const estimatedGasCostEth = parseFloat(ethers.formatEther(gasEstimate * maxFeePerGas));
-        const safetyMultiplier = parseFloat(process.env.SAFETY_MULTIPLIER || '1.5');
-
-        if (estimatedProfitEth <= 0) {
-          console.log('❌ Estimated profit non-positive, skipping\n');
-          return;
-        }
-
-        if (estimatedProfitEth < estimatedGasCostEth * safetyMultiplier) {
-          console.log(`❌ Profit ${estimatedProfitEth} ETH < gas cost ${estimatedGasCostEth} ETH * ${safetyMultiplier}, skipping\n`);
-          return;
-        }
+        // Net profit after gas and tip at this block, as on every other execution path; the contract is
+        // pre-funded here, so there is no flash-loan fee
+        const WETH = process.env.WETH_ADDRESS || '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+        const opportunity = { path: [WETH], amountIn, profit: ethers.parseEther(estimatedProfitEth.toString()), gasEstimate };
+        if (!(await this.passesProfitModel(opportunity, 'none'))) return;
 
         // If TEST_FLOW is enabled, run the full simulated flow (fund contract, execute, recordProfit, withdraw)
         if (process.env.TEST_FLOW === '1') {
@@ -354,7 +588,6 @@ class ArbitrageBot {
   async runTestFlow(estimatedProfitEth) {
     console.log('🧪 Running TEST_FLOW: funding contract, executing, recording profit, withdrawing');
     const contractAddr = process.env.CONTRACT_ADDRESS;
-    const contractWithSigner = this.contract.connect(this.wallet);
     try {
       // 1) Fund contract from wallet (simulate borrowed funds)
       const fundAmount = ethers.parseEther(process.env.TEST_FUND_ETH || '1');
@@ -366,7 +599,7 @@ class ArbitrageBot {
       // 2) Execute arbitrage (may be no-op depending on contract)
       const amountIn = ethers.parseUnits(process.env.ARB_AMOUNT_IN || '1', 18);
       console.log('   ➤ Calling executeArbitrage() with amountIn:', ethers.formatUnits(amountIn, 18));
-      const execTx = await contractWithSigner.executeArbitrage(amountIn, { gasLimit: 300000 });
+      const execTx = await this.wallet.sendTransaction(await this.txBuilder.legacyTx(amountIn));
       console.log('   ➤ execute tx hash:', execTx.hash);
       const execRec = await execTx.wait();
       console.log('   ➤ execute receipt status:', execRec.status);
@@ -375,14 +608,14 @@ class ArbitrageBot {
       const profitEth = process.env.DEMO_ESTIMATED_PROFIT || estimatedProfitEth.toString();
       const profitWei = ethers.parseEther(profitEth.toString());
       console.log('   ➤ Recording fake profit (wei):', profitWei.toString());
-      const recProfitTx = await contractWithSigner.recordProfit(profitWei);
+      const recProfitTx = await this.wallet.sendTransaction(await this.txBuilder.populate('recordProfit', [profitWei]));
       console.log('   ➤ recordProfit tx hash:', recProfitTx.hash);
       await recProfitTx.wait();
 
       // 4) Withdraw profit to owner
       const ownerAddr = this.walletAddress;
       console.log('   ➤ Withdrawing', profitEth, 'ETH to owner', ownerAddr);
-      const withdrawTx = await contractWithSigner.withdraw(ownerAddr, profitWei);
+      const withdrawTx = await this.wallet.sendTransaction(await this.txBuilder.populate('withdraw', [ownerAddr, profitWei]));
       console.log('   ➤ withdraw tx hash:', withdrawTx.hash);
       await withdrawTx.wait();
 
@@ -393,12 +626,11 @@ class ArbitrageBot {
     }
   }
 
+  // Pre-funded executeArbitrage trade, already gated on the profit model by scanForOpportunities
   async executeArbitrage() {
     try {
       console.log('🚀 Executing arbitrage trade...');
       
-      const contractWithSigner = this.contract.connect(this.wallet);
-      
       // Call the contract
       // Respect DRY_RUN mode
       if (process.env.DRY_RUN === '1') {
@@ -410,19 +642,17 @@ class ArbitrageBot {
       if (this.privateRpcMode) {
         // Build and sign execute tx and optionally recordProfit tx and send them to private RPC
         const amountIn = ethers.parseUnits(process.env.ARB_AMOUNT_IN || '1', 18);
-        const executeTx = await contractWithSigner.executeArbitrage.populateTransaction(amountIn, { gasLimit: 300000 });
-        const signedExecute = await this.wallet.signTransaction({ to: this.contract.target, data: executeTx.data, gasLimit: executeTx.gasLimit || 100000 });
+        const executeTx = await this.txBuilder.legacyTx(amountIn);
         // send via private provider
-        const sent = await this.privateProvider.sendTransaction(signedExecute);
+        const sent = await this.submit(executeTx);
         console.log('📤 Sent to private RPC, tx hash:', sent.hash);
         await sent.wait();
 
         const estimatedProfitEth = parseFloat(process.env.DEMO_ESTIMATED_PROFIT || '0');
         if (estimatedProfitEth > 0) {
           const profitWei = ethers.parseEther(estimatedProfitEth.toString());
-          const recordTx = await contractWithSigner.recordProfit.populateTransaction(profitWei);
-          const signedRecord = await this.wallet.signTransaction({ to: this.contract.target, data: recordTx.data });
-          const sent2 = await this.privateProvider.sendTransaction(signedRecord);
+          const recordTx = await this.txBuilder.populate('recordProfit', [profitWei]);
+          const sent2 = await this.submit(recordTx);
           console.log('📤 Sent profit-record tx to private RPC, tx hash:', sent2.hash);
           await sent2.wait();
         }
@@ -430,7 +660,7 @@ class ArbitrageBot {
       }
 
       const amountIn = ethers.parseUnits(process.env.ARB_AMOUNT_IN || '1', 18);
-      const tx = await contractWithSigner.executeArbitrage(amountIn, { gasLimit: 300000 });
+      const tx = await this.submit(await this.txBuilder.legacyTx(amountIn));
       
       console.log('📤 Transaction submitted:', tx.hash);
       console.log('⏳ Waiting for confirmation...');
@@ -450,11 +680,75 @@ class ArbitrageBot {
     }
   }
 
-  // Scan for real arbitrage opportunities using Uniswap V2 pools
-  async scanRealOpportunities() {
+  // Token amount with its own decimals and symbol; WETH units when no registry is loaded
+  formatTokenAmount(token, amount) {
+    if (this.tokenRegistry && token) return this.tokenRegistry.format(token, amount);
+    return `${ethers.formatEther(amount)} WETH`;
+  }
+
+  // Opportunity profit in wei (profitEth is stamped by filterProfitable)
+  profitInEth(opportunity) {
+    return opportunity.profitEth ?? opportunity.profit;
+  }
+
+  // MIN_PROFIT_ETH in units of the flash-loaned asset, which is what the contract compares against
+  minProfitInAsset(asset) {
+    const minProfitEth = ethers.parseEther(process.env.MIN_PROFIT_ETH || '0.01');
+    if (!this.tokenRegistry || !asset) return minProfitEth;
+    return this.tokenRegistry.amountForEth(asset, minProfitEth) ?? minProfitEth;
+  }
+
+  // Round trips through a Curve/Balancer scanner's pools from WETH and from every pool token the token registry can price
+  async scanPoolVenue(venueScanner, WETH, amountIn, peers = []) {
+    const startTokens = [];
+    for (const token of await venueScanner.tokens()) {
+      const size = token.toLowerCase() === WETH.toLowerCase() ? amountIn : this.tokenRegistry?.amountForEth(token, amountIn);
+      if (size) startTokens.push({ token, amountIn: size });
+    }
+    return venueScanner.scanCrossVenue(startTokens, { v2Scanner: this.scanner, v3Scanner: this.v3Scanner, peers });
+  }
+
+  // Log a flash-loan call built by the tx builder: the loan and its source, then each swap's minimum output
+  logFlashLoan({ method, args }, label = null) {
+    const [asset, amount, path1, , , minAmountOut1, minAmountOut2] = args;
+    console.log(`   Flash loan: ${this.formatTokenAmount(asset, amount)} (${method === 'flashArbitrageBalancer' ? 'Balancer' : 'Aave'})${label ? ` for ${label}` : ''}`);
+    console.log(`   🛡️  Min out: ${this.formatTokenAmount(path1[1], minAmountOut1)} → ${this.formatTokenAmount(asset, minAmountOut2)}`);
+  }
+
+  // Send a built transaction: signed and broadcast through PRIVATE_RPC_URL in private RPC mode, by the wallet otherwise
+  async submit(tx) {
+    if (this.privateRpcMode) return this.privateProvider.broadcastTransaction(await this.txBuilder.sign(tx));
+    return this.wallet.sendTransaction(tx);
+  }
+
+  // Tip per gas the profit model charged for; transactions are sent with exactly this
+  plannedPriorityFee(feeData) {
+    return this.profitModel.fees?.priorityFee ?? feeData.maxPriorityFeePerGas ?? ethers.parseUnits('2', 'gwei');
+  }
+
+  // Net-profit gate in front of every execution: logs the breakdown and returns the evaluation, or null to skip.
+  // `source` is the loan's source ('none' for pre-funded trades); resolved from FLASH_LOAN_SOURCE when omitted.
+  async passesProfitModel(opportunity, source = null) {
+    const evaluation = await this.profitModel.evaluate(opportunity, { source });
+    const breakdown = evaluation.netProfitEth === null
+      ? evaluation.reason
+      : `gross ${ethers.formatEther(evaluation.grossProfitEth)} - ${evaluation.source} fee ${ethers.formatEther(evaluation.premiumEth)} - gas ${ethers.formatEther(evaluation.gasCostEth)} - tip ${ethers.formatEther(evaluation.tipEth)} ETH`;
+    if (!evaluation.profitable) {
+      console.log(`   ❌ Net profit below MIN_PROFIT_ETH (${breakdown}), skipping`);
+      return null;
+    }
+    console.log(`   💰 Net profit: ${ethers.formatEther(evaluation.netProfitEth)} ETH (${breakdown})`);
+    return evaluation;
+  }
+
+  // Scan for real arbitrage opportunities using Uniswap V2 pools. Opportunities are stamped with
+  // the block their pools were read at, or the triggering head where a scanner doesn't pin one.
+  async scanRealOpportunities(block = null) {
     try {
       // WETH address (mainnet/sepolia)
       const WETH = process.env.WETH_ADDRESS || '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+      // V2 opportunities are sized analytically and V3 by a bounded search up to V3_MAX_AMOUNT (default 10x SCAN_AMOUNT);
+      // SCAN_AMOUNT is the fallback quote size when no size is profitable
       const amountIn = ethers.parseEther(process.env.SCAN_AMOUNT || '1'); // 1 WETH
 
       // Scan V2 pools
@@ -462,56 +756,349 @@ class ArbitrageBot {
       
       // Scan V3 pools
       const v3Opportunities = this.v3Scanner ? await this.v3Scanner.scanAllV3(WETH, amountIn) : [];
+
+      // Same token pair across protocols, both directions (V2→V3 and V3→V2)
+      const crossOpportunities = this.scanner && this.v3Scanner
+        ? await this.v3Scanner.scanCrossProtocol(this.scanner, WETH, amountIn)
+        : [];
+
+      // Curve pool against V2/V3/Curve on the same coins; stablecoin pools start from a stablecoin,
+      // sized at SCAN_AMOUNT worth of ETH through the token registry
+      const curveOpportunities = this.curveScanner ? await this.scanPoolVenue(this.curveScanner, WETH, amountIn) : [];
+
+      // Balancer pool against V2/V3/Balancer/Curve on the same tokens
+      const balancerOpportunities = this.balancerScanner
+        ? await this.scanPoolVenue(this.balancerScanner, WETH, amountIn, this.curveScanner ? [this.curveScanner] : [])
+        : [];
+
+      // Multi-hop cycles across every tracked pool (WETH → USDC → DAI → WETH, ...)
+      const cycleOpportunities = this.cycleFinder ? await this.cycleFinder.scan(WETH, amountIn) : [];
       
       // Combine all opportunities
-      const allOpportunities = [...v2Opportunities, ...v3Opportunities];
+      const allOpportunities = [...v2Opportunities, ...v3Opportunities, ...crossOpportunities, ...curveOpportunities, ...balancerOpportunities, ...cycleOpportunities];
       
-      // Filter by profitability
-      let profitable = [];
-      if (this.scanner) {
-        profitable = await this.scanner.filterProfitable(allOpportunities, process.env.MIN_PROFIT_ETH || '0.01');
-      } else if (this.v3Scanner) {
-        profitable = await this.v3Scanner.filterProfitable(allOpportunities, process.env.MIN_PROFIT_ETH || '0.01');
+      // Token prices drift slowly; refresh them every PRICE_REFRESH_SCANS scans (default 10)
+      if (this.tokenRegistry) {
+        const refreshEvery = parseInt(process.env.PRICE_REFRESH_SCANS || '10');
+        if (this.lastPriceRefresh === undefined || this.stats.scans - this.lastPriceRefresh >= refreshEvery) {
+          try {
+            await this.tokenRegistry.refreshPrices(this.scanner, this.v3Scanner);
+            this.lastPriceRefresh = this.stats.scans;
+          } catch (error) {
+            console.log('⚠️  Token price refresh failed:', error.message);
+          }
+        }
       }
 
+      // Filter by net profit after the flash-loan fee, gas and tip (profits valued in ETH through the token registry)
+      let profitable = await this.profitModel.filterProfitable(allOpportunities);
+      profitable = this.executableOnly(profitable).map(opp => ({ ...opp, blockNumber: opp.blockNumber ?? block?.number ?? null }));
+
       if (profitable.length > 0) {
         this.stats.opportunities += profitable.length;
         console.log(`💎 ${profitable.length} REAL OPPORTUNITIES FOUND!`);
-        
-        for (const opp of profitable) {
+
+        // Scanners overlap: the same edge comes back from several of them, and only one trade per pool
+        // can fill. Keep the pool-disjoint set with the most net profit and trade it together.
+        const { selected, discarded, groups } = this.ranker.rank(profitable);
+        if (discarded.length > 0) {
+          console.log(`   🧮 ${selected.length} of ${profitable.length} kept across ${groups} pool groups (${discarded.length} conflicting discarded)`);
+        }
+
+        for (const opp of selected) {
           console.log(`\n   📊 Opportunity #${this.stats.opportunities}`);
           console.log(`   Protocol: ${opp.protocol || 'V2'}`);
           console.log(`   Pair: ${opp.pairName || `${opp.token0}/${opp.token1}`}`);
+          console.log(`   Block: ${opp.blockNumber ?? 'latest'}`);
           if (opp.dex1 && opp.dex2) {
             console.log(`   DEX Route: ${opp.dex1} → ${opp.dex2}`);
           }
           if (opp.fee1 && opp.fee2) {
             console.log(`   Fee Tiers: ${opp.fee1 / 10000}% → ${opp.fee2 / 10000}%`);
           }
-          console.log(`   Gross Profit: ${ethers.formatEther(opp.profit)} WETH`);
-          console.log(`   AmountIn: ${ethers.formatEther(opp.amountIn)} WETH`);
-          console.log(`   Return: ${((Number(opp.profit) / Number(opp.amountIn)) * 100).toFixed(2)}%`);
-          
-          // Execute if DRY_RUN is not set
-          if (process.env.DRY_RUN !== '1') {
-            await this.executeArbitrageReal(opp);
-          } else {
-            console.log(`   [DRY_RUN] Skipping execution\n`);
+          console.log(`   Gross Profit: ${this.formatTokenAmount(opp.path?.[0], opp.profit)} (${ethers.formatEther(this.profitInEth(opp))} ETH)`);
+          console.log(`   AmountIn: ${this.formatTokenAmount(opp.path?.[0], opp.amountIn)}`);
+          if (opp.hops) {
+            console.log(`   Route: ${opp.hops.map(hop => `${hop.dex} ${hop.pool.substring(0, 10)}...`).join(' → ')}`);
           }
+          if (opp.marginalPrice !== undefined) {
+            console.log(`   Sizing: optimal ${this.formatTokenAmount(opp.path?.[0], opp.optimalAmountIn)}, limited by ${opp.sizeLimitedBy}, marginal ${opp.marginalPrice.toFixed(6)}`);
+          }
+          console.log(`   Net Profit: ${ethers.formatEther(opp.netProfitEth)} ETH after flash-loan fee, gas and tip`);
+          console.log(`   Return: ${((Number(opp.profit) / Number(opp.amountIn)) * 100).toFixed(2)}%`);
+        }
+
+        // Execute if DRY_RUN is not set
+        if (process.env.DRY_RUN !== '1') {
+          await this.executeBatch(selected);
+        } else {
+          console.log(`   [DRY_RUN] Skipping execution\n`);
         }
       }
 
       // Log stats every 10 scans
       if (this.stats.scans % 10 === 0) {
-        console.log(`📊 Scanned ${this.stats.scans} times (V2: ${v2Opportunities.length}, V3: ${v3Opportunities.length})`);
+        console.log(`📊 Scanned ${this.stats.scans} times (V2: ${v2Opportunities.length}, V3: ${v3Opportunities.length}, V2↔V3: ${crossOpportunities.length}, Curve: ${curveOpportunities.length}, Balancer: ${balancerOpportunities.length}, cycles: ${cycleOpportunities.length})`);
         console.log(`   Opportunities found: ${this.stats.opportunities}`);
-        console.log(`   Trades executed: ${this.stats.executed}\n`);
+        console.log(`   Trades executed: ${this.stats.executed}`);
+        if (this.poolCache) {
+          const cacheStats = this.poolCache.getStats();
+          console.log(`   Pool cache: block ${cacheStats.lastBlock}, ${cacheStats.logs} logs applied, ${cacheStats.reorgs} reorgs`);
+        }
+        const rankerStats = this.ranker.getStats();
+        if (rankerStats.ranked > 0) {
+          console.log(`   Ranking: ${rankerStats.selected} of ${rankerStats.ranked} kept, ${rankerStats.discarded} discarded as conflicting`);
+        }
+        if (this.revalidator) {
+          const { checks, rejected, byAge } = this.revalidator.getStats();
+          const decay = byAge.map(({ maxAgeMs, avgDecayBps }) => `${maxAgeMs === null ? 'older' : `≤${maxAgeMs}ms`} ${avgDecayBps} bps`).join(', ');
+          console.log(`   Re-validation: ${checks} checks, ${rejected} rejected${decay ? ` (avg decay by age: ${decay})` : ''}`);
+        }
+        if (this.bundleManager) {
+          const { bundles, included, cancelled, expired, blocksTargeted } = this.bundleManager.getStats();
+          if (bundles > 0) console.log(`   Bundles: ${included} of ${bundles} included, ${cancelled} cancelled, ${expired} expired (${blocksTargeted} blocks targeted)`);
+        }
+        if (this.relayManager) {
+          const percent = rate => (rate === null ? '-' : `${Math.round(rate * 100)}%`);
+          const builders = this.relayManager.getStats().builders.filter(b => b.sent > 0 || b.simulations > 0);
+          for (const b of builders) {
+            console.log(`   Builder ${b.name}${b.active ? '' : ' (dropped)'}: ${b.accepted}/${b.sent} accepted (${percent(b.acceptanceRate)}), ${b.landed} landed (${percent(b.inclusionRate)})${b.simulations > 0 ? `, simulations ${percent(b.simulationRate)} of ${b.simulations} ok` : ''}`);
+          }
+        }
+        const schedulerStats = this.scheduler?.getStats();
+        if (schedulerStats?.latencyMs) {
+          const { p50, p95, max } = schedulerStats.latencyMs;
+          console.log(`   Scan latency after block time: p50 ${p50}ms, p95 ${p95}ms, max ${max}ms (${schedulerStats.skipped} heads skipped while scanning)`);
+        }
+        console.log('');
       }
     } catch (error) {
       console.error('❌ Error scanning real opportunities:', error.message);
     }
   }
 
+  // Backruns priced by the mempool watcher: same profit filter as a scan. They all follow the
+  // same victim and most share its pool, so only the best one is executed.
+  async handleBackruns(opportunities) {
+    if (!this.circuitBreaker.shouldAllowRequest()) return;
+    await this.profitModel.refresh();
+    const profitable = this.executableOnly(await this.profitModel.filterProfitable(opportunities));
+    const [best] = profitable.sort((a, b) => (b.netProfitEth > a.netProfitEth ? 1 : b.netProfitEth < a.netProfitEth ? -1 : 0));
+    if (!best) return;
+
+    this.stats.opportunities++;
+    console.log(`\n   🎯 Backrun of ${best.victim.hash} (${best.victim.dex})`);
+    console.log(`   Protocol: ${best.protocol || 'V2'}`);
+    if (best.dex1 && best.dex2) {
+      console.log(`   DEX Route: ${best.dex1} → ${best.dex2}`);
+    }
+    console.log(`   Gross Profit: ${this.formatTokenAmount(best.path?.[0], best.profit)} (${ethers.formatEther(this.profitInEth(best))} ETH)`);
+    console.log(`   AmountIn: ${this.formatTokenAmount(best.path?.[0], best.amountIn)}`);
+
+    if (process.env.DRY_RUN !== '1') {
+      await this.executeArbitrageReal(best);
+    } else {
+      console.log(`   [DRY_RUN] Skipping execution\n`);
+    }
+  }
+
+  // Opportunities the contract can trade on the route they were priced on. Multi-hop cycles, V3, Curve and
+  // Balancer legs, and V2 legs on other venues than router1 then router2 are still scanned and counted, but
+  // only reported: flashArbitrage swaps two V2 legs on its own routers.
+  executableOnly(opportunities) {
+    const executable = [];
+    const reasons = new Map();
+    for (const opp of opportunities) {
+      const reason = unsupportedRoute(opp, this.routerDexes);
+      if (reason === null) executable.push(opp);
+      else reasons.set(reason, (reasons.get(reason) || 0) + 1);
+    }
+    if (reasons.size > 0) {
+      const summary = [...reasons].map(([reason, count]) => `${count} ${reason}`).join(', ');
+      console.log(`   🔭 Monitoring only, not executable by the contract: ${summary}`);
+    }
+    return executable;
+  }
+
+  // Re-price the route against the pending block before committing to it: the opportunity with its
+  // re-quoted profit, or null to skip. Backruns are priced on the state after their victim, which
+  // `pending` doesn't show yet.
+  async revalidated(opportunity) {
+    if (!this.revalidator || opportunity.victim) return opportunity;
+    const check = await this.revalidator.revalidate(opportunity);
+    if (!check.accepted) {
+      console.log(`   ❌ Re-validation failed after ${check.ageMs}ms: ${check.reason}, skipping`);
+      return null;
+    }
+    if (check.skipped) return opportunity;
+    console.log(`   🔁 Re-validated at pending after ${check.ageMs}ms: ${this.formatTokenAmount(opportunity.path?.[0], check.profit)} (decay ${check.decayBps} bps)`);
+    return { ...opportunity, profit: check.profit, amountsOut: check.amountsOut };
+  }
+
+  // Execute a scan's ranked, pool-disjoint opportunities. With Flashbots and flash loans several go out
+  // as one bundle, so they land together or not at all; otherwise they are executed one after another.
+  async executeBatch(opportunities) {
+    const bundled = opportunities.length > 1 && this.flashbotsProvider && process.env.USE_FLASH_LOAN !== '0';
+    if (!bundled) {
+      for (const opp of opportunities) await this.executeArbitrageReal(opp);
+      return;
+    }
+
+    const lock = new RedisLock();
+    const token = await lock.acquire('arb_lock', 15000);
+    if (!token) {
+      console.log('Another instance is executing, skipping');
+      return;
+    }
+
+    try {
+      const accepted = [];
+      for (const opp of opportunities) {
+        const current = await this.revalidated(opp);
+        if (current && await this.passesProfitModel(current)) accepted.push(current);
+      }
+      if (accepted.length > 0) await this.executeBundle(accepted);
+    } catch (error) {
+      console.log('❌ Execution error:', error.message);
+      this.circuitBreaker.recordFailure();
+      await this.notifier.notifyError('Execution error', error);
+    } finally {
+      await lock.release('arb_lock', token);
+      await lock.quit();
+    }
+  }
+
+  // One Flashbots bundle with a flash-loan transaction per opportunity (consecutive nonces), submitted over a window of blocks
+  async executeBundle(opportunities) {
+    console.log(`🚀 Executing ${opportunities.length} opportunities as one FLASHBOTS bundle...`);
+
+    const result = await this.submitBundle(opportunities);
+    if (!result.included) {
+      this.bundleMissed(result, 'Bundle');
+      return;
+    }
+
+    this.stats.executed += result.opportunities.length;
+    this.circuitBreaker.recordSuccess();
+    console.log(`✅ SUCCESS! Bundle of ${result.opportunities.length} included in block ${result.block}`);
+    await this.bundleLanded(result, 'flashbots-bundle');
+  }
+
+  /**
+   * Submit flash-loan transactions for `opportunities` (behind `prefix`, e.g. a backrun's victim) through the
+   * bundle manager. Before every block after the first the opportunities are re-validated and re-priced at the
+   * latest fees; one whose transaction fails gas estimation (it would revert) or stops paying is left out.
+   * Returns the manager's result with the opportunities of the last bundle submitted.
+   */
+  async submitBundle(opportunities, { prefix = [], gasLimit = null } = {}) {
+    const firstBlock = (await this.provider.getBlockNumber()) + 1;
+    let submitted = [];
+
+    const prepare = async (targetBlock, attempt) => {
+      let current = opportunities;
+      if (attempt > 0) {
+        await this.profitModel.refresh();
+        current = [];
+        for (const opp of opportunities) {
+          const fresh = await this.revalidated(opp);
+          if (fresh) current.push(fresh);
+        }
+      }
+
+      let nonce = await this.txBuilder.nextNonce();
+      const txs = [];
+      const kept = [];
+      let profit = 0n;
+      let gas = 0n;
+      for (const opportunity of current) {
+        const label = opportunity.pairName || opportunity.protocol || 'V2';
+        // Profit before the tip: the bundle manager sets the tip
+        const evaluation = await this.profitModel.evaluate(opportunity);
+        const untipped = evaluation.netProfitEth === null ? null : evaluation.netProfitEth + evaluation.tipEth;
+        if (untipped === null || untipped <= 0n) {
+          console.log(`   ❌ ${label}: no longer profitable at block ${targetBlock}, leaving it out`);
+          continue;
+        }
+        let built;
+        try {
+          built = await this.txBuilder.flashLoanTx(opportunity, { nonce, gasLimit });
+        } catch (error) {
+          console.log(`   ❌ ${label}: gas estimation failed (${error.shortMessage || error.message}), leaving it out`);
+          continue;
+        }
+        if (attempt === 0) this.logFlashLoan(built, opportunities.length > 1 ? label : null);
+        txs.push(built.tx);
+        kept.push(opportunity);
+        profit += untipped;
+        gas += built.tx.gasLimit;
+        nonce++;
+      }
+      if (txs.length === 0) return null;
+
+      // Paid to the fee recipient, the tip needs one more transaction, whose gas at the base fee comes off the profit
+      const payment = this.bundleManager.payment === 'coinbase' ? await this.txBuilder.coinbasePaymentTx({ nonce }) : null;
+      if (payment) profit -= COINBASE_PAYMENT_GAS * (this.profitModel.fees?.baseFee ?? 0n);
+
+      submitted = kept;
+      return {
+        profit,
+        gas,
+        sign: async (priorityFee, coinbasePayment) => [
+          ...prefix,
+          ...(await Promise.all(txs.map(tx => this.txBuilder.sign(this.txBuilder.withPriorityFee(tx, priorityFee))))),
+          ...(payment && coinbasePayment > 0n
+            ? [await this.txBuilder.sign(this.txBuilder.withPriorityFee({ ...payment, value: coinbasePayment }, priorityFee))]
+            : []),
+        ],
+      };
+    };
+
+    console.log(`   🔍 Submitting to blocks ${firstBlock}-${firstBlock + this.bundleManager.blocks - 1}...`);
+    const result = await this.bundleManager.submit(firstBlock, prepare, {
+      minPriorityFee: this.profitModel.fees?.priorityFee ?? 0n,
+      onBlock: entry => this.logBundleBlock(entry),
+    });
+    return { ...result, opportunities: submitted };
+  }
+
+  // One line per block a bundle was prepared for: the tip offered, and what the simulation shows it pays
+  logBundleBlock({ block, status, tipBps, priorityFee, coinbasePayment, paid, bidPerGas, netProfit, reason }) {
+    let bid = '';
+    if (priorityFee !== null) {
+      const offered = coinbasePayment > 0n
+        ? `${ethers.formatEther(coinbasePayment)} ETH to coinbase`
+        : `tip ${ethers.formatUnits(priorityFee, 'gwei')} gwei`;
+      bid = ` (${offered}, ${tipBps / 100}% of profit${bidPerGas === null ? '' : `; pays ${ethers.formatEther(paid)} ETH, ${ethers.formatUnits(bidPerGas, 'gwei')} gwei/gas`})`;
+    }
+    if (status === 'included') {
+      console.log(`   ✅ Block ${block}: included${bid}, net ${ethers.formatEther(netProfit)} ETH`);
+    } else if (status === 'not included') {
+      console.log(`   ⏭️  Block ${block}: not included${bid}${reason ? ` — ${reason}` : ''}`);
+    } else {
+      console.log(`   🛑 Block ${block}: cancelled${bid} — ${reason}`);
+    }
+  }
+
+  // Profit of a bundle that landed: before the tip, less what its simulation for that block paid the builder
+  async bundleLanded(result, label) {
+    const { profit, paid, netProfit } = result.blocks[result.blocks.length - 1];
+    console.log(`   Profit: ${ethers.formatEther(netProfit)} ETH (${ethers.formatEther(profit)} ETH before the tip, ${ethers.formatEther(paid)} ETH paid to the builder in simulation)`);
+    await this.notifier.notifyProfit(ethers.formatEther(netProfit), label);
+  }
+
+  // Report a bundle that didn't land. A failed simulation or a nonce used elsewhere counts against the
+  // circuit breaker unless `countFailure` is off (a backrun's victim may simply have been mined already).
+  bundleMissed(result, noun, { countFailure = true } = {}) {
+    if (result.reason === null) {
+      console.log(`⚠️  ${noun} not included in ${result.blocks.length} blocks`);
+      return;
+    }
+    console.log(`❌ ${noun} cancelled: ${result.reason}`);
+    if (countFailure && (result.reason.startsWith('simulation failed') || result.reason === 'nonce too high')) {
+      this.circuitBreaker.recordFailure();
+    }
+  }
+
   // Execute a real arbitrage opportunity
   async executeArbitrageReal(opportunity) {
     const lock = new RedisLock();
@@ -522,13 +1109,19 @@ class ArbitrageBot {
     }
 
     try {
+      const current = await this.revalidated(opportunity);
+      if (!current) return;
+
       // Determine if we should use flash loans
       const useFlashLoan = process.env.USE_FLASH_LOAN !== '0'; // Default to true
 
+      // Net profit on the re-validated quote; pre-funded trades pay no loan fee
+      if (!(await this.passesProfitModel(current, useFlashLoan ? null : 'none'))) return;
+
       if (useFlashLoan) {
-        await this.executeFlashLoanArbitrage(opportunity);
+        await this.executeFlashLoanArbitrage(current);
       } else {
-        await this.executeLegacyArbitrage(opportunity);
+        await this.executeLegacyArbitrage(current);
       }
     } catch (error) {
       console.log('❌ Execution error:', error.message);
@@ -542,6 +1135,11 @@ class ArbitrageBot {
 
   // Execute flash loan arbitrage (NEW - capital-free)
   async executeFlashLoanArbitrage(opportunity) {
+    // Backruns only make sense right behind their victim
+    if (opportunity.victim) {
+      return await this.executeBackrun(opportunity);
+    }
+
     // Use Flashbots if available, otherwise regular execution
     if (this.flashbotsProvider) {
       return await this.executeViaFlashbots(opportunity);
@@ -550,42 +1148,48 @@ class ArbitrageBot {
     }
   }
 
-  // Execute via public mempool (FALLBACK - less MEV protection)
-  async executeViaMempool(opportunity) {
-    console.log('🚀 Executing via PUBLIC MEMPOOL (fallback)...');
-    
-    const asset = opportunity.path ? opportunity.path[0] : process.env.WETH_ADDRESS;
-    const amount = opportunity.amountIn;
-    const path1 = opportunity.path || [asset];
-    const path2 = opportunity.pathReverse || [asset];
-    const minProfit = ethers.parseEther(process.env.MIN_PROFIT_ETH || '0.01');
+  // Backrun a pending swap: a Flashbots bundle of the victim's signed transaction followed by ours
+  // (the victim lands with us or not at all)
+  async executeBackrun(opportunity) {
+    if (!this.flashbotsProvider) {
+      console.log('   ⚠️  Backruns need Flashbots to follow the victim, skipping');
+      return;
+    }
+    console.log(`🚀 Backrunning ${opportunity.victim.hash} via FLASHBOTS...`);
 
-    console.log(`   Flash loan: ${ethers.formatEther(amount)} ${asset.substring(0, 10)}...`);
-    console.log(`   Path1: ${path1.map(p => p.substring(0, 6)).join(' → ')}`);
-    console.log(`   Path2: ${path2.map(p => p.substring(0, 6)).join(' → ')}`);
+    // Our transaction only succeeds after the victim's, so it can't be gas-estimated on its own
+    const result = await this.submitBundle([opportunity], {
+      prefix: [opportunity.victim.rawTransaction],
+      gasLimit: process.env.BACKRUN_GAS_LIMIT ? BigInt(process.env.BACKRUN_GAS_LIMIT) : DEFAULT_GAS_LIMIT,
+    });
+    if (!result.included) {
+      this.bundleMissed(result, 'Backrun', { countFailure: false });
+      return;
+    }
+
+    this.stats.executed++;
+    this.circuitBreaker.recordSuccess();
+    console.log(`✅ SUCCESS! Backrun included in block ${result.block}`);
+    await this.bundleLanded(result, 'flashbots-backrun');
+  }
+
+  // Execute one opportunity as a single-transaction Flashbots bundle (MEV-protected)
+  async executeViaFlashbots(opportunity) {
+    console.log('🚀 Executing via FLASHBOTS...');
 
     // Pre-flight checks
     const ageMs = Date.now() - (opportunity.timestamp || Date.now());
-    if (ageMs > 3000) {
+    if (ageMs > parseInt(process.env.MAX_OPPORTUNITY_AGE_MS || '3000')) {
       console.log(`   ⚠️  Opportunity stale (${ageMs}ms old), skipping`);
       return;
     }
 
     // Slippage protection check
     if (opportunity.reserve0A && opportunity.reserve1A) {
-      const slippageProtection = this.slippageCalculator.getProtectedParameters(opportunity, amount.toString());
-      const slippageInfo = formatSlippageInfo(slippageProtection);
-      console.log(`   🛡️  Slippage protection: ${slippageInfo.slippage}, Min out: ${slippageInfo.minOut2} ETH`);
-      
-      if (!slippageProtection.isProfitable) {
-        console.log(`   ❌ Not profitable with slippage protection, skipping`);
-        return;
-      }
-    }
-
-    // Slippage protection check
-    if (opportunity.reserve0A && opportunity.reserve1A) {
-      const slippageProtection = this.slippageCalculator.getProtectedParameters(opportunity, amount.toString());
+      const amount = opportunity.amountIn;
+      const method = await this.txBuilder.flashLoanMethod(opportunity.path[0], amount);
+      const premium = this.profitModel.flashLoanFee(method === 'flashArbitrageBalancer' ? 'balancer' : 'aave', amount);
+      const slippageProtection = this.slippageCalculator.getProtectedParameters(opportunity, amount.toString(), premium);
       const slippageInfo = formatSlippageInfo(slippageProtection);
       console.log(`   🛡️  Slippage protection: ${slippageInfo.slippage}, Min out: ${slippageInfo.minOut2} ETH`);
       
@@ -595,105 +1199,39 @@ class ArbitrageBot {
       }
     }
 
-    // Populate transaction (don't send yet)
-    const tx = await this.contract.connect(this.wallet).populateTransaction.flashArbitrage(
-      asset, amount, path1, path2, minProfit
-    );
-
-    const currentBlock = await this.provider.getBlockNumber();
-    const targetBlock = currentBlock + 1;
-
-    // Build Flashbots bundle
-    const bundle = [
-      {
-        transaction: {
-          ...tx,
-          gasLimit: 800000,
-          chainId: (await this.provider.getNetwork()).chainId,
-        },
-        signer: this.wallet,
-      }
-    ];
-
-    // Simulate bundle first
-    console.log(`   🔍 Simulating bundle for block ${targetBlock}...`);
-    const signedBundle = await this.flashbotsProvider.signBundle(bundle);
-    const simulation = await this.flashbotsProvider.simulate(signedBundle, targetBlock);
+    console.log(`   Path1: ${opportunity.path.map(p => p.substring(0, 6)).join(' → ')}`);
+    console.log(`   Path2: ${opportunity.pathReverse.map(p => p.substring(0, 6)).join(' → ')}`);
 
-    if ('error' in simulation || simulation.firstRevert) {
-      console.log('❌ Flashbots simulation failed:', simulation.firstRevert || simulation.error);
-      this.circuitBreaker.recordFailure();
+    const result = await this.submitBundle([opportunity]);
+    if (!result.included) {
+      this.bundleMissed(result, 'Bundle');
       return;
     }
 
-    console.log('   ✅ Flashbots simulation passed');
-    console.log(`   💰 Estimated profit: ${ethers.formatEther(simulation.totalGasUsed || 0n)} ETH`);
-
-    // Send bundle
-    const bundleSubmission = await this.flashbotsProvider.sendBundle(bundle, targetBlock);
-
-    // Wait for inclusion
-    console.log(`   ⏳ Waiting for inclusion in block ${targetBlock}...`);
-    const waitResponse = await bundleSubmission.wait();
-
-    if (waitResponse === 0) {
-      // Success!
-      this.stats.executed++;
-      this.circuitBreaker.recordSuccess();
-      console.log(`✅ SUCCESS! Bundle included in block ${targetBlock}`);
-      console.log(`   Profit: ${ethers.formatEther(opportunity.profit)} ETH (estimated)`);
-      await this.notifier.notifyProfit(ethers.formatEther(opportunity.profit), 'flashbots');
-    } else if (waitResponse === 1) {
-      console.log(`⚠️  Bundle not included (block ${targetBlock} passed)`);
-      console.log('   Reason: Likely unprofitable or other bundle won');
-    } else {
-      console.log(`❌ Bundle rejected: ${waitResponse}`);
-      this.circuitBreaker.recordFailure();
-    }
+    this.stats.executed++;
+    this.circuitBreaker.recordSuccess();
+    console.log(`✅ SUCCESS! Bundle included in block ${result.block}`);
+    await this.bundleLanded(result, 'flashbots');
   }
 
-  // Execute via public mempool (FALLBACK - can be frontrun)
+  // Execute via public mempool (FALLBACK - can be frontrun), or through PRIVATE_RPC_URL in private RPC mode
   async executeViaMempool(opportunity) {
-    console.log('🚀 Executing via PUBLIC MEMPOOL (no MEV protection)...');
-    
-    const contractWithSigner = this.contract.connect(this.wallet);
-
-    // Build swap paths based on opportunity
-    const asset = opportunity.path ? opportunity.path[0] : process.env.WETH_ADDRESS;
-    const amount = opportunity.amountIn;
-    
-    // path1: tokenA -> tokenB (DEX1)
-    // path2: tokenB -> tokenA (DEX2)
-    const path1 = opportunity.path || [asset];
-    const path2 = opportunity.pathReverse || [asset];
-    
-    // Minimum profit (subtract gas costs and buffer)
-    const minProfit = ethers.parseEther(process.env.MIN_PROFIT_ETH || '0.01');
-
-    console.log(`   Flash loan: ${ethers.formatEther(amount)} ${asset.substring(0, 10)}...`);
-    console.log(`   Path1: ${path1.map(p => p.substring(0, 6)).join(' → ')}`);
-    console.log(`   Path2: ${path2.map(p => p.substring(0, 6)).join(' → ')}`);
-    console.log(`   Min profit: ${ethers.formatEther(minProfit)} ETH`);
+    console.log(this.privateRpcMode ? '🚀 Executing via PRIVATE RPC...' : '🚀 Executing via PUBLIC MEMPOOL (no MEV protection)...');
 
     // PRE-FLIGHT CHECK 1: Re-validate opportunity (price may have moved)
     const ageMs = Date.now() - (opportunity.timestamp || Date.now());
-    if (ageMs > 3000) { // Opportunity older than 3 seconds
+    if (ageMs > parseInt(process.env.MAX_OPPORTUNITY_AGE_MS || '3000')) { // Older than the staleness window (3 seconds by default)
       console.log(`   ⚠️  Opportunity stale (${ageMs}ms old), skipping`);
       return;
     }
 
-    // PRE-FLIGHT CHECK 2: Gas price sanity check
-    const feeData = await this.provider.getFeeData();
-    const gasPrice = feeData.maxFeePerGas || feeData.gasPrice;
-    const gasCostEth = ethers.formatEther(gasPrice * 800000n);
-    if (parseFloat(gasCostEth) > parseFloat(ethers.formatEther(opportunity.profit)) * 0.5) {
-      console.log(`   ⚠️  Gas cost too high (${gasCostEth} ETH = 50%+ of profit), skipping`);
-      return;
-    }
+    // PRE-FLIGHT CHECK 2: Gas and tip are already charged against the profit (profit model gate)
 
-    // PRE-FLIGHT CHECK 3: Simulate first (CRITICAL)
+    // PRE-FLIGHT CHECK 3: Simulate first (CRITICAL). Building the transaction estimates its gas, which runs the
+    // call with the per-hop minimums and deadline it is sent with
+    let built;
     try {
-      const simResult = await contractWithSigner.flashArbitrage.staticCall(asset, amount, path1, path2, minProfit);
+      built = await this.txBuilder.flashLoanTx(opportunity);
       console.log('   ✅ Simulation passed');
     } catch (err) {
       console.log('❌ Simulation failed:', err.message);
@@ -702,23 +1240,22 @@ class ArbitrageBot {
         console.log('   Reason: Price moved, no longer profitable');
       } else if (err.message.includes('Profit below minimum')) {
         console.log('   Reason: Profit dropped below minimum threshold');
+      } else if (err.message.includes('Slippage exceeded') || err.message.includes('All swap attempts failed')) {
+        console.log('   Reason: A swap would return less than its minimum output');
       }
       this.circuitBreaker.recordFailure();
       return;
     }
 
-    // PRE-FLIGHT CHECK 4: Deadline protection (execute fast or abort)
-    const deadline = Math.floor(Date.now() / 1000) + 30; // 30-second deadline
-    const maxPriorityFeePerGas = feeData.maxPriorityFeePerGas || ethers.parseUnits('2', 'gwei');
-    const maxFeePerGas = feeData.maxFeePerGas || ethers.parseUnits('50', 'gwei');
+    const asset = built.args[0];
+    this.logFlashLoan(built);
+    console.log(`   Path1: ${opportunity.path.map(p => p.substring(0, 6)).join(' → ')}`);
+    console.log(`   Path2: ${opportunity.pathReverse.map(p => p.substring(0, 6)).join(' → ')}`);
+    console.log(`   Min profit: ${this.formatTokenAmount(asset, built.args[4])}`);
 
-    // Execute flash loan with optimized gas settings
+    // Execute flash loan with the builder's gas limit and EIP-1559 fees
     try {
-      const tx = await contractWithSigner.flashArbitrage(asset, amount, path1, path2, minProfit, { 
-        gasLimit: 800000,
-        maxPriorityFeePerGas, // EIP-1559 tip
-        maxFeePerGas, // EIP-1559 max
-      });
+      const tx = await this.submit(built.tx);
       console.log('📤 Flash loan transaction submitted:', tx.hash);
       
       // Wait for confirmation with timeout
@@ -731,10 +1268,10 @@ class ArbitrageBot {
         this.stats.executed++;
         this.circuitBreaker.recordSuccess();
         console.log('✅ SUCCESS! Flash loan arbitrage executed!');
-        console.log(`   Profit: ${ethers.formatEther(opportunity.profit)} ETH (estimated)`);
+        console.log(`   Profit: ${ethers.formatEther(this.profitInEth(opportunity))} ETH (estimated)`);
         console.log(`   Gas used: ${receipt.gasUsed.toString()}`);
         console.log(`   Transaction: https://etherscan.io/tx/${tx.hash}\n`);
-        await this.notifier.notifyProfit(ethers.formatEther(opportunity.profit), tx.hash);
+        await this.notifier.notifyProfit(ethers.formatEther(this.profitInEth(opportunity)), tx.hash);
       } else {
         console.log('❌ Transaction failed (reverted)\n');
         this.circuitBreaker.recordFailure();
@@ -749,12 +1286,10 @@ class ArbitrageBot {
   async executeLegacyArbitrage(opportunity) {
     console.log('🚀 Executing LEGACY arbitrage (pre-funded)...');
     
-    const contractWithSigner = this.contract.connect(this.wallet);
-    const amountIn = opportunity.amountIn;
-
-    // Simulate first
+    // Simulate first (building the transaction estimates its gas, which runs the call)
+    let built;
     try {
-      await contractWithSigner.executeArbitrage.staticCall(amountIn);
+      built = await this.txBuilder.legacyTx(opportunity.amountIn);
     } catch (err) {
       console.log('❌ Simulation failed:', err.message);
       this.circuitBreaker.recordFailure();
@@ -762,7 +1297,7 @@ class ArbitrageBot {
     }
 
     // Execute
-    const tx = await contractWithSigner.executeArbitrage(amountIn, { gasLimit: 500000 });
+    const tx = await this.submit(built);
     console.log('📤 Transaction submitted:', tx.hash);
     
     const receipt = await tx.wait();
@@ -770,9 +1305,9 @@ class ArbitrageBot {
       this.stats.executed++;
       this.circuitBreaker.recordSuccess();
       console.log('✅ SUCCESS! Arbitrage executed!');
-      console.log(`   Profit: ${ethers.formatEther(opportunity.profit)} WETH`);
+      console.log(`   Profit: ${ethers.formatEther(this.profitInEth(opportunity))} ETH`);
       console.log(`   Transaction: https://etherscan.io/tx/${tx.hash}\n`);
-      await this.notifier.notifyProfit(ethers.formatEther(opportunity.profit), tx.hash);
+      await this.notifier.notifyProfit(ethers.formatEther(this.profitInEth(opportunity)), tx.hash);
     } else {
       console.log('❌ Transaction failed\n');
       this.circuitBreaker.recordFailure();
@@ -783,33 +1318,46 @@ class ArbitrageBot {
     console.log('🟢 BOT IS NOW RUNNING');
     console.log('Press Ctrl+C to stop\n');
     console.log('='.repeat(60) + '\n');
-    
-    // Scan every 2 seconds
-    while (true) {
-      if (!this.circuitBreaker.shouldAllowRequest()) {
-        console.log('⏸️  Circuit breaker is OPEN - bot paused');
-        await this.notifier.notifyCircuitBreaker(this.circuitBreaker.getStats());
-        await this.sleep(10000); // Wait 10s before checking again
-        continue;
-      }
-      
-      try {
-        await this.scanForOpportunities();
-      } catch (error) {
-        const shouldStop = this.circuitBreaker.recordFailure(error.message);
-        await this.notifier.notifyError(error.message);
-        if (shouldStop) {
-          console.log('🛑 Bot stopped by circuit breaker');
-          process.exit(1);
+
+    // One scan per new head; heads that arrive mid-scan are skipped
+    this.scheduler = new BlockScheduler(this.blockProvider || this.provider, { scan: block => this.scanBlock(block) });
+    await this.scheduler.start();
+    console.log(`⛓️  Scanning on every new block (${process.env.WS_RPC_URL ? 'newHeads subscription' : `polling every ${this.provider.pollingInterval}ms`})`);
+
+    if (this.isLocalhost) {
+      // Local nodes only mine on demand: rescan the current head every 2 seconds
+      this.localTicker = setInterval(async () => {
+        try {
+          const blockNumber = await this.provider.getBlockNumber();
+          await this.scheduler.handleBlock(blockNumber, { rescan: true });
+        } catch (error) {
+          console.log('⚠️  Local scan error:', error.message);
         }
-      }
-      
-      await this.sleep(2000);
+      }, 2000);
     }
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  // Scan for one head. The pool cache is brought up to the head first, so opportunities are
+  // computed against that block.
+  async scanBlock(block) {
+    if (!this.circuitBreaker.shouldAllowRequest()) {
+      console.log('⏸️  Circuit breaker is OPEN - bot paused');
+      await this.notifier.notifyCircuitBreaker(this.circuitBreaker.getStats());
+      return;
+    }
+
+    try {
+      if (this.poolCache) await this.poolCache.syncTo(block.number);
+      await this.profitModel.refresh(block.number);
+      await this.scanForOpportunities(block);
+    } catch (error) {
+      const shouldStop = this.circuitBreaker.recordFailure(error.message);
+      await this.notifier.notifyError(error.message);
+      if (shouldStop) {
+        console.log('🛑 Bot stopped by circuit breaker');
+        process.exit(1);
+      }
+    }
   }
 }
 
@@ -35,6 +35,26 @@ interface IFlashLoanSimpleReceiver {
     ) external returns (bool);
 }
 
+// Balancer V2 Vault (flash loan; no fee while the protocol flash-loan fee is 0)
+interface IBalancerVault {
+    function flashLoan(
+        address recipient,
+        address[] calldata tokens,
+        uint256[] calldata amounts,
+        bytes calldata userData
+    ) external;
+}
+
+// Balancer V2 Flash Loan Recipient interface
+interface IFlashLoanRecipient {
+    function receiveFlashLoan(
+        address[] calldata tokens,
+        uint256[] calldata amounts,
+        uint256[] calldata feeAmounts,
+        bytes calldata userData
+    ) external;
+}
+
 // Uniswap V2 Router interface
 interface IUniswapV2Router {
     function swapExactTokensForTokens(
@@ -46,7 +66,17 @@ interface IUniswapV2Router {
     ) external returns (uint256[] memory amounts);
 }
 
-contract FlashArbitrage is Ownable, ReentrancyGuard, Pausable, IFlashLoanSimpleReceiver {
+contract FlashArbitrage is Ownable, ReentrancyGuard, Pausable, IFlashLoanSimpleReceiver, IFlashLoanRecipient {
+
+    // Swap instructions carried through the flash loan to the callback
+    struct SwapParams {
+        address[] path1;       // Swap path on router1: [asset, ..., intermediate]
+        address[] path2;       // Swap path on router2: [intermediate, ..., asset]
+        uint256 minProfit;     // Least profit after the loan fee, in asset units
+        uint256 minAmountOut1; // Least output accepted from the first swap
+        uint256 minAmountOut2; // Least output accepted from the second swap
+        uint256 deadline;      // Both swaps revert after this timestamp
+    }
 
     uint256 public totalProfits;
 
@@ -56,10 +86,14 @@ contract FlashArbitrage is Ownable, ReentrancyGuard, Pausable, IFlashLoanSimpleR
     event FlashLoanExecuted(address indexed asset, uint256 amount, uint256 profit, uint256 premium);
     event EmergencyPause(address indexed by, string reason);
     event EmergencyUnpause(address indexed by);
+    event CoinbasePaid(address indexed coinbase, uint256 amount);
 
     // Aave V3 Pool address
     IPoolV3 public aavePool;
 
+    // Balancer V2 Vault (alternative flash loan source; unset until configured)
+    IBalancerVault public balancerVault;
+
     // Uniswap V2 routers for DEX1 and DEX2
     IUniswapV2Router public router1;
     IUniswapV2Router public router2;
@@ -90,6 +124,11 @@ contract FlashArbitrage is Ownable, ReentrancyGuard, Pausable, IFlashLoanSimpleR
         aavePool = IPoolV3(_aavePool);
     }
 
+    // Update Balancer Vault address (zero disables Balancer flash loans)
+    function setBalancerVault(address _balancerVault) external onlyOwner {
+        balancerVault = IBalancerVault(_balancerVault);
+    }
+
     // Update router addresses
     function setRouters(address _router1, address _router2) external onlyOwner {
         router1 = IUniswapV2Router(_router1);
@@ -120,59 +159,78 @@ contract FlashArbitrage is Ownable, ReentrancyGuard, Pausable, IFlashLoanSimpleR
         require(initiator == address(this), "Initiator must be this contract");
         require(inFlashLoan, "Not in flash loan");
 
-        // Decode params: (address[] path1, address[] path2, uint256 minProfit)
-        (address[] memory path1, address[] memory path2, uint256 minProfit) = abi.decode(params, (address[], address[], uint256));
+        uint256 profit = _settleArbitrage(asset, amount, premium, params);
+
+        // Approve repayment
+        IERC20(asset).approve(address(aavePool), amount + premium);
+
+        emit FlashLoanExecuted(asset, amount, profit, premium);
+        return true;
+    }
+
+    // Balancer V2 Flash Loan callback - called by the Vault, which expects repayment by transfer
+    function receiveFlashLoan(
+        address[] calldata tokens,
+        uint256[] calldata amounts,
+        uint256[] calldata feeAmounts,
+        bytes calldata userData
+    ) external override {
+        require(msg.sender == address(balancerVault), "Caller must be Balancer Vault");
+        require(inFlashLoan, "Not in flash loan");
+        require(tokens.length == 1, "Single-asset flash loans only");
+
+        uint256 profit = _settleArbitrage(tokens[0], amounts[0], feeAmounts[0], userData);
+
+        // Repay loan plus fee
+        require(IERC20(tokens[0]).transfer(address(balancerVault), amounts[0] + feeAmounts[0]), "Repayment failed");
+
+        emit FlashLoanExecuted(tokens[0], amounts[0], profit, feeAmounts[0]);
+    }
+
+    // Internal: Run the swaps encoded in `params` and check the result covers the loan, its fee and minProfit
+    function _settleArbitrage(
+        address asset,
+        uint256 amount,
+        uint256 fee,
+        bytes memory params
+    ) internal returns (uint256 profit) {
+        SwapParams memory swap = abi.decode(params, (SwapParams));
 
         // Execute the two swaps and calculate profit
-        uint256 finalAmount = _executeSwaps(asset, amount, path1, path2);
-        
+        uint256 finalAmount = _executeSwaps(asset, amount, swap);
+
         // Calculate amounts and validate profit
-        uint256 amountOwed = amount + premium;
+        uint256 amountOwed = amount + fee;
         require(finalAmount > amountOwed, "Arbitrage not profitable");
-        
-        uint256 profit = finalAmount - amountOwed;
-        require(profit >= minProfit, "Profit below minimum threshold");
 
-        // Approve repayment and record profit
-        IERC20(asset).approve(address(aavePool), amountOwed);
+        profit = finalAmount - amountOwed;
+        require(profit >= swap.minProfit, "Profit below minimum threshold");
+
         totalProfits += profit;
-        
-        emit FlashLoanExecuted(asset, amount, profit, premium);
-        return true;
     }
 
-    // Internal: Execute both swaps with slippage protection
+    // Internal: Execute both swaps with slippage protection. The per-hop minimums and the deadline come
+    // from the bot's quotes, so a swap that was front-run (sandwiched) past the tolerance reverts.
     function _executeSwaps(
         address asset,
         uint256 amount,
-        address[] memory path1,
-        address[] memory path2
+        SwapParams memory swap
     ) internal returns (uint256) {
-        // Calculate minimum acceptable amounts with 2% slippage tolerance
-        // In production, these should be passed from the bot based on current reserves
-        // For now, we use 0 but the structure supports proper slippage protection
-        uint256 minAmountOut1 = 0; // TODO: Calculate from reserves with 2% buffer
-        uint256 minAmountOut2 = 0; // TODO: Calculate from reserves with 2% buffer
-        
         // Step 1: Approve and swap on DEX1
         IERC20(asset).approve(address(router1), amount);
         uint256[] memory amounts1 = router1.swapExactTokensForTokens(
             amount,
-            minAmountOut1,
-            path1,
+            swap.minAmountOut1,
+            swap.path1,
             address(this),
-            block.timestamp + 300
+            swap.deadline
         );
 
         // Step 2: Approve and swap on DEX2 (with multi-DEX fallback and slippage/profit guard)
-        address intermediateToken = path1[path1.length - 1];
+        address intermediateToken = swap.path1[swap.path1.length - 1];
         uint256 intermediateAmount = amounts1[amounts1.length - 1];
         IERC20(intermediateToken).approve(address(router2), intermediateAmount);
 
-        // Before final swap, set a minimum acceptable amount required to consider this profitable.
-        // Minimum expected output for the final swap (simple profit threshold). Adjustable.
-        uint256 minAmountOut = (amount * 101) / 100; // ~1% safety buffer (user-adjustable)
-
         // Try a list of routers (multi-DEX fallback). Primary: router2, fallback: router1.
         address[] memory routers = new address[](2);
         routers[0] = address(router2);
@@ -182,10 +240,10 @@ contract FlashArbitrage is Ownable, ReentrancyGuard, Pausable, IFlashLoanSimpleR
         for (uint256 i = 0; i < routers.length; i++) {
             try IUniswapV2Router(routers[i]).swapExactTokensForTokens(
                 intermediateAmount,
-                minAmountOut,
-                path2,
+                swap.minAmountOut2,
+                swap.path2,
                 address(this),
-                block.timestamp + 300
+                swap.deadline
             ) returns (uint256[] memory amounts) {
                 amountReceived = amounts[amounts.length - 1];
                 break;
@@ -206,23 +264,28 @@ contract FlashArbitrage is Ownable, ReentrancyGuard, Pausable, IFlashLoanSimpleR
     // New entry point: Execute flash loan arbitrage
     // path1: [tokenA, tokenB] for DEX1
     // path2: [tokenB, tokenA] for DEX2
+    // minAmountOut1 / minAmountOut2: least output of each swap; deadline: latest block timestamp to trade at
     function flashArbitrage(
         address asset,
         uint256 amount,
         address[] calldata path1,
         address[] calldata path2,
-        uint256 minProfit
+        uint256 minProfit,
+        uint256 minAmountOut1,
+        uint256 minAmountOut2,
+        uint256 deadline
     ) external onlyOwner nonReentrant whenNotPaused {
         require(address(aavePool) != address(0), "Aave Pool not configured");
         require(address(router1) != address(0) && address(router2) != address(0), "Routers not configured");
         require(path1.length >= 2 && path2.length >= 2, "Invalid paths");
         require(path1[0] == asset && path2[path2.length - 1] == asset, "Paths must start and end with flash loan asset");
+        require(deadline >= block.timestamp, "Deadline passed");
 
         // Set flash loan state flag
         inFlashLoan = true;
 
         // Encode params for executeOperation callback
-        bytes memory params = abi.encode(path1, path2, minProfit);
+        bytes memory params = abi.encode(SwapParams(path1, path2, minProfit, minAmountOut1, minAmountOut2, deadline));
 
         // Request flash loan from Aave
         aavePool.flashLoanSimple(
@@ -237,6 +300,40 @@ contract FlashArbitrage is Ownable, ReentrancyGuard, Pausable, IFlashLoanSimpleR
         inFlashLoan = false;
     }
 
+    // Same as flashArbitrage, but borrows from the Balancer Vault instead of Aave
+    function flashArbitrageBalancer(
+        address asset,
+        uint256 amount,
+        address[] calldata path1,
+        address[] calldata path2,
+        uint256 minProfit,
+        uint256 minAmountOut1,
+        uint256 minAmountOut2,
+        uint256 deadline
+    ) external onlyOwner nonReentrant whenNotPaused {
+        require(address(balancerVault) != address(0), "Balancer Vault not configured");
+        require(address(router1) != address(0) && address(router2) != address(0), "Routers not configured");
+        require(path1.length >= 2 && path2.length >= 2, "Invalid paths");
+        require(path1[0] == asset && path2[path2.length - 1] == asset, "Paths must start and end with flash loan asset");
+        require(deadline >= block.timestamp, "Deadline passed");
+
+        inFlashLoan = true;
+
+        _balancerFlashLoan(asset, amount, abi.encode(SwapParams(path1, path2, minProfit, minAmountOut1, minAmountOut2, deadline)));
+
+        inFlashLoan = false;
+    }
+
+    // Internal: Request a single-asset flash loan from the Vault (calls receiveFlashLoan)
+    function _balancerFlashLoan(address asset, uint256 amount, bytes memory userData) internal {
+        address[] memory tokens = new address[](1);
+        tokens[0] = asset;
+        uint256[] memory amounts = new uint256[](1);
+        amounts[0] = amount;
+
+        balancerVault.flashLoan(address(this), tokens, amounts, userData);
+    }
+
     // Legacy: Owner-only entrypoint for performing arbitrage with pre-funded balance.
     // Keep as onlyOwner and nonReentrant to reduce risk.
     // Execute an arbitrage between configured pools using `amountIn` of tokenA.
@@ -298,5 +395,16 @@ contract FlashArbitrage is Ownable, ReentrancyGuard, Pausable, IFlashLoanSimpleR
         emit Withdrawn(to, amount);
     }
 
+    // Pay the block's fee recipient (the builder) the ETH sent with the call. Appended to a bundle after the
+    // arbitrage, it is only paid when the bundle lands.
+    function payCoinbase() external payable onlyOwner {
+        require(msg.value > 0, "No payment");
+
+        (bool success, ) = block.coinbase.call{value: msg.value}("");
+        require(success, "Coinbase payment failed");
+
+        emit CoinbasePaid(block.coinbase, msg.value);
+    }
+
     receive() external payable {}
 }
@@ -8,6 +8,7 @@ contract MockAMM {
     address public token1;
     uint256 public reserve0;
     uint256 public reserve1;
+    uint256 public feeBps; // Swap fee taken from the input, in basis points (0 by default)
 
     constructor(address _token0, address _token1) {
         token0 = _token0;
@@ -19,14 +20,21 @@ contract MockAMM {
         reserve1 = _reserve1;
     }
 
+    function setFeeBps(uint256 _feeBps) external {
+        require(_feeBps < 10000, "fee too high");
+        feeBps = _feeBps;
+    }
+
     function getReserves() external view returns (uint256, uint256) {
         return (reserve0, reserve1);
     }
 
-    // Very small and simple AMM implementation: amountOut = (amountIn * reserveOut) / (reserveIn + amountIn)
-    function _getAmountOut(uint256 amountIn, uint256 reserveIn, uint256 reserveOut) internal pure returns (uint256) {
+    // Very small and simple AMM implementation (Uniswap V2 getAmountOut with a configurable fee):
+    // amountOut = (amountIn * (10000 - feeBps) * reserveOut) / (reserveIn * 10000 + amountIn * (10000 - feeBps))
+    function _getAmountOut(uint256 amountIn, uint256 reserveIn, uint256 reserveOut) internal view returns (uint256) {
         if (amountIn == 0 || reserveIn == 0 || reserveOut == 0) return 0;
-        return (amountIn * reserveOut) / (reserveIn + amountIn);
+        uint256 amountInWithFee = amountIn * (10000 - feeBps);
+        return (amountInWithFee * reserveOut) / (reserveIn * 10000 + amountInWithFee);
     }
 
     // swapExactTokensForTokens: caller must have approved this contract to transfer `amountIn` of tokenIn
@@ -1,6 +1,8 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
 /**
  * Mock Aave Pool for testing flash loans
  * Simulates Aave V3 flash loan behavior
@@ -25,7 +27,7 @@ contract MockAavePool {
         // For testing, we just call executeOperation
         uint256 premium = (amount * 5) / 10000; // 0.05% premium
         
-        (bool success, ) = receiverAddress.call(
+        (bool success, bytes memory returnData) = receiverAddress.call(
             abi.encodeWithSignature(
                 "executeOperation(address,uint256,uint256,address,bytes)",
                 asset,
@@ -36,7 +38,15 @@ contract MockAavePool {
             )
         );
         
-        require(success, "Flash loan callback failed");
+        if (!success) {
+            // Bubble up the revert reason
+            if (returnData.length > 0) {
+                assembly {
+                    revert(add(32, returnData), mload(returnData))
+                }
+            }
+            revert("Flash loan callback failed");
+        }
     }
 
     // Helper for testing executeOperation validation
@@ -73,6 +83,57 @@ contract MockAavePool {
     }
 }
 
+/**
+ * Mock Balancer V2 Vault for testing flash loans
+ * Lends from its own token balance, calls receiveFlashLoan and checks the balance came back plus the fee
+ */
+contract MockBalancerVault {
+    uint256 public flashLoanFeePercentage; // 18 decimals, like ProtocolFeesCollector (0 on mainnet today)
+
+    event FlashLoan(address indexed recipient, address indexed token, uint256 amount, uint256 feeAmount);
+
+    function setFlashLoanFeePercentage(uint256 fee) external {
+        flashLoanFeePercentage = fee;
+    }
+
+    function flashLoan(
+        address recipient,
+        address[] calldata tokens,
+        uint256[] calldata amounts,
+        bytes calldata userData
+    ) external {
+        uint256[] memory feeAmounts = new uint256[](tokens.length);
+        uint256[] memory preLoanBalances = new uint256[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            feeAmounts[i] = (amounts[i] * flashLoanFeePercentage + 1e18 - 1) / 1e18; // Rounded up, as the Vault does
+            preLoanBalances[i] = IERC20(tokens[i]).balanceOf(address(this));
+            require(preLoanBalances[i] >= amounts[i], "INSUFFICIENT_FLASH_LOAN_BALANCE");
+            IERC20(tokens[i]).transfer(recipient, amounts[i]);
+        }
+
+        (bool success, bytes memory returnData) = recipient.call(
+            abi.encodeWithSignature(
+                "receiveFlashLoan(address[],uint256[],uint256[],bytes)",
+                tokens,
+                amounts,
+                feeAmounts,
+                userData
+            )
+        );
+        if (!success) {
+            // Bubble up the revert reason
+            assembly {
+                revert(add(32, returnData), mload(returnData))
+            }
+        }
+
+        for (uint256 i = 0; i < tokens.length; i++) {
+            require(IERC20(tokens[i]).balanceOf(address(this)) >= preLoanBalances[i] + feeAmounts[i], "INSUFFICIENT_FLASH_LOAN_FEE_AMOUNT");
+            emit FlashLoan(recipient, tokens[i], amounts[i], feeAmounts[i]);
+        }
+    }
+}
+
 /**
  * Mock Uniswap Router for testing swaps
  */
@@ -80,6 +141,13 @@ contract MockUniswapRouter {
     
     event SwapExecuted(uint256 amountIn, uint256 amountOut, address[] path);
 
+    // Output per 1000 input; lower it to simulate a pool moved against us (e.g. by a sandwich front-run)
+    uint256 public rate = 1015;
+
+    function setRate(uint256 _rate) external {
+        rate = _rate;
+    }
+
     // Simulate successful swaps with 1% profit
     function swapExactTokensForTokens(
         uint256 amountIn,
@@ -90,8 +158,8 @@ contract MockUniswapRouter {
     ) external returns (uint256[] memory amounts) {
         require(deadline >= block.timestamp, "Expired");
         
-        // Simulate 1.5% profit on swap
-        uint256 amountOut = (amountIn * 1015) / 1000;
+        // Simulate 1.5% profit on swap (by default)
+        uint256 amountOut = (amountIn * rate) / 1000;
         
         require(amountOut >= amountOutMin, "Slippage exceeded");
         
@@ -144,19 +212,23 @@ contract ReentrancyAttacker {
         uint256 amount,
         address[] calldata path1,
         address[] calldata path2,
-        uint256 minProfit
+        uint256 minProfit,
+        uint256 deadline
     ) external {
         attacking = true;
         
         // Initial call to flashArbitrage
         (bool success, ) = target.call(
             abi.encodeWithSignature(
-                "flashArbitrage(address,uint256,address[],address[],uint256)",
+                "flashArbitrage(address,uint256,address[],address[],uint256,uint256,uint256,uint256)",
                 asset,
                 amount,
                 path1,
                 path2,
-                minProfit
+                minProfit,
+                0,
+                0,
+                deadline
             )
         );
         
@@ -0,0 +1,115 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+// StableSwap pool with the integer arithmetic of Curve's 3pool (aPrecision = 1) and of the
+// later pools that keep A * A_PRECISION (aPrecision = 100). Balances are set directly, like MockAMM.
+contract MockCurvePool {
+    uint256 private constant PRECISION = 1e18;
+    uint256 private constant FEE_DENOMINATOR = 1e10;
+
+    address[] public coins;
+    uint256[] public balances;
+    uint256[] private rates; // 10**(36 - decimals): raw balance -> 18 decimals
+    uint256 public amp; // A * aPrecision
+    uint256 public aPrecision;
+    uint256 public fee; // 1e10 units
+
+    constructor(address[] memory _coins, uint8[] memory _decimals, uint256 _amp, uint256 _aPrecision, uint256 _fee) {
+        require(_coins.length == _decimals.length && _coins.length >= 2, "bad coins");
+        coins = _coins;
+        for (uint256 k = 0; k < _coins.length; k++) {
+            rates.push(10 ** (36 - uint256(_decimals[k])));
+            balances.push(0);
+        }
+        amp = _amp;
+        aPrecision = _aPrecision;
+        fee = _fee;
+    }
+
+    function setBalances(uint256[] calldata _balances) external {
+        require(_balances.length == coins.length, "bad length");
+        for (uint256 k = 0; k < _balances.length; k++) balances[k] = _balances[k];
+    }
+
+    function A() external view returns (uint256) {
+        return amp / aPrecision;
+    }
+
+    function _xp() internal view returns (uint256[] memory xp) {
+        xp = new uint256[](coins.length);
+        for (uint256 k = 0; k < coins.length; k++) xp[k] = (balances[k] * rates[k]) / PRECISION;
+    }
+
+    function _getD(uint256[] memory xp) internal view returns (uint256) {
+        uint256 n = xp.length;
+        uint256 s = 0;
+        for (uint256 k = 0; k < n; k++) s += xp[k];
+        if (s == 0) return 0;
+
+        uint256 d = s;
+        uint256 ann = amp * n;
+        for (uint256 it = 0; it < 255; it++) {
+            uint256 dP = d;
+            for (uint256 k = 0; k < n; k++) dP = (dP * d) / (xp[k] * n);
+            uint256 dPrev = d;
+            d = (((ann * s) / aPrecision + dP * n) * d) / (((ann - aPrecision) * d) / aPrecision + (n + 1) * dP);
+            if (d > dPrev ? d - dPrev <= 1 : dPrev - d <= 1) return d;
+        }
+        revert("D did not converge");
+    }
+
+    function _getY(uint256 i, uint256 j, uint256 x, uint256[] memory xp) internal view returns (uint256) {
+        uint256 n = xp.length;
+        uint256 d = _getD(xp);
+        uint256 ann = amp * n;
+        uint256 c = d;
+        uint256 s = 0;
+        for (uint256 k = 0; k < n; k++) {
+            uint256 xk;
+            if (k == i) xk = x;
+            else if (k != j) xk = xp[k];
+            else continue;
+            s += xk;
+            c = (c * d) / (xk * n);
+        }
+        c = (c * d * aPrecision) / (ann * n);
+        uint256 b = s + (d * aPrecision) / ann;
+
+        uint256 y = d;
+        for (uint256 it = 0; it < 255; it++) {
+            uint256 yPrev = y;
+            y = (y * y + c) / (2 * y + b - d);
+            if (y > yPrev ? y - yPrev <= 1 : yPrev - y <= 1) return y;
+        }
+        revert("y did not converge");
+    }
+
+    function get_dy(int128 i, int128 j, uint256 dx) public view returns (uint256) {
+        uint256 ui = uint256(int256(i));
+        uint256 uj = uint256(int256(j));
+        uint256[] memory xp = _xp();
+        uint256 x = xp[ui] + (dx * rates[ui]) / PRECISION;
+        uint256 y = _getY(ui, uj, x, xp);
+
+        if (aPrecision == 1) {
+            uint256 dyLegacy = ((xp[uj] - y - 1) * PRECISION) / rates[uj];
+            return dyLegacy - (fee * dyLegacy) / FEE_DENOMINATOR;
+        }
+        uint256 dy = xp[uj] - y - 1;
+        return ((dy - (fee * dy) / FEE_DENOMINATOR) * PRECISION) / rates[uj];
+    }
+
+    // exchange: caller must have approved this pool for `dx` of coins[i]; output goes to the caller
+    function exchange(int128 i, int128 j, uint256 dx, uint256 min_dy) external returns (uint256 dy) {
+        dy = get_dy(i, j, dx);
+        require(dy >= min_dy, "Exchange resulted in fewer coins than expected");
+        uint256 ui = uint256(int256(i));
+        uint256 uj = uint256(int256(j));
+        IERC20(coins[ui]).transferFrom(msg.sender, address(this), dx);
+        balances[ui] += dx;
+        balances[uj] -= dy;
+        IERC20(coins[uj]).transfer(msg.sender, dy);
+    }
+}
@@ -14,3 +14,20 @@ contract TestToken is ERC20 {
         _mint(to, amount);
     }
 }
+
+// Burns `feeBps` of every transfer, like the tax tokens the scanners have to detect
+contract FeeOnTransferToken is TestToken {
+    uint256 public immutable feeBps;
+
+    constructor(uint256 initialSupply, uint256 feeBps_) TestToken("Fee Token", "FEE", initialSupply) {
+        feeBps = feeBps_;
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal override {
+        uint256 fee = (amount * feeBps) / 10000;
+        if (fee > 0) {
+            _burn(from, fee);
+        }
+        super._transfer(from, to, amount - fee);
+    }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+interface IERC20Balance {
+    function balanceOf(address account) external view returns (uint256);
+}
+
+/**
+ * Transfer probe for fee-on-transfer detection
+ * Never deployed: its runtime code is placed at a token holder's address through an
+ * eth_call state override, so the probe spends the holder's real balance and reports
+ * how much actually left the holder and how much actually arrived.
+ */
+contract TransferProbe {
+    function probe(address token, address recipient, uint256 amount)
+        external
+        returns (uint256 debited, uint256 received)
+    {
+        uint256 senderBefore = IERC20Balance(token).balanceOf(address(this));
+        uint256 recipientBefore = IERC20Balance(token).balanceOf(recipient);
+
+        // Low-level call: USDT-style tokens return nothing from transfer()
+        (bool success, bytes memory data) = token.call(
+            abi.encodeWithSignature("transfer(address,uint256)", recipient, amount)
+        );
+        require(success && (data.length == 0 || abi.decode(data, (bool))), "Transfer failed");
+
+        debited = senderBefore - IERC20Balance(token).balanceOf(address(this));
+        received = IERC20Balance(token).balanceOf(recipient) - recipientBefore;
+    }
+}
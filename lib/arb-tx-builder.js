@@ -0,0 +1,202 @@
+/**
+ * Arbitrage Transaction Builder
+ * Turns an opportunity (or any other FlashArbitrage call) into a fully-populated EIP-1559 transaction:
+ * calldata, nonce, chain id, a gas limit from the node's estimate plus a margin, and fees carrying the
+ * tip the profit model charged for. Flashbots bundles, the private RPC, the public mempool and the
+ * legacy pre-funded mode all build here, so every path signs the same kind of transaction.
+ */
+
+import { ethers } from 'ethers';
+
+// Gas limit for a transaction that can't be estimated on its own (a backrun only succeeds after its victim)
+export const DEFAULT_GAS_LIMIT = 800000n;
+
+// Gas limit of a payCoinbase() transfer to the block's fee recipient
+export const COINBASE_PAYMENT_GAS = 50000n;
+
+/**
+ * Why the contract can't trade an opportunity on the route it was priced on, or null when it can.
+ * flashArbitrage swaps `path` on router1 and `pathReverse` on router2, both V2 routers, so only a
+ * two-leg V2 round trip priced on router1's venue then router2's reaches the chain through the pools
+ * it was priced on. Multi-hop cycles, legs on V3, Curve or Balancer, and V2 legs on other venues (or
+ * in the other order) would trade elsewhere.
+ * @param {Object} opportunity
+ * @param {string[]} routerDexes - Venues of the contract's [router1, router2] (see ArbTxBuilder.routerDexes);
+ *   without them the venues aren't checked
+ */
+export function unsupportedRoute(opportunity, routerDexes = null) {
+  const protocol = opportunity.protocol || 'V2';
+  if (protocol !== 'V2') return `${protocol} route`;
+  if (opportunity.hops) return `${opportunity.hops.length}-hop route`;
+  if (opportunity.path?.length !== 2 || opportunity.pathReverse?.length !== 2) return 'route is not two single swaps';
+  if (routerDexes && (opportunity.dex1 !== routerDexes[0] || opportunity.dex2 !== routerDexes[1])) {
+    return `${opportunity.dex1 ?? '?'}→${opportunity.dex2 ?? '?'} route (contract swaps ${routerDexes[0]}→${routerDexes[1]})`;
+  }
+  return null;
+}
+
+export class ArbTxBuilder {
+  /**
+   * @param {ethers.Contract} contract - FlashArbitrage contract (address and interface)
+   * @param {Object} signer - Account the transactions are sent from
+   * @param {Object} options
+   * @param {Object} options.provider - Provider the nonce, fees and gas are read from (default the signer's)
+   * @param {ProfitModel} options.profitModel - Picks the flash-loan source and prices its fee
+   * @param {SlippageCalculator} options.slippageCalculator - Turns expected swap outputs into per-hop minimums
+   * @param {DexRegistry} options.dexes - Names the venues behind the contract's routers (see routerDexes)
+   * @param {Function} options.minProfit - (asset) => minimum profit passed to the contract, in asset units (default 0)
+   * @param {Function} options.priorityFee - (feeData) => tip in wei per gas (default the node's maxPriorityFeePerGas)
+   * @param {number} options.gasMarginBps - Added to the gas estimate, in bps (default 2000 = 20%)
+   * @param {number} options.deadlineSeconds - Swap deadline, seconds from now (default 30)
+   * @param {Function} options.now - Clock in ms (default Date.now)
+   */
+  constructor(contract, signer, options = {}) {
+    this.contract = contract;
+    this.signer = signer;
+    this.provider = options.provider || signer.provider;
+    this.profitModel = options.profitModel || null;
+    this.slippageCalculator = options.slippageCalculator || null;
+    this.dexes = options.dexes || null;
+    this.minProfit = options.minProfit || (() => 0n);
+    this.priorityFee = options.priorityFee || (feeData => feeData.maxPriorityFeePerGas ?? 0n);
+    this.gasMarginBps = options.gasMarginBps ?? 2000;
+    this.deadlineSeconds = options.deadlineSeconds ?? 30;
+    this.now = options.now || Date.now;
+
+    this.chainId = null; // Read once
+    this.routerDexNames = null; // Read once
+  }
+
+  // Venues of the contract's [router1, router2], read once from the contract: the DEX names `dexes` gives
+  // their routers, or the router address (lowercase) when no venue uses it
+  async routerDexes() {
+    if (!this.routerDexNames) {
+      const byRouter = new Map(Object.entries(this.dexes?.routers() || {}).map(([dex, router]) => [router.toLowerCase(), dex]));
+      const routers = await Promise.all([this.contract.router1(), this.contract.router2()]);
+      this.routerDexNames = routers.map(router => byRouter.get(router.toLowerCase()) ?? router.toLowerCase());
+    }
+    return this.routerDexNames;
+  }
+
+  // Sender address
+  async from() {
+    return typeof this.signer.getAddress === 'function' ? this.signer.getAddress() : this.signer.address;
+  }
+
+  // Next nonce of the sender, counting its pending transactions
+  async nextNonce() {
+    return this.provider.getTransactionCount(await this.from(), 'pending');
+  }
+
+  /**
+   * EIP-1559 fees: the planned tip, and a fee cap of the node's cap with its suggested tip swapped for ours
+   * (twice the base fee plus the tip on ethers' defaults)
+   */
+  async fees() {
+    const feeData = await this.provider.getFeeData();
+    const maxPriorityFeePerGas = this.priorityFee(feeData);
+    const cap = feeData.maxFeePerGas !== null && feeData.maxFeePerGas !== undefined
+      ? feeData.maxFeePerGas - (feeData.maxPriorityFeePerGas ?? 0n)
+      : feeData.gasPrice;
+    if (cap === null || cap === undefined) throw new Error('Unable to determine gas price');
+    return { maxFeePerGas: cap + maxPriorityFeePerGas, maxPriorityFeePerGas };
+  }
+
+  /**
+   * Fully-populated type-2 transaction calling `method` on the contract.
+   * @param {Object} options
+   * @param {number} options.nonce - Nonce to use (default the sender's next, e.g. pass consecutive ones for a bundle)
+   * @param {bigint} options.gasLimit - Fixed gas limit; otherwise the node's estimate plus gasMarginBps. The estimate
+   *   runs the call, so a call that would revert throws here
+   */
+  async populate(method, args, { nonce = null, gasLimit = null } = {}) {
+    const from = await this.from();
+    const to = await this.contract.getAddress();
+    const data = this.contract.interface.encodeFunctionData(method, args);
+
+    const [network, txNonce, fees, estimate] = await Promise.all([
+      this.chainId === null ? this.provider.getNetwork() : null,
+      nonce ?? this.provider.getTransactionCount(from, 'pending'),
+      this.fees(),
+      gasLimit ?? this.provider.estimateGas({ from, to, data }),
+    ]);
+    if (network) this.chainId = network.chainId;
+
+    return {
+      type: 2,
+      chainId: this.chainId,
+      nonce: txNonce,
+      to,
+      data,
+      value: 0n,
+      gasLimit: gasLimit ?? (estimate * BigInt(10000 + this.gasMarginBps)) / 10000n,
+      ...fees,
+    };
+  }
+
+  // Contract entry point for the flash loan: FLASH_LOAN_SOURCE=aave (default), balancer, or auto
+  // (the Balancer Vault's loan whenever it holds enough of the asset, Aave otherwise)
+  async flashLoanMethod(asset, amount) {
+    const source = this.profitModel ? await this.profitModel.flashLoanSource(asset, amount) : 'aave';
+    return source === 'balancer' ? 'flashArbitrageBalancer' : 'flashArbitrage';
+  }
+
+  /**
+   * Arguments of flashArbitrage / flashArbitrageBalancer. Each swap's minimum output is its expected output
+   * (opportunity.amountsOut, re-quoted at pending when re-validated) less the slippage tolerance, so a
+   * sandwiched swap reverts; without per-hop quotes the second swap must still repay the loan plus minProfit.
+   * The quotes are of pair1 and pair2, which are the pools router1 and router2 swap through only for a route
+   * unsupportedRoute() accepts with the contract's routerDexes(): build through flashLoanTx, which checks it.
+   */
+  flashLoanArgs(opportunity, method) {
+    const asset = opportunity.path[0];
+    const amount = opportunity.amountIn;
+    const minProfit = this.minProfit(asset);
+    const premium = this.profitModel ? this.profitModel.flashLoanFee(method === 'flashArbitrageBalancer' ? 'balancer' : 'aave', amount) : 0n;
+
+    let minAmountOut1 = 0n;
+    let minAmountOut2 = amount + premium + minProfit;
+    if (opportunity.amountsOut?.length === 2 && this.slippageCalculator) {
+      const [min1, min2] = this.slippageCalculator.calculateHopMinimums(opportunity.amountsOut);
+      minAmountOut1 = min1;
+      if (min2 > minAmountOut2) minAmountOut2 = min2;
+    }
+    const deadline = BigInt(Math.floor(this.now() / 1000) + this.deadlineSeconds);
+
+    return [asset, amount, opportunity.path, opportunity.pathReverse, minProfit, minAmountOut1, minAmountOut2, deadline];
+  }
+
+  /**
+   * Flash-loan transaction for an opportunity; throws for a route the contract can't trade (see unsupportedRoute).
+   * @param {Object} options - As for populate()
+   * @returns {Object} { method, args, tx }
+   */
+  async flashLoanTx(opportunity, options = {}) {
+    const unsupported = unsupportedRoute(opportunity, await this.routerDexes());
+    if (unsupported) throw new Error(`Not executable by the contract: ${unsupported}`);
+    const method = await this.flashLoanMethod(opportunity.path[0], opportunity.amountIn);
+    const args = this.flashLoanArgs(opportunity, method);
+    return { method, args, tx: await this.populate(method, args, options) };
+  }
+
+  // Legacy pre-funded executeArbitrage(amountIn) transaction
+  async legacyTx(amountIn, options = {}) {
+    return this.populate('executeArbitrage', [amountIn], options);
+  }
+
+  // payCoinbase() transaction paying nothing yet: a bundle sets its value to the tip once the tip is known.
+  // It can't be estimated without a value, so it uses COINBASE_PAYMENT_GAS.
+  async coinbasePaymentTx(options = {}) {
+    return this.populate('payCoinbase', [], { ...options, gasLimit: COINBASE_PAYMENT_GAS });
+  }
+
+  // Copy of a built transaction paying `priorityFee` per gas, its fee cap moved by the same amount
+  withPriorityFee(tx, priorityFee) {
+    return { ...tx, maxPriorityFeePerGas: priorityFee, maxFeePerGas: tx.maxFeePerGas - tx.maxPriorityFeePerGas + priorityFee };
+  }
+
+  // Raw signed transaction (for bundles and the private RPC)
+  async sign(tx) {
+    return this.signer.signTransaction(tx);
+  }
+}
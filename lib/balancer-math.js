@@ -0,0 +1,396 @@
+/**
+ * Offline Balancer V2 Swap Math
+ * BigInt port of solidity-utils (FixedPoint, LogExpMath) and of WeightedMath / StableMath
+ * _calcOutGivenIn, plus a pool simulator that reads tokens and balances from the Vault and
+ * applies the swap fee and scaling factors the way BaseMinimalSwapInfoPool / BaseGeneralPool do.
+ */
+
+import { ethers } from 'ethers';
+import { multicall } from './multicall.js';
+import { getD } from './curve-math.js';
+
+export const BALANCER_VAULT = '0xBA12222222228d8Ba445958a75a0704d566BF2C8'; // Same address on every chain
+
+export const ONE = 10n ** 18n;
+const TWO = 2n * ONE;
+const FOUR = 4n * ONE;
+const MAX_POW_RELATIVE_ERROR = 10000n; // 1e-14
+const MAX_IN_RATIO = 3n * 10n ** 17n; // Weighted pools take at most 30% of the in-balance per swap
+export const AMP_PRECISION = 1000n;
+
+const VAULT_ABI = [
+  'function getPoolTokens(bytes32 poolId) external view returns (address[] tokens, uint256[] balances, uint256 lastChangeBlock)',
+];
+
+const POOL_ABI = [
+  'function getPoolId() external view returns (bytes32)',
+  'function getSwapFeePercentage() external view returns (uint256)',
+  'function getNormalizedWeights() external view returns (uint256[])',
+  'function getAmplificationParameter() external view returns (uint256 value, bool isUpdating, uint256 precision)',
+  'function getScalingFactors() external view returns (uint256[])',
+  'function getBptIndex() external view returns (uint256)',
+  'function version() external view returns (string)',
+];
+
+const ERC20_ABI = ['function decimals() external view returns (uint8)'];
+
+const vaultInterface = new ethers.Interface(VAULT_ABI);
+const poolInterface = new ethers.Interface(POOL_ABI);
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+
+// ---------------------------------------------------------------------------
+// FixedPoint
+// ---------------------------------------------------------------------------
+
+export const mulDown = (a, b) => (a * b) / ONE;
+export const mulUp = (a, b) => {
+  const product = a * b;
+  return product === 0n ? 0n : (product - 1n) / ONE + 1n;
+};
+export const divDown = (a, b) => {
+  if (b === 0n) throw new Error('ZERO_DIVISION');
+  return (a * ONE) / b;
+};
+export const divUp = (a, b) => {
+  if (b === 0n) throw new Error('ZERO_DIVISION');
+  return a === 0n ? 0n : (a * ONE - 1n) / b + 1n;
+};
+export const complement = x => (x < ONE ? ONE - x : 0n);
+
+/**
+ * x^y rounded up. Pools built on the 2022+ solidity-utils special-case y = 1, 2 and 4;
+ * the first WeightedPool deployments always go through LogExpMath (exactPowers = false).
+ */
+export function powUp(x, y, exactPowers = true) {
+  if (exactPowers) {
+    if (y === ONE) return x;
+    if (y === TWO) return mulUp(x, x);
+    if (y === FOUR) {
+      const square = mulUp(x, x);
+      return mulUp(square, square);
+    }
+  }
+  const raw = pow(x, y);
+  return raw + mulUp(raw, MAX_POW_RELATIVE_ERROR) + 1n;
+}
+
+// ---------------------------------------------------------------------------
+// LogExpMath (18-decimal fixed point; intermediate steps at 20 and 36 decimals)
+// ---------------------------------------------------------------------------
+
+const ONE_18 = 10n ** 18n;
+const ONE_20 = 10n ** 20n;
+const ONE_36 = 10n ** 36n;
+const MAX_NATURAL_EXPONENT = 130n * ONE_18;
+const MIN_NATURAL_EXPONENT = -41n * ONE_18;
+const LN_36_LOWER_BOUND = ONE_18 - 10n ** 17n;
+const LN_36_UPPER_BOUND = ONE_18 + 10n ** 17n;
+const MILD_EXPONENT_BOUND = (1n << 254n) / ONE_20;
+
+// x_n = 2^(7-n) and a_n = e^x_n; x0/x1 and a0/a1 have 18 decimals and no decimals, the rest 20 decimals
+const x0 = 128000000000000000000n;
+const a0 = 38877084059945950922200000000000000000000000000000000n;
+const x1 = 64000000000000000000n;
+const a1 = 6235149080811616882910000000n;
+const REDUCTIONS = [
+  [3200000000000000000000n, 7896296018268069516100000000000000n],
+  [1600000000000000000000n, 888611052050787263676000000n],
+  [800000000000000000000n, 298095798704172827474000n],
+  [400000000000000000000n, 5459815003314423907810n],
+  [200000000000000000000n, 738905609893065022723n],
+  [100000000000000000000n, 271828182845904523536n],
+  [50000000000000000000n, 164872127070012814685n],
+  [25000000000000000000n, 128402541668774148407n],
+  [12500000000000000000n, 113314845306682631683n],
+  [6250000000000000000n, 106449445891785942956n],
+];
+
+export function exp(x) {
+  if (x < MIN_NATURAL_EXPONENT || x > MAX_NATURAL_EXPONENT) throw new Error('INVALID_EXPONENT');
+  if (x < 0n) return (ONE_18 * ONE_18) / exp(-x);
+
+  let firstAN;
+  if (x >= x0) {
+    x -= x0;
+    firstAN = a0;
+  } else if (x >= x1) {
+    x -= x1;
+    firstAN = a1;
+  } else {
+    firstAN = 1n;
+  }
+
+  x *= 100n;
+  let product = ONE_20;
+  for (const [xn, an] of REDUCTIONS.slice(0, 8)) { // x10 and x11 aren't needed at this precision
+    if (x >= xn) {
+      x -= xn;
+      product = (product * an) / ONE_20;
+    }
+  }
+
+  let seriesSum = ONE_20;
+  let term = x;
+  seriesSum += term;
+  for (let n = 2n; n <= 12n; n++) {
+    term = (term * x) / ONE_20 / n;
+    seriesSum += term;
+  }
+  return (((product * seriesSum) / ONE_20) * firstAN) / 100n;
+}
+
+function ln(a) {
+  if (a < ONE_18) return -ln((ONE_18 * ONE_18) / a);
+
+  let sum = 0n;
+  if (a >= a0 * ONE_18) {
+    a /= a0;
+    sum += x0;
+  }
+  if (a >= a1 * ONE_18) {
+    a /= a1;
+    sum += x1;
+  }
+
+  sum *= 100n;
+  a *= 100n;
+  for (const [xn, an] of REDUCTIONS) {
+    if (a >= an) {
+      a = (a * ONE_20) / an;
+      sum += xn;
+    }
+  }
+
+  const z = ((a - ONE_20) * ONE_20) / (a + ONE_20);
+  const zSquared = (z * z) / ONE_20;
+  let num = z;
+  let seriesSum = num;
+  for (let n = 3n; n <= 11n; n += 2n) {
+    num = (num * zSquared) / ONE_20;
+    seriesSum += num / n;
+  }
+  return (sum + seriesSum * 2n) / 100n;
+}
+
+// ln(x) at 36 decimals for x close to 1
+function ln36(x) {
+  x *= ONE_18;
+  const z = ((x - ONE_36) * ONE_36) / (x + ONE_36);
+  const zSquared = (z * z) / ONE_36;
+  let num = z;
+  let seriesSum = num;
+  for (let n = 3n; n <= 15n; n += 2n) {
+    num = (num * zSquared) / ONE_36;
+    seriesSum += num / n;
+  }
+  return seriesSum * 2n;
+}
+
+export function pow(x, y) {
+  if (y === 0n) return ONE_18;
+  if (x === 0n) return 0n;
+  if (x >> 255n !== 0n) throw new Error('X_OUT_OF_BOUNDS');
+  if (y >= MILD_EXPONENT_BOUND) throw new Error('Y_OUT_OF_BOUNDS');
+
+  let logxTimesY;
+  if (LN_36_LOWER_BOUND < x && x < LN_36_UPPER_BOUND) {
+    const ln36x = ln36(x);
+    logxTimesY = (ln36x / ONE_18) * y + ((ln36x % ONE_18) * y) / ONE_18;
+  } else {
+    logxTimesY = ln(x) * y;
+  }
+  logxTimesY /= ONE_18;
+  if (logxTimesY < MIN_NATURAL_EXPONENT || logxTimesY > MAX_NATURAL_EXPONENT) throw new Error('PRODUCT_OUT_OF_BOUNDS');
+  return exp(logxTimesY);
+}
+
+// ---------------------------------------------------------------------------
+// Pool math (upscaled 18-decimal amounts)
+// ---------------------------------------------------------------------------
+
+// WeightedMath._calcOutGivenIn
+export function weightedOutGivenIn(balanceIn, weightIn, balanceOut, weightOut, amountIn, exactPowers = true) {
+  if (amountIn > mulDown(balanceIn, MAX_IN_RATIO)) throw new Error('MAX_IN_RATIO');
+  const base = divUp(balanceIn, balanceIn + amountIn);
+  const exponent = divDown(weightIn, weightOut);
+  const power = powUp(base, exponent, exactPowers);
+  return mulDown(balanceOut, complement(power));
+}
+
+// StableMath._calculateInvariant: the StableSwap iteration with AMP_PRECISION = 1000
+export function stableInvariant(amp, balances) {
+  return getD(balances, amp, AMP_PRECISION);
+}
+
+const mathDivUp = (a, b) => (a === 0n ? 0n : 1n + (a - 1n) / b);
+
+// StableMath._getTokenBalanceGivenInvariantAndAllOtherBalances
+export function stableBalanceGivenInvariant(amp, balances, invariant, tokenIndex) {
+  const n = BigInt(balances.length);
+  const ampTimesTotal = amp * n;
+  let sum = balances[0];
+  let pD = balances[0] * n;
+  for (let j = 1; j < balances.length; j++) {
+    pD = (pD * balances[j] * n) / invariant;
+    sum += balances[j];
+  }
+  sum -= balances[tokenIndex];
+
+  const inv2 = invariant * invariant;
+  const c = mathDivUp(inv2, ampTimesTotal * pD) * AMP_PRECISION * balances[tokenIndex];
+  const b = sum + (invariant / ampTimesTotal) * AMP_PRECISION;
+
+  let tokenBalance = mathDivUp(inv2 + c, invariant + b);
+  for (let i = 0; i < 255; i++) {
+    const previous = tokenBalance;
+    tokenBalance = mathDivUp(tokenBalance * tokenBalance + c, tokenBalance * 2n + b - invariant);
+    if ((tokenBalance > previous ? tokenBalance - previous : previous - tokenBalance) <= 1n) return tokenBalance;
+  }
+  throw new Error('STABLE_GET_BALANCE_DIDNT_CONVERGE');
+}
+
+// StableMath._calcOutGivenIn against the invariant of the current balances
+export function stableOutGivenIn(amp, balances, indexIn, indexOut, amountIn) {
+  const invariant = stableInvariant(amp, balances);
+  const updated = [...balances];
+  updated[indexIn] += amountIn;
+  const finalBalanceOut = stableBalanceGivenInvariant(amp, updated, invariant, indexOut);
+  if (balances[indexOut] <= finalBalanceOut) return 0n;
+  return balances[indexOut] - finalBalanceOut - 1n;
+}
+
+// ---------------------------------------------------------------------------
+// Pool simulator
+// ---------------------------------------------------------------------------
+
+export class BalancerPoolSimulator {
+  /**
+   * @param {Object} state
+   * @param {string} state.address - Pool address
+   * @param {string} state.poolId - Vault pool id
+   * @param {string} state.kind - 'weighted' or 'stable' (stable, meta-stable and composable-stable pools)
+   * @param {Array<string>} state.tokens - Swappable tokens (a composable pool's own BPT removed)
+   * @param {Array<bigint>} state.balances - Raw Vault balances per token
+   * @param {Array<bigint>} state.scalingFactors - 10**(18 - decimals) * rate, 18 decimals
+   * @param {bigint} state.swapFee - Swap fee percentage, 18 decimals (3e15 = 0.3%)
+   * @param {Array<bigint>} state.weights - Normalized weights, 18 decimals (weighted pools)
+   * @param {bigint} state.amp - Amplification parameter * AMP_PRECISION (stable pools)
+   * @param {boolean} state.exactPowers - Weighted pools: FixedPoint.powUp special-cases 1/2/4 (default true)
+   * @param {number} state.blockNumber - Block the state was read at
+   */
+  constructor(state) {
+    this.address = state.address;
+    this.poolId = state.poolId;
+    this.kind = state.kind;
+    this.tokens = state.tokens;
+    this.balances = state.balances.map(BigInt);
+    this.scalingFactors = state.scalingFactors.map(BigInt);
+    this.swapFee = BigInt(state.swapFee);
+    this.blockNumber = state.blockNumber ?? null;
+
+    if (this.kind === 'weighted') {
+      this.weights = state.weights.map(BigInt);
+      this.exactPowers = state.exactPowers ?? true;
+    } else if (this.kind === 'stable') {
+      this.amp = BigInt(state.amp);
+    } else {
+      throw new Error(`Unknown Balancer pool kind: ${state.kind}`);
+    }
+  }
+
+  /**
+   * Read a pool's tokens and balances from the Vault and its fee, weights or amplification from
+   * the pool, at one block (two multicalls). getNormalizedWeights() means a weighted pool,
+   * getAmplificationParameter() a stable one.
+   */
+  static async load(provider, poolAddress, { vault = BALANCER_VAULT, blockNumber = null } = {}) {
+    const block = blockNumber ?? await provider.getBlockNumber();
+    const call = fn => ({ target: poolAddress, callData: poolInterface.encodeFunctionData(fn) });
+    const value = (iface, fn, result) => (result.success && result.returnData !== '0x'
+      ? iface.decodeFunctionResult(fn, result.returnData)
+      : null);
+
+    const names = ['getPoolId', 'getSwapFeePercentage', 'getNormalizedWeights', 'getAmplificationParameter', 'getScalingFactors', 'getBptIndex', 'version'];
+    const head = await multicall(provider, names.map(call), block);
+    const params = Object.fromEntries(names.map((fn, i) => [fn, value(poolInterface, fn, head[i])]));
+    if (!params.getPoolId || !params.getSwapFeePercentage) throw new Error(`Balancer pool ${poolAddress}: not a Balancer pool`);
+    const [poolId] = params.getPoolId;
+
+    const [tokensResult] = await multicall(provider, [
+      { target: vault, callData: vaultInterface.encodeFunctionData('getPoolTokens', [poolId]) },
+    ], block);
+    const poolTokens = value(vaultInterface, 'getPoolTokens', tokensResult);
+    if (!poolTokens) throw new Error(`Balancer pool ${poolAddress}: getPoolTokens failed`);
+    let tokens = [...poolTokens.tokens];
+    let balances = [...poolTokens.balances];
+
+    let scalingFactors = params.getScalingFactors ? [...params.getScalingFactors[0]] : null;
+    if (!scalingFactors) {
+      // Pools older than getScalingFactors() scale by decimals only
+      const decimals = await multicall(provider, tokens.map(token => ({ target: token, callData: erc20Interface.encodeFunctionData('decimals') })), block);
+      scalingFactors = decimals.map((result, i) => {
+        const decoded = value(erc20Interface, 'decimals', result);
+        if (!decoded) throw new Error(`Balancer pool ${poolAddress}: decimals of ${tokens[i]} failed`);
+        return 10n ** BigInt(18 - Number(decoded[0])) * ONE;
+      });
+    }
+
+    // Composable pools list their own BPT among the tokens; it isn't part of the swap math
+    if (params.getBptIndex) {
+      const bptIndex = Number(params.getBptIndex[0]);
+      const keep = (_, i) => i !== bptIndex;
+      tokens = tokens.filter(keep);
+      balances = balances.filter(keep);
+      scalingFactors = scalingFactors.filter(keep);
+    }
+
+    const common = {
+      address: poolAddress,
+      poolId,
+      tokens,
+      balances,
+      scalingFactors,
+      swapFee: params.getSwapFeePercentage[0],
+      blockNumber: block,
+    };
+    if (params.getNormalizedWeights) {
+      return new BalancerPoolSimulator({
+        ...common,
+        kind: 'weighted',
+        weights: [...params.getNormalizedWeights[0]],
+        exactPowers: params.version !== null, // version() arrived with the FixedPoint that special-cases powers
+      });
+    }
+    if (params.getAmplificationParameter) {
+      return new BalancerPoolSimulator({ ...common, kind: 'stable', amp: params.getAmplificationParameter.value });
+    }
+    throw new Error(`Balancer pool ${poolAddress}: unsupported pool type`);
+  }
+
+  // Token index of `token` in this pool (-1 if absent)
+  indexOf(token) {
+    const key = token.toLowerCase();
+    return this.tokens.findIndex(t => t.toLowerCase() === key);
+  }
+
+  // GIVEN_IN swap by token index (raw amounts): fee off the raw input, upscale, price, downscale down
+  getAmountOut(i, j, amountIn) {
+    if (amountIn === 0n) return 0n;
+    const afterFee = amountIn - mulUp(amountIn, this.swapFee);
+    const upscaledIn = mulDown(afterFee, this.scalingFactors[i]);
+    const balances = this.balances.map((balance, k) => mulDown(balance, this.scalingFactors[k]));
+
+    const amountOut = this.kind === 'weighted'
+      ? weightedOutGivenIn(balances[i], this.weights[i], balances[j], this.weights[j], upscaledIn, this.exactPowers)
+      : stableOutGivenIn(this.amp, balances, i, j, upscaledIn);
+    return divDown(amountOut, this.scalingFactors[j]);
+  }
+
+  // Exact-input quote by token address; { amountOut } like the other simulators
+  quoteExactInput(tokenIn, tokenOut, amountIn) {
+    const i = this.indexOf(tokenIn);
+    const j = this.indexOf(tokenOut);
+    if (i < 0 || j < 0 || i === j) throw new Error(`Balancer pool ${this.address} cannot swap ${tokenIn} for ${tokenOut}`);
+    return { amountOut: this.getAmountOut(i, j, amountIn) };
+  }
+}
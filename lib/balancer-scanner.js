@@ -0,0 +1,104 @@
+/**
+ * Balancer Scanner
+ * Prices Balancer V2 weighted and stable (incl. composable-stable) pools locally
+ * (lib/balancer-math.js) and looks for two-leg round trips between a Balancer pool and any
+ * other venue trading the same two tokens (see PoolVenueScanner). Also reports what the
+ * Vault can lend, since its flash loans are an alternative to Aave's.
+ */
+
+import { ethers } from 'ethers';
+import { BALANCER_VAULT, BalancerPoolSimulator } from './balancer-math.js';
+import { PoolVenueScanner } from './pool-venue-scanner.js';
+
+// Gas per Vault swap() leg; stable pools iterate the invariant on-chain
+export const BALANCER_WEIGHTED_GAS = 110000n;
+export const BALANCER_STABLE_GAS = 150000n;
+
+const VAULT_ABI = ['function getProtocolFeesCollector() external view returns (address)'];
+const FEES_COLLECTOR_ABI = ['function getFlashLoanFeePercentage() external view returns (uint256)'];
+const ERC20_ABI = ['function balanceOf(address account) external view returns (uint256)'];
+
+// Well-known Balancer pools (tokens and parameters are read from the pool and the Vault)
+export const KNOWN_BALANCER_POOLS = {
+  mainnet: {
+    'B-80BAL-20WETH': { pool: '0x5c6Ee304399DBdB9C8Ef030aB642B10820DB8F56' },
+    '50USDC-50WETH': { pool: '0x96646936b91d6B9D7D0c47C496AfBF3D6ec7B6f8' },
+    'wstETH-WETH': { pool: '0x93d199263632a4EF4Bb438F1feB99e57b4b5f0BD' }, // Composable stable
+  },
+  sepolia: {},
+};
+
+export class BalancerScanner extends PoolVenueScanner {
+  /**
+   * @param {Object} provider - ethers v6 provider
+   * @param {string} network - Key into KNOWN_BALANCER_POOLS
+   * @param {Object} options
+   * @param {Object} options.pools - Extra or overriding pools by label: { label: { pool } }
+   * @param {string} options.vault - Vault address (default the canonical Vault)
+   * @param {TokenRegistry} options.tokenRegistry - Tokens flagged unsafe are never routed
+   * @param {number} options.maxQuotes - Route evaluations per sizing search (default 48, all local)
+   * @param {bigint} options.maxAmountIn - Upper bound of the sizing search (default 10x the scan amount)
+   */
+  constructor(provider, network = 'mainnet', options = {}) {
+    super(provider, network, { ...options, pools: { ...KNOWN_BALANCER_POOLS[network], ...options.pools } });
+    this.protocol = 'Balancer';
+    this.dex = 'balancer';
+    this.vault = options.vault || BALANCER_VAULT;
+    this.flashLoanLiquidity = new Map(); // asset (lowercase) -> { blockNumber, liquidity }
+  }
+
+  loadSimulator(poolAddress, blockNumber) {
+    return BalancerPoolSimulator.load(this.provider, poolAddress, { vault: this.vault, blockNumber });
+  }
+
+  tokensOf(simulator) {
+    return simulator.tokens;
+  }
+
+  legGas(simulator) {
+    return simulator.kind === 'weighted' ? BALANCER_WEIGHTED_GAS : BALANCER_STABLE_GAS;
+  }
+
+  // Swap fee in V3 fee units (hundredths of a bp), like the V2 legs
+  legFee(simulator) {
+    return Number(simulator.swapFee / 10n ** 12n);
+  }
+
+  /**
+   * How much of `asset` the Vault can flash-loan: its whole balance of the token, across all pools.
+   * @returns {bigint|null} null if the balance could not be read
+   */
+  async getFlashLoanLiquidity(asset, blockNumber = null) {
+    const key = asset.toLowerCase();
+    const cached = this.flashLoanLiquidity.get(key);
+    if (cached && blockNumber !== null && cached.blockNumber === blockNumber) {
+      return cached.liquidity;
+    }
+
+    try {
+      const token = new ethers.Contract(asset, ERC20_ABI, this.provider);
+      const liquidity = await token.balanceOf(this.vault, { blockTag: blockNumber ?? 'latest' });
+      this.flashLoanLiquidity.set(key, { blockNumber, liquidity });
+      return liquidity;
+    } catch (error) {
+      console.warn('⚠️  Could not read Balancer Vault liquidity:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Flash-loan fee percentage (18 decimals) from the Vault's ProtocolFeesCollector.
+   * @returns {bigint|null} null if it could not be read
+   */
+  async getFlashLoanFee(blockNumber = null) {
+    try {
+      const blockTag = blockNumber ?? 'latest';
+      const vault = new ethers.Contract(this.vault, VAULT_ABI, this.provider);
+      const collector = new ethers.Contract(await vault.getProtocolFeesCollector({ blockTag }), FEES_COLLECTOR_ABI, this.provider);
+      return await collector.getFlashLoanFeePercentage({ blockTag });
+    } catch (error) {
+      console.warn('⚠️  Could not read Balancer flash loan fee:', error.message);
+      return null;
+    }
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * New-block Scan Scheduler
+ * Runs one scan per new head (newHeads over WebSocket, block polling over HTTP). A head that
+ * arrives while the previous scan is still running is skipped rather than queued, so scans
+ * never overlap and never work on a block that is already behind. Scan latency is measured
+ * from the block's timestamp.
+ */
+
+export class BlockScheduler {
+  /**
+   * @param {Object} provider - ethers v6 provider whose 'block' events drive the scans
+   * @param {Object} options
+   * @param {Function} options.scan - async (block) => void, called with { number, hash, timestamp } of each head scanned
+   * @param {number} options.maxSamples - Scans the latency statistics cover (default 100)
+   * @param {Function} options.now - Clock in ms (default Date.now)
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.scan = options.scan;
+    this.maxSamples = options.maxSamples ?? 100;
+    this.now = options.now || Date.now;
+
+    this.running = false;
+    this.lastBlock = null; // Last head a scan was started for
+    this.samples = []; // [{ blockNumber, startDelayMs, latencyMs, durationMs }] newest last
+    this.stats = { heads: 0, scans: 0, skipped: 0, stale: 0, errors: 0 };
+    this._onBlock = null;
+  }
+
+  async start() {
+    if (this._onBlock) return;
+    this._onBlock = (blockNumber) => {
+      this.handleBlock(blockNumber).catch(error => console.warn('⚠️  Block scheduler error:', error.message));
+    };
+    await this.provider.on('block', this._onBlock);
+  }
+
+  async stop() {
+    if (!this._onBlock) return;
+    await this.provider.off('block', this._onBlock);
+    this._onBlock = null;
+  }
+
+  /**
+   * Scan for a new head unless a scan is still running or the head is not newer than the
+   * last one scanned (`rescan` allows the same head again, for nodes that only mine on demand).
+   * Returns the latency sample, or null if the head was skipped.
+   */
+  async handleBlock(blockNumber, { rescan = false } = {}) {
+    this.stats.heads++;
+    if (this.running) {
+      this.stats.skipped++;
+      return null;
+    }
+    if (this.lastBlock !== null && (rescan ? blockNumber < this.lastBlock : blockNumber <= this.lastBlock)) {
+      this.stats.stale++;
+      return null;
+    }
+
+    this.running = true;
+    this.lastBlock = blockNumber;
+    try {
+      const block = await this.provider.getBlock(blockNumber);
+      if (!block) return null;
+
+      const blockTimeMs = block.timestamp * 1000;
+      const startedAt = this.now();
+      try {
+        await this.scan({ number: block.number, hash: block.hash, timestamp: block.timestamp });
+      } catch (error) {
+        this.stats.errors++;
+        throw error;
+      } finally {
+        this.stats.scans++;
+      }
+      const finishedAt = this.now();
+
+      const sample = {
+        blockNumber: block.number,
+        startDelayMs: startedAt - blockTimeMs, // Head produced -> scan started
+        latencyMs: finishedAt - blockTimeMs, // Head produced -> scan finished
+        durationMs: finishedAt - startedAt,
+      };
+      this.samples.push(sample);
+      if (this.samples.length > this.maxSamples) this.samples.shift();
+      return sample;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Counters plus latency over the last maxSamples scans: { last, avg, p50, p95, max } in ms
+  getStats() {
+    const latencies = this.samples.map(sample => sample.latencyMs).sort((a, b) => a - b);
+    const percentile = p => latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * p))];
+    return {
+      ...this.stats,
+      lastBlock: this.lastBlock,
+      latencyMs: latencies.length === 0 ? null : {
+        last: this.samples[this.samples.length - 1].latencyMs,
+        avg: Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length),
+        p50: percentile(0.5),
+        p95: percentile(0.95),
+        max: latencies[latencies.length - 1],
+      },
+    };
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Flashbots Bundle Manager
+ * Submits a bundle to each block of a window of upcoming blocks, one block at a time. Before every
+ * block the trade is re-priced and re-simulated against the newest state, and the tip is raised: it is
+ * a share of the re-priced profit that grows by a step per missed block. A bundle simulation reports gas
+ * and payments to the fee recipient but no balance changes, so the profit is the re-pricing's, not the
+ * simulation's. The tip is paid as priority fee, or as a direct transfer to the block's fee recipient
+ * appended to the bundle. The submission is cancelled as soon as the trade stops paying (the re-pricing
+ * fails, the simulation reverts, or the re-priced profit no longer covers what the simulation shows we
+ * pay the builder). Each block's outcome is reported.
+ */
+
+import { parseSimulation } from './bundle-simulation.js';
+
+// FlashbotsBundleResolution
+const INCLUDED = 0;
+const BLOCK_PASSED = 1;
+const NONCE_TOO_HIGH = 2;
+
+export class BundleManager {
+  /**
+   * @param {FlashbotsBundleProvider} flashbotsProvider - Relay the bundles are simulated on and sent to
+   * @param {Object} options
+   * @param {string} options.account - Our sender; its transactions' gas is what the tip is paid on
+   * @param {number} options.blocks - Upcoming blocks a bundle is submitted to before giving up (default 3)
+   * @param {number} options.startTipBps - Share of the re-priced profit tipped for the first block, in bps (default 1000 = 10%)
+   * @param {number} options.tipStepBps - Raise of that share per missed block (default 1000)
+   * @param {number} options.maxTipBps - Cap of the share (default 5000)
+   * @param {string} options.payment - How the tip is paid: 'priority' (fee per gas, default) or 'coinbase'
+   *   (a transfer to the fee recipient, our transactions paying only the minimum priority fee)
+   */
+  constructor(flashbotsProvider, options = {}) {
+    this.flashbotsProvider = flashbotsProvider;
+    this.account = options.account ? options.account.toLowerCase() : null;
+    this.blocks = options.blocks ?? 3;
+    this.startTipBps = options.startTipBps ?? 1000;
+    this.tipStepBps = options.tipStepBps ?? 1000;
+    this.maxTipBps = options.maxTipBps ?? 5000;
+    this.payment = options.payment || 'priority';
+    if (!['priority', 'coinbase'].includes(this.payment)) {
+      throw new Error(`Unknown tip payment: ${this.payment}`);
+    }
+
+    this.stats = { bundles: 0, included: 0, cancelled: 0, expired: 0, blocksTargeted: 0 };
+  }
+
+  // Share of the profit tipped on the `attempt`-th block of the window, in bps
+  tipBps(attempt) {
+    return Math.min(this.startTipBps + attempt * this.tipStepBps, this.maxTipBps);
+  }
+
+  /**
+   * The `attempt`-th block's tip on `profit`: { priorityFee, coinbasePayment }. Paid as priority fee, the
+   * share is spread over `gas`; paid to the fee recipient, it is one transfer on top of the minimum fee.
+   */
+  tip(profit, gas, attempt, minPriorityFee = 0n) {
+    const share = (profit * BigInt(this.tipBps(attempt))) / 10000n;
+    if (this.payment === 'coinbase') return { priorityFee: minPriorityFee, coinbasePayment: share };
+    const perGas = gas > 0n ? share / gas : 0n;
+    return { priorityFee: perGas > minPriorityFee ? perGas : minPriorityFee, coinbasePayment: 0n };
+  }
+
+  /**
+   * Submit a bundle to up to `blocks` consecutive blocks starting at `firstBlock`.
+   * @param {number} firstBlock - First target block (normally the next one)
+   * @param {Function} prepare - async (targetBlock, attempt) => { profit, gas, sign } or null to cancel:
+   *   profit is the bundle's profit in ETH wei before the tip, gas what our transactions are expected to use,
+   *   and sign(priorityFee, coinbasePayment) resolves to the bundle's signed transactions paying that tip
+   *   per gas and, when coinbasePayment is non-zero, ending with that transfer to the fee recipient
+   * @param {Object} options
+   * @param {bigint} options.minPriorityFee - Floor of the tip per gas (default 0)
+   * @param {Function} options.onBlock - Called with each block's entry as soon as it is known
+   * @returns {Object} { included, block, reason, blocks }: blocks holds one entry per block targeted,
+   *   { block, status, tipBps, priorityFee, coinbasePayment, profit, gasUsed, paid, bidPerGas, netProfit,
+   *   simulation, reason }, status being 'included', 'not included' or 'cancelled'; paid is what our
+   *   transactions pay the builder in the simulation (coinbaseDiff) and bidPerGas that per gas used
+   */
+  async submit(firstBlock, prepare, { minPriorityFee = 0n, onBlock = () => {} } = {}) {
+    this.stats.bundles++;
+    const blocks = [];
+    const finish = (included, block, reason) => {
+      if (included) this.stats.included++;
+      else if (reason === null) this.stats.expired++;
+      else this.stats.cancelled++;
+      return { included, block, reason, blocks };
+    };
+    const cancel = (entry, reason) => {
+      Object.assign(entry, { status: 'cancelled', reason });
+      blocks.push(entry);
+      onBlock(entry);
+      return finish(false, null, reason);
+    };
+
+    let gasUsed = null; // From the last simulation; the prepared estimate until there is one
+    for (let attempt = 0; attempt < this.blocks; attempt++) {
+      const targetBlock = firstBlock + attempt;
+      const tipBps = this.tipBps(attempt);
+      const entry = {
+        block: targetBlock, status: null, tipBps, priorityFee: null, coinbasePayment: null, profit: null,
+        gasUsed: null, paid: null, bidPerGas: null, netProfit: null, simulation: null, reason: null,
+      };
+
+      const prepared = await prepare(targetBlock, attempt);
+      if (!prepared) return cancel(entry, 'no longer profitable');
+      entry.profit = prepared.profit;
+      if (prepared.profit <= 0n) return cancel(entry, 'no longer profitable');
+
+      const { priorityFee, coinbasePayment } = this.tip(prepared.profit, gasUsed ?? prepared.gas, attempt, minPriorityFee);
+      entry.priorityFee = priorityFee;
+      entry.coinbasePayment = coinbasePayment;
+
+      const signedTransactions = await prepared.sign(priorityFee, coinbasePayment);
+      const simulation = parseSimulation(await this.flashbotsProvider.simulate(signedTransactions, targetBlock), this.account);
+      entry.simulation = simulation;
+      if (!simulation.ok) return cancel(entry, `simulation failed: ${simulation.error}`);
+
+      gasUsed = simulation.ownGasUsed;
+      entry.gasUsed = gasUsed;
+      entry.paid = simulation.ownCoinbaseDiff;
+      entry.bidPerGas = simulation.bidPerGas;
+      // The re-priced profit less what the simulation shows we pay the builder
+      entry.netProfit = prepared.profit - simulation.ownCoinbaseDiff;
+      if (entry.netProfit <= 0n) return cancel(entry, 'profit does not cover the simulated tip');
+
+      this.stats.blocksTargeted++;
+      const submission = await this.flashbotsProvider.sendRawBundle(signedTransactions, targetBlock);
+      if ('error' in submission) {
+        entry.status = 'not included';
+        entry.reason = `relay error: ${submission.error.message}`;
+        blocks.push(entry);
+        onBlock(entry);
+        continue;
+      }
+
+      const resolution = await submission.wait();
+      if (resolution === INCLUDED) {
+        entry.status = 'included';
+        blocks.push(entry);
+        onBlock(entry);
+        return finish(true, targetBlock, null);
+      }
+      entry.status = 'not included';
+      blocks.push(entry);
+      onBlock(entry);
+      // Our nonce was used by another transaction: nothing left to submit
+      if (resolution === NONCE_TOO_HIGH) return finish(false, null, 'nonce too high');
+      if (resolution !== BLOCK_PASSED) return finish(false, null, `unexpected resolution ${resolution}`);
+    }
+    return finish(false, null, null);
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
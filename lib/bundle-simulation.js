@@ -0,0 +1,87 @@
+/**
+ * Bundle Simulation
+ * Turns the loosely-typed result of a bundle simulation (FlashbotsBundleProvider.simulate or a builder's
+ * eth_callBundle: numbers, decimal strings or bigints depending on the field and the relay) into one
+ * typed result: per-transaction gas and payments to the block's fee recipient, the same for our own
+ * transactions, and the effective bid per gas a builder ranks the bundle by.
+ */
+
+/**
+ * @typedef {Object} SimulatedTransaction
+ * @property {string} txHash
+ * @property {string|null} from
+ * @property {string|null} to
+ * @property {boolean} ours - Sent by our account
+ * @property {bigint} gasUsed
+ * @property {bigint} gasPrice - Effective gas price paid
+ * @property {bigint} coinbaseDiff - Paid to the fee recipient: the priority fee plus any direct transfer
+ * @property {bigint} ethSentToCoinbase - Direct transfers to the fee recipient only
+ * @property {string|null} error - Revert reason or error, null when the transaction succeeded
+ */
+
+/**
+ * @typedef {Object} BundleSimulation
+ * @property {boolean} ok - No relay error and no transaction reverted
+ * @property {string|null} error - Relay error or the first revert
+ * @property {SimulatedTransaction[]} transactions
+ * @property {bigint} totalGasUsed
+ * @property {bigint} coinbaseDiff - The whole bundle's payment to the fee recipient
+ * @property {bigint} ethSentToCoinbase
+ * @property {bigint} bundleGasPrice - coinbaseDiff per gas of the whole bundle
+ * @property {bigint} ownGasUsed - Gas of our transactions (of the whole bundle when no sender is ours or known)
+ * @property {bigint} ownCoinbaseDiff - What our transactions pay the builder, priority fees and transfers
+ * @property {bigint} ownEthSentToCoinbase
+ * @property {bigint} bidPerGas - ownCoinbaseDiff per gas of our transactions: our effective bid
+ */
+
+// Numbers, decimal or hex strings and bigints as bigint (missing as 0)
+function toBigInt(value) {
+  if (value === null || value === undefined || value === '') return 0n;
+  return BigInt(value);
+}
+
+/**
+ * @param {Object} simulation - Result of simulate() / eth_callBundle, or { error }
+ * @param {string} account - Our sender
+ * @returns {BundleSimulation}
+ */
+export function parseSimulation(simulation, account = null) {
+  const own = account ? account.toLowerCase() : null;
+  const transactions = (simulation.results || []).map(result => ({
+    txHash: result.txHash,
+    from: result.fromAddress ?? null,
+    to: result.toAddress ?? null,
+    ours: own === null || result.fromAddress?.toLowerCase() === own,
+    gasUsed: toBigInt(result.gasUsed),
+    gasPrice: toBigInt(result.gasPrice),
+    coinbaseDiff: toBigInt(result.coinbaseDiff),
+    ethSentToCoinbase: toBigInt(result.ethSentToCoinbase ?? result.coinbase_transfer),
+    error: result.revert ?? result.error ?? null,
+  }));
+
+  const sum = (list, field) => list.reduce((total, tx) => total + tx[field], 0n);
+  // A relay that leaves out senders: the whole bundle counts as ours
+  const matched = transactions.filter(tx => tx.ours);
+  const ours = matched.length > 0 ? matched : transactions;
+  const totalGasUsed = sum(transactions, 'gasUsed') || toBigInt(simulation.totalGasUsed);
+  const coinbaseDiff = transactions.length > 0 ? sum(transactions, 'coinbaseDiff') : toBigInt(simulation.coinbaseDiff);
+  const ownGasUsed = sum(ours, 'gasUsed') || totalGasUsed;
+  const ownCoinbaseDiff = sum(ours, 'coinbaseDiff');
+
+  const revert = transactions.find(tx => tx.error !== null);
+  const error = simulation.error ? simulation.error.message || String(simulation.error) : revert ? revert.error : null;
+
+  return {
+    ok: error === null,
+    error,
+    transactions,
+    totalGasUsed,
+    coinbaseDiff,
+    ethSentToCoinbase: transactions.length > 0 ? sum(transactions, 'ethSentToCoinbase') : toBigInt(simulation.ethSentToCoinbase),
+    bundleGasPrice: totalGasUsed > 0n ? coinbaseDiff / totalGasUsed : 0n,
+    ownGasUsed,
+    ownCoinbaseDiff,
+    ownEthSentToCoinbase: sum(ours, 'ethSentToCoinbase'),
+    bidPerGas: ownGasUsed > 0n ? ownCoinbaseDiff / ownGasUsed : 0n,
+  };
+}
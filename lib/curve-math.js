@@ -0,0 +1,460 @@
+/**
+ * Offline Curve Swap Math
+ * BigInt port of the Vyper pool math: the StableSwap invariant (get_D / get_y / get_dy of
+ * 3pool-style pools and the A_PRECISION pools that followed) and the CryptoSwap invariant
+ * (newton_D / newton_y / _fee of the two-coin and tricrypto pools). Every division truncates
+ * where the Vyper code does, so local quotes match the pool's get_dy to the wei.
+ */
+
+import { ethers } from 'ethers';
+import { multicall } from './multicall.js';
+
+export const FEE_DENOMINATOR = 10n ** 10n; // Curve fees are in 1e10 units (4000000 = 0.04%)
+export const PRECISION = 10n ** 18n;
+export const A_MULTIPLIER = 10000n; // CryptoSwap A is stored as A * N**N * A_MULTIPLIER
+
+const E18 = 10n ** 18n;
+const MAX_COINS = 4;
+// Placeholder Curve uses for native ETH in coins()
+const ETH_ADDRESS = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+const POOL_ABI = [
+  // 3pool-era pools index with int128, later ones with uint256; both are tried
+  'function coins(int128) external view returns (address)',
+  'function coins(uint256) external view returns (address)',
+  'function balances(int128) external view returns (uint256)',
+  'function balances(uint256) external view returns (uint256)',
+  'function A() external view returns (uint256)',
+  'function A_precise() external view returns (uint256)',
+  'function fee() external view returns (uint256)',
+  'function gamma() external view returns (uint256)',
+  'function D() external view returns (uint256)',
+  'function mid_fee() external view returns (uint256)',
+  'function out_fee() external view returns (uint256)',
+  'function fee_gamma() external view returns (uint256)',
+  'function future_A_gamma_time() external view returns (uint256)',
+  'function price_scale() external view returns (uint256)',
+  'function price_scale(uint256) external view returns (uint256)',
+];
+
+const ERC20_ABI = ['function decimals() external view returns (uint8)'];
+
+const poolInterface = new ethers.Interface(POOL_ABI);
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+
+const absDiff = (a, b) => (a > b ? a - b : b - a);
+const max = (...values) => values.reduce((m, v) => (v > m ? v : m));
+const sum = values => values.reduce((s, v) => s + v, 0n);
+const sortDescending = values => [...values].sort((a, b) => (a > b ? -1 : a < b ? 1 : 0));
+
+// ---------------------------------------------------------------------------
+// StableSwap
+// ---------------------------------------------------------------------------
+
+/**
+ * StableSwap invariant D for balances `xp` in 18-decimal units.
+ * `amp` is A * aPrecision: 3pool-era pools have no A_PRECISION (aPrecision = 1),
+ * later pools store A_precise = A * 100.
+ */
+export function getD(xp, amp, aPrecision = 1n) {
+  const n = BigInt(xp.length);
+  const s = sum(xp);
+  if (s === 0n) return 0n;
+
+  let d = s;
+  const ann = amp * n;
+  for (let i = 0; i < 255; i++) {
+    let dP = d;
+    for (const x of xp) dP = (dP * d) / (x * n);
+    const dPrev = d;
+    d = ((ann * s) / aPrecision + dP * n) * d / (((ann - aPrecision) * d) / aPrecision + (n + 1n) * dP);
+    if (absDiff(d, dPrev) <= 1n) return d;
+  }
+  throw new Error('StableSwap D did not converge');
+}
+
+// Balance of coin j that keeps D constant once coin i's balance is x (all in xp units)
+export function getY(i, j, x, xp, amp, aPrecision = 1n) {
+  if (i === j || i < 0 || j < 0 || i >= xp.length || j >= xp.length) throw new Error(`Bad coin indices ${i}, ${j}`);
+  const n = BigInt(xp.length);
+  const d = getD(xp, amp, aPrecision);
+  const ann = amp * n;
+
+  let c = d;
+  let s = 0n;
+  for (let k = 0; k < xp.length; k++) {
+    let xk;
+    if (k === i) xk = x;
+    else if (k !== j) xk = xp[k];
+    else continue;
+    s += xk;
+    c = (c * d) / (xk * n);
+  }
+  c = (c * d * aPrecision) / (ann * n);
+  const b = s + (d * aPrecision) / ann;
+
+  let y = d;
+  for (let k = 0; k < 255; k++) {
+    const yPrev = y;
+    y = (y * y + c) / (2n * y + b - d);
+    if (absDiff(y, yPrev) <= 1n) return y;
+  }
+  throw new Error('StableSwap y did not converge');
+}
+
+/**
+ * StableSwap get_dy: output of coin j for dx of coin i, after the pool fee.
+ * @param {Object} pool - { balances, rates, amp, aPrecision, fee }, where rates[k] = 10**(36 - decimals[k])
+ *   scales raw balances to 18 decimals. 3pool-era pools (aPrecision 1) take the fee in
+ *   coin j units after descaling; later pools take it in xp units first.
+ */
+export function stableGetDy(pool, i, j, dx) {
+  const { balances, rates, amp, fee } = pool;
+  const aPrecision = pool.aPrecision ?? 1n;
+  const xp = balances.map((balance, k) => (balance * rates[k]) / PRECISION);
+  const x = xp[i] + (dx * rates[i]) / PRECISION;
+  const y = getY(i, j, x, xp, amp, aPrecision);
+  if (xp[j] <= y) return 0n;
+
+  if (aPrecision === 1n) {
+    const dy = ((xp[j] - y - 1n) * PRECISION) / rates[j];
+    return dy - (fee * dy) / FEE_DENOMINATOR;
+  }
+  const dy = xp[j] - y - 1n;
+  return ((dy - (fee * dy) / FEE_DENOMINATOR) * PRECISION) / rates[j];
+}
+
+// ---------------------------------------------------------------------------
+// CryptoSwap
+// ---------------------------------------------------------------------------
+
+// Geometric mean of `x` (sorted high to low) as the pools compute it
+function geometricMean(x) {
+  const n = BigInt(x.length);
+  let d = x[0];
+  for (let i = 0; i < 255; i++) {
+    const dPrev = d;
+    if (x.length === 2) {
+      d = (d + (x[0] * x[1]) / d) / n;
+    } else {
+      let tmp = E18;
+      for (const xi of x) tmp = (tmp * xi) / d;
+      d = (d * ((n - 1n) * E18 + tmp)) / (n * E18);
+    }
+    const diff = absDiff(d, dPrev);
+    if (diff <= 1n || diff * E18 < d) return d;
+  }
+  throw new Error('Geometric mean did not converge');
+}
+
+// K0 = prod(x) * N**N / D**N in 1e18 units; the two-coin pools fold the loop into one expression
+function k0Of(x, d) {
+  const n = BigInt(x.length);
+  if (x.length === 2) return (((E18 * n * n) * x[0]) / d * x[1]) / d;
+  let k0 = E18;
+  for (const xi of x) k0 = (k0 * xi * n) / d;
+  return k0;
+}
+
+/**
+ * CryptoSwap invariant D for balances `xUnsorted` in 18-decimal, price-scaled units.
+ * @param {bigint} ann - A() of the pool (A * N**N * A_MULTIPLIER)
+ * @param {bigint} gamma - gamma() of the pool
+ */
+export function newtonD(ann, gamma, xUnsorted) {
+  const n = BigInt(xUnsorted.length);
+  const x = sortDescending(xUnsorted);
+  let d = n * geometricMean(x);
+  const s = sum(x);
+
+  for (let i = 0; i < 255; i++) {
+    const dPrev = d;
+    const k0 = k0Of(x, d);
+    let g1k0 = gamma + E18;
+    g1k0 = g1k0 > k0 ? g1k0 - k0 + 1n : k0 - g1k0 + 1n;
+
+    // D / (A * N**N) * g1k0**2 / gamma**2
+    const mul1 = (((((E18 * d) / gamma) * g1k0) / gamma) * g1k0 * A_MULTIPLIER) / ann;
+    // 2 * N * K0 / g1k0
+    const mul2 = (2n * E18 * n * k0) / g1k0;
+    const negFprime = (s + (s * mul2) / E18) + (mul1 * n) / k0 - (mul2 * d) / E18;
+
+    const dPlus = (d * (negFprime + s)) / negFprime;
+    let dMinus = (d * d) / negFprime;
+    if (E18 > k0) dMinus += ((((d * (mul1 / negFprime)) / E18) * (E18 - k0)) / k0);
+    else dMinus -= ((((d * (mul1 / negFprime)) / E18) * (k0 - E18)) / k0);
+    d = dPlus > dMinus ? dPlus - dMinus : (dMinus - dPlus) / 2n;
+
+    if (absDiff(d, dPrev) * 10n ** 14n < max(10n ** 16n, d)) return d;
+  }
+  throw new Error('CryptoSwap D did not converge');
+}
+
+/**
+ * Balance of coin i (xp units) that keeps D constant given the other balances in `x`.
+ */
+export function newtonY(ann, gamma, x, d, i) {
+  const n = BigInt(x.length);
+  let y;
+  let k0i;
+  let si;
+  let convergenceLimit;
+
+  if (x.length === 2) {
+    const xj = x[1 - i];
+    y = (d * d) / (xj * n * n);
+    k0i = (E18 * n * xj) / d;
+    si = xj;
+    convergenceLimit = max(xj / 10n ** 14n, d / 10n ** 14n, 100n);
+  } else {
+    const xSorted = sortDescending(x.map((xk, k) => (k === i ? 0n : xk)));
+    y = d / n;
+    k0i = E18;
+    si = 0n;
+    convergenceLimit = max(xSorted[0] / 10n ** 14n, d / 10n ** 14n, 100n);
+    for (let j = 2; j <= x.length; j++) {
+      const xj = xSorted[x.length - j];
+      y = (y * d) / (xj * n); // Small x first
+      si += xj;
+    }
+    for (let j = 0; j < x.length - 1; j++) k0i = (k0i * xSorted[j] * n) / d; // Large x first
+  }
+
+  for (let j = 0; j < 255; j++) {
+    const yPrev = y;
+    const k0 = (k0i * y * n) / d;
+    const s = si + y;
+    let g1k0 = gamma + E18;
+    g1k0 = g1k0 > k0 ? g1k0 - k0 + 1n : k0 - g1k0 + 1n;
+
+    const mul1 = (((((E18 * d) / gamma) * g1k0) / gamma) * g1k0 * A_MULTIPLIER) / ann;
+    const mul2 = E18 + (2n * E18 * k0) / g1k0;
+
+    let yfprime = E18 * y + s * mul2 + mul1;
+    const dyfprime = d * mul2;
+    if (yfprime < dyfprime) {
+      y = yPrev / 2n;
+      continue;
+    }
+    yfprime -= dyfprime;
+    const fprime = yfprime / y;
+
+    let yMinus = mul1 / fprime;
+    const yPlus = (yfprime + E18 * d) / fprime + (yMinus * E18) / k0;
+    yMinus += (E18 * s) / fprime;
+    y = yPlus < yMinus ? yPrev / 2n : yPlus - yMinus;
+
+    if (absDiff(y, yPrev) < max(convergenceLimit, y / 10n ** 14n)) return y;
+  }
+  throw new Error('CryptoSwap y did not converge');
+}
+
+// Dynamic fee (1e10 units): mid_fee when balanced, sliding toward out_fee as the pool skews
+export function cryptoFee(pool, xp) {
+  const { midFee, outFee, feeGamma } = pool;
+  let f;
+  if (xp.length === 2) {
+    const s = xp[0] + xp[1];
+    f = (feeGamma * E18) / (feeGamma + E18 - (((E18 * 4n) * xp[0]) / s * xp[1]) / s);
+  } else {
+    const n = BigInt(xp.length);
+    const s = sum(xp);
+    let k = E18;
+    for (const xi of xp) k = (k * n * xi) / s;
+    f = feeGamma > 0n ? (feeGamma * E18) / (feeGamma + E18 - k) : k;
+  }
+  return (midFee * f + outFee * (E18 - f)) / E18;
+}
+
+// Raw balances -> 18-decimal, price-scaled units (coin 0 is the numeraire)
+function cryptoXp(pool, balances) {
+  return balances.map((balance, k) => (k === 0
+    ? balance * pool.precisions[0]
+    : (balance * pool.priceScale[k - 1] * pool.precisions[k]) / PRECISION));
+}
+
+/**
+ * CryptoSwap get_dy: output of coin j for dx of coin i, after the dynamic fee.
+ * @param {Object} pool - { balances, precisions, priceScale, A, gamma, D, midFee, outFee, feeGamma, ramping }
+ *   where precisions[k] = 10**(18 - decimals[k]) and priceScale has one entry per coin after coin 0.
+ *   While A/gamma ramp (future_A_gamma_time > 0) D is recomputed from the balances, as the pool does.
+ */
+export function cryptoGetDy(pool, i, j, dx) {
+  if (i === j || i < 0 || j < 0 || i >= pool.balances.length || j >= pool.balances.length) {
+    throw new Error(`Bad coin indices ${i}, ${j}`);
+  }
+  const d = pool.ramping ? newtonD(pool.A, pool.gamma, cryptoXp(pool, pool.balances)) : pool.D;
+  const balances = [...pool.balances];
+  balances[i] += dx;
+  const xp = cryptoXp(pool, balances);
+
+  const y = newtonY(pool.A, pool.gamma, xp, d, j);
+  if (xp[j] <= y) return 0n;
+  let dy = xp[j] - y - 1n;
+  xp[j] = y;
+
+  if (xp.length === 2) {
+    dy = j > 0 ? (dy * PRECISION) / (pool.priceScale[0] * pool.precisions[1]) : dy / pool.precisions[0];
+  } else {
+    if (j > 0) dy = (dy * PRECISION) / pool.priceScale[j - 1];
+    dy /= pool.precisions[j];
+  }
+  return dy - (cryptoFee(pool, xp) * dy) / FEE_DENOMINATOR;
+}
+
+// ---------------------------------------------------------------------------
+// Pool simulator
+// ---------------------------------------------------------------------------
+
+export class CurvePoolSimulator {
+  /**
+   * @param {Object} state
+   * @param {string} state.address - Pool address
+   * @param {string} state.kind - 'stable' (StableSwap) or 'crypto' (CryptoSwap)
+   * @param {Array<string>} state.coins - Coin addresses in pool order
+   * @param {Array<number>} state.decimals - Decimals per coin
+   * @param {Array<bigint>} state.balances - Raw balances per coin
+   * @param {bigint} state.fee - StableSwap fee in 1e10 units
+   * @param {bigint} state.amp - StableSwap A * aPrecision
+   * @param {bigint} state.aPrecision - 1 for 3pool-era pools, 100 for pools exposing A_precise()
+   * @param {bigint} state.A - CryptoSwap A (A * N**N * A_MULTIPLIER)
+   * @param {bigint} state.gamma - CryptoSwap gamma
+   * @param {bigint} state.D - CryptoSwap stored invariant
+   * @param {Array<bigint>} state.priceScale - CryptoSwap price_scale per coin after coin 0
+   * @param {bigint} state.midFee - CryptoSwap mid_fee
+   * @param {bigint} state.outFee - CryptoSwap out_fee
+   * @param {bigint} state.feeGamma - CryptoSwap fee_gamma
+   * @param {boolean} state.ramping - CryptoSwap A/gamma ramp in progress
+   * @param {number} state.blockNumber - Block the state was read at
+   */
+  constructor(state) {
+    this.address = state.address;
+    this.kind = state.kind;
+    this.coins = state.coins;
+    this.decimals = state.decimals.map(Number);
+    this.balances = state.balances.map(BigInt);
+    this.blockNumber = state.blockNumber ?? null;
+
+    if (this.kind === 'stable') {
+      this.fee = BigInt(state.fee);
+      this.amp = BigInt(state.amp);
+      this.aPrecision = BigInt(state.aPrecision ?? 1n);
+      this.rates = this.decimals.map(decimals => 10n ** BigInt(36 - decimals));
+    } else if (this.kind === 'crypto') {
+      this.A = BigInt(state.A);
+      this.gamma = BigInt(state.gamma);
+      this.D = BigInt(state.D);
+      this.priceScale = state.priceScale.map(BigInt);
+      this.midFee = BigInt(state.midFee);
+      this.outFee = BigInt(state.outFee);
+      this.feeGamma = BigInt(state.feeGamma);
+      this.ramping = Boolean(state.ramping);
+      this.precisions = this.decimals.map(decimals => 10n ** BigInt(18 - decimals));
+    } else {
+      throw new Error(`Unknown Curve pool kind: ${state.kind}`);
+    }
+  }
+
+  /**
+   * Read a pool's coins, balances and invariant parameters at one block (two multicalls).
+   * The pool kind is detected from the interface: gamma() means CryptoSwap.
+   */
+  static async load(provider, poolAddress, { blockNumber = null } = {}) {
+    const block = blockNumber ?? await provider.getBlockNumber();
+    const call = (fn, args = []) => ({ target: poolAddress, callData: poolInterface.encodeFunctionData(fn, args) });
+    const value = (fn, result) => (result.success && result.returnData !== '0x'
+      ? poolInterface.decodeFunctionResult(fn, result.returnData)[0]
+      : null);
+
+    const coinCalls = [];
+    for (let k = 0; k < MAX_COINS; k++) coinCalls.push(call('coins(int128)', [k]), call('coins(uint256)', [k]));
+    const paramNames = ['A', 'A_precise', 'fee', 'gamma', 'D', 'mid_fee', 'out_fee', 'fee_gamma', 'future_A_gamma_time', 'price_scale()'];
+    const scaleCalls = [0, 1, 2].map(k => call('price_scale(uint256)', [k]));
+    const head = await multicall(provider, [...coinCalls, ...paramNames.map(fn => call(fn)), ...scaleCalls], block);
+
+    const coins = [];
+    for (let k = 0; k < MAX_COINS; k++) {
+      const coin = value('coins(int128)', head[2 * k]) ?? value('coins(uint256)', head[2 * k + 1]);
+      if (!coin) break;
+      coins.push(coin);
+    }
+    if (coins.length < 2) throw new Error(`Curve pool ${poolAddress}: coins() not readable`);
+
+    const params = {};
+    paramNames.forEach((fn, k) => { params[fn] = value(fn, head[coinCalls.length + k]); });
+    if (params.A === null) throw new Error(`Curve pool ${poolAddress}: A() failed`);
+
+    const tail = await multicall(provider, [
+      ...coins.flatMap((_, k) => [call('balances(int128)', [k]), call('balances(uint256)', [k])]),
+      ...coins.map(coin => ({ target: coin, callData: erc20Interface.encodeFunctionData('decimals') })),
+    ], block);
+    const balances = coins.map((_, k) => {
+      const balance = value('balances(int128)', tail[2 * k]) ?? value('balances(uint256)', tail[2 * k + 1]);
+      if (balance === null) throw new Error(`Curve pool ${poolAddress}: balances(${k}) failed`);
+      return balance;
+    });
+    const decimals = coins.map((coin, k) => {
+      if (coin.toLowerCase() === ETH_ADDRESS.toLowerCase()) return 18;
+      const result = tail[2 * coins.length + k];
+      if (!result.success || result.returnData === '0x') throw new Error(`Curve pool ${poolAddress}: decimals of ${coin} failed`);
+      return Number(erc20Interface.decodeFunctionResult('decimals', result.returnData)[0]);
+    });
+
+    if (params.gamma !== null) {
+      const priceScale = coins.length === 2
+        ? [params['price_scale()']]
+        : coins.slice(1).map((_, k) => value('price_scale(uint256)', head[coinCalls.length + paramNames.length + k]));
+      if (priceScale.some(scale => scale === null)) throw new Error(`Curve pool ${poolAddress}: price_scale failed`);
+      return new CurvePoolSimulator({
+        address: poolAddress,
+        kind: 'crypto',
+        coins,
+        decimals,
+        balances,
+        A: params.A,
+        gamma: params.gamma,
+        D: params.D,
+        priceScale,
+        midFee: params.mid_fee,
+        outFee: params.out_fee,
+        feeGamma: params.fee_gamma,
+        ramping: (params.future_A_gamma_time ?? 0n) > 0n,
+        blockNumber: block,
+      });
+    }
+
+    // Pools with A_precise() run their math on A * A_PRECISION (always 100)
+    const precise = params.A_precise !== null;
+    return new CurvePoolSimulator({
+      address: poolAddress,
+      kind: 'stable',
+      coins,
+      decimals,
+      balances,
+      fee: params.fee,
+      amp: precise ? params.A_precise : params.A,
+      aPrecision: precise ? params.A_precise / params.A : 1n,
+      blockNumber: block,
+    });
+  }
+
+  // Coin index of `token` in this pool (-1 if absent)
+  indexOf(token) {
+    const key = token.toLowerCase();
+    return this.coins.findIndex(coin => coin.toLowerCase() === key);
+  }
+
+  // Pool get_dy (coin indices, raw amounts)
+  getDy(i, j, dx) {
+    if (dx === 0n) return 0n;
+    return this.kind === 'stable' ? stableGetDy(this, i, j, dx) : cryptoGetDy(this, i, j, dx);
+  }
+
+  // Exact-input quote by token address; { amountOut } like the V3 simulator
+  quoteExactInput(tokenIn, tokenOut, amountIn) {
+    const i = this.indexOf(tokenIn);
+    const j = this.indexOf(tokenOut);
+    if (i < 0 || j < 0) throw new Error(`Curve pool ${this.address} does not hold ${i < 0 ? tokenIn : tokenOut}`);
+    return { amountOut: this.getDy(i, j, amountIn) };
+  }
+}
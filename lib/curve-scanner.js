@@ -0,0 +1,62 @@
+/**
+ * Curve Scanner
+ * Prices Curve StableSwap and CryptoSwap pools locally (lib/curve-math.js) and looks for
+ * two-leg round trips between a Curve pool and any other venue trading the same two coins:
+ * a V2 pair, a V3 pool or another Curve pool (see PoolVenueScanner).
+ */
+
+import { CurvePoolSimulator } from './curve-math.js';
+import { PoolVenueScanner } from './pool-venue-scanner.js';
+
+// Gas per exchange() leg; CryptoSwap runs Newton iterations on-chain and costs more
+export const CURVE_STABLE_GAS = 130000n;
+export const CURVE_CRYPTO_GAS = 200000n;
+
+// Well-known Curve pools (coins and parameters are read from the pool)
+export const KNOWN_CURVE_POOLS = {
+  mainnet: {
+    '3pool': { pool: '0xbEbc44782C7dB0a1A60Cb6fe97d0b483032FF1C7' }, // DAI/USDC/USDT
+    tricrypto2: { pool: '0xD51a44d3FaE010294C616388b506AcdA1bfAAE46' }, // USDT/WBTC/WETH
+    'crv-eth': { pool: '0x8301AE4fc9c624d1D396cbDAa1ed877821D7C511' }, // WETH/CRV
+  },
+  sepolia: {},
+};
+
+export class CurveScanner extends PoolVenueScanner {
+  /**
+   * @param {Object} provider - ethers v6 provider
+   * @param {string} network - Key into KNOWN_CURVE_POOLS
+   * @param {Object} options
+   * @param {Object} options.pools - Extra or overriding pools by label: { label: { pool } }
+   * @param {TokenRegistry} options.tokenRegistry - Tokens flagged unsafe are never routed
+   * @param {number} options.maxQuotes - Route evaluations per sizing search (default 48, all local)
+   * @param {bigint} options.maxAmountIn - Upper bound of the sizing search (default 10x the scan amount)
+   */
+  constructor(provider, network = 'mainnet', options = {}) {
+    super(provider, network, { ...options, pools: { ...KNOWN_CURVE_POOLS[network], ...options.pools } });
+    this.protocol = 'Curve';
+    this.dex = 'curve';
+  }
+
+  loadSimulator(poolAddress, blockNumber) {
+    return CurvePoolSimulator.load(this.provider, poolAddress, { blockNumber });
+  }
+
+  tokensOf(simulator) {
+    return simulator.coins;
+  }
+
+  legGas(simulator) {
+    return simulator.kind === 'stable' ? CURVE_STABLE_GAS : CURVE_CRYPTO_GAS;
+  }
+
+  // 1e10 units; CryptoSwap fees float with the pool's balance
+  legFee(simulator) {
+    return simulator.kind === 'stable' ? Number(simulator.fee) : null;
+  }
+
+  // Coins of the tracked pools that are safe to route
+  coins(blockNumber = null) {
+    return this.tokens(blockNumber);
+  }
+}
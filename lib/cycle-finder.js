@@ -0,0 +1,366 @@
+/**
+ * Multi-hop Cycle Finder
+ * Treats every tracked V2 pair and V3 pool (and each coin pair of a Curve pool) as a pair of directed edges in a token graph
+ * weighted by -log(price after fee). A route that starts and ends at the flash-loan asset
+ * is profitable at the margin exactly when its weights sum below zero, so profitable
+ * cycles are negative cycles through that token.
+ */
+
+import { FLASH_LOAN_GAS, V2_SWAP_GAS } from './dex-adapter.js';
+import { optimizeTradeSize } from './trade-size-optimizer.js';
+
+// Float noise guard: cycles must beat break-even by more than this (in log space)
+const LOG_EPSILON = 1e-9;
+
+// log(sqrtPriceX96^2 / 2^192) = log(token1 per token0) in raw units
+function logPriceFromSqrtX96(sqrtPriceX96) {
+  return 2 * (Math.log(Number(sqrtPriceX96)) - 96 * Math.LN2);
+}
+
+export class CycleFinder {
+  /**
+   * @param {Object} options
+   * @param {Object} options.v2Scanner - UniswapScanner supplying tracked pairs and reserve snapshots
+   * @param {Object} options.v3Scanner - UniswapV3Scanner supplying tracked pools and tick simulators
+   * @param {Object} options.curveScanner - CurveScanner supplying Curve pool simulators (optional)
+   * @param {number} options.minHops - Shortest cycle to report (default 3; 2-hop routes are what scanAll covers)
+   * @param {number} options.maxHops - Longest cycle to search (default 3)
+   * @param {number} options.maxCycles - Most negative cycles kept for sizing per scan (default 20)
+   * @param {number} options.maxQuotes - Route evaluations per sizing search (default 64, all local)
+   * @param {bigint} options.maxAmountIn - Upper bound of the sizing search (default 10x the scan amount)
+   * @param {TokenRegistry} options.tokenRegistry - Tokens flagged unsafe are left out (default the scanners' registry)
+   */
+  constructor(options = {}) {
+    this.v2Scanner = options.v2Scanner || null;
+    this.v3Scanner = options.v3Scanner || null;
+    this.curveScanner = options.curveScanner || null;
+    this.minHops = options.minHops ?? 3;
+    this.maxHops = options.maxHops ?? 3;
+    this.maxCycles = options.maxCycles ?? 20;
+    this.maxQuotes = options.maxQuotes ?? 64;
+    this.maxAmountIn = options.maxAmountIn ?? null;
+    this.tokenRegistry = options.tokenRegistry || this.v2Scanner?.tokenRegistry || this.v3Scanner?.tokenRegistry || null;
+    this.clear();
+  }
+
+  // Drop all edges (called before each scan rebuilds the graph)
+  clear() {
+    this.edges = new Map(); // token (lowercase) -> [{ from, to, weight, pool }]
+    this.symbols = new Map(); // token (lowercase) -> symbol, for logging
+  }
+
+  _addEdge(from, to, weight, pool) {
+    const key = from.toLowerCase();
+    if (!this.edges.has(key)) this.edges.set(key, []);
+    this.edges.get(key).push({ from: key, to: to.toLowerCase(), weight, pool });
+  }
+
+  /**
+   * Add a constant-product pair as two edges.
+   * @param {Object} pair - { address, token0, token1, reserve0, reserve1, feeBps = 30, dex }
+   */
+  addV2Pair(pair) {
+    if (pair.reserve0 === 0n || pair.reserve1 === 0n) return;
+    const feeBps = pair.feeBps ?? 30;
+    const pool = { protocol: 'V2', feeBps, ...pair };
+    const logFee = Math.log((10000 - feeBps) / 10000);
+    const logPrice = Math.log(Number(pair.reserve1)) - Math.log(Number(pair.reserve0)); // token1 per token0
+
+    this._addEdge(pair.token0, pair.token1, -(logPrice + logFee), pool);
+    this._addEdge(pair.token1, pair.token0, -(-logPrice + logFee), pool);
+  }
+
+  /**
+   * Add a concentrated-liquidity pool as two edges priced at its current sqrtPriceX96.
+   * @param {Object} pool - { address, token0, token1, sqrtPriceX96, liquidity, fee, simulator }
+   *   where fee is in hundredths of a bip and simulator (optional) is a V3PoolSimulator for exact quotes
+   */
+  addV3Pool(pool) {
+    if (!pool.liquidity || pool.liquidity === 0n) return;
+    const entry = { protocol: 'V3', ...pool, fee: Number(pool.fee) };
+    const logFee = Math.log((1000000 - entry.fee) / 1000000);
+    const logPrice = logPriceFromSqrtX96(pool.sqrtPriceX96);
+
+    this._addEdge(pool.token0, pool.token1, -(logPrice + logFee), entry);
+    this._addEdge(pool.token1, pool.token0, -(-logPrice + logFee), entry);
+  }
+
+  /**
+   * Add a Curve pool as two edges per coin pair, priced by quoting a sliver (1e-6) of the
+   * input balance through the pool, fee included.
+   * @param {Object} pool - { address, simulator } where simulator is a CurvePoolSimulator
+   */
+  addCurvePool({ address, simulator }) {
+    const { coins, balances } = simulator;
+    for (let i = 0; i < coins.length; i++) {
+      for (let j = i + 1; j < coins.length; j++) {
+        if (balances[i] === 0n || balances[j] === 0n) continue;
+        const entry = { protocol: 'Curve', dex: 'curve', address, token0: coins[i], token1: coins[j], fee: simulator.fee ?? null, simulator };
+        if (this._hasUnsafeToken(entry)) continue;
+        for (const [from, to] of [[i, j], [j, i]]) {
+          const dx = balances[from] / 1000000n || 1n;
+          const dy = simulator.getDy(from, to, dx);
+          if (dy === 0n) continue;
+          this._addEdge(coins[from], coins[to], -(Math.log(Number(dy)) - Math.log(Number(dx))), entry);
+        }
+      }
+    }
+  }
+
+  /**
+   * Hop-bounded Bellman-Ford toward `target`: returnCost[k].get(token) is the lightest
+   * walk from token back to target using at most k edges. Used to prune the cycle search.
+   */
+  _returnCosts(target, maxEdges) {
+    const costs = [new Map([[target, 0]])];
+    for (let k = 1; k <= maxEdges; k++) {
+      const previous = costs[k - 1];
+      const current = new Map(previous);
+      for (const edgeList of this.edges.values()) {
+        for (const edge of edgeList) {
+          const rest = previous.get(edge.to);
+          if (rest === undefined) continue;
+          const cost = edge.weight + rest;
+          if (cost < (current.get(edge.from) ?? Infinity)) current.set(edge.from, cost);
+        }
+      }
+      costs.push(current);
+    }
+    return costs;
+  }
+
+  /**
+   * Every simple negative cycle through `startToken` with minHops..maxHops edges,
+   * no pool used twice, most negative first.
+   * @returns {Array} [{ tokens, pools, weight }] where tokens starts and ends with startToken
+   */
+  findCycles(startToken) {
+    const start = startToken.toLowerCase();
+    const returnCost = this._returnCosts(start, this.maxHops - 1);
+
+    // Negative-cycle check: the best closed walk through start is a lower bound for every cycle
+    const bestWalk = Math.min(...(this.edges.get(start) || []).map(
+      edge => edge.weight + (returnCost[this.maxHops - 1].get(edge.to) ?? Infinity)
+    ));
+    if (!(bestWalk < -LOG_EPSILON)) return [];
+
+    const cycles = [];
+    const tokens = [start];
+    const pools = [];
+    const visited = new Set([start]);
+
+    const extend = (token, weight) => {
+      for (const edge of this.edges.get(token) || []) {
+        if (pools.some(pool => pool.address === edge.pool.address)) continue;
+        const total = weight + edge.weight;
+        const hops = pools.length + 1;
+
+        if (edge.to === start) {
+          if (hops >= this.minHops && total < -LOG_EPSILON) {
+            cycles.push({ tokens: [...tokens, start], pools: [...pools, edge.pool], weight: total });
+          }
+          continue;
+        }
+
+        const remaining = this.maxHops - hops;
+        const bound = returnCost[remaining]?.get(edge.to);
+        if (visited.has(edge.to) || remaining === 0 || bound === undefined || total + bound >= -LOG_EPSILON) continue;
+
+        visited.add(edge.to);
+        tokens.push(edge.to);
+        pools.push(edge.pool);
+        extend(edge.to, total);
+        pools.pop();
+        tokens.pop();
+        visited.delete(edge.to);
+      }
+    };
+    extend(start, 0);
+
+    cycles.sort((a, b) => a.weight - b.weight);
+    return cycles.slice(0, this.maxCycles);
+  }
+
+  // Quote one hop of a cycle; resolves to { amountOut, gasEstimate }
+  async quoteHop(pool, tokenIn, tokenOut, amountIn) {
+    if (pool.protocol === 'V2') {
+      const zeroForOne = pool.token0.toLowerCase() === tokenIn.toLowerCase();
+      const reserveIn = zeroForOne ? pool.reserve0 : pool.reserve1;
+      const reserveOut = zeroForOne ? pool.reserve1 : pool.reserve0;
+      const amountInWithFee = amountIn * BigInt(10000 - pool.feeBps);
+      return {
+        amountOut: (amountInWithFee * reserveOut) / (reserveIn * 10000n + amountInWithFee),
+        gasEstimate: V2_SWAP_GAS,
+      };
+    }
+
+    if (pool.protocol === 'Curve') {
+      return this.curveScanner
+        ? this.curveScanner.quoteLeg(pool.simulator, tokenIn, tokenOut, amountIn)
+        : { amountOut: pool.simulator.quoteExactInput(tokenIn, tokenOut, amountIn).amountOut, gasEstimate: 0n };
+    }
+
+    if (this.v3Scanner) {
+      return this.v3Scanner.quoteLeg(pool.simulator || null, tokenIn, tokenOut, amountIn, pool.fee);
+    }
+    const quote = pool.simulator.quoteExactInput(tokenIn, amountIn);
+    return { amountOut: quote.amountOut, gasEstimate: 0n };
+  }
+
+  /**
+   * Size a cycle and turn it into an opportunity object (same shape the scanners return).
+   * @param {Object} cycle - From findCycles
+   * @param {bigint} amountIn - Scan amount; the search runs up to maxAmountIn (default 10x)
+   * @param {Object} context - { blockNumber, flashLoanLiquidity } caps and stamps like evaluateArbitrage
+   */
+  async evaluateCycle(cycle, amountIn, { blockNumber = null, flashLoanLiquidity = null } = {}) {
+    const { tokens, pools } = cycle;
+    // Checksummed addresses as the pools report them (the graph keys are lowercase)
+    const cycleTokens = tokens.map((token, i) => {
+      const pool = pools[Math.min(i, pools.length - 1)];
+      return pool.token0.toLowerCase() === token ? pool.token0 : pool.token1;
+    });
+
+    const route = async (size) => {
+      let amount = size;
+      let gasEstimate = FLASH_LOAN_GAS;
+      for (let i = 0; i < pools.length; i++) {
+        const quote = await this.quoteHop(pools[i], cycleTokens[i], cycleTokens[i + 1], amount);
+        if (quote.amountOut === 0n) return { amountOut: 0n, gasEstimate };
+        amount = quote.amountOut;
+        gasEstimate += quote.gasEstimate || V2_SWAP_GAS;
+      }
+      return { amountOut: amount, gasEstimate };
+    };
+
+    let maxAmountIn = this.maxAmountIn ?? amountIn * 10n;
+    const capped = flashLoanLiquidity !== null && flashLoanLiquidity < maxAmountIn;
+    if (capped) maxAmountIn = flashLoanLiquidity;
+    if (maxAmountIn < 2n) return { profitable: false, profit: 0n };
+
+    const sized = await optimizeTradeSize(route, {
+      minAmountIn: maxAmountIn / 1000n || 1n,
+      maxAmountIn,
+      maxQuotes: this.maxQuotes,
+    });
+    const profit = sized.profit > 0n ? sized.profit : 0n;
+    // Best size pinned against the flash-loan cap: the uncapped optimum is larger
+    const sizeLimitedBy = capped && sized.amountIn >= (maxAmountIn * 99n) / 100n ? 'aaveLiquidity' : 'optimal';
+
+    const protocols = new Set(pools.map(pool => pool.protocol));
+
+    return {
+      profitable: profit > 0n,
+      profit,
+      amountIn: sized.amountIn,
+      amountOut: sized.amountOut,
+      optimalAmountIn: sized.amountIn,
+      expectedProfit: profit,
+      sizeLimitedBy,
+      profitCurve: sized.samples,
+      gasEstimate: sized.gasEstimate,
+      logWeight: cycle.weight, // Sum of -log(rate) at spot prices; more negative = wider edge
+      tokens: cycleTokens, // Full token cycle, start token first and last
+      hops: pools.map((pool, i) => ({
+        pool: pool.address,
+        protocol: pool.protocol,
+        dex: pool.dex,
+        fee: pool.protocol === 'V2' ? pool.feeBps : pool.fee,
+        tokenIn: cycleTokens[i],
+        tokenOut: cycleTokens[i + 1],
+      })),
+      // Token order only: flashArbitrage can't trade a cycle (see unsupportedRoute in arb-tx-builder.js)
+      path: cycleTokens.slice(0, -1),
+      pathReverse: cycleTokens.slice(-2),
+      pair1: pools[0].address,
+      pair2: pools[pools.length - 1].address,
+      pairName: tokens.map(token => this.symbols.get(token) || token.slice(0, 8)).join('→'),
+      protocol: `${[...protocols].sort().join('/')} cycle`,
+      blockNumber,
+      timestamp: Date.now(),
+    };
+  }
+
+  // Fee-on-transfer and rebasing tokens stay out of the graph: hop quotes assume exact transfers
+  _hasUnsafeToken({ token0, token1 }) {
+    return Boolean(this.tokenRegistry && (this.tokenRegistry.isUnsafe(token0) || this.tokenRegistry.isUnsafe(token1)));
+  }
+
+  // Rebuild the graph from the scanners' tracked pools at one block
+  async loadGraph() {
+    this.clear();
+    let blockNumber = null;
+
+    if (this.v2Scanner) {
+      const pairs = Object.values(this.v2Scanner.pairs);
+      const snapshot = await this.v2Scanner.getSnapshot(pairs.map(pair => pair.pair));
+      blockNumber = snapshot.blockNumber;
+      for (const pair of pairs) {
+        const reserves = snapshot.reserves.get(pair.pair.toLowerCase());
+        if (!reserves || this._hasUnsafeToken(reserves)) continue;
+        this.symbols.set(reserves.token0.toLowerCase(), pair.token0);
+        this.symbols.set(reserves.token1.toLowerCase(), pair.token1);
+        this.addV2Pair({
+          address: pair.pair,
+          dex: pair.dex,
+          token0: reserves.token0,
+          token1: reserves.token1,
+          reserve0: reserves.reserve0,
+          reserve1: reserves.reserve1,
+          feeBps: this.v2Scanner.pairFeeBps(pair.pair),
+        });
+      }
+    }
+
+    if (this.v3Scanner) {
+      const addresses = Object.values(this.v3Scanner.pools).map(pool => pool.pool);
+      const [states, simulators] = await Promise.all([
+        Promise.allSettled(addresses.map(address => this.v3Scanner.getPoolState(address))),
+        this.v3Scanner.getSimulators(addresses),
+      ]);
+      addresses.forEach((address, i) => {
+        if (states[i].status !== 'fulfilled') return;
+        const state = states[i].value;
+        if (this._hasUnsafeToken(state)) return;
+        this.addV3Pool({
+          address,
+          dex: 'uniswapV3',
+          token0: state.token0,
+          token1: state.token1,
+          sqrtPriceX96: simulators[i]?.sqrtPriceX96 ?? state.sqrtPriceX96,
+          liquidity: simulators[i]?.liquidity ?? state.liquidity,
+          fee: state.fee,
+          simulator: simulators[i],
+        });
+      });
+    }
+
+    if (this.curveScanner) {
+      const pools = await this.curveScanner.loadPools(blockNumber);
+      for (const { simulator } of pools) this.addCurvePool({ address: simulator.address, simulator });
+    }
+
+    return blockNumber;
+  }
+
+  // Find, size and return profitable cycles through startToken (profit descending)
+  async scan(startToken, amountIn) {
+    const blockNumber = await this.loadGraph();
+    const cycles = this.findCycles(startToken);
+    if (cycles.length === 0) return [];
+
+    // Without a block number the liquidity is read at latest and not cached
+    const flashLoanLiquidity = this.v2Scanner
+      ? await this.v2Scanner.getFlashLoanLiquidity(startToken, blockNumber)
+      : null;
+
+    const opportunities = [];
+    for (const cycle of cycles) {
+      const opportunity = await this.evaluateCycle(cycle, amountIn, { blockNumber, flashLoanLiquidity });
+      if (opportunity.profitable) opportunities.push(opportunity);
+    }
+
+    opportunities.sort((a, b) => (b.profit > a.profit ? 1 : -1));
+    return opportunities;
+  }
+}
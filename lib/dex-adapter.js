@@ -0,0 +1,539 @@
+/**
+ * DEX Adapters
+ * One adapter per venue behind a single contract, so scanners and scripts never carry
+ * venue-specific discovery or math of their own:
+ *
+ *   discover(tokenA, tokenB)            -> [{ address, dex, protocol, fee, feeBps, tokens }]
+ *   loadState(pools, { blockNumber })   -> Map<address (lowercase), state> for the pools that loaded
+ *   quoteExactIn(state, tokenIn, tokenOut, amountIn)   -> { amountOut, gasEstimate }
+ *   quoteExactOut(state, tokenIn, tokenOut, amountOut) -> { amountIn, gasEstimate }
+ *   buildSwapCalldata(pool, params)     -> { to, data, value } for the venue's router
+ *
+ * `fee` is in V3 fee units (hundredths of a bp) and `feeBps` in bps for every venue.
+ * V2Adapter serves any Uniswap V2 fork described in the DexRegistry; V3Adapter serves
+ * Uniswap V3 (or a fork with its own factory/router/quoter). Adding a venue means writing
+ * one adapter and registering it in a DexAdapterRegistry.
+ */
+
+import { ethers } from 'ethers';
+import { batchedMulticall } from './multicall.js';
+import { DexRegistry, getAmountIn, getAmountOut } from './dex-registry.js';
+import { computeV3PoolAddress, getDeployed, sortTokens } from './pool-address.js';
+import { V3PoolSimulator } from './uniswap-v3-math.js';
+
+// Uniswap V3 addresses (mainnet)
+export const V3_FACTORY = '0x1F98431c8aD98523631AE4a59f267346ea31F984';
+export const V3_SWAP_ROUTER = '0xE592427A0AEce92De3Edee1F18E0157C05861564';
+export const V3_SWAP_ROUTER02 = '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45'; // Also routes V2 swaps through Uniswap V2
+export const V3_QUOTER_V2 = '0x61fFE014bA17989E743c5F6cB21bF9697530B21e';
+
+// Common V3 fee tiers (hundredths of a bp): 0.01%, 0.05%, 0.3%, 1%
+export const FEE_TIERS = [100, 500, 3000, 10000];
+
+// Gas per swap leg; QuoterV2 reports V3 gas itself, the local simulator does not
+export const V2_SWAP_GAS = 60000n;
+export const V3_SWAP_GAS = 90000n;
+export const V3_TICK_CROSS_GAS = 25000n;
+
+// Gas of the contract's flash loan around the swaps: borrow, callback and repayment (Aave or Balancer)
+export const FLASH_LOAN_GAS = 100000n;
+
+const PAIR_ABI = [
+  'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function token0() external view returns (address)',
+  'function token1() external view returns (address)',
+];
+
+const FACTORY_ABI = [
+  'function getPair(address tokenA, address tokenB) external view returns (address pair)',
+];
+
+const V2_ROUTER_ABI = [
+  'function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
+  'function swapTokensForExactTokens(uint amountOut, uint amountInMax, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
+];
+
+const QUOTER_ABI = [
+  'function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96)) external returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
+  'function quoteExactOutputSingle((address tokenIn, address tokenOut, uint256 amount, uint24 fee, uint160 sqrtPriceLimitX96)) external returns (uint256 amountIn, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
+];
+
+const V3_ROUTER_ABI = [
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96)) external payable returns (uint256 amountOut)',
+  'function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96)) external payable returns (uint256 amountIn)',
+];
+
+const pairInterface = new ethers.Interface(PAIR_ABI);
+const v2RouterInterface = new ethers.Interface(V2_ROUTER_ABI);
+const v3RouterInterface = new ethers.Interface(V3_ROUTER_ABI);
+
+// Default swap deadline: 5 minutes from now
+function defaultDeadline() {
+  return BigInt(Math.floor(Date.now() / 1000) + 300);
+}
+
+// Exact-output swaps are described by amountOut (and amountInMax) without an amountIn
+function isExactOutput(params) {
+  return params.amountIn === undefined && params.amountOut !== undefined;
+}
+
+// Reserves of one V2 pair (token0/token1 are cached in `tokenCache` after the first read)
+export async function readV2Reserves(provider, pairAddress, blockTag = 'latest', tokenCache = new Map()) {
+  const pair = new ethers.Contract(pairAddress, PAIR_ABI, provider);
+  const key = pairAddress.toLowerCase();
+  let tokens = tokenCache.get(key);
+  if (!tokens) {
+    const [token0, token1] = await Promise.all([pair.token0(), pair.token1()]);
+    tokens = { token0, token1 };
+    tokenCache.set(key, tokens);
+  }
+  const [reserve0, reserve1, timestamp] = await pair.getReserves({ blockTag });
+  return { reserve0, reserve1, token0: tokens.token0, token1: tokens.token1, timestamp };
+}
+
+/**
+ * Reserves of many V2 pairs through Multicall3, `batchSize` calls per eth_call, every batch pinned to
+ * the same block (per-pair reads at that block where Multicall3 isn't deployed).
+ * @returns {Object} { blockNumber, reserves: Map<pair address (lowercase), reserves> }; pairs whose calls fail are left out
+ */
+export async function loadV2Reserves(provider, pairAddresses, blockNumber = null, tokenCache = new Map(), batchSize = 500) {
+  const block = blockNumber ?? await provider.getBlockNumber();
+  const reserves = new Map();
+  if (pairAddresses.length === 0) return { blockNumber: block, reserves };
+
+  // Only ask for token0/token1 on pairs we have not seen before
+  const calls = [];
+  const layout = pairAddresses.map((address) => {
+    const needsTokens = !tokenCache.has(address.toLowerCase());
+    const start = calls.length;
+    calls.push({ target: address, callData: pairInterface.encodeFunctionData('getReserves') });
+    if (needsTokens) {
+      calls.push({ target: address, callData: pairInterface.encodeFunctionData('token0') });
+      calls.push({ target: address, callData: pairInterface.encodeFunctionData('token1') });
+    }
+    return { address, start, needsTokens };
+  });
+
+  let results;
+  try {
+    results = await batchedMulticall(provider, calls, block, batchSize);
+  } catch (error) {
+    // Multicall3 not deployed (e.g. local node) - fall back to per-pair reads at the same block
+    console.warn('⚠️  Multicall3 batch failed, falling back to per-pair reads:', error.message);
+    const settled = await Promise.allSettled(pairAddresses.map(address => readV2Reserves(provider, address, block, tokenCache)));
+    settled.forEach((result, i) => {
+      if (result.status === 'fulfilled') {
+        reserves.set(pairAddresses[i].toLowerCase(), { ...result.value, blockNumber: block });
+      }
+    });
+    return { blockNumber: block, reserves };
+  }
+
+  for (const { address, start, needsTokens } of layout) {
+    const key = address.toLowerCase();
+    if (needsTokens) {
+      const result0 = results[start + 1];
+      const result1 = results[start + 2];
+      if (!result0.success || !result1.success) continue;
+      tokenCache.set(key, {
+        token0: pairInterface.decodeFunctionResult('token0', result0.returnData)[0],
+        token1: pairInterface.decodeFunctionResult('token1', result1.returnData)[0],
+      });
+    }
+
+    const result = results[start];
+    if (!result.success) continue;
+    const [reserve0, reserve1, timestamp] = pairInterface.decodeFunctionResult('getReserves', result.returnData);
+    const { token0, token1 } = tokenCache.get(key);
+    reserves.set(key, { reserve0, reserve1, token0, token1, timestamp, blockNumber: block });
+  }
+
+  return { blockNumber: block, reserves };
+}
+
+export class DexAdapter {
+  /**
+   * @param {Object} provider - ethers v6 provider
+   * @param {string} name - Venue name, stamped as `dex` on the pools it discovers
+   * @param {string} protocol - 'V2', 'V3', ...
+   */
+  constructor(provider, name, protocol) {
+    this.provider = provider;
+    this.name = name;
+    this.protocol = protocol;
+  }
+
+  // Pool descriptor in the shape every adapter returns from discover()
+  describePool(address, tokenA, tokenB, fee) {
+    return { address, dex: this.name, protocol: this.protocol, fee, feeBps: fee / 100, tokens: sortTokens(tokenA, tokenB) };
+  }
+}
+
+export class V2Adapter extends DexAdapter {
+  /**
+   * @param {Object} provider - ethers v6 provider
+   * @param {string} name - Venue name in the DEX registry
+   * @param {Object} options
+   * @param {DexRegistry} options.dexes - Venue descriptors (factory, init code hash, router, fee)
+   */
+  constructor(provider, name, options = {}) {
+    super(provider, name, 'V2');
+    this.dexes = options.dexes || new DexRegistry();
+    if (!this.dexes.get(name)?.factory) throw new Error(`Factory address not found for DEX: ${name}`);
+    this.deployedPairs = new Set(); // derived pair addresses (lowercase) confirmed to hold code
+    this.tokenCache = new Map(); // pair address (lowercase) -> { token0, token1 }
+  }
+
+  get descriptor() {
+    return this.dexes.get(this.name);
+  }
+
+  // Routers that trade this venue's pools: [{ address, dex, protocol }]
+  routers() {
+    const { router } = this.descriptor;
+    return router ? [{ address: router, dex: this.name, protocol: 'V2' }] : [];
+  }
+
+  /**
+   * Pair addresses for many token pairs at once: derived with CREATE2 where the venue's init code
+   * hash is known (one batched getCode for the ones not yet confirmed), factory.getPair otherwise.
+   * @param {Array} lookups - [{ tokenA, tokenB }]
+   * @returns {Array} Pair address or null per lookup
+   */
+  async findPairAddresses(lookups) {
+    const derived = lookups.map(({ tokenA, tokenB }) => this.dexes.pairAddress(this.name, tokenA, tokenB));
+    const unconfirmed = derived.filter(address => address && !this.deployedPairs.has(address.toLowerCase()));
+    for (const address of await getDeployed(this.provider, unconfirmed)) {
+      this.deployedPairs.add(address);
+    }
+
+    return Promise.all(lookups.map(async ({ tokenA, tokenB }, i) => {
+      if (derived[i]) {
+        return this.deployedPairs.has(derived[i].toLowerCase()) ? derived[i] : null;
+      }
+      const factory = new ethers.Contract(this.descriptor.factory, FACTORY_ABI, this.provider);
+      const pairAddress = await factory.getPair(tokenA, tokenB);
+      return pairAddress === ethers.ZeroAddress ? null : pairAddress; // Pair doesn't exist on this DEX
+    }));
+  }
+
+  async discover(tokenA, tokenB) {
+    const [address] = await this.findPairAddresses([{ tokenA, tokenB }]);
+    return address ? [this.describePool(address, tokenA, tokenB, this.dexes.feeBps(this.name) * 100)] : [];
+  }
+
+  // Reserves per pair, with the pair's current fee where the venue has a fee reader
+  async loadState(pools, { blockNumber = null } = {}) {
+    const addresses = pools.map(pool => pool.address);
+    const { blockNumber: block, reserves } = await loadV2Reserves(this.provider, addresses, blockNumber, this.tokenCache);
+    const dynamicFees = await this.dexes.readDynamicFees(this.provider, addresses.map(pair => ({ pair, dex: this.name })), block);
+
+    const states = new Map();
+    for (const [key, pairReserves] of reserves) {
+      states.set(key, { ...pairReserves, feeBps: dynamicFees.get(key) ?? this.dexes.feeBps(this.name) });
+    }
+    return states;
+  }
+
+  // Reserves of `state` as [reserveIn, reserveOut] for a tokenIn -> tokenOut swap
+  orient(state, tokenIn) {
+    const inIsToken0 = state.token0.toLowerCase() === tokenIn.toLowerCase();
+    return inIsToken0 ? [state.reserve0, state.reserve1] : [state.reserve1, state.reserve0];
+  }
+
+  async quoteExactIn(state, tokenIn, tokenOut, amountIn) {
+    const [reserveIn, reserveOut] = this.orient(state, tokenIn);
+    return { amountOut: getAmountOut(amountIn, reserveIn, reserveOut, state.feeBps), gasEstimate: V2_SWAP_GAS };
+  }
+
+  async quoteExactOut(state, tokenIn, tokenOut, amountOut) {
+    const [reserveIn, reserveOut] = this.orient(state, tokenIn);
+    return { amountIn: getAmountIn(amountOut, reserveIn, reserveOut, state.feeBps), gasEstimate: V2_SWAP_GAS };
+  }
+
+  // Single-hop router swap; exact output when params carry amountOut/amountInMax instead of amountIn/amountOutMin
+  buildSwapCalldata(pool, params) {
+    const { router } = this.descriptor;
+    if (!router) throw new Error(`Router address not found for DEX: ${this.name}`);
+    const { tokenIn, tokenOut, recipient, deadline = defaultDeadline() } = params;
+    const path = [tokenIn, tokenOut];
+    const data = isExactOutput(params)
+      ? v2RouterInterface.encodeFunctionData('swapTokensForExactTokens', [params.amountOut, params.amountInMax ?? ethers.MaxUint256, path, recipient, deadline])
+      : v2RouterInterface.encodeFunctionData('swapExactTokensForTokens', [params.amountIn, params.amountOutMin ?? 0n, path, recipient, deadline]);
+    return { to: router, data, value: 0n };
+  }
+}
+
+export class V3Adapter extends DexAdapter {
+  /**
+   * @param {Object} provider - ethers v6 provider
+   * @param {Object} options
+   * @param {string} options.name - Venue name (default 'uniswapV3')
+   * @param {string} options.factory - Factory pool addresses are derived from (default the mainnet factory)
+   * @param {string} options.router - SwapRouter the calldata targets
+   * @param {string|null} options.router02 - SwapRouter02, watched for pending swaps (default the mainnet one; null for none)
+   * @param {string} options.router02V2Dex - V2 venue SwapRouter02's V2 swaps trade on (default 'uniswap')
+   * @param {string} options.quoter - QuoterV2 used where the local simulator can't price a swap
+   * @param {Array} options.feeTiers - Fee tiers discover() looks for (default FEE_TIERS)
+   * @param {number} options.tickWordRange - Tick bitmap words loaded either side of the current tick (default 2)
+   */
+  constructor(provider, options = {}) {
+    super(provider, options.name ?? 'uniswapV3', 'V3');
+    this.factory = options.factory ?? V3_FACTORY;
+    this.router = options.router ?? V3_SWAP_ROUTER;
+    this.router02 = options.router02 === undefined ? V3_SWAP_ROUTER02 : options.router02;
+    this.router02V2Dex = options.router02V2Dex ?? 'uniswap';
+    this.quoter = new ethers.Contract(options.quoter ?? V3_QUOTER_V2, QUOTER_ABI, provider);
+    this.feeTiers = options.feeTiers ?? FEE_TIERS;
+    this.tickWordRange = options.tickWordRange ?? 2;
+  }
+
+  /**
+   * Pool addresses for token pairs and fee tiers, derived with CREATE2 and kept only where a
+   * pool is deployed (one batched getCode, no factory calls).
+   * @param {Array} lookups - [{ tokenA, tokenB, fee }]
+   * @returns {Array} Pool address or null per lookup
+   */
+  async findPoolAddresses(lookups, blockTag = 'latest') {
+    const derived = lookups.map(({ tokenA, tokenB, fee }) => computeV3PoolAddress(this.factory, tokenA, tokenB, fee));
+    const deployed = await getDeployed(this.provider, derived, { blockTag });
+    return derived.map(address => (deployed.has(address.toLowerCase()) ? address : null));
+  }
+
+  // Routers that trade this venue's pools; SwapRouter02 also takes V2 swaps (on `v2Dex`)
+  routers() {
+    const routers = [{ address: this.router, dex: this.name, protocol: 'V3' }];
+    if (this.router02) routers.push({ address: this.router02, dex: this.name, protocol: 'V3', v2Dex: this.router02V2Dex });
+    return routers;
+  }
+
+  // Every deployed fee tier of a token pair
+  async discover(tokenA, tokenB) {
+    const addresses = await this.findPoolAddresses(this.feeTiers.map(fee => ({ tokenA, tokenB, fee })));
+    return this.feeTiers
+      .map((fee, i) => addresses[i] && this.describePool(addresses[i], tokenA, tokenB, fee))
+      .filter(Boolean);
+  }
+
+  // Tick-level simulator for a pool at `blockNumber` (rejects if loading fails, e.g. no Multicall3)
+  loadSimulator(poolAddress, blockNumber) {
+    return V3PoolSimulator.load(this.provider, poolAddress, { wordRange: this.tickWordRange, blockNumber });
+  }
+
+  // { address, fee, simulator } per pool; simulator is null where it couldn't load (quotes go to QuoterV2)
+  async loadState(pools, { blockNumber = null } = {}) {
+    const block = blockNumber ?? await this.provider.getBlockNumber();
+    const simulators = await Promise.allSettled(pools.map(pool => this.loadSimulator(pool.address, block)));
+
+    const states = new Map();
+    pools.forEach((pool, i) => {
+      const simulator = simulators[i].status === 'fulfilled' ? simulators[i].value : null;
+      states.set(pool.address.toLowerCase(), { address: pool.address, fee: pool.fee, simulator, blockNumber: block });
+    });
+    return states;
+  }
+
+  // Local exact-input quote; throws when the swap runs past the loaded ticks
+  localQuoteExactIn(simulator, tokenIn, amountIn) {
+    const quote = simulator.quoteExactInput(tokenIn, amountIn);
+    return {
+      amountOut: quote.amountOut,
+      sqrtPriceX96After: quote.sqrtPriceX96After,
+      gasEstimate: V3_SWAP_GAS + V3_TICK_CROSS_GAS * BigInt(quote.initializedTicksCrossed),
+    };
+  }
+
+  async quoteExactIn(state, tokenIn, tokenOut, amountIn) {
+    if (state.simulator) {
+      try {
+        return this.localQuoteExactIn(state.simulator, tokenIn, amountIn);
+      } catch (error) {
+        // Swap runs past the loaded ticks - only the chain knows the answer
+      }
+    }
+    return this.quoteExactInputSingle(tokenIn, tokenOut, amountIn, state.fee);
+  }
+
+  async quoteExactOut(state, tokenIn, tokenOut, amountOut) {
+    if (state.simulator) {
+      try {
+        const quote = state.simulator.quoteExactOutput(tokenIn, amountOut);
+        return {
+          amountIn: quote.amountIn,
+          sqrtPriceX96After: quote.sqrtPriceX96After,
+          gasEstimate: V3_SWAP_GAS + V3_TICK_CROSS_GAS * BigInt(quote.initializedTicksCrossed),
+        };
+      } catch (error) {
+        // Past the loaded ticks, or not enough liquidity in them - ask the quoter
+      }
+    }
+    return this.quoteExactOutputSingle(tokenIn, tokenOut, amountOut, state.fee);
+  }
+
+  // QuoterV2 exact-input quote (static call)
+  async quoteExactInputSingle(tokenIn, tokenOut, amountIn, fee) {
+    const result = await this.quoter.quoteExactInputSingle.staticCall({ tokenIn, tokenOut, amountIn, fee, sqrtPriceLimitX96: 0n });
+    return { amountOut: result[0], sqrtPriceX96After: result[1], gasEstimate: result[3] };
+  }
+
+  // QuoterV2 exact-output quote (static call)
+  async quoteExactOutputSingle(tokenIn, tokenOut, amountOut, fee) {
+    const result = await this.quoter.quoteExactOutputSingle.staticCall({ tokenIn, tokenOut, amount: amountOut, fee, sqrtPriceLimitX96: 0n });
+    return { amountIn: result[0], sqrtPriceX96After: result[1], gasEstimate: result[3] };
+  }
+
+  // SwapRouter single-pool swap; exact output when params carry amountOut/amountInMax instead of amountIn/amountOutMin
+  buildSwapCalldata(pool, params) {
+    const { tokenIn, tokenOut, recipient, deadline = defaultDeadline() } = params;
+    const data = isExactOutput(params)
+      ? v3RouterInterface.encodeFunctionData('exactOutputSingle', [{
+        tokenIn, tokenOut, fee: pool.fee, recipient, deadline, amountOut: params.amountOut, amountInMaximum: params.amountInMax ?? ethers.MaxUint256, sqrtPriceLimitX96: 0n,
+      }])
+      : v3RouterInterface.encodeFunctionData('exactInputSingle', [{
+        tokenIn, tokenOut, fee: pool.fee, recipient, deadline, amountIn: params.amountIn, amountOutMinimum: params.amountOutMin ?? 0n, sqrtPriceLimitX96: 0n,
+      }]);
+    return { to: this.router, data, value: 0n };
+  }
+}
+
+export class DexAdapterRegistry {
+  /**
+   * @param {Array} adapters - Adapters to register
+   */
+  constructor(adapters = []) {
+    this.adapters = new Map();
+    for (const adapter of adapters) this.register(adapter);
+  }
+
+  // Register (or replace) the adapter for its venue
+  register(adapter) {
+    this.adapters.set(adapter.name, adapter);
+    return this;
+  }
+
+  get(name) {
+    return this.adapters.get(name);
+  }
+
+  all() {
+    return [...this.adapters.values()];
+  }
+
+  byProtocol(protocol) {
+    return this.all().filter(adapter => adapter.protocol === protocol);
+  }
+
+  // Router of every venue: Map<router address (lowercase), { address, dex, protocol, v2Dex }>
+  routers() {
+    return new Map(this.all().flatMap(adapter => adapter.routers()).map(router => [router.address.toLowerCase(), router]));
+  }
+
+  // Adapter that owns a discovered pool
+  adapterFor(pool) {
+    const adapter = this.adapters.get(pool.dex);
+    if (!adapter) throw new Error(`No adapter registered for DEX: ${pool.dex}`);
+    return adapter;
+  }
+
+  // Pools of a token pair on every venue (a venue that fails to answer is skipped)
+  async discover(tokenA, tokenB) {
+    const adapters = this.all();
+    const results = await Promise.allSettled(adapters.map(adapter => adapter.discover(tokenA, tokenB)));
+    return results.flatMap((result, i) => {
+      if (result.status === 'fulfilled') return result.value;
+      console.warn(`⚠️  ${adapters[i].name}: pool discovery failed:`, result.reason.message);
+      return [];
+    });
+  }
+
+  // State of pools across venues, one loadState per venue, all at the same block
+  async loadState(pools, { blockNumber = null } = {}) {
+    if (pools.length === 0) return new Map();
+    const block = blockNumber ?? await this.adapterFor(pools[0]).provider.getBlockNumber();
+    const byDex = new Map();
+    for (const pool of pools) {
+      if (!byDex.has(pool.dex)) byDex.set(pool.dex, []);
+      byDex.get(pool.dex).push(pool);
+    }
+
+    const states = new Map();
+    for (const [dex, dexPools] of byDex) {
+      try {
+        for (const [key, state] of await this.adapterFor({ dex }).loadState(dexPools, { blockNumber: block })) {
+          states.set(key, state);
+        }
+      } catch (error) {
+        console.warn(`⚠️  ${dex}: pool state unavailable:`, error.message);
+      }
+    }
+    return states;
+  }
+
+  quoteExactIn(pool, state, tokenIn, tokenOut, amountIn) {
+    return this.adapterFor(pool).quoteExactIn(state, tokenIn, tokenOut, amountIn);
+  }
+
+  quoteExactOut(pool, state, tokenIn, tokenOut, amountOut) {
+    return this.adapterFor(pool).quoteExactOut(state, tokenIn, tokenOut, amountOut);
+  }
+
+  buildSwapCalldata(pool, params) {
+    return this.adapterFor(pool).buildSwapCalldata(pool, params);
+  }
+
+  /**
+   * Every two-pool round trip tokenA -> tokenB -> tokenA across the venues, priced at `amountIn`.
+   * @returns {Array} [{ pool1, pool2, amountIn, amountMid, amountOut, profit, gasEstimate }], most profitable first
+   */
+  async findRoundTrips(tokenA, tokenB, amountIn, { blockNumber = null } = {}) {
+    const pools = await this.discover(tokenA, tokenB);
+    const states = await this.loadState(pools, { blockNumber });
+    const routes = [];
+
+    for (const pool1 of pools) {
+      for (const pool2 of pools) {
+        const state1 = states.get(pool1.address.toLowerCase());
+        const state2 = states.get(pool2.address.toLowerCase());
+        if (pool1 === pool2 || !state1 || !state2) continue;
+        try {
+          const leg1 = await this.quoteExactIn(pool1, state1, tokenA, tokenB, amountIn);
+          if (leg1.amountOut === 0n) continue;
+          const leg2 = await this.quoteExactIn(pool2, state2, tokenB, tokenA, leg1.amountOut);
+          routes.push({
+            pool1,
+            pool2,
+            amountIn,
+            amountMid: leg1.amountOut,
+            amountOut: leg2.amountOut,
+            profit: leg2.amountOut - amountIn,
+            gasEstimate: leg1.gasEstimate + leg2.gasEstimate,
+          });
+        } catch (error) {
+          // No quote for this pair of pools (e.g. the quoter reverts on an empty pool)
+        }
+      }
+    }
+
+    return routes.sort((a, b) => (b.profit > a.profit ? 1 : b.profit < a.profit ? -1 : 0));
+  }
+}
+
+/**
+ * Adapters for every V2 venue in the DEX registry plus Uniswap V3.
+ * @param {Object} provider - ethers v6 provider
+ * @param {string} network - Key into DEXES
+ * @param {Object} options
+ * @param {DexRegistry|Object} options.dexes - Venue descriptors; a plain object adds to the built-in ones
+ * @param {Object|false} options.v3 - V3Adapter options, or false for no V3 venue
+ * @returns {DexAdapterRegistry}
+ */
+export function createDexAdapters(provider, network = 'mainnet', options = {}) {
+  const dexes = options.dexes instanceof DexRegistry ? options.dexes : new DexRegistry(network, { dexes: options.dexes });
+  const registry = new DexAdapterRegistry(
+    Object.keys(dexes.factories()).map(name => new V2Adapter(provider, name, { dexes }))
+  );
+  if (options.v3 !== false) {
+    registry.register(new V3Adapter(provider, options.v3 || {}));
+  }
+  return registry;
+}
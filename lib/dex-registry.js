@@ -0,0 +1,177 @@
+/**
+ * DEX Registry
+ * One descriptor per V2-style venue: where its pairs come from (factory + init code hash),
+ * where to trade (router) and what it charges (fee in bps, or a reader for venues whose
+ * fee varies per pair or over time). Scanners, discovery and the slippage calculator price
+ * every pool with its own venue's fee instead of assuming Uniswap's 0.3%.
+ */
+
+import { ethers } from 'ethers';
+import { computeV2PairAddress, sortTokens } from './pool-address.js';
+
+const FACTORY_ABI = [
+  'function allPairs(uint256) external view returns (address)',
+];
+
+const PAIR_ABI = [
+  'function token0() external view returns (address)',
+  'function token1() external view returns (address)',
+];
+
+// Fee readers for venues with per-pair fees, by name (so descriptors can live in JSON config).
+// Each returns the pair's fee in bps.
+export const FEE_READERS = {
+  // Fraxswap pairs expose the input multiplier out of 10000 (9970 = 0.3% fee)
+  fraxswap: async (provider, pairAddress, blockTag = 'latest') => {
+    const pair = new ethers.Contract(pairAddress, ['function fee() external view returns (uint256)'], provider);
+    return 10000 - Number(await pair.fee({ blockTag }));
+  },
+};
+
+/**
+ * Built-in venues per network:
+ *   { protocol, factory, router, initCodeHash, feeBps, feeReader }
+ * initCodeHash is null where it hasn't been checked against a live pair; such venues
+ * resolve pairs through factory.getPair only.
+ */
+export const DEXES = {
+  mainnet: {
+    uniswap: {
+      protocol: 'V2',
+      factory: '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f',
+      router: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D',
+      initCodeHash: '0x96e8ac4277198ff8b6f785478aa9a39f403cb768dd02cbee326c3e7da348845f',
+      feeBps: 30,
+    },
+    sushiswap: {
+      protocol: 'V2',
+      factory: '0xC0AEe478e3658e2610c5F7A4A2E1777cE9e4f2Ac',
+      router: '0xd9e1cE17f2641f24aE83637ab66a2cca9C378B9F',
+      initCodeHash: '0xe18a34eb0e04b04f7a0ac29a6e80748dca96319b42c54d679cb821dca90c6303',
+      feeBps: 30,
+    },
+    shibaswap: {
+      protocol: 'V2',
+      factory: '0x115934131916C8b277DD010Ee02de363c09d037c',
+      router: '0x03f7724180AA6b939894B5Ca4314783B0b36b329',
+      initCodeHash: '0x65d1a3b1e46c6e4f1be1ad5f99ef14dc488ae0549dc97db9b30afe2241ce1c7a',
+      feeBps: 30,
+    },
+  },
+  sepolia: {},
+};
+
+// Constant-product output for `amountIn` after a `feeBps` input fee (Uniswap V2 getAmountOut)
+export function getAmountOut(amountIn, reserveIn, reserveOut, feeBps = 30) {
+  if (amountIn === 0n || reserveIn === 0n || reserveOut === 0n) return 0n;
+  const amountInWithFee = amountIn * BigInt(10000 - feeBps);
+  const numerator = amountInWithFee * reserveOut;
+  const denominator = reserveIn * 10000n + amountInWithFee;
+  return numerator / denominator;
+}
+
+// Input needed for exactly `amountOut` after a `feeBps` input fee (Uniswap V2 getAmountIn)
+export function getAmountIn(amountOut, reserveIn, reserveOut, feeBps = 30) {
+  if (amountOut >= reserveOut) throw new Error('Insufficient liquidity for exact output');
+  const numerator = reserveIn * amountOut * 10000n;
+  const denominator = (reserveOut - amountOut) * BigInt(10000 - feeBps);
+  return numerator / denominator + 1n;
+}
+
+export class DexRegistry {
+  /**
+   * @param {string} network - Key into DEXES
+   * @param {Object} options
+   * @param {Object} options.dexes - Extra or overriding descriptors by name (e.g. a PancakeSwap fork at 25 bps);
+   *   feeReader may be a function or a FEE_READERS name
+   */
+  constructor(network = 'mainnet', options = {}) {
+    this.network = network;
+    this.dexes = new Map();
+    for (const [name, descriptor] of Object.entries({ ...DEXES[network], ...options.dexes })) {
+      this.add(name, descriptor);
+    }
+  }
+
+  // Register (or replace) a venue
+  add(name, descriptor) {
+    if (!Number.isInteger(descriptor.feeBps) || descriptor.feeBps < 0 || descriptor.feeBps >= 10000) {
+      throw new Error(`DEX ${name}: feeBps must be an integer in [0, 10000)`);
+    }
+    const feeReader = typeof descriptor.feeReader === 'string' ? FEE_READERS[descriptor.feeReader] : descriptor.feeReader;
+    if (descriptor.feeReader && !feeReader) {
+      throw new Error(`DEX ${name}: unknown fee reader ${descriptor.feeReader}`);
+    }
+    this.dexes.set(name, {
+      protocol: 'V2',
+      initCodeHash: null,
+      ...descriptor,
+      name,
+      feeReader: feeReader || null,
+    });
+  }
+
+  get(name) {
+    return this.dexes.get(name);
+  }
+
+  names() {
+    return [...this.dexes.keys()];
+  }
+
+  // { name: factory } / { name: router } for the venues that have one
+  factories() {
+    return Object.fromEntries([...this.dexes].filter(([, dex]) => dex.factory).map(([name, dex]) => [name, dex.factory]));
+  }
+
+  routers() {
+    return Object.fromEntries([...this.dexes].filter(([, dex]) => dex.router).map(([name, dex]) => [name, dex.router]));
+  }
+
+  // Pair address on a venue derived with CREATE2 (no RPC); null if the venue's init code hash is unknown
+  pairAddress(name, tokenA, tokenB) {
+    const dex = this.dexes.get(name);
+    if (!dex?.factory || !dex.initCodeHash) return null;
+    return computeV2PairAddress(dex.factory, dex.initCodeHash, tokenA, tokenB);
+  }
+
+  /**
+   * Check a venue's init code hash against its first pair. On a mismatch the hash is dropped
+   * (lookups fall back to factory.getPair) and false is returned.
+   */
+  async verifyInitCodeHash(provider, name) {
+    const dex = this.dexes.get(name);
+    if (!dex?.initCodeHash) return false;
+    const factory = new ethers.Contract(dex.factory, FACTORY_ABI, provider);
+    const pairAddress = await factory.allPairs(0);
+    const pair = new ethers.Contract(pairAddress, PAIR_ABI, provider);
+    const [token0, token1] = sortTokens(await pair.token0(), await pair.token1());
+    if (this.pairAddress(name, token0, token1) === ethers.getAddress(pairAddress)) return true;
+
+    console.warn(`⚠️  ${name}: init code hash ${dex.initCodeHash} does not match pair ${pairAddress}; using factory.getPair`);
+    dex.initCodeHash = null;
+    return false;
+  }
+
+  // Static fee of a venue (30 bps for venues this registry doesn't know)
+  feeBps(name) {
+    return this.dexes.get(name)?.feeBps ?? 30;
+  }
+
+  /**
+   * Current fees of pairs on venues with a fee reader.
+   * @param {Object} provider - ethers v6 provider
+   * @param {Array} pairs - [{ pair, dex }]
+   * @returns {Map} pair address (lowercase) -> feeBps, for the pairs whose fee could be read
+   */
+  async readDynamicFees(provider, pairs, blockTag = 'latest') {
+    const dynamic = pairs.filter(({ dex }) => this.dexes.get(dex)?.feeReader);
+    const results = await Promise.allSettled(dynamic.map(({ pair, dex }) => this.dexes.get(dex).feeReader(provider, pair, blockTag)));
+
+    const fees = new Map();
+    dynamic.forEach(({ pair }, i) => {
+      if (results[i].status === 'fulfilled') fees.set(pair.toLowerCase(), results[i].value);
+    });
+    return fees;
+  }
+}
@@ -0,0 +1,504 @@
+/**
+ * Mempool Backrun Watcher
+ * Subscribes to pending transactions over WebSocket and decodes swaps sent to known DEX
+ * routers (V2 routers, V3 SwapRouter and SwapRouter02, including multicall). Each large swap
+ * is applied to a copy of the cached pool state and the arbitrage it leaves behind is priced
+ * with the scanners' own math. Opportunities carry the victim's signed transaction, so the
+ * execution layer can bundle the backrun directly after it.
+ */
+
+import { ethers } from 'ethers';
+import { getAmountIn, getAmountOut } from './dex-registry.js';
+import { computeV3PoolAddress } from './pool-address.js';
+import { V3PoolSimulator } from './uniswap-v3-math.js';
+
+const MAINNET_WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+
+const ROUTER_ABI = [
+  // Uniswap V2 router and forks
+  'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+  'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+  'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable',
+  'function swapETHForExactTokens(uint256 amountOut, address[] path, address to, uint256 deadline) payable',
+  'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+  'function swapTokensForExactETH(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+  // SwapRouter02's V2 swaps (no deadline; that lives on multicall)
+  'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to) payable',
+  'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to) payable',
+  // V3 SwapRouter
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable',
+  'function exactInput((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params) payable',
+  'function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params) payable',
+  'function exactOutput((bytes path, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum) params) payable',
+  // SwapRouter02
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable',
+  'function exactInput((bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum) params) payable',
+  'function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params) payable',
+  'function exactOutput((bytes path, address recipient, uint256 amountOut, uint256 amountInMaximum) params) payable',
+  'function multicall(bytes[] data) payable',
+  'function multicall(uint256 deadline, bytes[] data) payable',
+  'function multicall(bytes32 previousBlockhash, bytes[] data) payable',
+];
+
+const routerInterface = new ethers.Interface(ROUTER_ABI);
+
+const tokenKey = (a, b) => [a.toLowerCase(), b.toLowerCase()].sort().join('-');
+
+// Hops of a V2 path: [{ tokenIn, tokenOut }]
+function v2Hops(path) {
+  return path.slice(1).map((tokenOut, i) => ({ tokenIn: path[i], tokenOut }));
+}
+
+/**
+ * Hops of a packed V3 path (token, fee, token, fee, token...), in path order:
+ * [{ tokenIn, tokenOut, fee }]. exactOutput paths are encoded from the output token.
+ */
+export function decodeV3Path(path) {
+  const bytes = ethers.getBytes(path);
+  if (bytes.length < 43 || (bytes.length - 20) % 23 !== 0) throw new Error('Malformed V3 path');
+
+  const hops = [];
+  for (let offset = 0; offset + 20 < bytes.length; offset += 23) {
+    hops.push({
+      tokenIn: ethers.getAddress(ethers.hexlify(bytes.slice(offset, offset + 20))),
+      fee: Number(ethers.toBigInt(bytes.slice(offset + 20, offset + 23))),
+      tokenOut: ethers.getAddress(ethers.hexlify(bytes.slice(offset + 23, offset + 43))),
+    });
+  }
+  return hops;
+}
+
+/**
+ * Swaps in a router call, in execution order. Multicalls are decoded recursively and calls
+ * that don't swap (unwrapWETH9, refundETH, ...) are skipped.
+ * @param {string} data - Calldata
+ * @param {bigint} value - ETH sent with the call (the input of the ETH-in V2 swaps)
+ * @param {Object} router - { dex, protocol, v2Dex } entry of the router the call is sent to
+ * @returns {Array} [{ protocol, dex, hops, exactInput, amountIn, amountOutMin, amountOut, amountInMax }]
+ */
+export function decodeRouterCall(data, value, router) {
+  let call;
+  try {
+    call = routerInterface.parseTransaction({ data, value });
+  } catch (error) {
+    return []; // Not a call this watcher understands
+  }
+  if (!call) return [];
+
+  const { name, args } = call;
+  if (name === 'multicall') {
+    return args.data.flatMap(inner => decodeRouterCall(inner, value, router));
+  }
+
+  let swap;
+  if (name.startsWith('swap')) {
+    // V2 swaps reach SwapRouter02 too, which trades them on its V2 venue
+    const dex = router.protocol === 'V2' ? router.dex : router.v2Dex;
+    if (!dex) return [];
+    const hops = v2Hops([...args.path]);
+    switch (name) {
+      case 'swapExactTokensForTokens':
+      case 'swapExactTokensForETH':
+        swap = { exactInput: true, amountIn: args.amountIn, amountOutMin: args.amountOutMin };
+        break;
+      case 'swapExactETHForTokens':
+        swap = { exactInput: true, amountIn: value, amountOutMin: args.amountOutMin };
+        break;
+      case 'swapETHForExactTokens':
+        swap = { exactInput: false, amountOut: args.amountOut, amountInMax: value };
+        break;
+      default: // swapTokensForExactTokens, swapTokensForExactETH
+        swap = { exactInput: false, amountOut: args.amountOut, amountInMax: args.amountInMax };
+    }
+    swap = { protocol: 'V2', dex, hops, ...swap };
+  } else {
+    if (router.protocol !== 'V3') return [];
+    const [params] = args;
+    switch (name) {
+      case 'exactInputSingle':
+        swap = { exactInput: true, hops: [{ tokenIn: params.tokenIn, tokenOut: params.tokenOut, fee: Number(params.fee) }], amountIn: params.amountIn, amountOutMin: params.amountOutMinimum };
+        break;
+      case 'exactInput':
+        swap = { exactInput: true, hops: decodeV3Path(params.path), amountIn: params.amountIn, amountOutMin: params.amountOutMinimum };
+        break;
+      case 'exactOutputSingle':
+        swap = { exactInput: false, hops: [{ tokenIn: params.tokenIn, tokenOut: params.tokenOut, fee: Number(params.fee) }], amountOut: params.amountOut, amountInMax: params.amountInMaximum };
+        break;
+      default: { // exactOutput: the path runs from the output token back to the input
+        const hops = decodeV3Path(params.path).reverse().map(hop => ({ tokenIn: hop.tokenOut, tokenOut: hop.tokenIn, fee: hop.fee }));
+        swap = { exactInput: false, hops, amountOut: params.amountOut, amountInMax: params.amountInMaximum };
+      }
+    }
+    swap = { protocol: 'V3', dex: router.dex, ...swap };
+  }
+
+  // SwapRouter02 uses amountIn 0 for "the router's balance" (chained multicall swaps); it can't be sized here
+  const amount = swap.exactInput ? swap.amountIn : swap.amountOut;
+  return amount > 0n ? [swap] : [];
+}
+
+/**
+ * Raw signed bytes of a transaction fetched from a node (what a bundle needs to include it).
+ * Throws if the rebuilt transaction doesn't recover to the original sender.
+ */
+export function serializeSignedTransaction(tx) {
+  if (tx.type > 2) throw new Error(`Unsupported transaction type ${tx.type}`);
+
+  const unsigned = {
+    type: tx.type,
+    chainId: tx.chainId,
+    nonce: tx.nonce,
+    to: tx.to,
+    data: tx.data,
+    value: tx.value,
+    gasLimit: tx.gasLimit,
+  };
+  if (tx.type === 2) {
+    unsigned.maxFeePerGas = tx.maxFeePerGas;
+    unsigned.maxPriorityFeePerGas = tx.maxPriorityFeePerGas;
+  } else {
+    unsigned.gasPrice = tx.gasPrice;
+  }
+  if (tx.type >= 1) unsigned.accessList = tx.accessList || [];
+
+  const transaction = ethers.Transaction.from(unsigned);
+  transaction.signature = tx.signature;
+  if (transaction.from.toLowerCase() !== tx.from.toLowerCase()) {
+    throw new Error(`Rebuilt transaction ${tx.hash} does not recover to its sender`);
+  }
+  return transaction.serialized;
+}
+
+export class MempoolWatcher {
+  /**
+   * @param {Object} provider - ethers v6 WebSocketProvider pending transactions are read from
+   * @param {Object} options
+   * @param {Map} options.routers - Router address (lowercase) -> { address, dex, protocol, v2Dex } (see DexAdapterRegistry.routers)
+   * @param {UniswapScanner} options.v2Scanner - Tracked V2 pairs, their reserves and the V2 round-trip math
+   * @param {UniswapV3Scanner} options.v3Scanner - Tracked V3 pools and their simulators (optional)
+   * @param {TokenRegistry} options.tokenRegistry - Values swaps and start tokens in ETH (without one only WETH is)
+   * @param {string} options.weth - Wrapped native token (default mainnet WETH)
+   * @param {bigint} options.minSwapEth - Smallest swap, in wei, worth simulating (default 10 ETH)
+   * @param {bigint} options.amountIn - Fallback quote size in wei when no size is profitable (default 1 ETH)
+   * @param {number} options.maxInFlight - Pending transactions processed at once; the rest are dropped (default 8)
+   * @param {Function} options.onOpportunities - Called with (opportunities, tx) for each swap that leaves a profitable backrun
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.routers = options.routers || new Map();
+    this.v2Scanner = options.v2Scanner;
+    this.v3Scanner = options.v3Scanner || null;
+    this.tokenRegistry = options.tokenRegistry || null;
+    this.weth = (options.weth || MAINNET_WETH).toLowerCase();
+    this.minSwapEth = options.minSwapEth ?? ethers.parseEther('10');
+    this.amountIn = options.amountIn ?? ethers.parseEther('1');
+    this.maxInFlight = options.maxInFlight ?? 8;
+    this.onOpportunities = options.onOpportunities || null;
+
+    this.inFlight = 0;
+    this.seen = new Set(); // Pending hashes already handled
+    this.stats = { pending: 0, dropped: 0, routerTxs: 0, largeSwaps: 0, reverting: 0, backruns: 0 };
+    this._onPending = null;
+  }
+
+  // Subscribe to pending transaction hashes
+  async start() {
+    if (this._onPending) return;
+    this._onPending = (hash) => {
+      this.handlePendingHash(hash).catch(error => console.log('⚠️  Mempool watcher error:', error.message));
+    };
+    await this.provider.on('pending', this._onPending);
+  }
+
+  async stop() {
+    if (!this._onPending) return;
+    await this.provider.off('pending', this._onPending);
+    this._onPending = null;
+  }
+
+  getStats() {
+    return { ...this.stats, inFlight: this.inFlight };
+  }
+
+  // Fetch and handle one pending hash; dropped when too many are already being simulated
+  async handlePendingHash(hash) {
+    this.stats.pending++;
+    if (this.seen.has(hash)) return [];
+    if (this.inFlight >= this.maxInFlight) {
+      this.stats.dropped++;
+      return [];
+    }
+    if (this.seen.size >= 10000) this.seen.clear();
+    this.seen.add(hash);
+
+    this.inFlight++;
+    try {
+      const tx = await this.provider.getTransaction(hash);
+      return tx ? await this.handlePendingTransaction(tx) : [];
+    } finally {
+      this.inFlight--;
+    }
+  }
+
+  /**
+   * Decode a pending transaction, apply its swaps to a copy of the pool state and price the
+   * backruns. Each opportunity is stamped with `victim: { hash, rawTransaction, router, dex }`.
+   */
+  async handlePendingTransaction(tx) {
+    const router = tx.to ? this.routers.get(tx.to.toLowerCase()) : null;
+    if (!router) return [];
+    this.stats.routerTxs++;
+
+    const swaps = decodeRouterCall(tx.data, tx.value ?? 0n, router);
+    if (!swaps.some(swap => this.isLargeSwap(swap))) return [];
+    this.stats.largeSwaps++;
+
+    const state = await this.createState();
+    for (const swap of swaps) {
+      if (!(await this.applySwap(state, swap))) {
+        this.stats.reverting++; // The victim's own slippage limit reverts it; nothing to backrun
+        return [];
+      }
+    }
+    if (state.touched.size === 0) return [];
+
+    const opportunities = await this.findBackruns(state);
+    if (opportunities.length === 0) return [];
+
+    const victim = { hash: tx.hash, rawTransaction: serializeSignedTransaction(tx), router: tx.to, dex: swaps[0].dex };
+    const stamped = opportunities.map(opp => ({ ...opp, victim }));
+    this.stats.backruns += stamped.length;
+    if (this.onOpportunities) await this.onOpportunities(stamped, tx);
+    return stamped;
+  }
+
+  // Value of `amount` of `token` in wei (null if it can't be priced)
+  valueInEth(token, amount) {
+    if (token.toLowerCase() === this.weth) return amount;
+    return this.tokenRegistry?.valueInEth(token, amount) ?? null;
+  }
+
+  // Swaps whose input is worth at least minSwapEth move pools enough to be worth simulating
+  isLargeSwap(swap) {
+    const value = this.valueInEth(swap.hops[0].tokenIn, swap.exactInput ? swap.amountIn : swap.amountInMax);
+    return value !== null && value >= this.minSwapEth;
+  }
+
+  // Quote size in a start token: amountIn worth of it (null if it can't be priced)
+  startAmount(token) {
+    if (token.toLowerCase() === this.weth) return this.amountIn;
+    return this.tokenRegistry?.amountForEth(token, this.amountIn) ?? null;
+  }
+
+  /**
+   * Working copy of the pool state: V2 reserves from the scanner's snapshot (the state cache
+   * when it is ready) and V3 simulators loaded as hops need them. Entries are replaced, never
+   * mutated, so the cache is left as it was.
+   */
+  async createState() {
+    const snapshot = await this.v2Scanner.getSnapshot(Object.values(this.v2Scanner.pairs).map(info => info.pair));
+    return {
+      blockNumber: snapshot.blockNumber ?? null,
+      reserves: new Map(snapshot.reserves), // pair address (lowercase) -> reserves
+      simulators: new Map(), // pool address (lowercase) -> V3PoolSimulator (null if not tracked or not loadable)
+      touched: new Map(), // pool address (lowercase) -> { protocol, address }
+    };
+  }
+
+  // Tracked V2 pair of `dex` trading two tokens, with its reserves in `state`
+  v2Pair(state, dex, tokenA, tokenB) {
+    const key = tokenKey(tokenA, tokenB);
+    for (const info of Object.values(this.v2Scanner.pairs)) {
+      if (info.dex !== dex) continue;
+      const reserves = state.reserves.get(info.pair.toLowerCase());
+      if (reserves && tokenKey(reserves.token0, reserves.token1) === key) return { ...info, reserves };
+    }
+    return null;
+  }
+
+  // Tracked V3 pools of two tokens: [{ address, fee }]
+  v3Pools(tokenA, tokenB) {
+    if (!this.v3Scanner) return [];
+    const tracked = new Set(Object.values(this.v3Scanner.pools).map(pool => pool.pool.toLowerCase()));
+    return this.v3Scanner.adapter.feeTiers
+      .map(fee => ({ address: computeV3PoolAddress(this.v3Scanner.factory, tokenA, tokenB, fee), fee }))
+      .filter(pool => tracked.has(pool.address.toLowerCase()));
+  }
+
+  // Simulator of a tracked V3 pool as of `state` (null if untracked or it can't be loaded)
+  async v3Simulator(state, address) {
+    const key = address.toLowerCase();
+    if (!state.simulators.has(key)) {
+      const tracked = Object.values(this.v3Scanner?.pools || {}).some(pool => pool.pool.toLowerCase() === key);
+      const [simulator] = tracked ? await this.v3Scanner.getSimulators([address]) : [null];
+      state.simulators.set(key, simulator);
+    }
+    return state.simulators.get(key);
+  }
+
+  /**
+   * Run one hop through `state`, exact input (`amount` in) or exact output (`amount` out), and
+   * write the pool's post-swap state back. Returns { amountIn, amountOut }, or null if the pool
+   * isn't tracked or the swap can't be priced locally.
+   */
+  async applyHop(state, swap, hop, amount) {
+    if (swap.protocol === 'V2') {
+      const pair = this.v2Pair(state, swap.dex, hop.tokenIn, hop.tokenOut);
+      if (!pair) return null;
+      const { reserves } = pair;
+      const inIsToken0 = reserves.token0.toLowerCase() === hop.tokenIn.toLowerCase();
+      const [reserveIn, reserveOut] = inIsToken0 ? [reserves.reserve0, reserves.reserve1] : [reserves.reserve1, reserves.reserve0];
+      const feeBps = this.v2Scanner.pairFeeBps(pair.pair);
+
+      let amountIn = amount;
+      let amountOut = amount;
+      if (swap.exactInput) {
+        amountOut = getAmountOut(amount, reserveIn, reserveOut, feeBps);
+      } else {
+        if (amount >= reserveOut) return null;
+        amountIn = getAmountIn(amount, reserveIn, reserveOut, feeBps);
+      }
+
+      const [reserve0, reserve1] = inIsToken0
+        ? [reserveIn + amountIn, reserveOut - amountOut]
+        : [reserveOut - amountOut, reserveIn + amountIn];
+      const key = pair.pair.toLowerCase();
+      state.reserves.set(key, { ...reserves, reserve0, reserve1 });
+      state.touched.set(key, { protocol: 'V2', address: pair.pair });
+      return { amountIn, amountOut };
+    }
+
+    if (!this.v3Scanner) return null;
+    const address = computeV3PoolAddress(this.v3Scanner.factory, hop.tokenIn, hop.tokenOut, hop.fee);
+    const simulator = await this.v3Simulator(state, address);
+    if (!simulator) return null;
+
+    const zeroForOne = simulator.token0.toLowerCase() === hop.tokenIn.toLowerCase();
+    let result;
+    try {
+      result = simulator.swap(zeroForOne, swap.exactInput ? amount : -amount);
+    } catch (error) {
+      return null; // Runs past the loaded ticks
+    }
+    const [amountIn, amountOut] = zeroForOne ? [result.amount0, -result.amount1] : [result.amount1, -result.amount0];
+    if (!swap.exactInput && amountOut < amount) return null; // The loaded range can't fill it
+
+    const key = address.toLowerCase();
+    state.simulators.set(key, new V3PoolSimulator({
+      ...simulator,
+      sqrtPriceX96: result.sqrtPriceX96After,
+      tick: result.tickAfter,
+      liquidity: result.liquidityAfter,
+    }));
+    state.touched.set(key, { protocol: 'V3', address });
+    return { amountIn, amountOut };
+  }
+
+  /**
+   * Apply a decoded swap to `state`. Exact-input swaps are followed forwards until the first
+   * untracked pool, exact-output swaps backwards from the output. Returns false when the whole
+   * route was priced and the victim's slippage limit would revert it.
+   */
+  async applySwap(state, swap) {
+    const hops = swap.exactInput ? swap.hops : [...swap.hops].reverse();
+    let amount = swap.exactInput ? swap.amountIn : swap.amountOut;
+    for (const hop of hops) {
+      const result = await this.applyHop(state, swap, hop, amount);
+      if (!result) return true; // Later hops can't be sized; what was applied stands
+      amount = swap.exactInput ? result.amountOut : result.amountIn;
+    }
+    return swap.exactInput ? amount >= swap.amountOutMin : amount <= swap.amountInMax;
+  }
+
+  // Start tokens of a round trip over two tokens: [{ token, amountIn }] for the ones that can be priced
+  startTokens(tokenA, tokenB) {
+    return [tokenA, tokenB]
+      .map(token => ({ token, amountIn: this.startAmount(token) }))
+      .filter(start => start.amountIn !== null);
+  }
+
+  /**
+   * Round trips through every pool the victim moved against each tracked pool on the same two
+   * tokens (V2↔V2, V2↔V3 and V3↔V3, both directions), priced on the post-swap state.
+   */
+  async findBackruns(state) {
+    const opportunities = [];
+    const found = new Set();
+    const add = (result, extra = {}) => {
+      if (!result.profitable) return;
+      const key = [result.pool1 ?? result.pair1, result.pool2 ?? result.pair2, result.path[0]].join('-').toLowerCase();
+      if (found.has(key)) return;
+      found.add(key);
+      opportunities.push({ ...result, ...extra });
+    };
+
+    const pairEntries = Object.entries(this.v2Scanner.pairs);
+    const v2PairsOf = (tokenA, tokenB) => pairEntries
+      .map(([name, info]) => ({ name, info, reserves: state.reserves.get(info.pair.toLowerCase()) }))
+      .filter(({ reserves }) => reserves && tokenKey(reserves.token0, reserves.token1) === tokenKey(tokenA, tokenB));
+    const crossPair = ({ info, reserves }) => ({ ...reserves, pair: info.pair, dex: info.dex, feeBps: this.v2Scanner.pairFeeBps(info.pair) });
+
+    for (const [key, touched] of state.touched) {
+      let tokenA;
+      let tokenB;
+      if (touched.protocol === 'V2') {
+        ({ token0: tokenA, token1: tokenB } = state.reserves.get(key));
+      } else {
+        ({ token0: tokenA, token1: tokenB } = state.simulators.get(key));
+      }
+      const v2Pairs = v2PairsOf(tokenA, tokenB);
+      const v3Pools = this.v3Pools(tokenA, tokenB);
+
+      for (const { token, amountIn } of this.startTokens(tokenA, tokenB)) {
+        // V2 ↔ V2
+        if (touched.protocol === 'V2') {
+          const self = v2Pairs.find(({ info }) => info.pair.toLowerCase() === key);
+          const flashLoanLiquidity = await this.v2Scanner.getFlashLoanLiquidity(token, state.blockNumber);
+          for (const other of v2Pairs) {
+            if (other === self) continue;
+            for (const [first, second] of [[self, other], [other, self]]) {
+              const result = this.v2Scanner.evaluateArbitrage(first.reserves, second.reserves, first.info.pair, second.info.pair, token, amountIn, {
+                blockNumber: state.blockNumber,
+                flashLoanLiquidity,
+              });
+              add(result, { dex1: first.info.dex, dex2: second.info.dex, pairName: first.name, token0: first.info.token0, token1: first.info.token1 });
+            }
+          }
+        }
+
+        // V2 ↔ V3: the moved pool against every pool of the other protocol (both sides post-swap)
+        const crossings = touched.protocol === 'V2'
+          ? v3Pools.map(pool => ({ pool, pair: v2Pairs.find(({ info }) => info.pair.toLowerCase() === key) }))
+          : v2Pairs.map(pair => ({ pool: { address: touched.address }, pair }));
+        for (const { pool, pair } of crossings) {
+          const simulator = await this.v3Simulator(state, pool.address);
+          for (const v3ToV2 of [true, false]) {
+            const result = await this.v3Scanner.findCrossProtocolArbitrage(pool.address, crossPair(pair), token, amountIn, v3ToV2, {
+              poolState: simulator,
+              blockNumber: state.blockNumber,
+              simulator,
+            });
+            add(result, { pairName: `${pool.address} / ${pair.name}` });
+          }
+        }
+
+        // V3 ↔ V3: the moved pool against the pair's other fee tiers
+        if (touched.protocol === 'V3') {
+          const simulator = state.simulators.get(key);
+          for (const other of v3Pools) {
+            if (other.address.toLowerCase() === key) continue;
+            const otherSimulator = await this.v3Simulator(state, other.address);
+            for (const [first, second] of [[touched.address, other.address], [other.address, touched.address]]) {
+              const simulators = first === touched.address ? [simulator, otherSimulator] : [otherSimulator, simulator];
+              const result = await this.v3Scanner.findArbitrageV3(first, second, token, amountIn, { simulators });
+              add(result, { protocol: 'V3', blockNumber: state.blockNumber });
+            }
+          }
+        }
+      }
+    }
+
+    opportunities.sort((a, b) => (b.profit > a.profit ? 1 : -1));
+    return opportunities;
+  }
+}
@@ -0,0 +1,30 @@
+import { ethers } from 'ethers';
+
+// Multicall3 ABI (batch view calls into a single eth_call)
+export const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+];
+
+// Multicall3 is deployed at the same address on mainnet, Sepolia and most EVM chains
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Run `calls` ([{ target, callData }]) in one eth_call at `blockTag`.
+// Individual calls may fail; returns [{ success, returnData }] in the same order.
+export async function multicall(provider, calls, blockTag = 'latest') {
+  if (calls.length === 0) return [];
+  const contract = new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, provider);
+  const results = await contract.aggregate3.staticCall(
+    calls.map(({ target, callData }) => ({ target, allowFailure: true, callData })),
+    { blockTag }
+  );
+  return results.map(([success, returnData]) => ({ success, returnData }));
+}
+
+// Run `calls` through Multicall3 in chunks of `batchSize` at one `blockTag`, to stay under RPC response limits
+export async function batchedMulticall(provider, calls, blockTag, batchSize) {
+  const results = [];
+  for (let i = 0; i < calls.length; i += batchSize) {
+    results.push(...await multicall(provider, calls.slice(i, i + batchSize), blockTag));
+  }
+  return results;
+}
@@ -0,0 +1,133 @@
+/**
+ * Opportunity Ranker
+ * The scanners report the same edge more than once: V2, V3, cross-protocol, Curve/Balancer and
+ * cycle searches all price the pools they share, so one WETH/USDC dislocation can come back as
+ * several opportunities. Only one of them can be traded — the first fill consumes the state the
+ * others were priced on. The ranker groups opportunities that touch a common pool and keeps the
+ * set of pool-disjoint opportunities with the highest total net profit; the rest are discarded.
+ */
+
+import { DEFAULT_ROUTE_GAS } from './profit-model.js';
+
+export class OpportunityRanker {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxExactGroupSize - Largest conflict group solved exactly; bigger groups are
+   *   picked greedily by net profit (default 20)
+   */
+  constructor(options = {}) {
+    this.maxExactGroupSize = options.maxExactGroupSize ?? 20;
+    this.stats = { ranked: 0, selected: 0, discarded: 0 };
+  }
+
+  // Lowercased addresses of every pool an opportunity trades through
+  poolsOf(opp) {
+    const pools = opp.hops ? opp.hops.map(hop => hop.pool) : [opp.pool1 ?? opp.pair1, opp.pool2 ?? opp.pair2];
+    return [...new Set(pools.filter(Boolean).map(pool => pool.toLowerCase()))];
+  }
+
+  // Net profit in ETH wei: as stamped by ProfitModel, otherwise the profit less the route's gas at gasPrice
+  netProfit(opp, gasPrice = 0n) {
+    if (opp.netProfitEth !== undefined) return opp.netProfitEth;
+    return (opp.profitEth ?? opp.profit) - gasPrice * (opp.gasEstimate ?? DEFAULT_ROUTE_GAS);
+  }
+
+  /**
+   * Group opportunities into connected components of the shared-pool graph
+   * @returns {Array<Array<Object>>} Groups of { opp, pools, netProfit }
+   */
+  group(candidates) {
+    const parent = candidates.map((_, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+    const ownerOf = new Map(); // pool -> first candidate seen on it
+    candidates.forEach((candidate, i) => {
+      for (const pool of candidate.pools) {
+        if (ownerOf.has(pool)) parent[find(i)] = find(ownerOf.get(pool));
+        else ownerOf.set(pool, i);
+      }
+    });
+
+    const groups = new Map();
+    candidates.forEach((candidate, i) => {
+      const root = find(i);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(candidate);
+    });
+    return [...groups.values()];
+  }
+
+  /**
+   * Best non-conflicting set of opportunities by total net profit.
+   * @param {Array} opportunities - Profitable opportunities from any scanner
+   * @param {Object} options
+   * @param {bigint} options.gasPrice - Wei per gas the routes' gas is charged at, for opportunities without a
+   *   netProfitEth (default 0: gross profit)
+   * @returns {Object} { selected, discarded, groups }: selected is net profit descending and stamped with
+   *   netProfitEth; groups counts the conflict groups found
+   */
+  rank(opportunities, { gasPrice = 0n } = {}) {
+    const candidates = opportunities.map(opp => ({ opp, pools: this.poolsOf(opp), netProfit: this.netProfit(opp, gasPrice) }));
+    const groups = this.group(candidates);
+
+    const selected = [];
+    for (const group of groups) {
+      const worthwhile = group.filter(candidate => candidate.netProfit > 0n).sort((a, b) => (b.netProfit > a.netProfit ? 1 : b.netProfit < a.netProfit ? -1 : 0));
+      selected.push(...(worthwhile.length <= this.maxExactGroupSize ? this.bestSet(worthwhile) : this.greedySet(worthwhile)));
+    }
+    selected.sort((a, b) => (b.netProfit > a.netProfit ? 1 : b.netProfit < a.netProfit ? -1 : 0));
+
+    const kept = new Set(selected);
+    const discarded = candidates.filter(candidate => !kept.has(candidate)).map(candidate => candidate.opp);
+
+    this.stats.ranked += opportunities.length;
+    this.stats.selected += selected.length;
+    this.stats.discarded += discarded.length;
+    return {
+      selected: selected.map(({ opp, netProfit }) => ({ ...opp, netProfitEth: netProfit })),
+      discarded,
+      groups: groups.length,
+    };
+  }
+
+  // Exact maximum-profit pool-disjoint subset (branch and bound over candidates sorted by net profit)
+  bestSet(candidates) {
+    // remaining[i]: most the candidates from i on could still add
+    const remaining = new Array(candidates.length + 1).fill(0n);
+    for (let i = candidates.length - 1; i >= 0; i--) remaining[i] = remaining[i + 1] + candidates[i].netProfit;
+
+    let best = { total: 0n, picks: [] };
+    const picks = [];
+    const used = new Set();
+    const search = (i, total) => {
+      if (total > best.total) best = { total, picks: [...picks] };
+      if (i === candidates.length || total + remaining[i] <= best.total) return;
+
+      const candidate = candidates[i];
+      if (!candidate.pools.some(pool => used.has(pool))) {
+        picks.push(candidate);
+        candidate.pools.forEach(pool => used.add(pool));
+        search(i + 1, total + candidate.netProfit);
+        candidate.pools.forEach(pool => used.delete(pool));
+        picks.pop();
+      }
+      search(i + 1, total);
+    };
+    search(0, 0n);
+    return best.picks;
+  }
+
+  // Highest net profit first, skipping anything that touches a pool already taken
+  greedySet(candidates) {
+    const used = new Set();
+    return candidates.filter(candidate => {
+      if (candidate.pools.some(pool => used.has(pool))) return false;
+      candidate.pools.forEach(pool => used.add(pool));
+      return true;
+    });
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
@@ -0,0 +1,331 @@
+/**
+ * Pair Discovery
+ * Enumerates V2 pairs from each factory's allPairs list and V3 pools from the factory's
+ * PoolCreated events, keeps those between allowlisted tokens with enough liquidity, and
+ * persists the result as a JSON registry that the scanners load at startup.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { batchedMulticall, multicall } from './multicall.js';
+import { DEX_FACTORIES } from './uniswap-scanner.js';
+import { V3_FACTORY } from './uniswap-v3-scanner.js';
+
+const V2_FACTORY_ABI = [
+  'function allPairsLength() external view returns (uint256)',
+  'function allPairs(uint256) external view returns (address)',
+];
+
+const PAIR_ABI = [
+  'function token0() external view returns (address)',
+  'function token1() external view returns (address)',
+  'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+];
+
+const V3_FACTORY_ABI = [
+  'event PoolCreated(address indexed token0, address indexed token1, uint24 indexed fee, int24 tickSpacing, address pool)',
+];
+
+const ERC20_ABI = [
+  'function balanceOf(address account) external view returns (uint256)',
+];
+
+const factoryInterface = new ethers.Interface(V2_FACTORY_ABI);
+const pairInterface = new ethers.Interface(PAIR_ABI);
+const v3FactoryInterface = new ethers.Interface(V3_FACTORY_ABI);
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+const POOL_CREATED_TOPIC = v3FactoryInterface.getEvent('PoolCreated').topicHash;
+
+// Block the Uniswap V3 factory was deployed at (no PoolCreated logs before it)
+const V3_FACTORY_START_BLOCKS = {
+  mainnet: 12369621,
+};
+
+// Tokens worth trading and the least of each a pool must hold to be tracked
+export const DEFAULT_ALLOWLIST = {
+  mainnet: [
+    { symbol: 'WETH', address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', decimals: 18, minLiquidity: '50' },
+    { symbol: 'USDC', address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6, minLiquidity: '100000' },
+    { symbol: 'USDT', address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', decimals: 6, minLiquidity: '100000' },
+    { symbol: 'DAI', address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', decimals: 18, minLiquidity: '100000' },
+    { symbol: 'WBTC', address: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599', decimals: 8, minLiquidity: '2' },
+  ],
+  sepolia: [],
+};
+
+// Read a registry written by PairDiscovery.save (null if the file doesn't exist)
+export function loadRegistry(registryPath) {
+  if (!registryPath || !fs.existsSync(registryPath)) return null;
+  return JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+}
+
+export class PairDiscovery {
+  /**
+   * @param {Object} provider - ethers v6 provider
+   * @param {string} network - Key into the factory tables ('mainnet', 'sepolia')
+   * @param {Object} options
+   * @param {Array} options.allowlist - [{ symbol, address, decimals, minLiquidity }] where minLiquidity is
+   *   the least of that token (human units) a pool must hold; both tokens of a pool must be allowlisted
+   * @param {Object} options.factories - V2 factories by DEX name (default DEX_FACTORIES[network])
+   * @param {string} options.v3Factory - Uniswap V3 factory (default mainnet factory, null elsewhere)
+   * @param {number} options.v3StartBlock - First block to read PoolCreated logs from (default the factory's deploy block)
+   * @param {string} options.registryPath - JSON file the registry is read from and saved to
+   * @param {number} options.batchSize - Calls per Multicall3 batch (default 500)
+   * @param {number} options.maxLogRange - Blocks per eth_getLogs request (default 10000)
+   * @param {number} options.maxPairsPerFactory - allPairs entries read per factory per run (default all)
+   * @param {TokenSafetyDetector} options.tokenSafety - Probes the tokens of liquid pools; unsafe ones are left out
+   * @param {boolean} options.allowFeeOnTransfer - Keep V2 pairs of fee-on-transfer tokens (priced with the measured fee)
+   */
+  constructor(provider, network = 'mainnet', options = {}) {
+    this.provider = provider;
+    this.network = network;
+    this.allowlist = new Map(
+      (options.allowlist || DEFAULT_ALLOWLIST[network] || []).map(token => [token.address.toLowerCase(), {
+        ...token,
+        minReserve: ethers.parseUnits(String(token.minLiquidity ?? '0'), token.decimals ?? 18),
+      }])
+    );
+    this.factories = options.factories || DEX_FACTORIES[network] || {};
+    this.v3Factory = options.v3Factory !== undefined ? options.v3Factory : (network === 'mainnet' ? V3_FACTORY : null);
+    this.registryPath = options.registryPath || null;
+    this.batchSize = options.batchSize ?? 500;
+    this.maxLogRange = options.maxLogRange ?? 10000;
+    this.maxPairsPerFactory = options.maxPairsPerFactory ?? Infinity;
+    this.tokenSafety = options.tokenSafety || null;
+    this.allowFeeOnTransfer = options.allowFeeOnTransfer ?? false;
+
+    // Cursors and allowlisted candidates carry over between runs so discovery is incremental
+    this.registry = loadRegistry(this.registryPath) || {
+      network,
+      v2Cursors: {}, // dex -> next allPairs index to read
+      v3Cursor: options.v3StartBlock ?? V3_FACTORY_START_BLOCKS[network] ?? 0, // next block to read PoolCreated logs from
+      candidates: { v2: [], v3: [] }, // allowlisted pools, re-checked for liquidity every run
+      pairs: {},
+      v3Pools: {},
+    };
+  }
+
+  _isAllowlisted(token) {
+    return this.allowlist.has(token.toLowerCase());
+  }
+
+  _symbol(token) {
+    return this.allowlist.get(token.toLowerCase())?.symbol || token.slice(0, 8);
+  }
+
+  // Both reserves must meet their token's minimum
+  _hasLiquidity(token0, token1, amount0, amount1) {
+    return amount0 >= this.allowlist.get(token0.toLowerCase()).minReserve
+      && amount1 >= this.allowlist.get(token1.toLowerCase()).minReserve;
+  }
+
+  // New allowlisted pairs from every V2 factory, reading allPairs from where the last run stopped
+  async discoverV2(blockTag) {
+    const found = [];
+    for (const [dex, factory] of Object.entries(this.factories)) {
+      const [lengthResult] = await multicall(this.provider, [
+        { target: factory, callData: factoryInterface.encodeFunctionData('allPairsLength') },
+      ], blockTag);
+      if (!lengthResult.success) {
+        console.warn(`⚠️  Discovery: allPairsLength failed on ${dex}`);
+        continue;
+      }
+
+      const length = Number(factoryInterface.decodeFunctionResult('allPairsLength', lengthResult.returnData)[0]);
+      const start = this.registry.v2Cursors[dex] ?? 0;
+      const end = Math.min(length, start + this.maxPairsPerFactory);
+      if (start >= end) continue;
+
+      const indexCalls = [];
+      for (let i = start; i < end; i++) {
+        indexCalls.push({ target: factory, callData: factoryInterface.encodeFunctionData('allPairs', [i]) });
+      }
+      const pairs = (await batchedMulticall(this.provider, indexCalls, blockTag, this.batchSize))
+        .filter(result => result.success)
+        .map(result => factoryInterface.decodeFunctionResult('allPairs', result.returnData)[0]);
+
+      const tokenCalls = pairs.flatMap(pair => [
+        { target: pair, callData: pairInterface.encodeFunctionData('token0') },
+        { target: pair, callData: pairInterface.encodeFunctionData('token1') },
+      ]);
+      const tokens = await batchedMulticall(this.provider, tokenCalls, blockTag, this.batchSize);
+
+      const allowlisted = [];
+      pairs.forEach((pair, i) => {
+        const [result0, result1] = [tokens[2 * i], tokens[2 * i + 1]];
+        if (!result0.success || !result1.success) return;
+        const token0 = pairInterface.decodeFunctionResult('token0', result0.returnData)[0];
+        const token1 = pairInterface.decodeFunctionResult('token1', result1.returnData)[0];
+        if (this._isAllowlisted(token0) && this._isAllowlisted(token1)) {
+          allowlisted.push({ pair, dex, token0, token1 });
+        }
+      });
+
+      console.log(`🔎 Discovery: ${dex} allPairs ${start}..${end - 1} of ${length}, ${allowlisted.length} allowlisted`);
+      found.push(...allowlisted);
+      this.registry.v2Cursors[dex] = end;
+      this._recordCandidates('v2', allowlisted);
+    }
+    return found;
+  }
+
+  // New allowlisted pools from V3 PoolCreated logs since the last run
+  async discoverV3(toBlock) {
+    if (!this.v3Factory) return [];
+
+    // Filter on indexed token topics so only allowlisted pools come back
+    const tokenTopics = [...this.allowlist.keys()].map(address => ethers.zeroPadValue(address, 32));
+    const found = [];
+
+    for (let from = this.registry.v3Cursor; from <= toBlock; from += this.maxLogRange) {
+      const to = Math.min(from + this.maxLogRange - 1, toBlock);
+      const logs = await this.provider.getLogs({
+        address: this.v3Factory,
+        topics: [POOL_CREATED_TOPIC, tokenTopics, tokenTopics],
+        fromBlock: from,
+        toBlock: to,
+      });
+      const created = logs.map(log => {
+        const { args } = v3FactoryInterface.parseLog(log);
+        return {
+          pool: args.pool,
+          token0: args.token0,
+          token1: args.token1,
+          fee: Number(args.fee),
+          tickSpacing: Number(args.tickSpacing),
+        };
+      });
+      found.push(...created);
+      this.registry.v3Cursor = to + 1;
+      this._recordCandidates('v3', created);
+    }
+    return found;
+  }
+
+  // Add new candidates (`kind` 'v2' or 'v3') to the registry and save it with the cursor that covers them,
+  // so a run that fails later resumes after the range instead of reading it again
+  _recordCandidates(kind, candidates) {
+    const address = candidate => (kind === 'v2' ? candidate.pair : candidate.pool).toLowerCase();
+    const known = new Set(this.registry.candidates[kind].map(address));
+    this.registry.candidates[kind].push(...candidates.filter(candidate => !known.has(address(candidate))));
+    this.save();
+  }
+
+  // Keep the candidates that meet the liquidity minimums at blockTag
+  async filterByLiquidity(v2Candidates, v3Candidates, blockTag) {
+    const reserveCalls = v2Candidates.map(({ pair }) => ({ target: pair, callData: pairInterface.encodeFunctionData('getReserves') }));
+    const balanceCalls = v3Candidates.flatMap(({ pool, token0, token1 }) => [
+      { target: token0, callData: erc20Interface.encodeFunctionData('balanceOf', [pool]) },
+      { target: token1, callData: erc20Interface.encodeFunctionData('balanceOf', [pool]) },
+    ]);
+    const [reserves, balances] = await Promise.all([
+      batchedMulticall(this.provider, reserveCalls, blockTag, this.batchSize),
+      batchedMulticall(this.provider, balanceCalls, blockTag, this.batchSize),
+    ]);
+
+    const v2 = v2Candidates.filter((candidate, i) => {
+      if (!reserves[i].success) return false;
+      const [reserve0, reserve1] = pairInterface.decodeFunctionResult('getReserves', reserves[i].returnData);
+      return this._hasLiquidity(candidate.token0, candidate.token1, reserve0, reserve1);
+    });
+    const v3 = v3Candidates.filter((candidate, i) => {
+      const [result0, result1] = [balances[2 * i], balances[2 * i + 1]];
+      if (!result0.success || !result1.success) return false;
+      const balance0 = erc20Interface.decodeFunctionResult('balanceOf', result0.returnData)[0];
+      const balance1 = erc20Interface.decodeFunctionResult('balanceOf', result1.returnData)[0];
+      return this._hasLiquidity(candidate.token0, candidate.token1, balance0, balance1);
+    });
+    return { v2, v3 };
+  }
+
+  /**
+   * One discovery pass: read new pairs/pools, re-check liquidity of every allowlisted candidate,
+   * rebuild the pairs/v3Pools tables in the scanners' format and save the registry.
+   * @returns {Object} The registry
+   */
+  async discover() {
+    const blockNumber = await this.provider.getBlockNumber();
+    // New candidates are recorded and saved range by range as they are read
+    await Promise.all([
+      this.discoverV2(blockNumber),
+      this.discoverV3(blockNumber),
+    ]);
+
+    const liquid = await this.filterUnsafeTokens(
+      await this.filterByLiquidity(this.registry.candidates.v2, this.registry.candidates.v3, blockNumber),
+      blockNumber,
+    );
+
+    // Same shape as KNOWN_PAIRS / KNOWN_V3_POOLS, plus token addresses
+    this.registry.pairs = {};
+    for (const { pair, dex, token0, token1 } of liquid.v2) {
+      this.registry.pairs[`${this._symbol(token0)}-${this._symbol(token1)}-${dex}`] = {
+        pair,
+        dex,
+        token0: this._symbol(token0),
+        token1: this._symbol(token1),
+        token0Address: token0,
+        token1Address: token1,
+      };
+    }
+    this.registry.v3Pools = {};
+    for (const { pool, token0, token1, fee, tickSpacing } of liquid.v3) {
+      this.registry.v3Pools[`${this._symbol(token0)}-${this._symbol(token1)}-${fee}`] = {
+        pool,
+        fee,
+        tickSpacing,
+        token0: this._symbol(token0),
+        token1: this._symbol(token1),
+        token0Address: token0,
+        token1Address: token1,
+      };
+    }
+    this.registry.blockNumber = blockNumber;
+    this.registry.updatedAt = new Date().toISOString();
+
+    console.log(`✅ Discovery: ${liquid.v2.length} V2 pairs, ${liquid.v3.length} V3 pools meet the liquidity minimums`);
+    this.save();
+    return this.registry;
+  }
+
+  /**
+   * Probe the tokens of liquid pools (each pool is the transfer holder for its own tokens) and drop
+   * pools holding rebasing tokens, tokens whose probe failed, or fee-on-transfer tokens unless
+   * allowFeeOnTransfer is set (V2 only: V3 pools are always refused them). Tokens probed on an earlier
+   * run are not probed again.
+   */
+  async filterUnsafeTokens(liquid, blockTag) {
+    if (!this.tokenSafety) return liquid;
+    const tokenRegistry = this.tokenSafety.tokenRegistry;
+
+    const v2 = [];
+    for (const candidate of liquid.v2) {
+      await this.tokenSafety.inspectPair(candidate.pair, { blockTag });
+      const restricted = [candidate.token0, candidate.token1]
+        .some(token => tokenRegistry.tradeRestriction(token, { allowFeeOnTransfer: this.allowFeeOnTransfer }));
+      if (!restricted) v2.push(candidate);
+    }
+
+    const v3 = [];
+    for (const candidate of liquid.v3) {
+      for (const token of [candidate.token0, candidate.token1]) {
+        await this.tokenSafety.inspectToken(token, candidate.pool, { blockTag });
+      }
+      if (!tokenRegistry.isUnsafe(candidate.token0) && !tokenRegistry.isUnsafe(candidate.token1)) v3.push(candidate);
+    }
+
+    const dropped = liquid.v2.length - v2.length + liquid.v3.length - v3.length;
+    if (dropped > 0) console.log(`⛔ Discovery: ${dropped} pools dropped for fee-on-transfer, rebasing or unprobed tokens`);
+    return { v2, v3 };
+  }
+
+  // Write the registry atomically (temp file + rename) so scanners never read a partial file
+  save() {
+    if (!this.registryPath) return;
+    fs.mkdirSync(path.dirname(this.registryPath), { recursive: true });
+    const tmpPath = `${this.registryPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.registry, null, 2));
+    fs.renameSync(tmpPath, this.registryPath);
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Pool Address Derivation
+ * V2 pairs and V3 pools are deployed with CREATE2, so their addresses follow from the
+ * factory, the pool init code hash and the (sorted) tokens, plus the fee tier for V3.
+ * Deriving them locally replaces a factory.getPair / getPool round trip per lookup;
+ * getDeployed confirms in batches which derived addresses actually hold a pool.
+ */
+
+import { ethers } from 'ethers';
+
+// keccak256 of the UniswapV3Pool creation code (same on every chain the canonical factory is on)
+export const V3_POOL_INIT_CODE_HASH = '0xe34f199b19b2b4f47f68442619d555527d244f78a3297ea89325f843f87b8b54';
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+// Tokens in pool order (token0 has the lower address)
+export function sortTokens(tokenA, tokenB) {
+  const a = ethers.getAddress(tokenA);
+  const b = ethers.getAddress(tokenB);
+  if (a === b) throw new Error(`Identical tokens: ${a}`);
+  return BigInt(a) < BigInt(b) ? [a, b] : [b, a];
+}
+
+// V2 pair address: salt = keccak256(abi.encodePacked(token0, token1))
+export function computeV2PairAddress(factory, initCodeHash, tokenA, tokenB) {
+  const [token0, token1] = sortTokens(tokenA, tokenB);
+  const salt = ethers.solidityPackedKeccak256(['address', 'address'], [token0, token1]);
+  return ethers.getCreate2Address(factory, salt, initCodeHash);
+}
+
+// V3 pool address: salt = keccak256(abi.encode(token0, token1, fee))
+export function computeV3PoolAddress(factory, tokenA, tokenB, fee, initCodeHash = V3_POOL_INIT_CODE_HASH) {
+  const [token0, token1] = sortTokens(tokenA, tokenB);
+  const salt = ethers.keccak256(abiCoder.encode(['address', 'address', 'uint24'], [token0, token1, fee]));
+  return ethers.getCreate2Address(factory, salt, initCodeHash);
+}
+
+/**
+ * Which of `addresses` have code at `blockTag`. Requests go out `batchSize` at a time;
+ * a JsonRpcProvider sends each group as one JSON-RPC batch.
+ * @returns {Set} Deployed addresses (lowercase)
+ */
+export async function getDeployed(provider, addresses, { blockTag = 'latest', batchSize = 100 } = {}) {
+  const deployed = new Set();
+  for (let start = 0; start < addresses.length; start += batchSize) {
+    const chunk = addresses.slice(start, start + batchSize);
+    const codes = await Promise.all(chunk.map(address => provider.getCode(address, blockTag)));
+    chunk.forEach((address, i) => {
+      if (codes[i] && codes[i] !== '0x') deployed.add(address.toLowerCase());
+    });
+  }
+  return deployed;
+}
@@ -0,0 +1,299 @@
+/**
+ * Event-driven Pool State Cache
+ * Seeds V2 reserves and V3 slot0/liquidity once, then keeps them current from
+ * Sync (V2) and Swap (V3) logs. A V3 Mint/Burn changes liquidity at its range's
+ * ticks, which the logs alone can't account for, so the pool is re-read at the
+ * head instead. Rolls back to the last confirmed block's state when a reorg is detected.
+ */
+
+import { ethers } from 'ethers';
+
+const V2_EVENTS = [
+  'event Sync(uint112 reserve0, uint112 reserve1)',
+];
+
+const V3_EVENTS = [
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+  'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+  'event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+];
+
+const v2Interface = new ethers.Interface(V2_EVENTS);
+const v3Interface = new ethers.Interface(V3_EVENTS);
+
+const TOPICS = [
+  v2Interface.getEvent('Sync').topicHash,
+  v3Interface.getEvent('Swap').topicHash,
+  v3Interface.getEvent('Mint').topicHash,
+  v3Interface.getEvent('Burn').topicHash,
+];
+
+function cloneState(map) {
+  return new Map([...map].map(([key, value]) => [key, { ...value }]));
+}
+
+export class PoolStateCache {
+  /**
+   * @param {Object} provider - ethers v6 provider
+   * @param {Object} options
+   * @param {UniswapScanner} options.v2Scanner - Scanner whose pairs are tracked
+   * @param {UniswapV3Scanner} options.v3Scanner - Scanner whose pools are tracked
+   * @param {number} options.confirmations - Blocks after which state is treated as final (default 6)
+   * @param {number} options.maxLogRange - Re-seed instead of replaying logs across larger gaps (default 500)
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.v2Scanner = options.v2Scanner || null;
+    this.v3Scanner = options.v3Scanner || null;
+    this.confirmations = options.confirmations ?? 6;
+    this.maxLogRange = options.maxLogRange ?? 500;
+
+    this.v2 = new Map(); // pair address (lowercase) -> { reserve0, reserve1, token0, token1, blockNumber }
+    this.v3 = new Map(); // pool address (lowercase) -> { token0, token1, fee, sqrtPriceX96, tick, liquidity, blockNumber }
+    this.staleV3 = new Set(); // V3 pools (lowercase) with a Mint/Burn since their state was read, until re-read
+    this.checkpoints = []; // [{ blockNumber, blockHash, v2, v3, staleV3 }] oldest first
+    this.lastBlock = null;
+    this.lastBlockHash = null;
+
+    this.stats = { blocks: 0, logs: 0, reorgs: 0, reseeds: 0, poolReseeds: 0 };
+    this._queue = Promise.resolve();
+    this._onBlock = null;
+  }
+
+  /**
+   * Addresses of every pool the cache tracks
+   */
+  getTrackedAddresses() {
+    const v2 = this.v2Scanner ? Object.values(this.v2Scanner.pairs).map(p => p.pair) : [];
+    const v3 = this.v3Scanner ? Object.values(this.v3Scanner.pools).map(p => p.pool) : [];
+    return { v2, v3 };
+  }
+
+  /**
+   * Read full state for every tracked pool at a single block
+   */
+  async seed(blockNumber = null) {
+    const block = await this.provider.getBlock(blockNumber ?? 'latest');
+    const { v2, v3 } = this.getTrackedAddresses();
+
+    const v2State = new Map();
+    if (this.v2Scanner && v2.length > 0) {
+      const snapshot = await this.v2Scanner.getAllReserves(v2, block.number);
+      for (const [key, reserves] of snapshot.reserves) {
+        v2State.set(key, { ...reserves, blockNumber: block.number });
+      }
+    }
+
+    const v3State = new Map();
+    if (this.v3Scanner && v3.length > 0) {
+      const settled = await Promise.allSettled(v3.map(address => this.v3Scanner.getPoolData(address, block.number)));
+      settled.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+          v3State.set(v3[i].toLowerCase(), { ...result.value, blockNumber: block.number });
+        } else {
+          console.warn(`⚠️  Pool cache: could not seed V3 pool ${v3[i]}:`, result.reason?.message);
+        }
+      });
+    }
+
+    this.v2 = v2State;
+    this.v3 = v3State;
+    this.staleV3 = new Set();
+    this.lastBlock = block.number;
+    this.lastBlockHash = block.hash;
+    this.checkpoints = [];
+    this._checkpoint();
+    console.log(`🗄️  Pool cache seeded at block ${block.number} (V2: ${v2State.size}, V3: ${v3State.size})`);
+  }
+
+  /**
+   * Seed and subscribe to new blocks
+   */
+  async start() {
+    await this.seed();
+    this._onBlock = (blockNumber) => {
+      this.syncTo(blockNumber);
+    };
+    await this.provider.on('block', this._onBlock);
+  }
+
+  /**
+   * Queue a sync up to `blockNumber` and wait for it. Block handling is serialized so logs are
+   * always applied in order; a scan that must see a given head awaits this before reading.
+   */
+  syncTo(blockNumber) {
+    this._queue = this._queue
+      .then(() => this.sync(blockNumber))
+      .catch(error => console.warn('⚠️  Pool cache sync error:', error.message));
+    return this._queue;
+  }
+
+  async stop() {
+    if (this._onBlock) {
+      await this.provider.off('block', this._onBlock);
+      this._onBlock = null;
+    }
+    await this._queue;
+  }
+
+  isReady() {
+    return this.lastBlock !== null;
+  }
+
+  /**
+   * Bring the cache up to `blockNumber`, handling reorgs and large gaps
+   */
+  async sync(blockNumber) {
+    if (!this.isReady()) return this.seed(blockNumber);
+    if (blockNumber <= this.lastBlock) return;
+
+    const head = await this.provider.getBlock(blockNumber);
+    if (!head) return;
+
+    // Reorg check: the block we last applied must still be canonical
+    const canonicalHash = head.number === this.lastBlock + 1
+      ? head.parentHash
+      : (await this.provider.getBlock(this.lastBlock))?.hash;
+    if (canonicalHash !== this.lastBlockHash) {
+      this.stats.reorgs++;
+      console.warn(`⚠️  Pool cache: reorg detected at block ${this.lastBlock}, rolling back to last confirmed state`);
+      if (!this._rollback()) {
+        this.stats.reseeds++;
+        return this.seed(head.number);
+      }
+    }
+
+    if (head.number - this.lastBlock > this.maxLogRange) {
+      this.stats.reseeds++;
+      return this.seed(head.number);
+    }
+
+    const { v2, v3 } = this.getTrackedAddresses();
+    const logs = await this.provider.getLogs({
+      address: [...v2, ...v3],
+      topics: [TOPICS],
+      fromBlock: this.lastBlock + 1,
+      toBlock: head.number,
+    });
+
+    logs.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index));
+    for (const log of logs) {
+      this.applyLog(log);
+    }
+    await this._reseedStaleV3(head.number);
+
+    this.stats.blocks += head.number - this.lastBlock;
+    this.stats.logs += logs.length;
+    this.lastBlock = head.number;
+    this.lastBlockHash = head.hash;
+    this._checkpoint();
+  }
+
+  /**
+   * Apply a single Sync/Swap/Mint/Burn log to the in-memory state
+   */
+  applyLog(log) {
+    const key = log.address.toLowerCase();
+
+    const v2State = this.v2.get(key);
+    if (v2State) {
+      const parsed = v2Interface.parseLog(log);
+      if (parsed?.name === 'Sync') {
+        v2State.reserve0 = parsed.args.reserve0;
+        v2State.reserve1 = parsed.args.reserve1;
+        v2State.blockNumber = log.blockNumber;
+      }
+      return;
+    }
+
+    const v3State = this.v3.get(key);
+    if (!v3State) return;
+
+    const parsed = v3Interface.parseLog(log);
+    if (!parsed) return;
+
+    if (parsed.name === 'Swap') {
+      v3State.sqrtPriceX96 = parsed.args.sqrtPriceX96;
+      v3State.liquidity = parsed.args.liquidity;
+      v3State.tick = parsed.args.tick;
+      v3State.blockNumber = log.blockNumber;
+    } else {
+      // Mint/Burn: re-read the pool once the sync's logs are applied
+      this.staleV3.add(key);
+    }
+  }
+
+  /**
+   * V2 reserves in the same shape as UniswapScanner.getAllReserves()
+   */
+  getV2Snapshot() {
+    // Copy so a scan keeps seeing one block even if logs are applied mid-scan
+    return { blockNumber: this.lastBlock, reserves: cloneState(this.v2) };
+  }
+
+  // Null for untracked pools and for pools waiting on a re-read after a Mint/Burn
+  getV3PoolState(poolAddress) {
+    const key = poolAddress.toLowerCase();
+    const state = this.staleV3.has(key) ? null : this.v3.get(key);
+    return state ? { ...state } : null;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      lastBlock: this.lastBlock,
+      v2Pools: this.v2.size,
+      v3Pools: this.v3.size,
+      staleV3Pools: this.staleV3.size,
+    };
+  }
+
+  // Re-read V3 pools marked by a Mint/Burn at `blockNumber`; one that fails stays stale until the next sync
+  async _reseedStaleV3(blockNumber) {
+    const stale = [...this.staleV3];
+    if (stale.length === 0 || !this.v3Scanner) return;
+
+    const settled = await Promise.allSettled(stale.map(key => this.v3Scanner.getPoolData(key, blockNumber)));
+    settled.forEach((result, i) => {
+      if (result.status === 'fulfilled') {
+        this.v3.set(stale[i], { ...result.value, blockNumber });
+        this.staleV3.delete(stale[i]);
+        this.stats.poolReseeds++;
+      } else {
+        console.warn(`⚠️  Pool cache: could not re-read V3 pool ${stale[i]}:`, result.reason?.message);
+      }
+    });
+  }
+
+  _checkpoint() {
+    this.checkpoints.push({
+      blockNumber: this.lastBlock,
+      blockHash: this.lastBlockHash,
+      v2: cloneState(this.v2),
+      v3: cloneState(this.v3),
+      staleV3: new Set(this.staleV3),
+    });
+
+    // Keep every unconfirmed checkpoint plus the newest confirmed one
+    const confirmedBlock = this.lastBlock - this.confirmations;
+    while (this.checkpoints.length > 1 && this.checkpoints[1].blockNumber <= confirmedBlock) {
+      this.checkpoints.shift();
+    }
+  }
+
+  // Restore the newest confirmed checkpoint; returns false when none is available
+  _rollback() {
+    const confirmedBlock = this.lastBlock - this.confirmations;
+    const index = this.checkpoints.findLastIndex(cp => cp.blockNumber <= confirmedBlock);
+    if (index < 0) return false;
+
+    const checkpoint = this.checkpoints[index];
+    this.checkpoints = this.checkpoints.slice(0, index + 1);
+    this.v2 = cloneState(checkpoint.v2);
+    this.v3 = cloneState(checkpoint.v3);
+    this.staleV3 = new Set(checkpoint.staleV3);
+    this.lastBlock = checkpoint.blockNumber;
+    this.lastBlockHash = checkpoint.blockHash;
+    return true;
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * Pool Venue Scanner
+ * Shared base of the scanners for venues priced by a local pool simulator (Curve, Balancer):
+ * loads the tracked pools once per block and looks for two-leg round trips between one of
+ * those pools and any other venue trading the same two tokens: a V2 pair, a V3 pool, another
+ * pool of the same venue or a pool of a peer venue. Opportunities have the same shape as the
+ * V2/V3 scanners' (path, pathReverse, pool1/pool2, dex1/dex2, hops, gasEstimate, ...).
+ *
+ * Subclasses provide loadSimulator(address, blockNumber), tokensOf(simulator),
+ * legGas(simulator) and legFee(simulator), and set `protocol` and `dex`.
+ */
+
+import { optimizeTradeSize } from './trade-size-optimizer.js';
+import { getAmountOut } from './dex-registry.js';
+import { FLASH_LOAN_GAS, V2_SWAP_GAS } from './dex-adapter.js';
+
+export { FLASH_LOAN_GAS, V2_SWAP_GAS };
+
+export class PoolVenueScanner {
+  /**
+   * @param {Object} provider - ethers v6 provider
+   * @param {string} network - Network name
+   * @param {Object} options
+   * @param {Object} options.pools - Pools by label: { label: { pool } }
+   * @param {TokenRegistry} options.tokenRegistry - Tokens flagged unsafe are never routed
+   * @param {number} options.maxQuotes - Route evaluations per sizing search (default 48, all local)
+   * @param {bigint} options.maxAmountIn - Upper bound of the sizing search (default 10x the scan amount)
+   */
+  constructor(provider, network, options = {}) {
+    this.provider = provider;
+    this.network = network;
+    this.pools = { ...options.pools };
+    this.tokenRegistry = options.tokenRegistry || null;
+    this.maxQuotes = options.maxQuotes ?? 48;
+    this.maxAmountIn = options.maxAmountIn ?? null;
+    this.simulators = new Map(); // pool address (lowercase) -> Promise<simulator | null> for simulatorBlock
+    this.simulatorBlock = null;
+  }
+
+  // Simulator for a pool, loaded once per block (null if loading fails, e.g. no Multicall3)
+  async getSimulator(poolAddress, blockNumber) {
+    if (this.simulatorBlock !== blockNumber) {
+      this.simulators.clear();
+      this.simulatorBlock = blockNumber;
+    }
+
+    const key = poolAddress.toLowerCase();
+    if (!this.simulators.has(key)) {
+      this.simulators.set(key, this.loadSimulator(poolAddress, blockNumber).catch((error) => {
+        console.warn(`⚠️  ${this.protocol} pool ${poolAddress} unavailable:`, error.message);
+        return null;
+      }));
+    }
+    return this.simulators.get(key);
+  }
+
+  // Every tracked pool that loaded at `blockNumber`: [{ label, simulator }]
+  async loadPools(blockNumber = null) {
+    const block = blockNumber ?? await this.provider.getBlockNumber();
+    const labels = Object.keys(this.pools);
+    const simulators = await Promise.all(labels.map(label => this.getSimulator(this.pools[label].pool, block)));
+    return labels.map((label, i) => ({ label, simulator: simulators[i] })).filter(({ simulator }) => simulator);
+  }
+
+  // Tokens of the tracked pools that are safe to route (candidate start tokens for scanCrossVenue)
+  async tokens(blockNumber = null) {
+    const tokens = new Map();
+    for (const { simulator } of await this.loadPools(blockNumber)) {
+      for (const token of this.tokensOf(simulator)) {
+        if (!this.isUnsafeToken(token)) tokens.set(token.toLowerCase(), token);
+      }
+    }
+    return [...tokens.values()];
+  }
+
+  // Fee-on-transfer and rebasing tokens are left out: the pool math assumes the pool receives what was sent
+  isUnsafeToken(token) {
+    return this.tokenRegistry?.isUnsafe(token) ?? false;
+  }
+
+  // One leg through a tracked pool; resolves to { amountOut, gasEstimate } like the other scanners' quotes
+  quoteLeg(simulator, tokenIn, tokenOut, amountIn) {
+    return {
+      amountOut: simulator.quoteExactInput(tokenIn, tokenOut, amountIn).amountOut,
+      gasEstimate: this.legGas(simulator),
+    };
+  }
+
+  // Tracked pools holding both tokens, as legs { pool, dex, protocol, fee, label, quote(tokenIn, tokenOut, amountIn) }
+  poolLegs(pools, tokenA, tokenB) {
+    return pools
+      .filter(({ simulator }) => simulator.indexOf(tokenA) >= 0 && simulator.indexOf(tokenB) >= 0)
+      .map(({ label, simulator }) => ({
+        pool: simulator.address,
+        dex: this.dex,
+        protocol: this.protocol,
+        fee: this.legFee(simulator),
+        label,
+        quote: async (tokenIn, tokenOut, amountIn) => this.quoteLeg(simulator, tokenIn, tokenOut, amountIn),
+      }));
+  }
+
+  _v2Legs(v2Scanner, snapshot, tokenA, tokenB) {
+    const key = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort().join('-');
+    const legs = [];
+    for (const [label, pairInfo] of Object.entries(v2Scanner.pairs)) {
+      const reserves = snapshot.reserves.get(pairInfo.pair.toLowerCase());
+      if (!reserves || [reserves.token0.toLowerCase(), reserves.token1.toLowerCase()].sort().join('-') !== key) continue;
+      const feeBps = v2Scanner.pairFeeBps(pairInfo.pair);
+      legs.push({
+        pool: pairInfo.pair,
+        dex: pairInfo.dex,
+        protocol: 'V2',
+        fee: feeBps * 100, // In V3 fee units (hundredths of a bp), as scanCrossProtocol reports V2 legs
+        label,
+        quote: async (tokenIn, tokenOut, amountIn) => {
+          const zeroForOne = reserves.token0.toLowerCase() === tokenIn.toLowerCase();
+          const [reserveIn, reserveOut] = zeroForOne ? [reserves.reserve0, reserves.reserve1] : [reserves.reserve1, reserves.reserve0];
+          return { amountOut: getAmountOut(amountIn, reserveIn, reserveOut, feeBps), gasEstimate: V2_SWAP_GAS };
+        },
+      });
+    }
+    return legs;
+  }
+
+  _v3Legs(v3Scanner, poolStates, simulators, tokenA, tokenB) {
+    const key = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort().join('-');
+    const legs = [];
+    Object.entries(v3Scanner.pools).forEach(([label, { pool }], i) => {
+      if (poolStates[i].status !== 'fulfilled') return;
+      const state = poolStates[i].value;
+      if ([state.token0.toLowerCase(), state.token1.toLowerCase()].sort().join('-') !== key) return;
+      legs.push({
+        pool,
+        dex: 'uniswapV3',
+        protocol: 'V3',
+        fee: Number(state.fee),
+        label,
+        quote: (tokenIn, tokenOut, amountIn) => v3Scanner.quoteLeg(simulators[i], tokenIn, tokenOut, amountIn, state.fee),
+      });
+    });
+    return legs;
+  }
+
+  /**
+   * Size a two-leg round trip tokenIn -> tokenOut on leg1, tokenOut -> tokenIn on leg2.
+   * @returns {Object} Opportunity (profitable false when no size pays)
+   */
+  async evaluateRoute(leg1, leg2, tokenIn, tokenOut, amountIn, { blockNumber = null } = {}) {
+    const route = async (size) => {
+      const quote1 = await leg1.quote(tokenIn, tokenOut, size);
+      if (quote1.amountOut === 0n) return { amountOut: 0n, gasEstimate: 0n };
+      const quote2 = await leg2.quote(tokenOut, tokenIn, quote1.amountOut);
+      return {
+        amountOut: quote2.amountOut,
+        gasEstimate: FLASH_LOAN_GAS + (quote1.gasEstimate || 0n) + (quote2.gasEstimate || 0n),
+      };
+    };
+
+    const maxAmountIn = this.maxAmountIn ?? amountIn * 10n;
+    if (maxAmountIn < 2n) return { profitable: false, profit: 0n };
+    const sized = await optimizeTradeSize(route, {
+      minAmountIn: maxAmountIn / 1000n || 1n,
+      maxAmountIn,
+      maxQuotes: this.maxQuotes,
+    });
+    const profit = sized.profit > 0n ? sized.profit : 0n;
+
+    return {
+      profitable: profit > 0n,
+      profit,
+      amountIn: sized.amountIn,
+      amountOut: sized.amountOut,
+      optimalAmountIn: sized.amountIn,
+      expectedProfit: profit,
+      profitCurve: sized.samples,
+      path: [tokenIn, tokenOut], // [tokenA, tokenB] for flash loan
+      pathReverse: [tokenOut, tokenIn], // [tokenB, tokenA] for return swap
+      pool1: leg1.pool, // Pools in execution order
+      pool2: leg2.pool,
+      dex1: leg1.dex,
+      dex2: leg2.dex,
+      fee1: leg1.fee,
+      fee2: leg2.fee,
+      hops: [
+        { pool: leg1.pool, protocol: leg1.protocol, dex: leg1.dex, fee: leg1.fee, tokenIn, tokenOut },
+        { pool: leg2.pool, protocol: leg2.protocol, dex: leg2.dex, fee: leg2.fee, tokenIn: tokenOut, tokenOut: tokenIn },
+      ],
+      gasEstimate: sized.gasEstimate,
+      protocol: `${leg1.protocol}→${leg2.protocol}`,
+      pairName: `${leg1.label} / ${leg2.label}`,
+      blockNumber,
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Round trips through every tracked pool holding a start token, against every other venue on
+   * the same two tokens, in both directions.
+   * @param {Array} startTokens - [{ token, amountIn }]: flash-loan assets and their scan amounts
+   * @param {Object} venues - { v2Scanner, v3Scanner, peers } where peers are other PoolVenueScanners
+   *   (any may be omitted; pools of this venue against each other are always checked)
+   * @returns {Array} Profitable opportunities, profit descending
+   */
+  async scanCrossVenue(startTokens, { v2Scanner = null, v3Scanner = null, peers = [] } = {}) {
+    const v2Addresses = v2Scanner ? Object.values(v2Scanner.pairs).map(pair => pair.pair) : [];
+    const v3Addresses = v3Scanner ? Object.values(v3Scanner.pools).map(pool => pool.pool) : [];
+    const [snapshot, poolStates, v3Simulators] = await Promise.all([
+      v2Scanner ? v2Scanner.getSnapshot(v2Addresses) : null,
+      Promise.allSettled(v3Addresses.map(address => v3Scanner.getPoolState(address))),
+      v3Scanner ? v3Scanner.getSimulators(v3Addresses) : [],
+    ]);
+    const blockNumber = snapshot?.blockNumber ?? await this.provider.getBlockNumber();
+    const [pools, ...peerPools] = await Promise.all([this, ...peers].map(scanner => scanner.loadPools(blockNumber)));
+
+    const opportunities = [];
+    const seen = new Set(); // One search per start token / counter token pair
+    for (const { token: tokenIn, amountIn } of startTokens) {
+      if (this.isUnsafeToken(tokenIn)) continue;
+      for (const { simulator } of pools) {
+        if (simulator.indexOf(tokenIn) < 0) continue;
+        for (const tokenOut of this.tokensOf(simulator)) {
+          const key = `${tokenIn.toLowerCase()}-${tokenOut.toLowerCase()}`;
+          if (tokenOut.toLowerCase() === tokenIn.toLowerCase() || this.isUnsafeToken(tokenOut) || seen.has(key)) continue;
+          seen.add(key);
+
+          const ownLegs = this.poolLegs(pools, tokenIn, tokenOut);
+          const otherLegs = [
+            ...ownLegs,
+            ...peers.flatMap((peer, i) => peer.poolLegs(peerPools[i], tokenIn, tokenOut)),
+            ...(snapshot ? this._v2Legs(v2Scanner, snapshot, tokenIn, tokenOut) : []),
+            ...(v3Scanner ? this._v3Legs(v3Scanner, poolStates, v3Simulators, tokenIn, tokenOut) : []),
+          ];
+
+          for (const ownLeg of ownLegs) {
+            for (const otherLeg of otherLegs) {
+              if (otherLeg.pool === ownLeg.pool) continue;
+              // Pairs of our own pools come up twice; each direction is covered once as own-first
+              const directions = otherLeg.protocol === this.protocol ? [[ownLeg, otherLeg]] : [[ownLeg, otherLeg], [otherLeg, ownLeg]];
+              for (const [leg1, leg2] of directions) {
+                try {
+                  const result = await this.evaluateRoute(leg1, leg2, tokenIn, tokenOut, amountIn, { blockNumber });
+                  if (result.profitable) opportunities.push(result);
+                } catch (error) {
+                  console.error(`${this.protocol} route error:`, error.message);
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+
+    opportunities.sort((a, b) => (b.profit > a.profit ? 1 : -1));
+    return opportunities;
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Net Profit Model
+ * Expected profit of an opportunity in ETH after everything the trade pays for: the flash-loan
+ * fee (Aave's FLASHLOAN_PREMIUM_TOTAL or the Balancer Vault's flash-loan fee, both read on-chain),
+ * the route's gas at the current base fee, and the priority fee planned for the builder.
+ * Fees are read once per block with refresh(); evaluate() and filterProfitable() price against them.
+ */
+
+import { ethers } from 'ethers';
+import { AAVE_POOLS } from './uniswap-scanner.js';
+
+const AAVE_POOL_ABI = ['function FLASHLOAN_PREMIUM_TOTAL() external view returns (uint128)'];
+
+// Gas assumed for a route that carries no estimate
+export const DEFAULT_ROUTE_GAS = 300000n;
+
+// Aave V3's premium on mainnet, used until the pool has been read once
+const DEFAULT_AAVE_PREMIUM_BPS = 5n;
+
+// Tip when neither the node nor the configuration suggests one
+const DEFAULT_PRIORITY_FEE = ethers.parseUnits('2', 'gwei');
+
+export class ProfitModel {
+  /**
+   * @param {Object} provider - ethers v6 provider
+   * @param {string} network - Network name, for the default Aave pool
+   * @param {Object} options
+   * @param {string} options.aavePool - Aave V3 Pool the premium is read from (default per network)
+   * @param {BalancerScanner} options.balancerScanner - Source of the Vault's flash-loan fee and liquidity
+   * @param {TokenRegistry} options.tokenRegistry - Values profits and fees of non-WETH assets in ETH
+   * @param {string} options.flashLoanSource - 'aave' (default), 'balancer', or 'auto' (Balancer whenever the Vault holds enough)
+   * @param {bigint} options.priorityFee - Builder tip in wei per gas (default: the node's maxPriorityFeePerGas)
+   * @param {bigint} options.minProfitEth - Net profit in wei a trade has to clear (default 0)
+   */
+  constructor(provider, network = 'mainnet', options = {}) {
+    this.provider = provider;
+    this.aavePool = options.aavePool ?? AAVE_POOLS[network] ?? null;
+    this.balancerScanner = options.balancerScanner || null;
+    this.tokenRegistry = options.tokenRegistry || null;
+    this.source = options.flashLoanSource || 'aave';
+    this.priorityFee = options.priorityFee ?? null;
+    this.minProfitEth = options.minProfitEth ?? 0n;
+
+    this.fees = null; // { blockNumber, baseFee, priorityFee, aavePremiumBps, balancerFee }
+  }
+
+  /**
+   * Read the base fee, the tip and both flash-loan fees; cached for `blockNumber`.
+   * A fee that can't be read keeps its last value.
+   */
+  async refresh(blockNumber = null) {
+    if (this.fees && blockNumber !== null && this.fees.blockNumber === blockNumber) return this.fees;
+
+    const readBalancer = this.balancerScanner && this.source !== 'aave';
+    const [block, feeData, aavePremiumBps, balancerFee] = await Promise.all([
+      this.provider.getBlock(blockNumber ?? 'latest'),
+      this.provider.getFeeData(),
+      this.readAavePremium(),
+      readBalancer ? this.balancerScanner.getFlashLoanFee() : null,
+    ]);
+
+    this.fees = {
+      blockNumber: block?.number ?? blockNumber,
+      baseFee: block?.baseFeePerGas ?? feeData.gasPrice ?? 0n,
+      priorityFee: this.priorityFee ?? feeData.maxPriorityFeePerGas ?? DEFAULT_PRIORITY_FEE,
+      aavePremiumBps: aavePremiumBps ?? this.fees?.aavePremiumBps ?? DEFAULT_AAVE_PREMIUM_BPS,
+      balancerFee: balancerFee ?? this.fees?.balancerFee ?? 0n,
+    };
+    return this.fees;
+  }
+
+  // Aave's total flash-loan premium in bps; null if the pool can't be read
+  async readAavePremium() {
+    if (!this.aavePool) return null;
+    try {
+      const pool = new ethers.Contract(this.aavePool, AAVE_POOL_ABI, this.provider);
+      return BigInt(await pool.FLASHLOAN_PREMIUM_TOTAL());
+    } catch (error) {
+      if (this.fees === null) console.warn('⚠️  Could not read Aave flash loan premium:', error.message);
+      return null;
+    }
+  }
+
+  // Where the loan for `amount` of `asset` comes from: 'aave' or 'balancer'
+  async flashLoanSource(asset, amount) {
+    if (this.source === 'balancer') return 'balancer';
+    if (this.source === 'auto' && this.balancerScanner) {
+      const liquidity = await this.balancerScanner.getFlashLoanLiquidity(asset, this.fees?.blockNumber ?? null);
+      if (liquidity !== null && liquidity >= amount) return 'balancer';
+    }
+    return 'aave';
+  }
+
+  /**
+   * Fee the lender charges on `amount`, in the borrowed asset, rounded the way the lender rounds it.
+   * @param {string} source - 'aave', 'balancer', or 'none' (pre-funded, no loan)
+   */
+  flashLoanFee(source, amount, fees = this.fees) {
+    if (source === 'aave') {
+      const bps = fees?.aavePremiumBps ?? DEFAULT_AAVE_PREMIUM_BPS;
+      return (amount * bps + 5000n) / 10000n; // Aave percentMul: half up
+    }
+    if (source === 'balancer') {
+      const product = amount * (fees?.balancerFee ?? 0n);
+      return product === 0n ? 0n : (product - 1n) / 10n ** 18n + 1n; // Balancer FixedPoint.mulUp
+    }
+    return 0n;
+  }
+
+  // Amount of `token` in ETH wei (the token is taken to be WETH without a registry); null if unpriced
+  valueInEth(token, amount) {
+    if (this.tokenRegistry && token) return this.tokenRegistry.valueInEth(token, amount);
+    return amount;
+  }
+
+  /**
+   * Expected net profit of an opportunity.
+   * @param {Object} opp - Opportunity with path, amountIn, profit (in path[0]) and optionally gasEstimate
+   * @param {Object} options
+   * @param {string} options.source - Loan source ('aave', 'balancer', 'none'); resolved by flashLoanSource() when omitted
+   * @returns {Object} { source, grossProfitEth, premium, premiumEth, gas, baseFee, priorityFee, gasCostEth, tipEth,
+   *   netProfitEth, profitable, reason }; the ETH values are null when the asset has no price
+   */
+  async evaluate(opp, { source = null } = {}) {
+    const fees = this.fees ?? await this.refresh();
+    const asset = opp.path?.[0];
+    source = source ?? await this.flashLoanSource(asset, opp.amountIn);
+
+    const premium = this.flashLoanFee(source, opp.amountIn, fees);
+    const grossProfitEth = this.valueInEth(asset, opp.profit);
+    const premiumEth = this.valueInEth(asset, premium);
+    const gas = opp.gasEstimate ?? DEFAULT_ROUTE_GAS;
+    const gasCostEth = gas * fees.baseFee;
+    const tipEth = gas * fees.priorityFee;
+
+    const evaluation = { source, grossProfitEth, premium, premiumEth, gas, baseFee: fees.baseFee, priorityFee: fees.priorityFee, gasCostEth, tipEth };
+    if (grossProfitEth === null || premiumEth === null) {
+      return { ...evaluation, netProfitEth: null, profitable: false, reason: 'asset has no ETH price' };
+    }
+    const netProfitEth = grossProfitEth - premiumEth - gasCostEth - tipEth;
+    const profitable = netProfitEth > this.minProfitEth;
+    return { ...evaluation, netProfitEth, profitable, reason: profitable ? null : 'net profit below minimum' };
+  }
+
+  // Opportunities that clear minProfitEth net, stamped with profitEth (gross) and netProfitEth
+  async filterProfitable(opportunities) {
+    const kept = [];
+    for (const opp of opportunities) {
+      const evaluation = await this.evaluate(opp);
+      if (evaluation.profitable) kept.push({ ...opp, profitEth: evaluation.grossProfitEth, netProfitEth: evaluation.netProfitEth });
+    }
+    return kept;
+  }
+}
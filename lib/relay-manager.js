@@ -0,0 +1,230 @@
+/**
+ * Relay Manager
+ * Fans a signed bundle out to several block builders over their `eth_sendBundle` JSON-RPC endpoints,
+ * and simulates it with `eth_callBundle` on one of them. It stands in for a FlashbotsBundleProvider
+ * behind the bundle manager (same simulate / sendRawBundle / wait shape). Each builder's acceptance,
+ * simulation and inclusion are counted. A builder that keeps accepting bundles without ever landing
+ * one stops being sent to.
+ */
+
+import { ethers } from 'ethers';
+
+// FlashbotsBundleResolution
+const INCLUDED = 0;
+const BLOCK_PASSED = 1;
+const NONCE_TOO_HIGH = 2;
+
+/**
+ * Builder endpoints from BUILDER_URLS: comma-separated `name=url` entries (a bare url is named by its host)
+ * @returns {Array} [{ name, url }]
+ */
+export function parseBuilderUrls(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf('=');
+    if (separator > 0 && !entry.slice(0, separator).includes('://')) {
+      return { name: entry.slice(0, separator).trim(), url: entry.slice(separator + 1).trim() };
+    }
+    return { name: new URL(entry).hostname, url: entry };
+  });
+}
+
+// Registrable domain of a builder's endpoint (rpc.titanbuilder.xyz -> titanbuilder.xyz); null for IP hosts
+function builderDomain(url) {
+  const host = new URL(url).hostname.toLowerCase();
+  if (/^[\d.]+$/.test(host) || host.includes(':') || !host.includes('.')) return null;
+  return host.split('.').slice(-2).join('.');
+}
+
+export class RelayManager {
+  /**
+   * @param {Array} builders - [{ name, url, coinbase }]; coinbase is the fee recipient of the builder's blocks
+   *   when known, otherwise its blocks are recognized by the builder's name or domain in their extra data
+   * @param {Object} options
+   * @param {ethers.JsonRpcProvider} options.provider - Chain the target blocks and our receipts are read from
+   * @param {Object} options.authSigner - Signs the X-Flashbots-Signature header of every request
+   * @param {string} options.account - Our sender; its transactions tell whether a bundle landed
+   * @param {string} options.simulator - Name of the builder bundles are simulated on (default the first)
+   * @param {number} options.maxMisses - Accepted bundles a builder may fail to land before it is dropped (default 20)
+   * @param {number} options.timeoutMs - Per-request timeout (default 2000)
+   * @param {number} options.pollMs - Block polling interval while waiting for a target block (default 1000)
+   * @param {number} options.blockTimeoutMs - Give up waiting for a target block after this long (default 60000)
+   */
+  constructor(builders, options = {}) {
+    if (builders.length === 0) {
+      throw new Error('At least one builder URL required');
+    }
+    this.builders = builders.map(({ name, url, coinbase = null }) => ({
+      name,
+      url,
+      coinbase: coinbase ? coinbase.toLowerCase() : null,
+      domain: builderDomain(url),
+      active: true,
+      stats: { sent: 0, accepted: 0, rejected: 0, simulations: 0, simulationFailures: 0, landed: 0 },
+    }));
+    this.provider = options.provider;
+    this.authSigner = options.authSigner;
+    this.account = options.account ? options.account.toLowerCase() : null;
+    this.simulator = this.builders.find(builder => builder.name === options.simulator) || this.builders[0];
+    this.maxMisses = options.maxMisses ?? 20;
+    this.timeoutMs = options.timeoutMs ?? 2000;
+    this.pollMs = options.pollMs ?? 1000;
+    this.blockTimeoutMs = options.blockTimeoutMs ?? 60000;
+
+    this.requestId = 1;
+    this.unattributed = 0; // Bundles that landed in a block no configured builder is recognized in
+  }
+
+  // Builders bundles are currently sent to
+  activeBuilders() {
+    return this.builders.filter(builder => builder.active);
+  }
+
+  // One signed JSON-RPC call to a builder: its result, or throws with the endpoint's error
+  async request(builder, method, params) {
+    const body = JSON.stringify({ jsonrpc: '2.0', id: this.requestId++, method, params });
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.authSigner) {
+      const signature = await this.authSigner.signMessage(ethers.id(body));
+      headers['X-Flashbots-Signature'] = `${await this.authSigner.getAddress()}:${signature}`;
+    }
+
+    const response = await fetch(builder.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(this.timeoutMs) });
+    const text = await response.text();
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch {
+      throw new Error(`HTTP ${response.status}: ${text.slice(0, 100)}`);
+    }
+    if (payload.error) throw new Error(payload.error.message || JSON.stringify(payload.error));
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return payload.result;
+  }
+
+  /**
+   * Simulate a bundle for `blockNumber` on the simulator builder (eth_callBundle on the latest state).
+   * @returns {Object} { results, totalGasUsed, coinbaseDiff, ethSentToCoinbase, firstRevert, ... } like FlashbotsBundleProvider.simulate,
+   *   or { error: { message } }
+   */
+  async simulate(signedTransactions, blockNumber) {
+    const builder = this.simulator;
+    builder.stats.simulations++;
+    let result;
+    try {
+      result = await this.request(builder, 'eth_callBundle', [{
+        txs: signedTransactions,
+        blockNumber: ethers.toQuantity(blockNumber),
+        stateBlockNumber: 'latest',
+      }]);
+    } catch (error) {
+      builder.stats.simulationFailures++;
+      return { error: { message: `${builder.name}: ${error.message}` } };
+    }
+
+    const results = result.results || [];
+    const firstRevert = results.find(tx => 'error' in tx || 'revert' in tx);
+    if (firstRevert) builder.stats.simulationFailures++;
+    return {
+      bundleHash: result.bundleHash,
+      bundleGasPrice: BigInt(result.bundleGasPrice ?? 0),
+      coinbaseDiff: BigInt(result.coinbaseDiff ?? 0),
+      ethSentToCoinbase: BigInt(result.ethSentToCoinbase ?? 0),
+      gasFees: BigInt(result.gasFees ?? 0),
+      results,
+      totalGasUsed: results.reduce((sum, tx) => sum + Number(tx.gasUsed), 0),
+      firstRevert,
+    };
+  }
+
+  /**
+   * Send a bundle to every active builder for `blockNumber`.
+   * @returns {Object} { bundleHash, builders, wait }, builders holding { name, accepted, error } per builder
+   *   and wait() resolving once the block is mined (0 included, 1 block passed, 2 our nonce was used
+   *   elsewhere); or { error: { message } } when no builder accepted it
+   */
+  async sendRawBundle(signedTransactions, blockNumber) {
+    const targets = this.activeBuilders();
+    const params = [{ txs: signedTransactions, blockNumber: ethers.toQuantity(blockNumber) }];
+    const responses = await Promise.all(targets.map(async builder => {
+      builder.stats.sent++;
+      try {
+        const result = await this.request(builder, 'eth_sendBundle', params);
+        builder.stats.accepted++;
+        return { name: builder.name, accepted: true, bundleHash: result?.bundleHash ?? null, error: null };
+      } catch (error) {
+        builder.stats.rejected++;
+        return { name: builder.name, accepted: false, bundleHash: null, error: error.message };
+      }
+    }));
+
+    const accepted = targets.filter((builder, i) => responses[i].accepted);
+    if (accepted.length === 0) {
+      return { error: { message: `no builder accepted the bundle (${responses.map(r => `${r.name}: ${r.error}`).join('; ')})` } };
+    }
+    return {
+      bundleHash: responses.find(r => r.bundleHash)?.bundleHash ?? null,
+      builders: responses,
+      wait: () => this.waitForInclusion(signedTransactions, blockNumber, accepted),
+    };
+  }
+
+  // Wait for `blockNumber`, tell whether our transactions landed in it, and credit the builder that built it
+  async waitForInclusion(signedTransactions, blockNumber, accepted) {
+    const deadline = Date.now() + this.blockTimeoutMs;
+    while (await this.provider.getBlockNumber() < blockNumber) {
+      if (Date.now() > deadline) return BLOCK_PASSED;
+      await new Promise(resolve => setTimeout(resolve, this.pollMs));
+    }
+
+    const transactions = signedTransactions.map(raw => ethers.Transaction.from(raw));
+    const ours = transactions.filter(tx => !this.account || tx.from.toLowerCase() === this.account);
+    const last = ours[ours.length - 1] || transactions[transactions.length - 1];
+    const receipt = await this.provider.getTransactionReceipt(last.hash);
+
+    if (receipt && receipt.blockNumber === blockNumber) {
+      this.creditBuilder(await this.provider.getBlock(blockNumber));
+      this.dropSilentBuilders(accepted);
+      return INCLUDED;
+    }
+    this.dropSilentBuilders(accepted);
+    const nonce = await this.provider.getTransactionCount(last.from, blockNumber);
+    return nonce > last.nonce ? NONCE_TOO_HIGH : BLOCK_PASSED;
+  }
+
+  // Builder of a block we landed in: its fee recipient, or its name or domain in the extra data
+  creditBuilder(block) {
+    const miner = block?.miner?.toLowerCase();
+    const extraData = ethers.toUtf8String(block?.extraData || '0x', ethers.Utf8ErrorFuncs.ignore).toLowerCase();
+    const builder = this.builders.find(b => b.coinbase && b.coinbase === miner)
+      || this.builders.find(b => extraData && (extraData.includes(b.name.toLowerCase()) || (b.domain && extraData.includes(b.domain))));
+    if (builder) builder.stats.landed++;
+    else this.unattributed++;
+    return builder || null;
+  }
+
+  // Stop sending to builders that accepted maxMisses bundles without landing any (the last active one stays)
+  dropSilentBuilders(builders) {
+    for (const builder of builders) {
+      if (!builder.active || builder.stats.landed > 0 || builder.stats.accepted < this.maxMisses) continue;
+      if (this.activeBuilders().length === 1) return;
+      builder.active = false;
+      console.log(`   🚫 Builder ${builder.name} dropped: ${builder.stats.accepted} bundles accepted, none landed`);
+    }
+  }
+
+  // Per-builder counts and rates (acceptance of sent bundles, simulation success, inclusion of accepted bundles)
+  getStats() {
+    const rate = (part, whole) => (whole > 0 ? part / whole : null);
+    return {
+      unattributed: this.unattributed,
+      builders: this.builders.map(({ name, active, stats }) => ({
+        name,
+        active,
+        ...stats,
+        acceptanceRate: rate(stats.accepted, stats.sent),
+        simulationRate: rate(stats.simulations - stats.simulationFailures, stats.simulations),
+        inclusionRate: rate(stats.landed, stats.accepted),
+      })),
+    };
+  }
+}
@@ -28,8 +28,8 @@ export class SlippageCalculator {
     const reserve1BN = BigInt(reserve1);
 
     // Calculate expected output using constant product formula
-    // amountOut = (amountIn * 997 * reserveOut) / (reserveIn * 1000 + amountIn * 997)
-    // Where 997/1000 = 0.997 (0.3% fee)
+    // amountOut = (amountIn * (10000 - fee) * reserveOut) / (reserveIn * 10000 + amountIn * (10000 - fee))
+    // e.g. 9970/10000 for Uniswap's 0.3%, 9975/10000 for PancakeSwap's 0.25%
     
     const feeMultiplier = BigInt(10000 - feeBasisPoints); // 9970 for 0.3% fee
     const feeDivisor = BigInt(10000);
@@ -58,6 +58,7 @@ export class SlippageCalculator {
 
   /**
    * Calculate minimum amounts for a two-hop arbitrage
+   * Each hop is priced with its pool's swap fee (opportunity.feeBps1 / feeBps2, default 30)
    * 
    * @param {Object} opportunity - Arbitrage opportunity object
    * @param {string} flashLoanAmount - Flash loan amount (in wei)
@@ -70,7 +71,7 @@ export class SlippageCalculator {
       opportunity.reserve0A || opportunity.reserves0A,
       opportunity.reserve1A || opportunity.reserves1A,
       true, // Assuming token0 is the input
-      30 // 0.3% Uniswap fee
+      opportunity.feeBps1 ?? 30
     );
 
     // Second swap: Sell on DEX2
@@ -79,7 +80,7 @@ export class SlippageCalculator {
       opportunity.reserve0B || opportunity.reserves0B,
       opportunity.reserve1B || opportunity.reserves1B,
       false, // Swapping back to original token
-      30 // 0.3% Uniswap fee
+      opportunity.feeBps2 ?? 30
     );
 
     return {
@@ -89,17 +90,28 @@ export class SlippageCalculator {
     };
   }
 
+  /**
+   * Per-hop minimum outputs for the contract's swaps: each hop's expected output less the tolerance
+   *
+   * @param {Array<bigint>} expectedAmountsOut - Expected output of each swap, in route order (wei)
+   * @returns {Array<bigint>} Minimum output of each swap (wei)
+   */
+  calculateHopMinimums(expectedAmountsOut) {
+    const slippageMultiplier = BigInt(10000 - this.slippageBasisPoints);
+    return expectedAmountsOut.map(amountOut => (BigInt(amountOut) * slippageMultiplier) / BigInt(10000));
+  }
+
   /**
    * Validate if an opportunity is still profitable with slippage protection
    * 
    * @param {string} flashLoanAmount - Flash loan amount (in wei)
    * @param {string} minAmountOut2 - Minimum output from second swap (in wei)
-   * @param {string} flashLoanPremium - Aave premium (0.05% = 0.0005)
+   * @param {bigint} flashLoanPremium - Fee the lender charges, in wei (ProfitModel.flashLoanFee; default Aave's 0.05%)
    * @returns {boolean} True if still profitable
    */
-  isProfitableWithSlippage(flashLoanAmount, minAmountOut2, flashLoanPremium = '0.0005') {
+  isProfitableWithSlippage(flashLoanAmount, minAmountOut2, flashLoanPremium = null) {
     const amountBorrowed = BigInt(flashLoanAmount);
-    const premium = (amountBorrowed * BigInt(5)) / BigInt(10000); // 0.05% = 5/10000
+    const premium = flashLoanPremium ?? (amountBorrowed * BigInt(5)) / BigInt(10000); // 0.05% = 5/10000
     const amountOwed = amountBorrowed + premium;
     const minOutput = BigInt(minAmountOut2);
 
@@ -135,15 +147,16 @@ export class SlippageCalculator {
    * 
    * @param {Object} opportunity - Arbitrage opportunity
    * @param {string} flashLoanAmount - Amount to borrow
+   * @param {bigint} flashLoanPremium - Fee the lender charges, in wei (default Aave's 0.05%)
    * @returns {Object} Parameters with slippage protection
    */
-  getProtectedParameters(opportunity, flashLoanAmount) {
+  getProtectedParameters(opportunity, flashLoanAmount, flashLoanPremium = null) {
     const { minAmountOut1, minAmountOut2, expectedProfit } = this.calculateArbitrageSlippage(
       opportunity,
       flashLoanAmount
     );
 
-    const isProfitable = this.isProfitableWithSlippage(flashLoanAmount, minAmountOut2);
+    const isProfitable = this.isProfitableWithSlippage(flashLoanAmount, minAmountOut2, flashLoanPremium);
 
     return {
       minAmountOut1,
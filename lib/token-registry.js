@@ -0,0 +1,257 @@
+/**
+ * Token Registry
+ * Symbol, decimals and transfer-behaviour flags for every token the bot touches,
+ * cached on disk, plus ETH valuation of token amounts from on-chain pool prices
+ * so profits and gas costs are always compared in the same unit.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { multicall } from './multicall.js';
+
+const ERC20_METADATA_ABI = [
+  'function symbol() external view returns (string)',
+  'function decimals() external view returns (uint8)',
+];
+
+// Pre-2018 tokens (MKR, SAI) return symbol as bytes32
+const BYTES32_SYMBOL_ABI = [
+  'function symbol() external view returns (bytes32)',
+];
+
+const metadataInterface = new ethers.Interface(ERC20_METADATA_ABI);
+const bytes32Interface = new ethers.Interface(BYTES32_SYMBOL_ABI);
+
+export const WETH_ADDRESSES = {
+  mainnet: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+  sepolia: '0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14',
+};
+
+// Tokens whose balances change outside transfers, or that take a cut of every transfer.
+// Constant-product math is wrong for both; they are flagged rather than traded blindly.
+const KNOWN_TOKEN_FLAGS = {
+  mainnet: {
+    '0xae7ab96520de3a18e5e111b5eaab095312d7fe84': { rebasing: true }, // stETH
+    '0xd46ba6d942050d489dbd938a2c909a5d5039a161': { rebasing: true }, // AMPL
+    '0x45804880de22913dafe09f4980848ece6ecbaf78': { feeOnTransfer: true, transferFeeBps: 2 }, // PAXG
+  },
+};
+
+// Price as a ratio of raw units: ethAmount = amount * num / den
+const ONE = { num: 1n, den: 1n };
+
+export class TokenRegistry {
+  /**
+   * @param {Object} provider - ethers v6 provider
+   * @param {string} network - Key into the WETH / known-flag tables
+   * @param {Object} options
+   * @param {string} options.cachePath - JSON file metadata is cached in (default none)
+   * @param {string} options.weth - Wrapped native token everything is valued in (default WETH_ADDRESSES[network])
+   * @param {number} options.maxPriceHops - Pools between a token and WETH when pricing (default 2)
+   */
+  constructor(provider, network = 'mainnet', options = {}) {
+    this.provider = provider;
+    this.network = network;
+    this.cachePath = options.cachePath || null;
+    this.weth = (options.weth || WETH_ADDRESSES[network] || ethers.ZeroAddress).toLowerCase();
+    this.maxPriceHops = options.maxPriceHops ?? 2;
+    // address (lowercase) -> { address, symbol, decimals, feeOnTransfer, rebasing, transferFeeBps, probedAt }
+    // probedAt is the block TokenSafetyDetector measured the transfer fee at (absent if never probed)
+    this.tokens = new Map();
+    this.prices = new Map([[this.weth, { ...ONE, depthEth: null }]]); // address (lowercase) -> { num, den, depthEth }
+    this.pricesBlock = null;
+
+    if (this.cachePath && fs.existsSync(this.cachePath)) {
+      const cached = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+      for (const token of Object.values(cached.tokens || {})) {
+        this.tokens.set(token.address.toLowerCase(), token);
+      }
+    }
+  }
+
+  // Metadata of an already resolved token (undefined if never resolved)
+  get(address) {
+    return this.tokens.get(address.toLowerCase());
+  }
+
+  // Resolve one token; see resolveMany
+  async resolve(address) {
+    const [token] = await this.resolveMany([address]);
+    return token;
+  }
+
+  /**
+   * Metadata for each address, reading unknown tokens in one Multicall3 batch and saving them to the cache.
+   * Tokens without a readable decimals() are rejected: no amount of theirs can be priced safely.
+   */
+  async resolveMany(addresses) {
+    const missing = [...new Set(addresses.map(address => address.toLowerCase()))].filter(key => !this.tokens.has(key));
+
+    if (missing.length > 0) {
+      const results = await multicall(this.provider, missing.flatMap(address => [
+        { target: address, callData: metadataInterface.encodeFunctionData('symbol') },
+        { target: address, callData: metadataInterface.encodeFunctionData('decimals') },
+      ]));
+
+      missing.forEach((key, i) => {
+        const [symbolResult, decimalsResult] = [results[2 * i], results[2 * i + 1]];
+        if (!decimalsResult.success) {
+          throw new Error(`Token ${key} has no decimals()`);
+        }
+        const flags = KNOWN_TOKEN_FLAGS[this.network]?.[key] || {};
+        this.tokens.set(key, {
+          address: ethers.getAddress(key),
+          symbol: symbolResult.success ? this._decodeSymbol(symbolResult.returnData) : key.slice(0, 8),
+          decimals: Number(metadataInterface.decodeFunctionResult('decimals', decimalsResult.returnData)[0]),
+          feeOnTransfer: flags.feeOnTransfer ?? false,
+          rebasing: flags.rebasing ?? false,
+          transferFeeBps: flags.transferFeeBps ?? 0,
+        });
+      });
+      this.save();
+    }
+
+    return addresses.map(address => this.tokens.get(address.toLowerCase()));
+  }
+
+  _decodeSymbol(returnData) {
+    try {
+      return metadataInterface.decodeFunctionResult('symbol', returnData)[0];
+    } catch (error) {
+      return ethers.decodeBytes32String(bytes32Interface.decodeFunctionResult('symbol', returnData)[0]);
+    }
+  }
+
+  // Record transfer-behaviour findings (e.g. from a transfer simulation) and persist them
+  setFlags(address, flags) {
+    const token = this.get(address);
+    if (!token) throw new Error(`Token ${address} not resolved`);
+    Object.assign(token, flags);
+    this.save();
+  }
+
+  // Tokens that make constant-product output math unreliable, or whose transfers couldn't be probed
+  isUnsafe(address) {
+    const token = this.get(address);
+    return Boolean(token && (token.feeOnTransfer || token.rebasing || token.probeFailed));
+  }
+
+  // Why a token can't be routed, or null if it can: rebasing or unprobed tokens never, fee-on-transfer tokens only when allowed
+  tradeRestriction(address, { allowFeeOnTransfer = false } = {}) {
+    const token = this.get(address);
+    if (!token) return null;
+    if (token.rebasing) return 'rebasing';
+    if (token.probeFailed) return 'transfer probe failed';
+    if (token.feeOnTransfer && !allowFeeOnTransfer) return `fee-on-transfer (${token.transferFeeBps} bps)`;
+    return null;
+  }
+
+  // Share of every transfer the token keeps, in basis points (0 if none measured)
+  transferFeeBps(address) {
+    return this.get(address)?.transferFeeBps ?? 0;
+  }
+
+  // Human-readable amount, e.g. "1500.25 USDC"
+  format(address, amount) {
+    const token = this.get(address);
+    if (!token) return `${amount.toString()} (${address.slice(0, 8)}… raw)`;
+    return `${ethers.formatUnits(amount, token.decimals)} ${token.symbol}`;
+  }
+
+  /**
+   * Rebuild ETH prices from pool reserves. Each token is priced through the pool
+   * (or chain of up to maxPriceHops pools) back to WETH with the most ETH on its
+   * priced side, so one shallow pool can't set a token's value.
+   * @param {Array} pools - [{ token0, token1, reserve0, reserve1 }]; for V3 pass virtual reserves (see v3VirtualReserves)
+   * @param {number} blockNumber - Block the reserves were read at
+   */
+  updatePrices(pools, blockNumber = null) {
+    const prices = new Map([[this.weth, { ...ONE, depthEth: null }]]);
+
+    for (let hop = 0; hop < this.maxPriceHops; hop++) {
+      const found = new Map();
+      for (const pool of pools) {
+        if (pool.reserve0 === 0n || pool.reserve1 === 0n) continue;
+        const sides = [
+          [pool.token0.toLowerCase(), pool.reserve0, pool.token1.toLowerCase(), pool.reserve1],
+          [pool.token1.toLowerCase(), pool.reserve1, pool.token0.toLowerCase(), pool.reserve0],
+        ];
+        for (const [known, knownReserve, other, otherReserve] of sides) {
+          const price = prices.get(known);
+          if (!price || prices.has(other)) continue;
+          // Depth = ETH value of the side we price against
+          const depthEth = (knownReserve * price.num) / price.den;
+          const best = found.get(other);
+          if (!best || depthEth > best.depthEth) {
+            found.set(other, { num: knownReserve * price.num, den: otherReserve * price.den, depthEth });
+          }
+        }
+      }
+      if (found.size === 0) break;
+      for (const [token, price] of found) prices.set(token, price);
+    }
+
+    this.prices = prices;
+    this.pricesBlock = blockNumber;
+  }
+
+  // Value of `amount` raw units of `address` in wei (null if the token has no price path to WETH)
+  valueInEth(address, amount) {
+    const price = this.prices.get(address.toLowerCase());
+    if (!price) return null;
+    return (amount * price.num) / price.den;
+  }
+
+  // Inverse of valueInEth: raw units of `address` worth `weiAmount` (null if unpriced)
+  amountForEth(address, weiAmount) {
+    const price = this.prices.get(address.toLowerCase());
+    if (!price || price.num === 0n) return null;
+    return (weiAmount * price.den) / price.num;
+  }
+
+  /**
+   * Refresh prices from the scanners' tracked pools (V2 reserves and V3 virtual reserves)
+   * and resolve metadata for every token in them.
+   */
+  async refreshPrices(v2Scanner, v3Scanner = null) {
+    const pools = [];
+    let blockNumber = null;
+
+    if (v2Scanner) {
+      const snapshot = await v2Scanner.getSnapshot(Object.values(v2Scanner.pairs).map(pair => pair.pair));
+      blockNumber = snapshot.blockNumber;
+      pools.push(...snapshot.reserves.values());
+    }
+    if (v3Scanner) {
+      const states = await Promise.allSettled(Object.values(v3Scanner.pools).map(pool => v3Scanner.getPoolState(pool.pool)));
+      for (const state of states) {
+        if (state.status === 'fulfilled') pools.push(v3VirtualReserves(state.value));
+      }
+    }
+
+    await this.resolveMany(pools.flatMap(pool => [pool.token0, pool.token1]));
+    this.updatePrices(pools, blockNumber);
+  }
+
+  save() {
+    if (!this.cachePath) return;
+    fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+    const tokens = Object.fromEntries(this.tokens);
+    const tmpPath = `${this.cachePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ network: this.network, tokens }, null, 2));
+    fs.renameSync(tmpPath, this.cachePath);
+  }
+}
+
+// Constant-product reserves equivalent to a V3 pool at its current price and active liquidity
+export function v3VirtualReserves({ token0, token1, sqrtPriceX96, liquidity }) {
+  const Q96 = 1n << 96n;
+  if (sqrtPriceX96 === 0n) return { token0, token1, reserve0: 0n, reserve1: 0n };
+  return {
+    token0,
+    token1,
+    reserve0: (liquidity * Q96) / sqrtPriceX96,
+    reserve1: (liquidity * sqrtPriceX96) / Q96,
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * Token Safety Detector
+ * Finds fee-on-transfer and rebasing tokens before they are routed. A transfer is
+ * simulated out of a real holder (usually the pool itself) with eth_call, using a state
+ * override that puts the TransferProbe contract's code at the holder's address, so the
+ * token's own transfer logic runs against real balances without anything being sent.
+ * Findings are recorded in the TokenRegistry, which the scanners and discovery consult.
+ */
+
+import fs from 'fs';
+import { ethers } from 'ethers';
+import { multicall } from './multicall.js';
+
+const PROBE_ARTIFACT = new URL('../artifacts/contracts/TransferProbe.sol/TransferProbe.json', import.meta.url);
+
+const PROBE_ABI = [
+  'function probe(address token, address recipient, uint256 amount) external returns (uint256 debited, uint256 received)',
+];
+
+const PAIR_ABI = [
+  'function token0() external view returns (address)',
+  'function token1() external view returns (address)',
+  'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+];
+
+const ERC20_ABI = [
+  'function balanceOf(address account) external view returns (uint256)',
+];
+
+const probeInterface = new ethers.Interface(PROBE_ABI);
+const pairInterface = new ethers.Interface(PAIR_ABI);
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+
+// Fresh address that receives the simulated transfer (no code, no exemptions)
+const PROBE_RECIPIENT = '0x00000000000000000000000000000000000beef1';
+
+export class TokenSafetyDetector {
+  /**
+   * @param {Object} provider - ethers v6 provider whose node accepts eth_call state overrides (geth, erigon, anvil, hardhat)
+   * @param {TokenRegistry} tokenRegistry - Where measured fees and rebasing flags are recorded
+   * @param {Object} options
+   * @param {string} options.probeCode - Runtime bytecode of TransferProbe (default the compiled artifact)
+   * @param {number} options.probeShareBps - Share of the holder's balance moved by the simulated transfer (default 100 = 1%)
+   * @param {number} options.reserveDriftBps - Pair balance vs. reserve gap treated as rebasing (default 10)
+   */
+  constructor(provider, tokenRegistry, options = {}) {
+    this.provider = provider;
+    this.tokenRegistry = tokenRegistry;
+    this.probeCode = options.probeCode || null;
+    this.probeShareBps = BigInt(options.probeShareBps ?? 100);
+    this.reserveDriftBps = BigInt(options.reserveDriftBps ?? 10);
+  }
+
+  _getProbeCode() {
+    if (!this.probeCode) {
+      if (!fs.existsSync(PROBE_ARTIFACT)) {
+        throw new Error('TransferProbe artifact not found (run `npx hardhat compile`)');
+      }
+      this.probeCode = JSON.parse(fs.readFileSync(PROBE_ARTIFACT, 'utf8')).deployedBytecode;
+    }
+    return this.probeCode;
+  }
+
+  // Simulate `holder` transferring `amount` of `token`; returns { debited, received }
+  async probeTransfer(token, holder, amount, blockTag = 'latest') {
+    const data = probeInterface.encodeFunctionData('probe', [token, PROBE_RECIPIENT, amount]);
+    const tag = typeof blockTag === 'number' ? ethers.toQuantity(blockTag) : blockTag;
+    const result = await this.provider.send('eth_call', [
+      { to: holder, data },
+      tag,
+      { [holder]: { code: this._getProbeCode() } },
+    ]);
+    const [debited, received] = probeInterface.decodeFunctionResult('probe', result);
+    return { debited, received };
+  }
+
+  /**
+   * Measure the transfer fee of `token` by moving part of `holder`'s balance, and record it.
+   * Tokens already probed are not probed again unless `force` is set. A token whose probe fails is
+   * flagged probeFailed, which the registry treats as unsafe until a later probe succeeds.
+   * @returns {Object|null} The token's registry entry, or null if it could not be probed
+   */
+  async inspectToken(token, holder, { blockTag = 'latest', force = false } = {}) {
+    const [entry] = await this.tokenRegistry.resolveMany([token]);
+    if (entry.probedAt !== undefined && entry.probedAt !== null && !force) return entry;
+
+    try {
+      const balance = await new ethers.Contract(token, ERC20_ABI, this.provider).balanceOf(holder, { blockTag });
+      const amount = (balance * this.probeShareBps) / 10000n;
+      if (amount === 0n) return null;
+
+      const { debited, received } = await this.probeTransfer(token, holder, amount, blockTag);
+      const lost = debited > received ? debited - received : 0n;
+      // Rounded up so a fee of a fraction of a basis point is still flagged
+      const transferFeeBps = debited === 0n ? 10000 : Number((lost * 10000n + debited - 1n) / debited);
+
+      this.tokenRegistry.setFlags(token, {
+        feeOnTransfer: transferFeeBps > 0,
+        transferFeeBps,
+        probeFailed: false,
+        probedAt: typeof blockTag === 'number' ? blockTag : await this.provider.getBlockNumber(),
+      });
+      if (transferFeeBps > 0) {
+        console.log(`⚠️  ${entry.symbol} takes ${transferFeeBps} bps per transfer`);
+      }
+      return this.tokenRegistry.get(token);
+    } catch (error) {
+      console.warn(`⚠️  Could not probe ${entry.symbol} transfers, treating as unsafe:`, error.message);
+      this.tokenRegistry.setFlags(token, { probeFailed: true });
+      return null;
+    }
+  }
+
+  /**
+   * Inspect both tokens of a V2 pair, using the pair as the holder. A pair whose token balance
+   * has drifted from its stored reserve by more than reserveDriftBps is holding a rebasing token
+   * (its balance changed without a transfer the pair saw).
+   * @returns {Object} { token0, token1, safe } with the registry entries of both tokens
+   */
+  async inspectPair(pairAddress, { blockTag = 'latest' } = {}) {
+    const [token0Result, token1Result, reservesResult] = await multicall(this.provider, ['token0', 'token1', 'getReserves']
+      .map(fn => ({ target: pairAddress, callData: pairInterface.encodeFunctionData(fn) })), blockTag);
+    if (!token0Result.success || !token1Result.success || !reservesResult.success) {
+      throw new Error(`${pairAddress} is not a V2 pair`);
+    }
+    const token0 = pairInterface.decodeFunctionResult('token0', token0Result.returnData)[0];
+    const token1 = pairInterface.decodeFunctionResult('token1', token1Result.returnData)[0];
+    const [reserve0, reserve1] = pairInterface.decodeFunctionResult('getReserves', reservesResult.returnData);
+
+    const balances = await multicall(this.provider, [token0, token1].map(token => ({
+      target: token,
+      callData: erc20Interface.encodeFunctionData('balanceOf', [pairAddress]),
+    })), blockTag);
+
+    const entries = [];
+    for (const [i, token] of [token0, token1].entries()) {
+      const entry = await this.inspectToken(token, pairAddress, { blockTag });
+      const reserve = i === 0 ? reserve0 : reserve1;
+      if (balances[i].success && reserve > 0n) {
+        const balance = erc20Interface.decodeFunctionResult('balanceOf', balances[i].returnData)[0];
+        const drift = balance > reserve ? balance - reserve : reserve - balance;
+        if (drift * 10000n > reserve * this.reserveDriftBps && !this.tokenRegistry.get(token).rebasing) {
+          console.log(`⚠️  ${this.tokenRegistry.get(token).symbol} balance of ${pairAddress} drifted from its reserve: treating as rebasing`);
+          this.tokenRegistry.setFlags(token, { rebasing: true });
+        }
+      }
+      entries.push(entry ?? this.tokenRegistry.get(token));
+    }
+
+    return {
+      token0: entries[0],
+      token1: entries[1],
+      safe: !this.tokenRegistry.isUnsafe(token0) && !this.tokenRegistry.isUnsafe(token1),
+    };
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * Pre-trade Re-validation
+ * Re-reads the exact pools on an opportunity's route at `pending` through the venue adapters,
+ * re-quotes the route at the scanned size with the same adapter math, and rejects the trade
+ * when the edge has decayed past a tolerance. Every check is recorded (opportunity age vs.
+ * decay), so the staleness window can be tuned from data rather than guessed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Age buckets (ms) the decay statistics are grouped by
+const AGE_BUCKETS = [500, 1000, 2000, 3000, 6000, 12000];
+
+export class TradeRevalidator {
+  /**
+   * @param {DexAdapterRegistry} adapters - Venue adapters the route's pools are loaded and quoted through
+   * @param {Object} options
+   * @param {number} options.toleranceBps - Largest accepted drop of the profit, in bps of the scanned profit (default 2000 = 20%)
+   * @param {string} options.blockTag - Block the pools are re-read at (default 'pending')
+   * @param {string} options.logPath - JSONL file every check is appended to (default none)
+   * @param {number} options.maxSamples - Checks the statistics cover (default 1000)
+   * @param {Function} options.now - Clock in ms (default Date.now)
+   */
+  constructor(adapters, options = {}) {
+    this.adapters = adapters;
+    this.toleranceBps = options.toleranceBps ?? 2000;
+    this.blockTag = options.blockTag ?? 'pending';
+    this.logPath = options.logPath || null;
+    this.maxSamples = options.maxSamples ?? 1000;
+    this.now = options.now || Date.now;
+
+    this.samples = []; // [{ ageMs, decayBps, accepted }] newest last
+    this.stats = { checks: 0, accepted: 0, rejected: 0, skipped: 0 };
+  }
+
+  /**
+   * Route of an opportunity as adapter pools: [{ pool, tokenIn, tokenOut }], or null when a hop
+   * is on a venue without an adapter (Curve, Balancer).
+   */
+  routeLegs(opp) {
+    const hops = opp.hops || [
+      { pool: opp.pool1 ?? opp.pair1, dex: opp.dex1, fee: opp.fee1, tokenIn: opp.path[0], tokenOut: opp.path[1] },
+      { pool: opp.pool2 ?? opp.pair2, dex: opp.dex2, fee: opp.fee2, tokenIn: opp.path[1], tokenOut: opp.path[0] },
+    ];
+
+    const legs = [];
+    for (const hop of hops) {
+      // V3↔V3 scans don't name the venue; they only trade the Uniswap V3 pools
+      const adapter = this.adapters.get(hop.dex ?? (opp.protocol === 'V3' ? 'uniswapV3' : null));
+      if (!adapter || !hop.pool) return null;
+      const fee = adapter.protocol === 'V3' ? Number(hop.fee) : null;
+      legs.push({
+        pool: { address: hop.pool, dex: adapter.name, protocol: adapter.protocol, fee },
+        tokenIn: hop.tokenIn,
+        tokenOut: hop.tokenOut,
+      });
+    }
+    return legs;
+  }
+
+  /**
+   * Re-price an opportunity at `blockTag`.
+   * @returns {Object} { accepted, reason, expectedProfit, profit, amountOut, amountsOut, decayBps, ageMs }, amountsOut
+   *   being each leg's output at `blockTag`; `skipped` is set
+   *   (and the trade accepted) when the route has a venue without an adapter
+   */
+  async revalidate(opp) {
+    const ageMs = this.now() - (opp.timestamp ?? this.now());
+    const expectedProfit = opp.profit;
+    const legs = this.routeLegs(opp);
+    if (!legs) {
+      this.stats.skipped++;
+      return { accepted: true, skipped: true, reason: 'no adapter for a venue on the route', expectedProfit, ageMs };
+    }
+
+    const states = await this.adapters.loadState(legs.map(leg => leg.pool), { blockNumber: this.blockTag });
+    let amount = opp.amountIn;
+    const amountsOut = [];
+    for (const { pool, tokenIn, tokenOut } of legs) {
+      const state = states.get(pool.address.toLowerCase());
+      if (!state) return this.record(opp, { accepted: false, reason: `state of ${pool.address} unavailable`, expectedProfit, ageMs });
+      try {
+        ({ amountOut: amount } = await this.adapters.quoteExactIn(pool, state, tokenIn, tokenOut, amount));
+      } catch (error) {
+        return this.record(opp, { accepted: false, reason: `no quote from ${pool.address}: ${error.message}`, expectedProfit, ageMs });
+      }
+      amountsOut.push(amount);
+    }
+
+    const profit = amount - opp.amountIn;
+    // Share of the scanned profit that is gone (negative when the edge widened)
+    const decayBps = expectedProfit > 0n ? Number(((expectedProfit - profit) * 10000n) / expectedProfit) : 0;
+    let reason = null;
+    if (profit <= 0n) reason = 'no longer profitable';
+    else if (decayBps > this.toleranceBps) reason = `edge decayed ${decayBps} bps (tolerance ${this.toleranceBps})`;
+
+    return this.record(opp, { accepted: reason === null, reason, expectedProfit, profit, amountOut: amount, amountsOut, decayBps, ageMs });
+  }
+
+  // Keep a decay sample (and append it to logPath) and count the outcome
+  record(opp, result) {
+    this.stats.checks++;
+    this.stats[result.accepted ? 'accepted' : 'rejected']++;
+
+    // Checks that failed before a quote carry no decay; they are counted but not sampled
+    if (result.decayBps !== undefined) {
+      this.samples.push({ ageMs: result.ageMs, decayBps: result.decayBps, accepted: result.accepted });
+      if (this.samples.length > this.maxSamples) this.samples.shift();
+    }
+
+    if (this.logPath) {
+      const entry = {
+        time: new Date(this.now()).toISOString(),
+        protocol: opp.protocol || 'V2',
+        pools: opp.hops ? opp.hops.map(hop => hop.pool) : [opp.pool1 ?? opp.pair1, opp.pool2 ?? opp.pair2],
+        scanBlock: opp.blockNumber ?? null,
+        ageMs: result.ageMs,
+        expectedProfit: result.expectedProfit?.toString(),
+        profit: result.profit?.toString() ?? null,
+        decayBps: result.decayBps ?? null,
+        accepted: result.accepted,
+        reason: result.reason,
+      };
+      try {
+        fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+        fs.appendFileSync(this.logPath, JSON.stringify(entry) + '\n');
+      } catch (error) {
+        console.warn('⚠️  Could not write re-validation log:', error.message);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Counters plus decay by opportunity age: [{ maxAgeMs, checks, avgDecayBps, rejected }],
+   * the last bucket (maxAgeMs null) holding everything older than the largest bound
+   */
+  getStats() {
+    const buckets = [...AGE_BUCKETS, null].map(maxAgeMs => ({ maxAgeMs, checks: 0, decaySum: 0, rejected: 0 }));
+    for (const sample of this.samples) {
+      const bucket = buckets.find(b => b.maxAgeMs === null || sample.ageMs <= b.maxAgeMs);
+      bucket.checks++;
+      bucket.decaySum += sample.decayBps;
+      if (!sample.accepted) bucket.rejected++;
+    }
+    return {
+      ...this.stats,
+      toleranceBps: this.toleranceBps,
+      byAge: buckets
+        .filter(bucket => bucket.checks > 0)
+        .map(({ maxAgeMs, checks, decaySum, rejected }) => ({ maxAgeMs, checks, avgDecayBps: Math.round(decaySum / checks), rejected })),
+    };
+  }
+}
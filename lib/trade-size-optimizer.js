@@ -0,0 +1,89 @@
+/**
+ * Trade Size Optimizer
+ * Golden-section search for the profit-maximising input of any route whose output
+ * can only be quoted, not solved for (Uniswap V3 legs, mixed V2/V3 routes).
+ */
+
+// 1/phi scaled to 6 decimals: the golden-section interior point ratio
+const INV_PHI = 618034n;
+const SCALE = 1000000n;
+
+/**
+ * Search [minAmountIn, maxAmountIn] for the input that maximises amountOut - amountIn.
+ * Assumes profit is unimodal in the input size, which holds for chains of
+ * constant-product and concentrated-liquidity swaps.
+ *
+ * @param {Function} quoteRoute - async (amountIn: bigint) => amountOut: bigint (same token as amountIn),
+ *   or an object { amountOut, ...extra } whose extra fields (e.g. gasEstimate) are kept on the sample
+ * @param {Object} options
+ * @param {bigint} options.minAmountIn - Lower bound of the search (default 1)
+ * @param {bigint} options.maxAmountIn - Upper bound of the search (required)
+ * @param {number} options.maxQuotes - Maximum number of quoteRoute calls (default 12, minimum 2)
+ * @param {bigint} options.tolerance - Stop once the bracket is this narrow (default 0 = use the whole budget)
+ * @returns {Object} The best sample plus { quotes, samples } where samples is the
+ *   evaluated profit curve [{ amountIn, amountOut, profit, ...extra }] sorted by amountIn
+ */
+export async function optimizeTradeSize(quoteRoute, options = {}) {
+  const minAmountIn = options.minAmountIn ?? 1n;
+  const maxAmountIn = options.maxAmountIn;
+  const maxQuotes = Math.max(2, options.maxQuotes ?? 12);
+  const tolerance = options.tolerance ?? 0n;
+
+  if (maxAmountIn === undefined || maxAmountIn <= minAmountIn) {
+    throw new Error('optimizeTradeSize requires maxAmountIn > minAmountIn');
+  }
+
+  const samples = new Map(); // amountIn -> sample
+  let quotes = 0;
+
+  const evaluate = async (amountIn) => {
+    const cached = samples.get(amountIn);
+    if (cached) return cached.profit;
+
+    quotes++;
+    let quote;
+    try {
+      const result = await quoteRoute(amountIn);
+      quote = typeof result === 'bigint' ? { amountOut: result } : result;
+    } catch (error) {
+      quote = { amountOut: 0n }; // A failed quote (e.g. not enough liquidity) counts as a total loss
+    }
+    const sample = { ...quote, amountIn, profit: quote.amountOut - amountIn };
+    samples.set(amountIn, sample);
+    return sample.profit;
+  };
+
+  let lo = minAmountIn;
+  let hi = maxAmountIn;
+  let c = hi - ((hi - lo) * INV_PHI) / SCALE;
+  let d = lo + ((hi - lo) * INV_PHI) / SCALE;
+  let fc = await evaluate(c);
+  let fd = await evaluate(d);
+
+  while (quotes < maxQuotes && hi - lo > tolerance && hi - lo > 2n) {
+    if (fc >= fd) {
+      // Peak is left of d
+      hi = d;
+      d = c;
+      fd = fc;
+      c = hi - ((hi - lo) * INV_PHI) / SCALE;
+      fc = await evaluate(c);
+    } else {
+      // Peak is right of c
+      lo = c;
+      c = d;
+      fc = fd;
+      d = lo + ((hi - lo) * INV_PHI) / SCALE;
+      fd = await evaluate(d);
+    }
+  }
+
+  const curve = [...samples.values()].sort((a, b) => (a.amountIn < b.amountIn ? -1 : a.amountIn > b.amountIn ? 1 : 0));
+  const best = curve.reduce((top, sample) => (sample.profit > top.profit ? sample : top), curve[0]);
+
+  return {
+    ...best,
+    quotes,
+    samples: curve,
+  };
+}
@@ -1,43 +1,40 @@
 import { ethers } from 'ethers';
+import { SlippageCalculator } from './slippage-calculator.js';
+import { DEXES, DexRegistry, getAmountOut } from './dex-registry.js';
+import { FLASH_LOAN_GAS, V2_SWAP_GAS, createDexAdapters, loadV2Reserves, readV2Reserves } from './dex-adapter.js';
 
-// Uniswap V2 pair ABI (minimal - just what we need)
-const PAIR_ABI = [
-  'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
-  'function token0() external view returns (address)',
-  'function token1() external view returns (address)',
+// Aave V3 Pool ABI (reserve data, to find the aToken holding flash-loanable liquidity)
+const AAVE_POOL_ABI = [
+  'function getReserveData(address asset) external view returns (((uint256 data) configuration, uint128 liquidityIndex, uint128 currentLiquidityRate, uint128 variableBorrowIndex, uint128 currentVariableBorrowRate, uint128 currentStableBorrowRate, uint40 lastUpdateTimestamp, uint16 id, address aTokenAddress, address stableDebtTokenAddress, address variableDebtTokenAddress, address interestRateStrategyAddress, uint128 accruedToTreasury, uint128 unbacked, uint128 isolationModeTotalDebt))',
 ];
 
-// Uniswap V2 Router ABI (for price quotes)
-const ROUTER_ABI = [
-  'function getAmountsOut(uint amountIn, address[] memory path) public view returns (uint[] memory amounts)',
+const ERC20_ABI = [
+  'function balanceOf(address account) external view returns (uint256)',
 ];
 
-// Uniswap V2 Factory ABI (for finding pair addresses dynamically)
-const FACTORY_ABI = [
-  'function getPair(address tokenA, address tokenB) external view returns (address pair)',
-];
-
-// Well-known V2-compatible DEX routers on mainnet
-const DEX_ROUTERS = {
-  mainnet: {
-    uniswap: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D',
-    sushiswap: '0xd9e1cE17f2641f24aE83637ab66a2cca9C378B9F',
-    shibaswap: '0x03f7724180AA6b939894B5Ca4314783B0b36b329',
-    // More V2 clones can be added easily
-  },
-  sepolia: {
-    // Testnet routers (if available)
-  }
+// Aave V3 Pool addresses (see docs/AAVE_ADDRESSES.md)
+export const AAVE_POOLS = {
+  mainnet: '0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2',
+  sepolia: '0x6Ae43d3271ff6888e7Fc43Fd7321a503ff738951',
 };
 
-// Well-known V2 factory addresses for each DEX
-const DEX_FACTORIES = {
-  mainnet: {
-    uniswap: '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f',
-    sushiswap: '0xC0AEe478e3658e2610c5F7A4A2E1777cE9e4f2Ac',
-    shibaswap: '0x115934131916C8b277DD010Ee02de363c09d037c',
+// Integer square root (floor) for BigInt, Newton's method from a power-of-two overestimate
+export function bigIntSqrt(value) {
+  if (value < 0n) throw new Error('Square root of negative number');
+  if (value < 2n) return value;
+  let x = 1n << BigInt(Math.ceil(value.toString(2).length / 2));
+  while (true) {
+    const y = (x + value / x) >> 1n;
+    if (y >= x) return x;
+    x = y;
   }
-};
+}
+
+// Well-known V2 factory addresses for each DEX (from the DEX descriptors; see dex-registry.js)
+export const DEX_FACTORIES = Object.fromEntries(Object.entries(DEXES).map(([network, dexes]) => [
+  network,
+  Object.fromEntries(Object.entries(dexes).map(([name, dex]) => [name, dex.factory])),
+]));
 
 // High-liquidity pairs to scan (mainnet addresses)
 const KNOWN_PAIRS = {
@@ -69,35 +66,85 @@ const KNOWN_PAIRS = {
 };
 
 export class UniswapScanner {
-  constructor(provider, network = 'mainnet') {
+  /**
+   * @param {Object} provider - ethers v6 provider
+   * @param {string} network - Key into the address tables ('mainnet', 'sepolia')
+   * @param {Object} options
+   * @param {SlippageCalculator} options.slippageCalculator - Used to cap trade size by price impact
+   * @param {number} options.maxPriceImpactPercent - Price impact cap on the first hop (default 1%)
+   * @param {string} options.aavePool - Aave V3 Pool used to cap trade size by flash-loan liquidity
+   * @param {number} options.multicallBatchSize - Calls per Multicall3 eth_call when reading reserves (default 500)
+   * @param {Object} options.registry - Discovered pair registry (see PairDiscovery); its pairs replace KNOWN_PAIRS
+   * @param {TokenRegistry} options.tokenRegistry - Values profits in ETH for tokens other than WETH
+   * @param {TokenSafetyDetector} options.tokenSafety - Probes the tokens of pairs added with addPair
+   * @param {boolean} options.allowFeeOnTransfer - Price fee-on-transfer tokens with their measured fee instead of refusing them (default false)
+   * @param {DexRegistry|Object} options.dexes - Venue descriptors (factory, router, fee); a plain object adds to the built-in ones
+   * @param {DexAdapterRegistry} options.adapters - Venue adapters pairs are found through (default one V2Adapter per venue in `dexes`)
+   */
+  constructor(provider, network = 'mainnet', options = {}) {
     this.provider = provider;
     this.network = network;
-    this.pairs = KNOWN_PAIRS[network] || {};
-    this.routers = DEX_ROUTERS[network] || {};
-    this.factories = DEX_FACTORIES[network] || {};
+    this.slippageCalculator = options.slippageCalculator || new SlippageCalculator();
+    this.maxPriceImpactPercent = options.maxPriceImpactPercent ?? 1;
+    this.aavePool = options.aavePool ?? AAVE_POOLS[network] ?? null;
+    this.flashLoanLiquidity = new Map(); // asset (lowercase) -> { blockNumber, liquidity }
+    const registryPairs = options.registry?.pairs;
+    this.pairs = registryPairs && Object.keys(registryPairs).length > 0 ? { ...registryPairs } : KNOWN_PAIRS[network] || {};
+    this.dexes = options.dexes instanceof DexRegistry ? options.dexes : new DexRegistry(network, { dexes: options.dexes });
+    this.routers = this.dexes.routers();
+    this.factories = this.dexes.factories();
+    this.adapters = options.adapters || createDexAdapters(provider, network, { dexes: this.dexes, v3: false });
+    this.pairFees = new Map(); // pair address (lowercase) -> feeBps read by a venue's fee reader
+    this.tokenCache = new Map(); // pair address (lowercase) -> { token0, token1 }
+    this.multicallBatchSize = options.multicallBatchSize ?? 500;
+    this.stateCache = null; // Optional PoolStateCache; when ready, scans read reserves from it
+    this.tokenRegistry = options.tokenRegistry || options.tokenSafety?.tokenRegistry || null;
+    this.tokenSafety = options.tokenSafety || null;
+    this.allowFeeOnTransfer = options.allowFeeOnTransfer ?? false;
   }
 
-  // Dynamically find pair address for a token pair on a specific DEX
+  // Dynamically find pair address for a token pair on a specific DEX (null if the pair doesn't exist)
   async findPairAddress(tokenA, tokenB, dexName) {
-    const factoryAddress = this.factories[dexName];
-    if (!factoryAddress) {
-      throw new Error(`Factory address not found for DEX: ${dexName}`);
-    }
-
-    const factory = new ethers.Contract(factoryAddress, FACTORY_ABI, this.provider);
-    const pairAddress = await factory.getPair(tokenA, tokenB);
-    
-    if (pairAddress === ethers.ZeroAddress) {
-      return null; // Pair doesn't exist on this DEX
-    }
-    
+    const [pairAddress] = await this.findPairAddresses([{ tokenA, tokenB, dex: dexName }]);
     return pairAddress;
   }
 
+  /**
+   * Pair addresses for many lookups at once, through each venue's adapter (CREATE2 plus one
+   * batched getCode where the init code hash is known, factory.getPair otherwise).
+   * @param {Array} lookups - [{ tokenA, tokenB, dex }]
+   * @returns {Array} Pair address or null per lookup
+   */
+  async findPairAddresses(lookups) {
+    const byDex = new Map();
+    lookups.forEach((lookup, i) => {
+      if (!this.factories[lookup.dex] || !this.adapters.get(lookup.dex)) {
+        throw new Error(`Factory address not found for DEX: ${lookup.dex}`);
+      }
+      if (!byDex.has(lookup.dex)) byDex.set(lookup.dex, []);
+      byDex.get(lookup.dex).push(i);
+    });
+
+    const found = new Array(lookups.length).fill(null);
+    await Promise.all([...byDex].map(async ([dex, indexes]) => {
+      const addresses = await this.adapters.get(dex).findPairAddresses(indexes.map(i => lookups[i]));
+      indexes.forEach((lookupIndex, j) => { found[lookupIndex] = addresses[j]; });
+    }));
+    return found;
+  }
+
   // Add a new pair dynamically (useful for discovering new opportunities)
   async addPair(tokenA, tokenB, dexName, label) {
     const pairAddress = await this.findPairAddress(tokenA, tokenB, dexName);
     if (pairAddress) {
+      if (this.tokenSafety) {
+        await this.tokenSafety.inspectPair(pairAddress);
+      }
+      const restriction = this.tradeRestriction(tokenA) || this.tradeRestriction(tokenB);
+      if (restriction) {
+        console.log(`⛔ Refusing pair: ${label} on ${dexName} (${restriction})`);
+        return false;
+      }
       const key = `${label}-${dexName}`;
       this.pairs[key] = {
         pair: pairAddress,
@@ -112,72 +159,232 @@ export class UniswapScanner {
     return false;
   }
 
-  // Fetch reserves for a specific pair
-  async getReserves(pairAddress) {
-    const pair = new ethers.Contract(pairAddress, PAIR_ABI, this.provider);
-    const [reserve0, reserve1, timestamp] = await pair.getReserves();
-    const token0 = await pair.token0();
-    const token1 = await pair.token1();
-    return { reserve0, reserve1, token0, token1, timestamp };
+  // Fetch reserves for a specific pair (token0/token1 are cached after first lookup)
+  async getReserves(pairAddress, blockTag = 'latest') {
+    return readV2Reserves(this.provider, pairAddress, blockTag, this.tokenCache);
+  }
+
+  // Fetch reserves for many pairs through Multicall3 (multicallBatchSize calls per eth_call), all pinned to one block.
+  // Returns { blockNumber, reserves: Map<pairAddress(lowercase), reserves> }.
+  // Pairs whose calls fail are left out of the map.
+  async getAllReserves(pairAddresses = Object.values(this.pairs).map(p => p.pair), blockNumber = null) {
+    return loadV2Reserves(this.provider, pairAddresses, blockNumber, this.tokenCache, this.multicallBatchSize);
+  }
+
+  // Why `token` can't be routed (rebasing, or fee-on-transfer unless allowed), or null
+  tradeRestriction(token) {
+    if (!this.tokenRegistry) return null;
+    return this.tokenRegistry.tradeRestriction(token, { allowFeeOnTransfer: this.allowFeeOnTransfer });
+  }
+
+  // Amount that arrives when `amount` of `token` is transferred (less its measured transfer fee)
+  afterTransferFee(token, amount) {
+    const feeBps = this.tokenRegistry?.transferFeeBps(token) ?? 0;
+    return feeBps > 0 ? (amount * BigInt(10000 - feeBps)) / 10000n : amount;
+  }
+
+  // Swap fee of a tracked pair in bps: its last read dynamic fee, else its venue's fee
+  pairFeeBps(pairAddress) {
+    const key = pairAddress.toLowerCase();
+    if (this.pairFees.has(key)) return this.pairFees.get(key);
+    const pair = Object.values(this.pairs).find(info => info.pair.toLowerCase() === key);
+    return this.dexes.feeBps(pair?.dex);
+  }
+
+  // Re-read fees of pairs on venues with a fee reader (no calls if there are none)
+  async refreshDynamicFees(blockTag = 'latest') {
+    this.pairFees = await this.dexes.readDynamicFees(this.provider, Object.values(this.pairs), blockTag);
+  }
+
+  // Calculate output amount given input, after the pool's swap fee (default 0.3%)
+  calculateAmountOut(amountIn, reserveIn, reserveOut, feeBps = 30) {
+    return getAmountOut(amountIn, reserveIn, reserveOut, feeBps);
+  }
+
+  // Profit-maximising input for tokenIn -> pair1 -> pair2 -> tokenIn (closed form).
+  // The round trip behaves like one constant-product pool with
+  //   out(x) = N*x / (D0 + D1*x), N = g1*g2*b1*a2, D0 = a1*b2, D1 = g1*(b2 + g2*b1)
+  // so profit out(x) - x peaks at x* = (sqrt(N*D0) - D0) / D1. Returns 0n when no size is profitable.
+  calculateOptimalAmountIn(reserveIn1, reserveOut1, reserveIn2, reserveOut2, feeBps1 = 30, feeBps2 = 30) {
+    const g1 = BigInt(10000 - feeBps1);
+    const g2 = BigInt(10000 - feeBps2);
+    const scale = 10n ** 8n; // 10000^2, clears both fee denominators
+
+    const d0 = reserveIn1 * reserveIn2 * scale;
+    const root = bigIntSqrt(g1 * g2 * reserveIn1 * reserveOut1 * reserveIn2 * reserveOut2 * scale);
+    if (root <= d0) return 0n;
+
+    return (root - d0) / (g1 * (10000n * reserveIn2 + g2 * reserveOut1));
+  }
+
+  // Marginal tokenIn received per extra tokenIn put through the round trip at size `amountIn`
+  // (1.0 at the uncapped optimum, above 1.0 when the size was capped below it)
+  calculateMarginalPrice(amountIn, reserveIn1, reserveOut1, reserveIn2, reserveOut2, feeBps1 = 30, feeBps2 = 30) {
+    const g1 = BigInt(10000 - feeBps1);
+    const g2 = BigInt(10000 - feeBps2);
+    const n = g1 * g2 * reserveOut1 * reserveOut2;
+    const d0 = reserveIn1 * reserveIn2 * 10n ** 8n;
+    const d = d0 + g1 * (10000n * reserveIn2 + g2 * reserveOut1) * amountIn;
+    // n*d0/d^2 with 18 decimals of precision before converting to a float
+    const precision = 10n ** 18n;
+    return Number((n * d0 * precision) / (d * d)) / Number(precision);
   }
 
-  // Calculate output amount given input (with 0.3% fee)
-  calculateAmountOut(amountIn, reserveIn, reserveOut) {
-    const amountInWithFee = amountIn * 997n; // 0.3% fee = 997/1000
-    const numerator = amountInWithFee * reserveOut;
-    const denominator = (reserveIn * 1000n) + amountInWithFee;
-    return numerator / denominator;
+  // Liquidity Aave can flash-loan for `asset` (its balance held by the aToken); null if unknown
+  async getFlashLoanLiquidity(asset, blockNumber = null) {
+    if (!this.aavePool) return null;
+
+    const key = asset.toLowerCase();
+    const cached = this.flashLoanLiquidity.get(key);
+    if (cached && blockNumber !== null && cached.blockNumber === blockNumber) {
+      return cached.liquidity;
+    }
+
+    try {
+      const blockTag = blockNumber ?? 'latest';
+      const pool = new ethers.Contract(this.aavePool, AAVE_POOL_ABI, this.provider);
+      const reserveData = await pool.getReserveData(asset, { blockTag });
+      const aToken = reserveData.aTokenAddress;
+      if (aToken === ethers.ZeroAddress) return 0n; // Asset not listed on Aave
+
+      const token = new ethers.Contract(asset, ERC20_ABI, this.provider);
+      const liquidity = await token.balanceOf(aToken, { blockTag });
+      this.flashLoanLiquidity.set(key, { blockNumber, liquidity });
+      return liquidity;
+    } catch (error) {
+      console.warn('⚠️  Could not read Aave liquidity:', error.message);
+      return null;
+    }
   }
 
-  // Find arbitrage opportunity between two pairs for the same token pair
-  async findArbitrage(pair1Address, pair2Address, tokenIn, amountIn) {
+  // Find arbitrage opportunity between two pairs for the same token pair.
+  // Pass a `snapshot` from getAllReserves() to evaluate without any RPC calls.
+  // The trade is sized analytically; `amountIn` is only quoted when no size is profitable.
+  async findArbitrage(pair1Address, pair2Address, tokenIn, amountIn, snapshot = null) {
     try {
-      const [reserves1, reserves2] = await Promise.all([
-        this.getReserves(pair1Address),
-        this.getReserves(pair2Address),
-      ]);
-
-      // Determine which reserve is tokenIn and which is tokenOut
-      const isToken0_1 = reserves1.token0.toLowerCase() === tokenIn.toLowerCase();
-      const reserveIn1 = isToken0_1 ? reserves1.reserve0 : reserves1.reserve1;
-      const reserveOut1 = isToken0_1 ? reserves1.reserve1 : reserves1.reserve0;
-      const tokenOut = isToken0_1 ? reserves1.token1 : reserves1.token0;
-
-      const isToken0_2 = reserves2.token0.toLowerCase() === tokenOut.toLowerCase();
-      const reserveIn2 = isToken0_2 ? reserves2.reserve0 : reserves2.reserve1;
-      const reserveOut2 = isToken0_2 ? reserves2.reserve1 : reserves2.reserve0;
-
-      // Calculate swap pair1: tokenIn -> tokenOut
-      const amountOut1 = this.calculateAmountOut(amountIn, reserveIn1, reserveOut1);
-
-      // Calculate swap pair2: tokenOut -> tokenIn
-      const amountOut2 = this.calculateAmountOut(amountOut1, reserveIn2, reserveOut2);
-
-      // Profit in tokenIn
-      const profit = amountOut2 > amountIn ? amountOut2 - amountIn : 0n;
-      const profitable = profit > 0n;
-
-      return {
-        profitable,
-        profit,
-        amountIn,
-        amountOut: amountOut2,
-        path: [tokenIn, tokenOut], // [tokenA, tokenB] for flash loan
-        pathReverse: [tokenOut, tokenIn], // [tokenB, tokenA] for return swap
-        pair1: pair1Address,
-        pair2: pair2Address,
-        timestamp: Date.now(), // Track when opportunity was found
-      };
+      let reserves1, reserves2;
+      if (snapshot) {
+        reserves1 = snapshot.reserves.get(pair1Address.toLowerCase());
+        reserves2 = snapshot.reserves.get(pair2Address.toLowerCase());
+        if (!reserves1 || !reserves2) return { profitable: false, profit: 0n };
+      } else {
+        [reserves1, reserves2] = await Promise.all([
+          this.getReserves(pair1Address),
+          this.getReserves(pair2Address),
+        ]);
+      }
+
+      const flashLoanLiquidity = await this.getFlashLoanLiquidity(tokenIn, snapshot?.blockNumber ?? null);
+      return this.evaluateArbitrage(reserves1, reserves2, pair1Address, pair2Address, tokenIn, amountIn, {
+        blockNumber: snapshot?.blockNumber ?? null,
+        flashLoanLiquidity,
+      });
     } catch (error) {
       console.error('Error finding arbitrage:', error.message);
       return { profitable: false, profit: 0n };
     }
   }
 
-  // Scan all known pairs for opportunities
+  // Pure two-pool round trip: tokenIn -> tokenOut on pair1, tokenOut -> tokenIn on pair2.
+  // Size = min(optimal, price-impact cap, flash-loan liquidity); falls back to `amountIn` if nothing is profitable.
+  // Swap fees default to each pair's venue fee (see pairFeeBps).
+  evaluateArbitrage(reserves1, reserves2, pair1Address, pair2Address, tokenIn, amountIn, {
+    blockNumber = null,
+    flashLoanLiquidity = null,
+    feeBps1 = this.pairFeeBps(pair1Address),
+    feeBps2 = this.pairFeeBps(pair2Address),
+  } = {}) {
+    // Determine which reserve is tokenIn and which is tokenOut
+    const isToken0_1 = reserves1.token0.toLowerCase() === tokenIn.toLowerCase();
+    const reserveIn1 = isToken0_1 ? reserves1.reserve0 : reserves1.reserve1;
+    const reserveOut1 = isToken0_1 ? reserves1.reserve1 : reserves1.reserve0;
+    const tokenOut = isToken0_1 ? reserves1.token1 : reserves1.token0;
+
+    const isToken0_2 = reserves2.token0.toLowerCase() === tokenOut.toLowerCase();
+    const reserveIn2 = isToken0_2 ? reserves2.reserve0 : reserves2.reserve1;
+    const reserveOut2 = isToken0_2 ? reserves2.reserve1 : reserves2.reserve0;
+
+    const restriction = this.tradeRestriction(tokenIn) || this.tradeRestriction(tokenOut);
+    if (restriction) {
+      return { profitable: false, profit: 0n, refused: restriction };
+    }
+
+    // Transfer fees act like extra swap fees: tokenIn is taxed into pair1 and back out of pair2,
+    // tokenOut out of pair1 and into pair2. Folded in approximately for sizing, exactly for pricing.
+    const feeIn = this.tokenRegistry?.transferFeeBps(tokenIn) ?? 0;
+    const feeOut = this.tokenRegistry?.transferFeeBps(tokenOut) ?? 0;
+    const sizingFeeBps1 = feeBps1 + feeIn;
+    const sizingFeeBps2 = feeBps2 + 2 * feeOut + feeIn;
+
+    // Size the trade: analytical optimum, capped by price impact and available flash-loan liquidity
+    const optimalAmountIn = this.calculateOptimalAmountIn(reserveIn1, reserveOut1, reserveIn2, reserveOut2, sizingFeeBps1, sizingFeeBps2);
+    let sizeLimitedBy = 'optimal';
+    if (optimalAmountIn > 0n) {
+      amountIn = optimalAmountIn;
+      const safeAmount = BigInt(this.slippageCalculator.calculateSafeFlashLoanAmount(reserveIn1, reserveOut1, this.maxPriceImpactPercent));
+      if (safeAmount < amountIn) {
+        amountIn = safeAmount;
+        sizeLimitedBy = 'priceImpact';
+      }
+      if (flashLoanLiquidity !== null && flashLoanLiquidity < amountIn) {
+        amountIn = flashLoanLiquidity;
+        sizeLimitedBy = 'aaveLiquidity';
+      }
+    } else {
+      sizeLimitedBy = 'fixed';
+    }
+
+    // Calculate swap pair1: tokenIn -> tokenOut (what arrives back at the contract)
+    const amountOut1 = this.afterTransferFee(tokenOut,
+      this.calculateAmountOut(this.afterTransferFee(tokenIn, amountIn), reserveIn1, reserveOut1, feeBps1));
+
+    // Calculate swap pair2: tokenOut -> tokenIn
+    const amountOut2 = this.afterTransferFee(tokenIn,
+      this.calculateAmountOut(this.afterTransferFee(tokenOut, amountOut1), reserveIn2, reserveOut2, feeBps2));
+
+    // Profit in tokenIn
+    const profit = amountOut2 > amountIn ? amountOut2 - amountIn : 0n;
+    const profitable = profit > 0n;
+
+    return {
+      profitable,
+      profit,
+      amountIn,
+      amountOut: amountOut2,
+      amountsOut: [amountOut1, amountOut2], // Expected output of each swap (the contract's per-hop minimums)
+      optimalAmountIn, // Uncapped profit-maximising size (0n if none)
+      expectedProfit: profit,
+      marginalPrice: this.calculateMarginalPrice(amountIn, reserveIn1, reserveOut1, reserveIn2, reserveOut2, sizingFeeBps1, sizingFeeBps2),
+      sizeLimitedBy, // 'optimal' | 'priceImpact' | 'aaveLiquidity' | 'fixed'
+      path: [tokenIn, tokenOut], // [tokenA, tokenB] for flash loan
+      pathReverse: [tokenOut, tokenIn], // [tokenB, tokenA] for return swap
+      pair1: pair1Address,
+      pair2: pair2Address,
+      gasEstimate: FLASH_LOAN_GAS + 2n * V2_SWAP_GAS, // The flash loan and its two swaps
+      feeBps1, // Swap fee of each pair
+      feeBps2,
+      blockNumber, // Block the reserves were read at (null when not pinned)
+      timestamp: Date.now(), // Track when opportunity was found
+    };
+  }
+
+  // Reserves for every tracked pair: from the state cache when it covers them all, otherwise one batched read
+  async getSnapshot(pairAddresses) {
+    if (this.stateCache?.isReady()) {
+      const snapshot = this.stateCache.getV2Snapshot();
+      if (pairAddresses.every(address => snapshot.reserves.has(address.toLowerCase()))) {
+        return snapshot;
+      }
+    }
+    return this.getAllReserves(pairAddresses);
+  }
+
+  // Scan all known pairs for opportunities (one reserve snapshot per scan)
   async scanAll(tokenIn, amountIn) {
     const opportunities = [];
     const pairKeys = Object.keys(this.pairs);
+    const snapshot = await this.getSnapshot(pairKeys.map(key => this.pairs[key].pair));
+    await this.refreshDynamicFees(snapshot.blockNumber ?? 'latest');
 
     for (let i = 0; i < pairKeys.length; i++) {
       for (let j = i + 1; j < pairKeys.length; j++) {
@@ -189,7 +396,7 @@ export class UniswapScanner {
         const tokens2 = pairKeys[j].split('-').slice(0, 2).sort();
         
         if (tokens1.join('') === tokens2.join('') && pair1.dex !== pair2.dex) {
-          const result = await this.findArbitrage(pair1.pair, pair2.pair, tokenIn, amountIn);
+          const result = await this.findArbitrage(pair1.pair, pair2.pair, tokenIn, amountIn, snapshot);
           if (result.profitable) {
             opportunities.push({
               ...result,
@@ -209,24 +416,4 @@ export class UniswapScanner {
 
     return opportunities;
   }
-
-  // Get current gas price and estimate total cost
-  async estimateGasCost(gasLimit = 300000n) {
-    const feeData = await this.provider.getFeeData();
-    const gasPrice = feeData.maxFeePerGas || feeData.gasPrice;
-    if (!gasPrice) return 0n;
-    return gasPrice * gasLimit;
-  }
-
-  // Filter opportunities by minimum net profit after gas
-  async filterProfitable(opportunities, minNetProfitEth = '0.01') {
-    const gasCost = await this.estimateGasCost();
-    const minNetProfit = ethers.parseEther(minNetProfitEth);
-    
-    return opportunities.filter(opp => {
-      // Assume profit is in WETH for simplicity (1:1 with ETH for gas cost comparison)
-      const netProfit = opp.profit - gasCost;
-      return netProfit > minNetProfit;
-    });
-  }
 }
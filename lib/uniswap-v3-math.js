@@ -0,0 +1,492 @@
+/**
+ * Offline Uniswap V3 Swap Math
+ * BigInt port of the v3-core libraries (TickMath, SqrtPriceMath, SwapMath,
+ * TickBitmap) plus a pool simulator that walks initialised ticks exactly like
+ * UniswapV3Pool.swap, so local quotes match QuoterV2 to the wei.
+ */
+
+import { ethers } from 'ethers';
+import { multicall } from './multicall.js';
+
+export const MIN_TICK = -887272;
+export const MAX_TICK = 887272;
+export const MIN_SQRT_RATIO = 4295128739n;
+export const MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342n;
+export const Q96 = 1n << 96n;
+
+const MAX_UINT256 = (1n << 256n) - 1n;
+const MAX_UINT160 = (1n << 160n) - 1n;
+const MAX_UINT128 = (1n << 128n) - 1n;
+const FEE_DENOMINATOR = 1000000n; // fees are in hundredths of a bip
+
+const POOL_ABI = [
+  'function token0() external view returns (address)',
+  'function token1() external view returns (address)',
+  'function fee() external view returns (uint24)',
+  'function tickSpacing() external view returns (int24)',
+  'function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+  'function liquidity() external view returns (uint128)',
+  'function tickBitmap(int16 wordPosition) external view returns (uint256)',
+  'function ticks(int24 tick) external view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)',
+];
+
+const poolInterface = new ethers.Interface(POOL_ABI);
+
+// ---------------------------------------------------------------------------
+// FullMath / UnsafeMath
+// ---------------------------------------------------------------------------
+
+export function mulDiv(a, b, denominator) {
+  if (denominator === 0n) throw new Error('mulDiv: division by zero');
+  const result = (a * b) / denominator;
+  if (result > MAX_UINT256) throw new Error('mulDiv: overflow');
+  return result;
+}
+
+export function mulDivRoundingUp(a, b, denominator) {
+  const result = mulDiv(a, b, denominator);
+  return (a * b) % denominator > 0n ? result + 1n : result;
+}
+
+function divRoundingUp(x, y) {
+  return x / y + (x % y > 0n ? 1n : 0n);
+}
+
+// ---------------------------------------------------------------------------
+// TickMath
+// ---------------------------------------------------------------------------
+
+// ratio multipliers for each bit of |tick|: 1/sqrt(1.0001)^(2^i) as Q128.128
+const TICK_RATIOS = [
+  [0x2n, 0xfff97272373d413259a46990580e213an],
+  [0x4n, 0xfff2e50f5f656932ef12357cf3c7fdccn],
+  [0x8n, 0xffe5caca7e10e4e61c3624eaa0941cd0n],
+  [0x10n, 0xffcb9843d60f6159c9db58835c926644n],
+  [0x20n, 0xff973b41fa98c081472e6896dfb254c0n],
+  [0x40n, 0xff2ea16466c96a3843ec78b326b52861n],
+  [0x80n, 0xfe5dee046a99a2a811c461f1969c3053n],
+  [0x100n, 0xfcbe86c7900a88aedcffc83b479aa3a4n],
+  [0x200n, 0xf987a7253ac413176f2b074cf7815e54n],
+  [0x400n, 0xf3392b0822b70005940c7a398e4b70f3n],
+  [0x800n, 0xe7159475a2c29b7443b29c7fa6e889d9n],
+  [0x1000n, 0xd097f3bdfd2022b8845ad8f792aa5825n],
+  [0x2000n, 0xa9f746462d870fdf8a65dc1f90e061e5n],
+  [0x4000n, 0x70d869a156d2a1b890bb3df62baf32f7n],
+  [0x8000n, 0x31be135f97d08fd981231505542fcfa6n],
+  [0x10000n, 0x9aa508b5b7a84e1c677de54f3e99bc9n],
+  [0x20000n, 0x5d6af8dedb81196699c329225ee604n],
+  [0x40000n, 0x2216e584f5fa1ea926041bedfe98n],
+  [0x80000n, 0x48a170391f7dc42444e8fa2n],
+];
+
+// sqrt(1.0001^tick) * 2^96
+export function getSqrtRatioAtTick(tick) {
+  const t = Number(tick);
+  if (!Number.isInteger(t) || t < MIN_TICK || t > MAX_TICK) throw new Error(`Tick out of range: ${tick}`);
+
+  const absTick = BigInt(Math.abs(t));
+  let ratio = (absTick & 0x1n) !== 0n
+    ? 0xfffcb933bd6fad37aa2d162d1a594001n
+    : 0x100000000000000000000000000000000n;
+  for (const [bit, multiplier] of TICK_RATIOS) {
+    if ((absTick & bit) !== 0n) ratio = (ratio * multiplier) >> 128n;
+  }
+  if (t > 0) ratio = MAX_UINT256 / ratio;
+
+  // Q128.128 -> Q64.96, rounding up so getTickAtSqrtRatio stays consistent
+  return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+// Greatest tick whose sqrt ratio is <= sqrtPriceX96
+export function getTickAtSqrtRatio(sqrtPriceX96) {
+  if (sqrtPriceX96 < MIN_SQRT_RATIO || sqrtPriceX96 >= MAX_SQRT_RATIO) {
+    throw new Error(`sqrtPriceX96 out of range: ${sqrtPriceX96}`);
+  }
+  let lo = MIN_TICK;
+  let hi = MAX_TICK;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (getSqrtRatioAtTick(mid) <= sqrtPriceX96) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+// ---------------------------------------------------------------------------
+// SqrtPriceMath
+// ---------------------------------------------------------------------------
+
+function getNextSqrtPriceFromAmount0RoundingUp(sqrtPX96, liquidity, amount, add) {
+  if (amount === 0n) return sqrtPX96;
+  const numerator1 = liquidity << 96n;
+  const product = amount * sqrtPX96;
+
+  if (add) {
+    // Mirror the Solidity overflow checks: the fallback formula rounds differently
+    if (product <= MAX_UINT256) {
+      const denominator = numerator1 + product;
+      if (denominator <= MAX_UINT256) return mulDivRoundingUp(numerator1, sqrtPX96, denominator);
+    }
+    return divRoundingUp(numerator1, numerator1 / sqrtPX96 + amount);
+  }
+
+  if (product > MAX_UINT256 || numerator1 <= product) throw new Error('SqrtPriceMath: insufficient liquidity');
+  const next = mulDivRoundingUp(numerator1, sqrtPX96, numerator1 - product);
+  if (next > MAX_UINT160) throw new Error('SqrtPriceMath: price overflow');
+  return next;
+}
+
+function getNextSqrtPriceFromAmount1RoundingDown(sqrtPX96, liquidity, amount, add) {
+  if (add) {
+    const quotient = amount <= MAX_UINT160 ? (amount << 96n) / liquidity : mulDiv(amount, Q96, liquidity);
+    const next = sqrtPX96 + quotient;
+    if (next > MAX_UINT160) throw new Error('SqrtPriceMath: price overflow');
+    return next;
+  }
+
+  const quotient = amount <= MAX_UINT160 ? divRoundingUp(amount << 96n, liquidity) : mulDivRoundingUp(amount, Q96, liquidity);
+  if (sqrtPX96 <= quotient) throw new Error('SqrtPriceMath: insufficient liquidity');
+  return sqrtPX96 - quotient;
+}
+
+export function getNextSqrtPriceFromInput(sqrtPX96, liquidity, amountIn, zeroForOne) {
+  return zeroForOne
+    ? getNextSqrtPriceFromAmount0RoundingUp(sqrtPX96, liquidity, amountIn, true)
+    : getNextSqrtPriceFromAmount1RoundingDown(sqrtPX96, liquidity, amountIn, true);
+}
+
+export function getNextSqrtPriceFromOutput(sqrtPX96, liquidity, amountOut, zeroForOne) {
+  return zeroForOne
+    ? getNextSqrtPriceFromAmount1RoundingDown(sqrtPX96, liquidity, amountOut, false)
+    : getNextSqrtPriceFromAmount0RoundingUp(sqrtPX96, liquidity, amountOut, false);
+}
+
+export function getAmount0Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, roundUp) {
+  const [lower, upper] = sqrtRatioAX96 > sqrtRatioBX96 ? [sqrtRatioBX96, sqrtRatioAX96] : [sqrtRatioAX96, sqrtRatioBX96];
+  const numerator1 = liquidity << 96n;
+  const numerator2 = upper - lower;
+  return roundUp
+    ? divRoundingUp(mulDivRoundingUp(numerator1, numerator2, upper), lower)
+    : mulDiv(numerator1, numerator2, upper) / lower;
+}
+
+export function getAmount1Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, roundUp) {
+  const [lower, upper] = sqrtRatioAX96 > sqrtRatioBX96 ? [sqrtRatioBX96, sqrtRatioAX96] : [sqrtRatioAX96, sqrtRatioBX96];
+  return roundUp
+    ? mulDivRoundingUp(liquidity, upper - lower, Q96)
+    : mulDiv(liquidity, upper - lower, Q96);
+}
+
+// ---------------------------------------------------------------------------
+// SwapMath
+// ---------------------------------------------------------------------------
+
+// One swap step within a single tick range. amountRemaining > 0 is exact input, < 0 exact output.
+export function computeSwapStep(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, amountRemaining, feePips) {
+  const fee = BigInt(feePips);
+  const zeroForOne = sqrtRatioCurrentX96 >= sqrtRatioTargetX96;
+  const exactIn = amountRemaining >= 0n;
+  let sqrtRatioNextX96;
+  let amountIn = 0n;
+  let amountOut = 0n;
+
+  if (exactIn) {
+    const amountRemainingLessFee = mulDiv(amountRemaining, FEE_DENOMINATOR - fee, FEE_DENOMINATOR);
+    amountIn = zeroForOne
+      ? getAmount0Delta(sqrtRatioTargetX96, sqrtRatioCurrentX96, liquidity, true)
+      : getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, true);
+    sqrtRatioNextX96 = amountRemainingLessFee >= amountIn
+      ? sqrtRatioTargetX96
+      : getNextSqrtPriceFromInput(sqrtRatioCurrentX96, liquidity, amountRemainingLessFee, zeroForOne);
+  } else {
+    amountOut = zeroForOne
+      ? getAmount1Delta(sqrtRatioTargetX96, sqrtRatioCurrentX96, liquidity, false)
+      : getAmount0Delta(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, false);
+    sqrtRatioNextX96 = -amountRemaining >= amountOut
+      ? sqrtRatioTargetX96
+      : getNextSqrtPriceFromOutput(sqrtRatioCurrentX96, liquidity, -amountRemaining, zeroForOne);
+  }
+
+  const max = sqrtRatioTargetX96 === sqrtRatioNextX96;
+
+  if (zeroForOne) {
+    if (!(max && exactIn)) amountIn = getAmount0Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, true);
+    if (!(max && !exactIn)) amountOut = getAmount1Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, false);
+  } else {
+    if (!(max && exactIn)) amountIn = getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, true);
+    if (!(max && !exactIn)) amountOut = getAmount0Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, false);
+  }
+
+  // Cap the output amount to not exceed the remaining output amount
+  if (!exactIn && amountOut > -amountRemaining) amountOut = -amountRemaining;
+
+  const feeAmount = exactIn && sqrtRatioNextX96 !== sqrtRatioTargetX96
+    ? amountRemaining - amountIn // Target not reached: the remainder is all fee
+    : mulDivRoundingUp(amountIn, fee, FEE_DENOMINATOR - fee);
+
+  return { sqrtRatioNextX96, amountIn, amountOut, feeAmount };
+}
+
+// ---------------------------------------------------------------------------
+// TickBitmap
+// ---------------------------------------------------------------------------
+
+function mostSignificantBit(x) {
+  return x.toString(2).length - 1;
+}
+
+function leastSignificantBit(x) {
+  return mostSignificantBit(x & -x);
+}
+
+// Solidity int24 division truncates toward zero; ticks are compressed with floor semantics
+function compressTick(tick, tickSpacing) {
+  let compressed = Math.trunc(tick / tickSpacing);
+  if (tick < 0 && tick % tickSpacing !== 0) compressed--;
+  return compressed;
+}
+
+/**
+ * Next initialised tick in the same 256-bit bitmap word (or the word boundary).
+ * `getWord(wordPos)` returns the bitmap word as a BigInt.
+ */
+export function nextInitializedTickWithinOneWord(getWord, tick, tickSpacing, lte) {
+  const compressed = compressTick(tick, tickSpacing);
+
+  if (lte) {
+    const wordPos = compressed >> 8;
+    const bitPos = BigInt(compressed & 0xff);
+    const mask = (1n << bitPos) - 1n + (1n << bitPos);
+    const masked = getWord(wordPos) & mask;
+    const initialized = masked !== 0n;
+    const next = initialized
+      ? (compressed - (Number(bitPos) - mostSignificantBit(masked))) * tickSpacing
+      : (compressed - Number(bitPos)) * tickSpacing;
+    return { tickNext: next, initialized };
+  }
+
+  const wordPos = (compressed + 1) >> 8;
+  const bitPos = BigInt((compressed + 1) & 0xff);
+  const mask = ~((1n << bitPos) - 1n) & MAX_UINT256;
+  const masked = getWord(wordPos) & mask;
+  const initialized = masked !== 0n;
+  const next = initialized
+    ? (compressed + 1 + (leastSignificantBit(masked) - Number(bitPos))) * tickSpacing
+    : (compressed + 1 + (255 - Number(bitPos))) * tickSpacing;
+  return { tickNext: next, initialized };
+}
+
+// ---------------------------------------------------------------------------
+// Pool simulator
+// ---------------------------------------------------------------------------
+
+export class V3PoolSimulator {
+  /**
+   * @param {Object} state
+   * @param {string} state.address - Pool address
+   * @param {string} state.token0
+   * @param {string} state.token1
+   * @param {number} state.fee - Fee in hundredths of a bip (500 = 0.05%)
+   * @param {number} state.tickSpacing
+   * @param {bigint} state.sqrtPriceX96
+   * @param {number} state.tick
+   * @param {bigint} state.liquidity - Active liquidity
+   * @param {Map<number, bigint>} state.bitmap - Loaded tickBitmap words by word position
+   * @param {Map<number, bigint>} state.liquidityNet - liquidityNet of every initialised tick in the loaded words
+   * @param {number} state.blockNumber - Block the state was read at
+   */
+  constructor(state) {
+    this.address = state.address;
+    this.token0 = state.token0;
+    this.token1 = state.token1;
+    this.fee = Number(state.fee);
+    this.tickSpacing = Number(state.tickSpacing);
+    this.sqrtPriceX96 = BigInt(state.sqrtPriceX96);
+    this.tick = Number(state.tick);
+    this.liquidity = BigInt(state.liquidity);
+    this.bitmap = state.bitmap || new Map();
+    this.liquidityNet = state.liquidityNet || new Map();
+    this.blockNumber = state.blockNumber ?? null;
+  }
+
+  /**
+   * Load pool state plus `wordRange` bitmap words either side of the current tick
+   * (each word covers 256 * tickSpacing ticks) and every initialised tick in them.
+   * Three round trips in total, all pinned to one block.
+   */
+  static async load(provider, poolAddress, { wordRange = 2, blockNumber = null } = {}) {
+    const block = blockNumber ?? await provider.getBlockNumber();
+    const call = (fn, args = []) => ({ target: poolAddress, callData: poolInterface.encodeFunctionData(fn, args) });
+    const decode = (fn, result) => {
+      if (!result.success) throw new Error(`V3 pool ${poolAddress}: ${fn}() failed`);
+      return poolInterface.decodeFunctionResult(fn, result.returnData);
+    };
+
+    const head = await multicall(provider, [
+      call('token0'), call('token1'), call('fee'), call('tickSpacing'), call('slot0'), call('liquidity'),
+    ], block);
+    const [token0] = decode('token0', head[0]);
+    const [token1] = decode('token1', head[1]);
+    const [fee] = decode('fee', head[2]);
+    const tickSpacing = Number(decode('tickSpacing', head[3])[0]);
+    const [sqrtPriceX96, tick] = decode('slot0', head[4]);
+    const [liquidity] = decode('liquidity', head[5]);
+
+    const centerWord = compressTick(Number(tick), tickSpacing) >> 8;
+    const wordPositions = [];
+    for (let w = centerWord - wordRange; w <= centerWord + wordRange; w++) wordPositions.push(w);
+
+    const wordResults = await multicall(provider, wordPositions.map(w => call('tickBitmap', [w])), block);
+    const bitmap = new Map();
+    const initializedTicks = [];
+    wordPositions.forEach((wordPos, i) => {
+      const [word] = decode('tickBitmap', wordResults[i]);
+      bitmap.set(wordPos, word);
+      for (let bit = 0; bit < 256; bit++) {
+        if ((word >> BigInt(bit)) & 1n) initializedTicks.push(((wordPos << 8) + bit) * tickSpacing);
+      }
+    });
+
+    const tickResults = await multicall(provider, initializedTicks.map(t => call('ticks', [t])), block);
+    const liquidityNet = new Map();
+    initializedTicks.forEach((t, i) => {
+      liquidityNet.set(t, decode('ticks', tickResults[i]).liquidityNet);
+    });
+
+    return new V3PoolSimulator({
+      address: poolAddress,
+      token0,
+      token1,
+      fee,
+      tickSpacing,
+      sqrtPriceX96,
+      tick,
+      liquidity,
+      bitmap,
+      liquidityNet,
+      blockNumber: block,
+    });
+  }
+
+  _getWord(wordPos) {
+    const word = this.bitmap.get(wordPos);
+    if (word === undefined) {
+      throw new Error(`Swap crosses tick bitmap word ${wordPos}, which is outside the loaded range`);
+    }
+    return word;
+  }
+
+  /**
+   * Replicates UniswapV3Pool.swap without touching state.
+   * amountSpecified > 0 is exact input, < 0 exact output (pool sign convention).
+   * @returns {Object} { amount0, amount1, sqrtPriceX96After, tickAfter, liquidityAfter, initializedTicksCrossed }
+   */
+  swap(zeroForOne, amountSpecified, sqrtPriceLimitX96 = null) {
+    if (amountSpecified === 0n) throw new Error('Swap amount must be non-zero');
+    const limit = sqrtPriceLimitX96 ?? (zeroForOne ? MIN_SQRT_RATIO + 1n : MAX_SQRT_RATIO - 1n);
+    if (zeroForOne
+      ? !(limit < this.sqrtPriceX96 && limit > MIN_SQRT_RATIO)
+      : !(limit > this.sqrtPriceX96 && limit < MAX_SQRT_RATIO)) {
+      throw new Error('SPL'); // Same revert reason as the pool
+    }
+
+    const exactInput = amountSpecified > 0n;
+    const state = {
+      amountSpecifiedRemaining: amountSpecified,
+      amountCalculated: 0n,
+      sqrtPriceX96: this.sqrtPriceX96,
+      tick: this.tick,
+      liquidity: this.liquidity,
+    };
+    let initializedTicksCrossed = 0;
+
+    while (state.amountSpecifiedRemaining !== 0n && state.sqrtPriceX96 !== limit) {
+      const sqrtPriceStartX96 = state.sqrtPriceX96;
+      let { tickNext, initialized } = nextInitializedTickWithinOneWord(
+        (wordPos) => this._getWord(wordPos), state.tick, this.tickSpacing, zeroForOne
+      );
+      if (tickNext < MIN_TICK) tickNext = MIN_TICK;
+      else if (tickNext > MAX_TICK) tickNext = MAX_TICK;
+
+      const sqrtPriceNextX96 = getSqrtRatioAtTick(tickNext);
+      const target = (zeroForOne ? sqrtPriceNextX96 < limit : sqrtPriceNextX96 > limit) ? limit : sqrtPriceNextX96;
+
+      const step = computeSwapStep(state.sqrtPriceX96, target, state.liquidity, state.amountSpecifiedRemaining, this.fee);
+      state.sqrtPriceX96 = step.sqrtRatioNextX96;
+
+      if (exactInput) {
+        state.amountSpecifiedRemaining -= step.amountIn + step.feeAmount;
+        state.amountCalculated -= step.amountOut;
+      } else {
+        state.amountSpecifiedRemaining += step.amountOut;
+        state.amountCalculated += step.amountIn + step.feeAmount;
+      }
+
+      if (state.sqrtPriceX96 === sqrtPriceNextX96) {
+        // Crossed into the next range: apply the tick's net liquidity
+        if (initialized) {
+          const net = this.liquidityNet.get(tickNext);
+          if (net === undefined) throw new Error(`liquidityNet for tick ${tickNext} not loaded`);
+          state.liquidity += zeroForOne ? -net : net;
+          if (state.liquidity < 0n || state.liquidity > MAX_UINT128) throw new Error('LiquidityMath: out of range');
+          initializedTicksCrossed++;
+        }
+        state.tick = zeroForOne ? tickNext - 1 : tickNext;
+      } else if (state.sqrtPriceX96 !== sqrtPriceStartX96) {
+        state.tick = getTickAtSqrtRatio(state.sqrtPriceX96);
+      }
+    }
+
+    const [amount0, amount1] = zeroForOne === exactInput
+      ? [amountSpecified - state.amountSpecifiedRemaining, state.amountCalculated]
+      : [state.amountCalculated, amountSpecified - state.amountSpecifiedRemaining];
+
+    return {
+      amount0,
+      amount1,
+      sqrtPriceX96After: state.sqrtPriceX96,
+      tickAfter: state.tick,
+      liquidityAfter: state.liquidity,
+      initializedTicksCrossed,
+    };
+  }
+
+  _zeroForOne(tokenIn) {
+    const token = tokenIn.toLowerCase();
+    if (token === this.token0.toLowerCase()) return true;
+    if (token === this.token1.toLowerCase()) return false;
+    throw new Error(`Token ${tokenIn} is not in pool ${this.address}`);
+  }
+
+  /**
+   * Same result as QuoterV2.quoteExactInputSingle (minus the gas estimate)
+   */
+  quoteExactInput(tokenIn, amountIn, sqrtPriceLimitX96 = null) {
+    const zeroForOne = this._zeroForOne(tokenIn);
+    const result = this.swap(zeroForOne, amountIn, sqrtPriceLimitX96);
+    return {
+      amountOut: zeroForOne ? -result.amount1 : -result.amount0,
+      sqrtPriceX96After: result.sqrtPriceX96After,
+      initializedTicksCrossed: result.initializedTicksCrossed,
+    };
+  }
+
+  /**
+   * Same result as QuoterV2.quoteExactOutputSingle (minus the gas estimate)
+   */
+  quoteExactOutput(tokenIn, amountOut, sqrtPriceLimitX96 = null) {
+    const zeroForOne = this._zeroForOne(tokenIn);
+    const result = this.swap(zeroForOne, -amountOut, sqrtPriceLimitX96);
+    const amountOutReceived = zeroForOne ? -result.amount1 : -result.amount0;
+    // QuoterV2 reverts when the pool cannot fill the full output without a price limit
+    if (sqrtPriceLimitX96 === null && amountOutReceived !== amountOut) {
+      throw new Error('Not enough liquidity to fill exact output');
+    }
+    return {
+      amountIn: zeroForOne ? result.amount0 : result.amount1,
+      amountOut: amountOutReceived,
+      sqrtPriceX96After: result.sqrtPriceX96After,
+      initializedTicksCrossed: result.initializedTicksCrossed,
+    };
+  }
+}
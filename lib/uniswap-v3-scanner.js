@@ -1,4 +1,9 @@
 import { ethers } from 'ethers';
+import { optimizeTradeSize } from './trade-size-optimizer.js';
+import { getAmountOut } from './dex-registry.js';
+import { FLASH_LOAN_GAS, V2_SWAP_GAS, V3_FACTORY, V3Adapter } from './dex-adapter.js';
+
+export { V3_FACTORY };
 
 // Uniswap V3 Pool ABI (minimal)
 const POOL_ABI = [
@@ -9,18 +14,6 @@ const POOL_ABI = [
   'function liquidity() external view returns (uint128)',
 ];
 
-// Uniswap V3 Quoter V2 ABI
-const QUOTER_ABI = [
-  'function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96)) external returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
-];
-
-// Uniswap V3 addresses
-const V3_FACTORY = '0x1F98431c8aD98523631AE4a59f267346ea31F984'; // Mainnet
-const V3_QUOTER_V2 = '0x61fFE014bA17989E743c5F6cB21bF9697530B21e'; // Mainnet
-
-// Common V3 fee tiers (basis points)
-const FEE_TIERS = [100, 500, 3000, 10000]; // 0.01%, 0.05%, 0.3%, 1%
-
 // Well-known V3 pools (high liquidity)
 const KNOWN_V3_POOLS = {
   mainnet: {
@@ -40,22 +33,98 @@ const KNOWN_V3_POOLS = {
 };
 
 export class UniswapV3Scanner {
-  constructor(provider, network = 'mainnet') {
+  /**
+   * @param {Object} provider - ethers v6 provider
+   * @param {string} network - Key into the address tables ('mainnet', 'sepolia')
+   * @param {Object} options
+   * @param {boolean} options.optimizeSize - Search for the profit-maximising input (default true)
+   * @param {number} options.maxQuoteCalls - Quoter calls allowed per route search (default 24)
+   * @param {bigint} options.maxAmountIn - Upper bound of the search (default 10x the scan amount)
+   * @param {boolean} options.localSimulation - Price legs with the offline tick-walking simulator
+   *   instead of QuoterV2 (default true; falls back to the quoter per leg if the simulator can't)
+   * @param {number} options.tickWordRange - Tick bitmap words loaded either side of the current tick (default 2)
+   * @param {number} options.maxLocalQuotes - Route evaluations per search when every leg is simulated (default 256)
+   * @param {Object} options.registry - Discovered pool registry (see PairDiscovery); its v3Pools replace KNOWN_V3_POOLS
+   * @param {TokenRegistry} options.tokenRegistry - Token decimals and ETH valuation of non-WETH profits
+   * @param {string} options.factory - V3 factory pool addresses are derived from (default the mainnet factory)
+   * @param {V3Adapter} options.adapter - Venue adapter pools are found, loaded and quoted through (default one built from `factory`)
+   */
+  constructor(provider, network = 'mainnet', options = {}) {
     this.provider = provider;
     this.network = network;
-    this.pools = KNOWN_V3_POOLS[network] || {};
-    this.quoter = new ethers.Contract(V3_QUOTER_V2, QUOTER_ABI, this.provider);
+    this.optimizeSize = options.optimizeSize ?? true;
+    this.maxQuoteCalls = options.maxQuoteCalls ?? 24;
+    this.maxAmountIn = options.maxAmountIn ?? null;
+    const registryPools = options.registry?.v3Pools;
+    this.pools = registryPools && Object.keys(registryPools).length > 0 ? { ...registryPools } : KNOWN_V3_POOLS[network] || {};
+    this.stateCache = null; // Optional PoolStateCache; when ready, pool data is read from it
+    this.localSimulation = options.localSimulation ?? true;
+    this.tickWordRange = options.tickWordRange ?? 2;
+    this.maxLocalQuotes = options.maxLocalQuotes ?? 256;
+    this.simulators = new Map(); // pool address (lowercase) -> Promise<V3PoolSimulator | null> for simulatorBlock
+    this.simulatorBlock = null;
+    this.tokenRegistry = options.tokenRegistry || null;
+    this.adapter = options.adapter || new V3Adapter(provider, { factory: options.factory, tickWordRange: this.tickWordRange });
+    this.factory = this.adapter.factory;
+    this.quoter = this.adapter.quoter;
+  }
+
+  // Pool addresses for [{ tokenA, tokenB, fee }] lookups (null where no pool is deployed)
+  async findPoolAddresses(lookups, blockTag = 'latest') {
+    return this.adapter.findPoolAddresses(lookups, blockTag);
+  }
+
+  // Every deployed fee tier of a token pair: [{ pool, fee }]
+  async findPools(tokenA, tokenB) {
+    const pools = await this.adapter.discover(tokenA, tokenB);
+    return pools.map(({ address, fee }) => ({ pool: address, fee }));
+  }
+
+  // Tick-level simulator for a pool, loaded once per block (null if loading fails, e.g. no Multicall3)
+  async getSimulator(poolAddress, blockNumber) {
+    if (this.simulatorBlock !== blockNumber) {
+      this.simulators.clear();
+      this.simulatorBlock = blockNumber;
+    }
+
+    const key = poolAddress.toLowerCase();
+    if (!this.simulators.has(key)) {
+      this.simulators.set(key, this.adapter.loadSimulator(poolAddress, blockNumber).catch((error) => {
+        console.warn(`⚠️  V3 simulator unavailable for ${poolAddress}, using QuoterV2:`, error.message);
+        return null;
+      }));
+    }
+    return this.simulators.get(key);
+  }
+
+  // Simulators for all pools of a route, pinned to the cache's block (or the latest one)
+  async getSimulators(poolAddresses) {
+    if (!this.localSimulation) return poolAddresses.map(() => null);
+    const blockNumber = this.stateCache?.isReady() ? this.stateCache.lastBlock : await this.provider.getBlockNumber();
+    return Promise.all(poolAddresses.map(address => this.getSimulator(address, blockNumber)));
+  }
+
+  // Quote one leg locally when a simulator is available, otherwise through QuoterV2
+  async quoteLeg(simulator, tokenIn, tokenOut, amountIn, fee) {
+    if (simulator) {
+      try {
+        return this.adapter.localQuoteExactIn(simulator, tokenIn, amountIn);
+      } catch (error) {
+        // Swap runs past the loaded ticks - only the chain knows the answer
+      }
+    }
+    return this.quoteExactInput(tokenIn, tokenOut, amountIn, fee);
   }
 
   // Get pool slot0 data (price and tick)
-  async getPoolData(poolAddress) {
+  async getPoolData(poolAddress, blockTag = 'latest') {
     const pool = new ethers.Contract(poolAddress, POOL_ABI, this.provider);
     const [token0, token1, fee, slot0, liquidity] = await Promise.all([
-      pool.token0(),
-      pool.token1(),
-      pool.fee(),
-      pool.slot0(),
-      pool.liquidity(),
+      pool.token0({ blockTag }),
+      pool.token1({ blockTag }),
+      pool.fee({ blockTag }),
+      pool.slot0({ blockTag }),
+      pool.liquidity({ blockTag }),
     ]);
 
     const [sqrtPriceX96, tick] = slot0;
@@ -70,77 +139,109 @@ export class UniswapV3Scanner {
     };
   }
 
-  // Calculate price from sqrtPriceX96
-  calculatePrice(sqrtPriceX96, token0Decimals = 18, token1Decimals = 18) {
+  // Pool data from the state cache if it tracks this pool, otherwise read on-chain
+  async getPoolState(poolAddress) {
+    const cached = this.stateCache?.isReady() ? this.stateCache.getV3PoolState(poolAddress) : null;
+    return cached || this.getPoolData(poolAddress);
+  }
+
+  // Calculate price (token1 per token0, in whole tokens) from sqrtPriceX96
+  calculatePrice(sqrtPriceX96, token0Decimals, token1Decimals) {
     const Q96 = 2n ** 96n;
     const sqrtPrice = Number(sqrtPriceX96) / Number(Q96);
-    const price = sqrtPrice ** 2;
+    const price = sqrtPrice ** 2; // raw token1 units per raw token0 unit
     
-    // Adjust for decimals
-    const decimalAdjustment = 10 ** (token1Decimals - token0Decimals);
+    // Adjust for decimals: 1 token0 = 10^dec0 raw units, quoted in 10^dec1 raw units of token1
+    const decimalAdjustment = 10 ** (token0Decimals - token1Decimals);
     return price * decimalAdjustment;
   }
 
+  // Human price of a pool (token1 per token0) with decimals from the token registry
+  async getPoolPrice(poolAddress) {
+    if (!this.tokenRegistry) throw new Error('getPoolPrice needs a token registry for decimals');
+    const state = await this.getPoolState(poolAddress);
+    const [token0, token1] = await this.tokenRegistry.resolveMany([state.token0, state.token1]);
+    return this.calculatePrice(state.sqrtPriceX96, token0.decimals, token1.decimals);
+  }
+
   // Quote exact input using Quoter V2 (static call)
   async quoteExactInput(tokenIn, tokenOut, amountIn, fee) {
     try {
-      // Use staticCall for read-only simulation
-      const params = {
-        tokenIn,
-        tokenOut,
-        amountIn,
-        fee,
-        sqrtPriceLimitX96: 0n, // No limit
-      };
-
-      const result = await this.quoter.quoteExactInputSingle.staticCall(params);
-      return {
-        amountOut: result[0],
-        sqrtPriceX96After: result[1],
-        gasEstimate: result[3],
-      };
+      return await this.adapter.quoteExactInputSingle(tokenIn, tokenOut, amountIn, fee);
     } catch (error) {
       console.error('V3 quote error:', error.message);
       return { amountOut: 0n, sqrtPriceX96After: 0n, gasEstimate: 0n };
     }
   }
 
-  // Find arbitrage between two V3 pools
-  async findArbitrageV3(pool1Address, pool2Address, tokenIn, amountIn) {
+  // Size a route: golden-section search within the quote budget, or a single quote at amountIn.
+  // `route(amountIn)` resolves to { amountOut, gasEstimate }; `quotedLegs` is how many quoter calls it
+  // costs (0 when every leg is simulated locally, which gets the much larger local budget).
+  async sizeRoute(route, amountIn, quotedLegs) {
+    if (!this.optimizeSize) {
+      const quote = await route(amountIn);
+      const sample = { ...quote, amountIn, profit: quote.amountOut - amountIn };
+      return { ...sample, quotes: 1, samples: [sample] };
+    }
+
+    const maxAmountIn = this.maxAmountIn ?? amountIn * 10n;
+    return optimizeTradeSize(route, {
+      minAmountIn: maxAmountIn / 1000n || 1n,
+      maxAmountIn,
+      maxQuotes: quotedLegs === 0 ? this.maxLocalQuotes : Math.floor(this.maxQuoteCalls / quotedLegs),
+    });
+  }
+
+  // Find arbitrage between two V3 pools. `simulators` ([sim1, sim2]) prices either pool from a
+  // given state instead of the current one (e.g. after a pending swap); null entries are loaded as usual.
+  async findArbitrageV3(pool1Address, pool2Address, tokenIn, amountIn, { simulators = null } = {}) {
     try {
       const [pool1Data, pool2Data] = await Promise.all([
-        this.getPoolData(pool1Address),
-        this.getPoolData(pool2Address),
+        this.getPoolState(pool1Address),
+        this.getPoolState(pool2Address),
       ]);
+      const loaded = await this.getSimulators([pool1Address, pool2Address]);
+      const [sim1, sim2] = loaded.map((simulator, i) => simulators?.[i] || simulator);
+      const quotedLegs = (sim1 ? 0 : 1) + (sim2 ? 0 : 1);
 
       // Determine token order
       const isToken0_1 = pool1Data.token0.toLowerCase() === tokenIn.toLowerCase();
       const tokenOut = isToken0_1 ? pool1Data.token1 : pool1Data.token0;
+      if (this.isUnsafeToken(tokenIn) || this.isUnsafeToken(tokenOut)) return { profitable: false, profit: 0n };
+
+      const route = async (size) => {
+        // Quote swap 1: tokenIn -> tokenOut on pool1
+        const quote1 = await this.quoteLeg(sim1, tokenIn, tokenOut, size, pool1Data.fee);
+        if (quote1.amountOut === 0n) return { amountOut: 0n, gasEstimate: 0n };
 
-      // Quote swap 1: tokenIn -> tokenOut on pool1
-      const quote1 = await this.quoteExactInput(tokenIn, tokenOut, amountIn, pool1Data.fee);
-      if (quote1.amountOut === 0n) return { profitable: false, profit: 0n };
+        // Quote swap 2: tokenOut -> tokenIn on pool2
+        const quote2 = await this.quoteLeg(sim2, tokenOut, tokenIn, quote1.amountOut, pool2Data.fee);
+        return { amountOut: quote2.amountOut, gasEstimate: FLASH_LOAN_GAS + quote1.gasEstimate + quote2.gasEstimate };
+      };
 
-      // Quote swap 2: tokenOut -> tokenIn on pool2
-      const quote2 = await this.quoteExactInput(tokenOut, tokenIn, quote1.amountOut, pool2Data.fee);
-      if (quote2.amountOut === 0n) return { profitable: false, profit: 0n };
+      const sized = await this.sizeRoute(route, amountIn, quotedLegs);
+      if (sized.amountOut === 0n) return { profitable: false, profit: 0n };
 
       // Calculate profit
-      const profit = quote2.amountOut > amountIn ? quote2.amountOut - amountIn : 0n;
+      const profit = sized.profit > 0n ? sized.profit : 0n;
       const profitable = profit > 0n;
 
       return {
         profitable,
         profit,
-        amountIn,
-        amountOut: quote2.amountOut,
+        amountIn: sized.amountIn,
+        amountOut: sized.amountOut,
+        optimalAmountIn: sized.amountIn,
+        expectedProfit: profit,
+        profitCurve: sized.samples, // [{ amountIn, amountOut, profit, gasEstimate }] evaluated by the search
+        quoteCalls: sized.quotes * quotedLegs, // RPC quoter calls; locally simulated legs are free
         path: [tokenIn, tokenOut], // [tokenA, tokenB] for flash loan
         pathReverse: [tokenOut, tokenIn], // [tokenB, tokenA] for return swap
         pool1: pool1Address,
         pool2: pool2Address,
         fee1: pool1Data.fee,
         fee2: pool2Data.fee,
-        gasEstimate: quote1.gasEstimate + quote2.gasEstimate,
+        gasEstimate: sized.gasEstimate,
         timestamp: Date.now(), // Track when opportunity was found
       };
     } catch (error) {
@@ -149,38 +250,73 @@ export class UniswapV3Scanner {
     }
   }
 
-  // Find arbitrage between V3 and V2 pools (cross-protocol)
-  async findCrossProtocolArbitrage(v3PoolAddress, v2PoolData, tokenIn, amountIn, v3ToV2 = true) {
+  // Find arbitrage between V3 and V2 pools (cross-protocol).
+  // `v2Pair` is { pair, dex, token0, token1, reserve0, reserve1, feeBps } as in a UniswapScanner snapshot
+  // (feeBps is the pair's swap fee, default 30);
+  // `v3ToV2` picks the direction (buy on V3, sell on V2 or the reverse);
+  // `simulator` prices the V3 leg from a given pool state instead of the current one.
+  async findCrossProtocolArbitrage(v3PoolAddress, v2Pair, tokenIn, amountIn, v3ToV2 = true, { poolState = null, blockNumber = null, simulator: given = null } = {}) {
     try {
-      const v3Data = await this.getPoolData(v3PoolAddress);
-      
+      const v3Data = poolState || await this.getPoolState(v3PoolAddress);
+      const [simulator] = given ? [given] : await this.getSimulators([v3PoolAddress]);
+      const quotedLegs = simulator ? 0 : 1;
+
       const isToken0 = v3Data.token0.toLowerCase() === tokenIn.toLowerCase();
       const tokenOut = isToken0 ? v3Data.token1 : v3Data.token0;
 
-      let amountOut1, amountOut2;
+      // Orient the V2 reserves for the leg it trades: tokenIn -> tokenOut first, or tokenOut -> tokenIn last
+      const v2TokenIn = v3ToV2 ? tokenOut : tokenIn;
+      const v2InIsToken0 = v2Pair.token0.toLowerCase() === v2TokenIn.toLowerCase();
+      const reserveIn = v2InIsToken0 ? v2Pair.reserve0 : v2Pair.reserve1;
+      const reserveOut = v2InIsToken0 ? v2Pair.reserve1 : v2Pair.reserve0;
+      const v2FeeBps = v2Pair.feeBps ?? 30;
+
+      const route = async (size) => {
+        if (v3ToV2) {
+          // V3 first, then V2
+          const quote1 = await this.quoteLeg(simulator, tokenIn, tokenOut, size, v3Data.fee);
+          if (quote1.amountOut === 0n) return { amountOut: 0n, gasEstimate: 0n };
+
+          // V2 calculation (from V2 scanner logic)
+          const amountOut2 = this.calculateV2AmountOut(quote1.amountOut, reserveIn, reserveOut, v2FeeBps);
+          return { amountOut: amountOut2, gasEstimate: FLASH_LOAN_GAS + quote1.gasEstimate + V2_SWAP_GAS };
+        }
 
-      if (v3ToV2) {
-        // V3 first, then V2
-        const quote1 = await this.quoteExactInput(tokenIn, tokenOut, amountIn, v3Data.fee);
-        if (quote1.amountOut === 0n) return { profitable: false, profit: 0n };
-        
-        // V2 calculation (from V2 scanner logic)
-        amountOut2 = this.calculateV2AmountOut(quote1.amountOut, v2PoolData.reserveIn, v2PoolData.reserveOut);
-      } else {
         // V2 first, then V3
-        amountOut1 = this.calculateV2AmountOut(amountIn, v2PoolData.reserveIn, v2PoolData.reserveOut);
-        const quote2 = await this.quoteExactInput(tokenOut, tokenIn, amountOut1, v3Data.fee);
-        amountOut2 = quote2.amountOut;
-      }
+        const amountOut1 = this.calculateV2AmountOut(size, reserveIn, reserveOut, v2FeeBps);
+        const quote2 = await this.quoteLeg(simulator, tokenOut, tokenIn, amountOut1, v3Data.fee);
+        return { amountOut: quote2.amountOut, gasEstimate: FLASH_LOAN_GAS + V2_SWAP_GAS + quote2.gasEstimate };
+      };
 
-      const profit = amountOut2 > amountIn ? amountOut2 - amountIn : 0n;
+      const sized = await this.sizeRoute(route, amountIn, quotedLegs);
+      const profit = sized.profit > 0n ? sized.profit : 0n;
+      const v3Leg = { pool: v3PoolAddress, dex: 'uniswapV3', fee: Number(v3Data.fee) };
+      const v2Leg = { pool: v2Pair.pair, dex: v2Pair.dex, fee: v2FeeBps * 100 }; // In V3 fee units (hundredths of a bp)
+      const [leg1, leg2] = v3ToV2 ? [v3Leg, v2Leg] : [v2Leg, v3Leg];
       
       return {
         profitable: profit > 0n,
         profit,
-        amountIn,
-        amountOut: amountOut2,
+        amountIn: sized.amountIn,
+        amountOut: sized.amountOut,
+        optimalAmountIn: sized.amountIn,
+        expectedProfit: profit,
+        profitCurve: sized.samples,
+        quoteCalls: sized.quotes * quotedLegs,
+        path: [tokenIn, tokenOut], // [tokenA, tokenB] for flash loan
+        pathReverse: [tokenOut, tokenIn], // [tokenB, tokenA] for return swap
+        pool1: leg1.pool, // Pools in execution order
+        pool2: leg2.pool,
+        dex1: leg1.dex,
+        dex2: leg2.dex,
+        fee1: leg1.fee,
+        fee2: leg2.fee,
+        v3Pool: v3PoolAddress,
+        v2Pair: v2Pair.pair,
+        gasEstimate: sized.gasEstimate,
         protocol: v3ToV2 ? 'V3→V2' : 'V2→V3',
+        blockNumber,
+        timestamp: Date.now(), // Track when opportunity was found
       };
     } catch (error) {
       console.error('Cross-protocol arb error:', error.message);
@@ -188,12 +324,55 @@ export class UniswapV3Scanner {
     }
   }
 
-  // Helper: V2 constant product formula
-  calculateV2AmountOut(amountIn, reserveIn, reserveOut) {
-    const amountInWithFee = amountIn * 997n;
-    const numerator = amountInWithFee * reserveOut;
-    const denominator = (reserveIn * 1000n) + amountInWithFee;
-    return numerator / denominator;
+  // Every V2 pair / V3 pool combination on the same two tokens, in both directions
+  async scanCrossProtocol(v2Scanner, tokenIn, amountIn) {
+    const opportunities = [];
+    const pairKeys = Object.keys(v2Scanner.pairs);
+    const poolKeys = Object.keys(this.pools);
+    const token = tokenIn.toLowerCase();
+    const tokenKey = (a, b) => [a.toLowerCase(), b.toLowerCase()].sort().join('-');
+
+    const [snapshot, poolStates] = await Promise.all([
+      v2Scanner.getSnapshot(pairKeys.map(key => v2Scanner.pairs[key].pair)),
+      Promise.allSettled(poolKeys.map(key => this.getPoolState(this.pools[key].pool))),
+    ]);
+
+    for (let i = 0; i < poolKeys.length; i++) {
+      if (poolStates[i].status !== 'fulfilled') continue;
+      const poolState = poolStates[i].value;
+      if (poolState.token0.toLowerCase() !== token && poolState.token1.toLowerCase() !== token) continue;
+      if (this.isUnsafeToken(poolState.token0) || this.isUnsafeToken(poolState.token1)) continue;
+
+      for (const pairKey of pairKeys) {
+        const pairInfo = v2Scanner.pairs[pairKey];
+        const reserves = snapshot.reserves.get(pairInfo.pair.toLowerCase());
+        if (!reserves || tokenKey(reserves.token0, reserves.token1) !== tokenKey(poolState.token0, poolState.token1)) continue;
+
+        const v2Pair = { ...reserves, pair: pairInfo.pair, dex: pairInfo.dex, feeBps: v2Scanner.pairFeeBps(pairInfo.pair) };
+        for (const v3ToV2 of [true, false]) {
+          const result = await this.findCrossProtocolArbitrage(this.pools[poolKeys[i]].pool, v2Pair, tokenIn, amountIn, v3ToV2, {
+            poolState,
+            blockNumber: snapshot.blockNumber,
+          });
+          if (result.profitable) {
+            opportunities.push({
+              ...result,
+              pairName: `${poolKeys[i]} / ${pairKey}`,
+            });
+          }
+        }
+      }
+    }
+
+    // Sort by profit descending
+    opportunities.sort((a, b) => (b.profit > a.profit ? 1 : -1));
+
+    return opportunities;
+  }
+
+  // Helper: V2 constant product formula with the pair's swap fee
+  calculateV2AmountOut(amountIn, reserveIn, reserveOut, feeBps = 30) {
+    return getAmountOut(amountIn, reserveIn, reserveOut, feeBps);
   }
 
   // Scan all V3 pools for arbitrage
@@ -231,18 +410,9 @@ export class UniswapV3Scanner {
     return opportunities;
   }
 
-  // Filter by minimum net profit after gas
-  async filterProfitable(opportunities, minNetProfitEth = '0.01') {
-    const feeData = await this.provider.getFeeData();
-    const gasPrice = feeData.maxFeePerGas || feeData.gasPrice;
-    if (!gasPrice) return opportunities;
-
-    const minNetProfit = ethers.parseEther(minNetProfitEth);
-    
-    return opportunities.filter(opp => {
-      const gasCost = gasPrice * (opp.gasEstimate || 300000n);
-      const netProfit = opp.profit - gasCost;
-      return netProfit > minNetProfit;
-    });
+  // Fee-on-transfer and rebasing tokens (per the token registry) are never routed through V3:
+  // the tick math assumes the pool receives exactly what was sent
+  isUnsafeToken(token) {
+    return this.tokenRegistry?.isUnsafe(token) ?? false;
   }
 }
@@ -0,0 +1,65 @@
+// Check local Balancer quotes against the Vault's own queryBatchSwap at one block.
+// Usage: RPC_URL=... NETWORK=mainnet node scripts/balancer-parity.js
+// Optional: BALANCER_POOLS (JSON file of extra { label: { pool } }), BALANCER_PARITY_SIZES (comma-separated
+// fractions of the input balance to quote, default 0.0001,0.01,0.1)
+import fs from 'fs';
+import dotenv from 'dotenv';
+import { ethers } from 'ethers';
+import { BalancerScanner } from '../lib/balancer-scanner.js';
+
+dotenv.config();
+
+const QUERY_ABI = [
+  'function queryBatchSwap(uint8 kind, tuple(bytes32 poolId, uint256 assetInIndex, uint256 assetOutIndex, uint256 amount, bytes userData)[] swaps, address[] assets, tuple(address sender, bool fromInternalBalance, address recipient, bool toInternalBalance) funds) external returns (int256[] assetDeltas)',
+];
+
+async function main() {
+  const network = process.env.NETWORK || 'mainnet';
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+  const scanner = new BalancerScanner(provider, network, {
+    pools: process.env.BALANCER_POOLS ? JSON.parse(fs.readFileSync(process.env.BALANCER_POOLS, 'utf8')) : undefined,
+  });
+  const vault = new ethers.Contract(scanner.vault, QUERY_ABI, provider);
+  const funds = { sender: ethers.ZeroAddress, fromInternalBalance: false, recipient: ethers.ZeroAddress, toInternalBalance: false };
+  const sizes = (process.env.BALANCER_PARITY_SIZES || '0.0001,0.01,0.1').split(',').map(size => BigInt(Math.round(parseFloat(size) * 1e6)));
+
+  const blockNumber = await provider.getBlockNumber();
+  let mismatches = 0;
+  for (const { label, simulator } of await scanner.loadPools(blockNumber)) {
+    console.log(`🔍 ${label} (${simulator.kind}, ${simulator.tokens.length} tokens) at block ${blockNumber}`);
+    for (let i = 0; i < simulator.tokens.length; i++) {
+      for (let j = 0; j < simulator.tokens.length; j++) {
+        if (i === j) continue;
+        for (const size of sizes) {
+          const amountIn = (simulator.balances[i] * size) / 1000000n;
+          if (amountIn === 0n) continue;
+          let local;
+          try {
+            local = simulator.getAmountOut(i, j, amountIn);
+          } catch (error) {
+            local = error.message; // e.g. MAX_IN_RATIO, which the Vault rejects too
+          }
+          let remote;
+          try {
+            const swaps = [{ poolId: simulator.poolId, assetInIndex: 0, assetOutIndex: 1, amount: amountIn, userData: '0x' }];
+            const deltas = await vault.queryBatchSwap.staticCall(0, swaps, [simulator.tokens[i], simulator.tokens[j]], funds, { blockTag: blockNumber });
+            remote = -deltas[1];
+          } catch (error) {
+            remote = typeof local === 'string' ? local : error.shortMessage || error.message;
+          }
+          const match = local === remote;
+          if (!match) mismatches++;
+          console.log(`   ${match ? '✅' : '❌'} ${i}→${j} amountIn=${amountIn}: local ${local}, vault ${remote}`);
+        }
+      }
+    }
+  }
+
+  console.log(mismatches === 0 ? '✅ All quotes match' : `❌ ${mismatches} quotes differ`);
+  process.exitCode = mismatches === 0 ? 0 : 1;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+// Check local Curve quotes against the pools' own get_dy at one block.
+// Usage: RPC_URL=... NETWORK=mainnet node scripts/curve-parity.js
+// Optional: CURVE_POOLS (JSON file of extra { label: { pool } }), CURVE_PARITY_SIZES (comma-separated
+// fractions of the input balance to quote, default 0.0001,0.01,0.1)
+import fs from 'fs';
+import dotenv from 'dotenv';
+import { ethers } from 'ethers';
+import { CurveScanner } from '../lib/curve-scanner.js';
+
+dotenv.config();
+
+const GET_DY_ABI = [
+  'function get_dy(int128 i, int128 j, uint256 dx) external view returns (uint256)',
+  'function get_dy(uint256 i, uint256 j, uint256 dx) external view returns (uint256)',
+];
+
+// Pool get_dy with whichever index type the pool takes
+async function onChainGetDy(pool, i, j, dx, blockTag) {
+  try {
+    return await pool['get_dy(int128,int128,uint256)'](i, j, dx, { blockTag });
+  } catch (error) {
+    return pool['get_dy(uint256,uint256,uint256)'](i, j, dx, { blockTag });
+  }
+}
+
+async function main() {
+  const network = process.env.NETWORK || 'mainnet';
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+  const scanner = new CurveScanner(provider, network, {
+    pools: process.env.CURVE_POOLS ? JSON.parse(fs.readFileSync(process.env.CURVE_POOLS, 'utf8')) : undefined,
+  });
+  const sizes = (process.env.CURVE_PARITY_SIZES || '0.0001,0.01,0.1').split(',').map(size => BigInt(Math.round(parseFloat(size) * 1e6)));
+
+  const blockNumber = await provider.getBlockNumber();
+  let mismatches = 0;
+  for (const { label, simulator } of await scanner.loadPools(blockNumber)) {
+    const pool = new ethers.Contract(simulator.address, GET_DY_ABI, provider);
+    console.log(`🔍 ${label} (${simulator.kind}, ${simulator.coins.length} coins) at block ${blockNumber}`);
+    for (let i = 0; i < simulator.coins.length; i++) {
+      for (let j = 0; j < simulator.coins.length; j++) {
+        if (i === j) continue;
+        for (const size of sizes) {
+          const dx = (simulator.balances[i] * size) / 1000000n;
+          if (dx === 0n) continue;
+          const local = simulator.getDy(i, j, dx);
+          const remote = await onChainGetDy(pool, i, j, dx, blockNumber);
+          const match = local === remote;
+          if (!match) mismatches++;
+          console.log(`   ${match ? '✅' : '❌'} ${i}→${j} dx=${dx}: local ${local}, pool ${remote}`);
+        }
+      }
+    }
+  }
+
+  console.log(mismatches === 0 ? '✅ All quotes match' : `❌ ${mismatches} quotes differ`);
+  process.exitCode = mismatches === 0 ? 0 : 1;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+// Refresh the pair registry the bot's scanners load at startup.
+// Usage: RPC_URL=... NETWORK=mainnet node scripts/discover-pairs.js
+// Optional: PAIR_REGISTRY (output path), DISCOVERY_ALLOWLIST (JSON file of
+// [{ symbol, address, decimals, minLiquidity }]), DISCOVERY_MAX_PAIRS (allPairs read per factory per run),
+// TOKEN_CACHE (token registry path), TOKEN_PROBE=0 (skip fee-on-transfer probes), ALLOW_FEE_ON_TRANSFER=1,
+// DEX_CONFIG (JSON file of extra V2 venue descriptors, see lib/dex-registry.js)
+import fs from 'fs';
+import dotenv from 'dotenv';
+import { ethers } from 'ethers';
+import { PairDiscovery } from '../lib/pair-discovery.js';
+import { TokenRegistry } from '../lib/token-registry.js';
+import { TokenSafetyDetector } from '../lib/token-safety.js';
+import { DexRegistry } from '../lib/dex-registry.js';
+
+dotenv.config();
+
+async function main() {
+  const network = process.env.NETWORK || 'mainnet';
+  const registryPath = process.env.PAIR_REGISTRY || `data/pair-registry-${network}.json`;
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+  const tokenRegistry = new TokenRegistry(provider, network, {
+    cachePath: process.env.TOKEN_CACHE || `data/token-registry-${network}.json`,
+  });
+
+  const dexes = new DexRegistry(network, {
+    dexes: process.env.DEX_CONFIG ? JSON.parse(fs.readFileSync(process.env.DEX_CONFIG, 'utf8')) : undefined,
+  });
+
+  const discovery = new PairDiscovery(provider, network, {
+    registryPath,
+    factories: dexes.factories(),
+    allowlist: process.env.DISCOVERY_ALLOWLIST ? JSON.parse(fs.readFileSync(process.env.DISCOVERY_ALLOWLIST, 'utf8')) : undefined,
+    maxPairsPerFactory: process.env.DISCOVERY_MAX_PAIRS ? parseInt(process.env.DISCOVERY_MAX_PAIRS) : undefined,
+    tokenSafety: process.env.TOKEN_PROBE !== '0' ? new TokenSafetyDetector(provider, tokenRegistry) : null,
+    allowFeeOnTransfer: process.env.ALLOW_FEE_ON_TRANSFER === '1',
+  });
+
+  const registry = await discovery.discover();
+  for (const [key, pair] of Object.entries(registry.pairs)) console.log(`   V2 ${key}: ${pair.pair}`);
+  for (const [key, pool] of Object.entries(registry.v3Pools)) console.log(`   V3 ${key}: ${pool.pool}`);
+  console.log(`💾 Registry saved to ${registryPath}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -50,7 +50,7 @@ async function main() {
 
   // Build a sample transaction (this is only a template; replace with your real call)
   const iface = new ethers.utils.Interface([
-    'function flashArbitrage(address asset,uint256 amount,address[] path1,address[] path2,uint256 minProfit)'
+    'function flashArbitrage(address asset,uint256 amount,address[] path1,address[] path2,uint256 minProfit,uint256 minAmountOut1,uint256 minAmountOut2,uint256 deadline)'
   ]);
 
   // Example parameters (replace):
@@ -59,8 +59,11 @@ async function main() {
   const path1 = [];
   const path2 = [];
   const minProfit = process.env.MIN_PROFIT || '0';
+  const minAmountOut1 = process.env.MIN_AMOUNT_OUT_1 || '0';
+  const minAmountOut2 = process.env.MIN_AMOUNT_OUT_2 || '0';
+  const deadline = Math.floor(Date.now() / 1000) + 120;
 
-  const data = iface.encodeFunctionData('flashArbitrage', [asset, amount, path1, path2, minProfit]);
+  const data = iface.encodeFunctionData('flashArbitrage', [asset, amount, path1, path2, minProfit, minAmountOut1, minAmountOut2, deadline]);
 
   const tx = {
     to: CONTRACT_ADDRESS,
@@ -16,6 +16,7 @@
     OPERATOR_PRIVATE_KEY - private key that funds and signs the tx in bundle
     CONTRACT_ADDRESS - deployed FlashArbitrage contract
     AMOUNT - borrow amount (in token units, default 1)
+    SLIPPAGE_TOLERANCE - percent each swap may return below its quote (default 2)
 
   Usage example (one-liner):
     node scripts/hunt-and-kill.js WETH USDC --min-profit 0.5 --flashbots
@@ -31,6 +32,8 @@
 
 import 'dotenv/config';
 import * as ethers from 'ethers';
+import { createDexAdapters } from '../lib/dex-adapter.js';
+import { SlippageCalculator } from '../lib/slippage-calculator.js';
 // Use global fetch when available (Node 18+). Otherwise dynamically import node-fetch.
 const fetch = globalThis.fetch ?? (await import('node-fetch').then(m => m.default));
 
@@ -77,111 +80,26 @@ function resolveToken(input) {
 const tokenA = resolveToken(tokenArgA);
 const tokenB = resolveToken(tokenArgB);
 
-// Minimal V2/V3 discovery and amount math (copied/compatible with live-arb-scanner)
-const UNISWAP_V2_FACTORY = '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f';
-const SUSHISWAP_FACTORY = '0xC0AEe478e3658e2610c5F7A4A2E1777cE9e4f2Ac';
-const V2_FACTORIES = [UNISWAP_V2_FACTORY, SUSHISWAP_FACTORY];
-const UNISWAP_V3_FACTORY = '0x1F98431c8aD98523631AE4a59f267346ea31F984';
-const V3_FEES = [500, 3000, 10000];
-
-const IUniswapV2Factory = ['function getPair(address,address) view returns (address)'];
-const IUniswapV2Pair = ['function getReserves() view returns (uint112, uint112, uint32)', 'function token0() view returns (address)'];
-const IUniswapV3Factory = ['function getPool(address,address,uint24) view returns (address)'];
-const IUniswapV3Pool = ['function slot0() view returns (uint160,int24,uint16,uint16,uint16,uint8,bool)'];
+// Pools are found, loaded and quoted through the shared venue adapters (lib/dex-adapter.js)
+const adapters = createDexAdapters(provider, 'mainnet');
 const IERC20 = ['function decimals() view returns (uint8)'];
-
-async function getV2Pairs(token0, token1) {
-  const results = [];
-  for (const factoryAddr of V2_FACTORIES) {
-    try {
-      const factory = new ethers.Contract(factoryAddr, IUniswapV2Factory, provider);
-      const pairAddr = await factory.getPair(token0, token1);
-      if (pairAddr && pairAddr !== ethers.ZeroAddress) {
-        const pair = new ethers.Contract(pairAddr, IUniswapV2Pair, provider);
-        const token0Addr = await pair.token0();
-        const reserves = await pair.getReserves();
-        results.push({ factory: factoryAddr, pair: pairAddr, token0: token0Addr, reserves });
-      }
-    } catch (e) {}
-  }
-  return results;
-}
-
-async function getV3Pools(token0, token1) {
-  const pools = [];
-  const factory = new ethers.Contract(UNISWAP_V3_FACTORY, IUniswapV3Factory, provider);
-  for (const fee of V3_FEES) {
-    try {
-      const poolAddr = await factory.getPool(token0, token1, fee);
-      if (poolAddr && poolAddr !== ethers.ZeroAddress) {
-        const pool = new ethers.Contract(poolAddr, IUniswapV3Pool, provider);
-        const slot0 = await pool.slot0();
-        pools.push({ fee, pool: poolAddr, sqrtPriceX96: slot0[0] });
-      }
-    } catch (e) {}
-  }
-  return pools;
-}
-
-function getAmountOutV2(amountIn, reserveIn, reserveOut) {
-  if (amountIn.isZero()) return ethers.BigNumber.from(0);
-  const amountInWithFee = amountIn.mul(997);
-  const numerator = amountInWithFee.mul(reserveOut);
-  const denominator = reserveIn.mul(1000).add(amountInWithFee);
-  return numerator.div(denominator);
-}
-
-function getAmountOutV3Approx(amountIn, sqrtPriceX96, decimalsIn = 18, decimalsOut = 18, feeBps = 3000) {
-  const sqrt = ethers.BigNumber.from(sqrtPriceX96.toString());
-  const priceNum = sqrt.mul(sqrt);
-  const denom = ethers.BigNumber.from(2).pow(192);
-  const amountOut = ethers.BigNumber.from(amountIn).mul(priceNum).div(denom);
-  if (decimalsOut > decimalsIn) {
-    return amountOut.mul(ethers.BigNumber.from(10).pow(decimalsOut - decimalsIn)).mul(10000 - feeBps).div(10000);
-  } else if (decimalsOut < decimalsIn) {
-    return amountOut.div(ethers.BigNumber.from(10).pow(decimalsIn - decimalsOut)).mul(10000 - feeBps).div(10000);
-  }
-  return amountOut.mul(10000 - feeBps).div(10000);
-}
+const AAVE_FEE_BPS = 9n;
+const slippageCalculator = new SlippageCalculator(parseFloat(process.env.SLIPPAGE_TOLERANCE || '2'));
 
 async function tokenDecimals(addr) {
-  try { const t = new ethers.Contract(addr, IERC20, provider); return await t.decimals(); } catch (e) { return 18; }
+  try { const t = new ethers.Contract(addr, IERC20, provider); return Number(await t.decimals()); } catch (e) { return 18; }
 }
 
-async function scanOnce(amountBorrowed, decA, decB) {
-  const v2pairs = await getV2Pairs(tokenA, tokenB);
-  const v3pools = await getV3Pools(tokenA, tokenB);
-  const v2Descriptors = v2pairs.map(p => ({ type: 'v2', reserves: p.reserves, token0: p.token0 }));
-  const v3Descriptors = v3pools.map(p => ({ type: 'v3', sqrtPriceX96: p.sqrtPriceX96, fee: p.fee }));
-
-  const candidates = [];
-  for (const s1 of v2Descriptors) for (const s2 of v2Descriptors) candidates.push({ swap1: s1, swap2: s2 });
-  for (const s1 of v3Descriptors) for (const s2 of v3Descriptors) candidates.push({ swap1: s1, swap2: s2 });
-  for (const s1 of v2Descriptors) for (const s2 of v3Descriptors) candidates.push({ swap1: s1, swap2: s2 });
-  for (const s1 of v3Descriptors) for (const s2 of v2Descriptors) candidates.push({ swap1: s1, swap2: s2 });
-
-  const AAVE_FEE_BPS = 9;
+async function scanOnce(amountBorrowed, decA) {
+  const routes = await adapters.findRoundTrips(tokenA, tokenB, amountBorrowed);
+  const amountOwed = amountBorrowed + (amountBorrowed * AAVE_FEE_BPS) / 10000n;
   const profitable = [];
-  for (const c of candidates) {
-    try {
-      let amountAfter1;
-      if (c.swap1.type === 'v2') {
-        const r = c.swap1.reserves; const reserveIn = ethers.BigNumber.from(r[0]); const reserveOut = ethers.BigNumber.from(r[1]); amountAfter1 = getAmountOutV2(amountBorrowed, reserveIn, reserveOut);
-      } else amountAfter1 = getAmountOutV3Approx(amountBorrowed, c.swap1.sqrtPriceX96, decA, decB, c.swap1.fee);
-      if (!amountAfter1 || amountAfter1.isZero()) continue;
-      let finalAmount;
-      if (c.swap2.type === 'v2') { const r2 = c.swap2.reserves; finalAmount = getAmountOutV2(amountAfter1, ethers.BigNumber.from(r2[0]), ethers.BigNumber.from(r2[1])); }
-      else finalAmount = getAmountOutV3Approx(amountAfter1, c.swap2.sqrtPriceX96, decB, decA, c.swap2.fee);
-      if (!finalAmount || finalAmount.isZero()) continue;
-      const fee = amountBorrowed.mul(AAVE_FEE_BPS).div(10000);
-      const amountOwed = amountBorrowed.add(fee);
-      if (finalAmount.lte(amountOwed)) continue;
-      const profit = finalAmount.sub(amountOwed);
-      const profitPct = (parseFloat(ethers.utils.formatUnits(profit, decA)) / parseFloat(ethers.utils.formatUnits(amountBorrowed, decA))) * 100;
-      if (profitPct >= minProfit) profitable.push({ candidate: c, profit, profitPct, finalAmount, amountOwed });
-    } catch (e) {}
+  for (const route of routes) {
+    if (route.amountOut <= amountOwed) continue;
+    const profit = route.amountOut - amountOwed;
+    const profitPct = (parseFloat(ethers.formatUnits(profit, decA)) / parseFloat(ethers.formatUnits(amountBorrowed, decA))) * 100;
+    if (profitPct >= minProfit) profitable.push({ route, profit, profitPct, finalAmount: route.amountOut, amountOwed });
   }
-  profitable.sort((a,b) => b.profitPct - a.profitPct);
   return profitable;
 }
 
@@ -202,7 +120,6 @@ async function createFlashbotsProvider() {
 
 async function huntAndKill() {
   const decA = await tokenDecimals(tokenA);
-  const decB = await tokenDecimals(tokenB);
   // Default borrow amount: use env AMOUNT if provided; otherwise use larger size for WETH for better hit-rate
   let defaultAmount = '1';
   try {
@@ -239,20 +156,24 @@ async function huntAndKill() {
 
   let running = true;
   while (running) {
-    const profitable = await scanOnce(amountBorrowed, decA, decB);
+    const profitable = await scanOnce(amountBorrowed, decA);
     if (profitable && profitable.length > 0) {
       const best = profitable[0];
       console.log('>> Opportunity found:', best.profitPct.toFixed(4), '% profit');
+      console.log('   Buy on', best.route.pool1.dex, best.route.pool1.address, '/ sell on', best.route.pool2.dex, best.route.pool2.address);
       // Build calldata
-      const flashIface = new ethers.utils.Interface(['function flashArbitrage(address,uint256,address[],address[],uint256)']);
+      const flashIface = new ethers.Interface(['function flashArbitrage(address,uint256,address[],address[],uint256,uint256,uint256,uint256)']);
       const contractAddress = process.env.CONTRACT_ADDRESS;
       if (!contractAddress) { console.error('Set CONTRACT_ADDRESS in .env'); process.exit(1); }
-      const calldata = flashIface.encodeFunctionData('flashArbitrage', [tokenA, amountBorrowed.toString(), [tokenA, tokenB], [tokenB, tokenA], '0']);
+      // Each swap may return its quoted output less SLIPPAGE_TOLERANCE; the second must still repay the loan
+      const [minAmountOut1, hopMinimum2] = slippageCalculator.calculateHopMinimums([best.route.amountMid, best.route.amountOut]);
+      const minAmountOut2 = hopMinimum2 > best.amountOwed ? hopMinimum2 : best.amountOwed;
+      const calldata = flashIface.encodeFunctionData('flashArbitrage', [tokenA, amountBorrowed, [tokenA, tokenB], [tokenB, tokenA], 0n, minAmountOut1, minAmountOut2, BigInt(Math.floor(Date.now() / 1000) + 60)]);
 
       const tx = {
         to: contractAddress,
         data: calldata,
-        gasLimit: ethers.BigNumber.from(process.env.GAS_LIMIT || '1200000'),
+        gasLimit: BigInt(process.env.GAS_LIMIT || '1200000'),
         chainId: (await provider.getNetwork()).chainId
       };
 
@@ -217,7 +217,7 @@ async function huntAndKill() {
       const best = profitable[0];
       console.log('>> Opportunity found:', best.profitPct.toFixed(4), '% profit');
       // Build calldata
-      const flashIface = new ethers.utils.Interface(['function flashArbitrage(address,uint256,address[],address[],uint256)']);
+      const flashIface = new ethers.utils.Interface(['function flashArbitrage(address,uint256,address[],address[],uint256,uint256,uint256,uint256)']);
       const contractAddress = process.env.CONTRACT_ADDRESS;
       let calldata = null;
       if (!contractAddress) {
@@ -228,7 +228,7 @@ async function huntAndKill() {
           console.log('DRY-RUN: CONTRACT_ADDRESS not set — skipping calldata build.');
         }
       } else {
-        calldata = flashIface.encodeFunctionData('flashArbitrage', [tokenA, amountBorrowed.toString(), [tokenA, tokenB], [tokenB, tokenA], '0']);
+        calldata = flashIface.encodeFunctionData('flashArbitrage', [tokenA, amountBorrowed.toString(), [tokenA, tokenB], [tokenB, tokenA], '0', '0', '0', String(Math.floor(Date.now() / 1000) + 60)]);
       }
 
       const tx = {
@@ -7,6 +7,7 @@ import hre from 'hardhat';
 const { ethers } = hre;
 import { expect } from "chai";
 import { loadFixture } from './helpers/loadFixture.mjs';
+import { SlippageCalculator } from '../lib/slippage-calculator.js';
 
 describe("FlashArbitrage - Security Tests", function () {
   // Fixture to deploy contract and setup
@@ -47,6 +48,9 @@ describe("FlashArbitrage - Security Tests", function () {
     const tokenA = await TestToken.deploy("Token A", "TKA", ethers.parseEther("1000000"));
     const tokenB = await TestToken.deploy("Token B", "TKB", ethers.parseEther("1000000"));
 
+    // Swap deadline a few minutes after the latest block
+    const deadline = BigInt((await ethers.provider.getBlock("latest")).timestamp + 300);
+
     return {
       flashArbitrage,
       mockAavePool,
@@ -56,13 +60,14 @@ describe("FlashArbitrage - Security Tests", function () {
       tokenB,
       owner,
       attacker,
-      user1
+      user1,
+      deadline
     };
   }
 
   describe("Access Control", function () {
     it("Should only allow owner to call flashArbitrage", async function () {
-      const { flashArbitrage, attacker, tokenA } = await loadFixture(deployContractFixture);
+      const { flashArbitrage, attacker, tokenA, deadline } = await loadFixture(deployContractFixture);
 
       const path1 = [await tokenA.getAddress(), await tokenA.getAddress()];
       const path2 = [await tokenA.getAddress(), await tokenA.getAddress()];
@@ -73,7 +78,10 @@ describe("FlashArbitrage - Security Tests", function () {
           ethers.parseEther("10"),
           path1,
           path2,
-          ethers.parseEther("0.01")
+          ethers.parseEther("0.01"),
+          0,
+          0,
+          deadline
         )
       ).to.be.reverted;
     });
@@ -139,7 +147,7 @@ describe("FlashArbitrage - Security Tests", function () {
     });
 
     it("Should prevent flashArbitrage when paused", async function () {
-      const { flashArbitrage, owner, tokenA } = await loadFixture(deployContractFixture);
+      const { flashArbitrage, owner, tokenA, deadline } = await loadFixture(deployContractFixture);
 
       // Pause contract
       await flashArbitrage.connect(owner).emergencyPause("Testing");
@@ -153,7 +161,10 @@ describe("FlashArbitrage - Security Tests", function () {
           ethers.parseEther("10"),
           path1,
           path2,
-          ethers.parseEther("0.01")
+          ethers.parseEther("0.01"),
+          0,
+          0,
+          deadline
         )
       ).to.be.reverted;
     });
@@ -335,9 +346,126 @@ describe("FlashArbitrage - Security Tests", function () {
     });
   });
 
+  describe("Sandwich Protection", function () {
+    const amount = ethers.parseEther("10");
+
+    async function revertReason(promise) {
+      try {
+        await promise;
+      } catch (error) {
+        return error.message;
+      }
+      return null;
+    }
+
+    // What the bot encodes: each swap's expected output (the mock routers credit 1.5% per swap) less 2% slippage
+    function botMinimums() {
+      const amountOut1 = (amount * 1015n) / 1000n;
+      const amountOut2 = (amountOut1 * 1015n) / 1000n;
+      return new SlippageCalculator(2).calculateHopMinimums([amountOut1, amountOut2]);
+    }
+
+    async function paths(tokenA, tokenB) {
+      const a = await tokenA.getAddress();
+      const b = await tokenB.getAddress();
+      return { asset: a, path1: [a, b], path2: [b, a] };
+    }
+
+    it("executes at the quoted prices with the bot's per-hop minimums", async function () {
+      const { flashArbitrage, owner, tokenA, tokenB, deadline } = await loadFixture(deployContractFixture);
+      const { asset, path1, path2 } = await paths(tokenA, tokenB);
+      const [minAmountOut1, minAmountOut2] = botMinimums();
+
+      await flashArbitrage.connect(owner).flashArbitrage(asset, amount, path1, path2, ethers.parseEther("0.01"), minAmountOut1, minAmountOut2, deadline);
+
+      // 10 -> 10.15 -> 10.30225, less the 10.005 owed to Aave
+      expect(await flashArbitrage.totalProfits()).to.equal(ethers.parseEther("0.29725"));
+    });
+
+    it("reverts when the first swap is front-run past its minimum", async function () {
+      const { flashArbitrage, owner, router1, tokenA, tokenB, deadline } = await loadFixture(deployContractFixture);
+      const { asset, path1, path2 } = await paths(tokenA, tokenB);
+      const [minAmountOut1, minAmountOut2] = botMinimums();
+
+      // The sandwich's front-run leaves the first pool paying 0.993 instead of 1.015
+      await router1.setRate(993);
+
+      const reason = await revertReason(
+        flashArbitrage.connect(owner).flashArbitrage(asset, amount, path1, path2, 0, minAmountOut1, minAmountOut2, deadline)
+      );
+      expect(reason).to.match(/Slippage exceeded/);
+      expect(await flashArbitrage.totalProfits()).to.equal(0n);
+
+      // Without minimums the same trade goes through and the sandwich keeps most of the edge: 10 -> 9.93 -> 10.07895
+      await flashArbitrage.connect(owner).flashArbitrage(asset, amount, path1, path2, 0, 0, 0, deadline);
+      expect(await flashArbitrage.totalProfits()).to.equal(ethers.parseEther("0.07395"));
+    });
+
+    it("reverts when the second swap is front-run past its minimum on every router", async function () {
+      const { flashArbitrage, owner, router1, router2, tokenA, tokenB, deadline } = await loadFixture(deployContractFixture);
+      const { asset, path1, path2 } = await paths(tokenA, tokenB);
+      const [minAmountOut1, minAmountOut2] = botMinimums();
+
+      // The first swap stays within its minimum (10.0 >= 9.947); neither router returns the second swap's
+      await router1.setRate(1000);
+      await router2.setRate(990);
+
+      const reason = await revertReason(
+        flashArbitrage.connect(owner).flashArbitrage(asset, amount, path1, path2, 0, minAmountOut1, minAmountOut2, deadline)
+      );
+      expect(reason).to.match(/All swap attempts failed/);
+    });
+
+    it("rejects a transaction mined after its deadline", async function () {
+      const { flashArbitrage, owner, tokenA, tokenB } = await loadFixture(deployContractFixture);
+      const { asset, path1, path2 } = await paths(tokenA, tokenB);
+      const [minAmountOut1, minAmountOut2] = botMinimums();
+      const expired = BigInt((await ethers.provider.getBlock("latest")).timestamp - 1);
+
+      const reason = await revertReason(
+        flashArbitrage.connect(owner).flashArbitrage(asset, amount, path1, path2, 0, minAmountOut1, minAmountOut2, expired)
+      );
+      expect(reason).to.match(/Deadline passed/);
+    });
+  });
+
+  describe("Builder Payment", function () {
+    it("Should forward the call's ETH to the block's fee recipient", async function () {
+      const { flashArbitrage, owner } = await loadFixture(deployContractFixture);
+      const payment = ethers.parseEther("0.02");
+
+      const receipt = await (await flashArbitrage.connect(owner).payCoinbase({ value: payment })).wait();
+      const block = await ethers.provider.getBlock(receipt.blockNumber);
+      const paid = receipt.logs.map(log => flashArbitrage.interface.parseLog(log)).find(log => log?.name === "CoinbasePaid");
+      expect(paid.args.coinbase).to.equal(block.miner);
+      expect(paid.args.amount).to.equal(payment);
+      expect(await ethers.provider.getBalance(await flashArbitrage.getAddress())).to.equal(0n);
+    });
+
+    it("Should only let the owner pay, and only a non-zero amount", async function () {
+      const { flashArbitrage, owner, attacker } = await loadFixture(deployContractFixture);
+
+      let reason = null;
+      try {
+        await flashArbitrage.connect(attacker).payCoinbase({ value: 1n });
+      } catch (error) {
+        reason = error.message;
+      }
+      expect(reason).to.not.equal(null);
+
+      reason = null;
+      try {
+        await flashArbitrage.connect(owner).payCoinbase();
+      } catch (error) {
+        reason = error.message;
+      }
+      expect(reason).to.include("No payment");
+    });
+  });
+
   describe("Input Validation", function () {
     it("Should reject flashArbitrage with invalid paths", async function () {
-      const { flashArbitrage, owner, tokenA } = await loadFixture(deployContractFixture);
+      const { flashArbitrage, owner, tokenA, deadline } = await loadFixture(deployContractFixture);
 
       // Path too short (length < 2)
       await expect(
@@ -346,13 +474,16 @@ describe("FlashArbitrage - Security Tests", function () {
           ethers.parseEther("10"),
           [await tokenA.getAddress()], // Invalid: length 1
           [await tokenA.getAddress(), await tokenA.getAddress()],
-          ethers.parseEther("0.01")
+          ethers.parseEther("0.01"),
+          0,
+          0,
+          deadline
         )
       ).to.be.revertedWith("Invalid paths");
     });
 
     it("Should reject flashArbitrage with mismatched asset", async function () {
-      const { flashArbitrage, owner, tokenA, tokenB } = await loadFixture(deployContractFixture);
+      const { flashArbitrage, owner, tokenA, tokenB, deadline } = await loadFixture(deployContractFixture);
 
       const path1 = [await tokenB.getAddress(), await tokenA.getAddress()]; // Wrong start
       const path2 = [await tokenA.getAddress(), await tokenA.getAddress()];
@@ -363,7 +494,10 @@ describe("FlashArbitrage - Security Tests", function () {
           ethers.parseEther("10"),
           path1,
           path2,
-          ethers.parseEther("0.01")
+          ethers.parseEther("0.01"),
+          0,
+          0,
+          deadline
         )
       ).to.be.revertedWith("Paths must start and end with flash loan asset");
     });
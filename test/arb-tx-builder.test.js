@@ -0,0 +1,174 @@
+import { expect } from 'chai';
+import { ethers } from 'ethers';
+import { ArbTxBuilder, COINBASE_PAYMENT_GAS, unsupportedRoute } from '../lib/arb-tx-builder.js';
+import { DEXES, DexRegistry } from '../lib/dex-registry.js';
+import { SlippageCalculator } from '../lib/slippage-calculator.js';
+import { createMockProvider } from './helpers/mockProvider.mjs';
+
+describe('ArbTxBuilder', function () {
+  const E18 = 10n ** 18n;
+  const GWEI = 10n ** 9n;
+  const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+  const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+  const ARB = '0x00000000000000000000000000000000000a4b17';
+  const ABI = [
+    'function executeArbitrage(uint256 amountIn) external',
+    'function flashArbitrage(address asset, uint256 amount, address[] path1, address[] path2, uint256 minProfit, uint256 minAmountOut1, uint256 minAmountOut2, uint256 deadline) external',
+    'function flashArbitrageBalancer(address asset, uint256 amount, address[] path1, address[] path2, uint256 minProfit, uint256 minAmountOut1, uint256 minAmountOut2, uint256 deadline) external',
+    'function payCoinbase() external payable',
+    'function router1() view returns (address)',
+    'function router2() view returns (address)',
+  ];
+  const NOW = 1700000000000;
+
+  let provider;
+  let wallet;
+  let estimates;
+  let source;
+
+  beforeEach(function () {
+    provider = createMockProvider({ blockNumber: 100 });
+    estimates = [];
+    provider.getNetwork = async () => ({ chainId: 1n });
+    provider.getTransactionCount = async (address, tag) => (tag === 'pending' ? 7 : 5);
+    provider.getFeeData = async () => ({ gasPrice: 22n * GWEI, maxFeePerGas: 42n * GWEI, maxPriorityFeePerGas: 1n * GWEI });
+    provider.estimateGas = async (tx) => {
+      estimates.push(tx);
+      return 250000n;
+    };
+    // Deployed as in scripts/deploy-mainnet.js: Uniswap first, SushiSwap second
+    provider.addContract(ARB, ABI, {
+      router1: () => [DEXES.mainnet.uniswap.router],
+      router2: () => [DEXES.mainnet.sushiswap.router],
+    });
+    wallet = ethers.Wallet.createRandom();
+    source = 'aave';
+  });
+
+  function createBuilder() {
+    const profitModel = {
+      async flashLoanSource() { return source; },
+      flashLoanFee: (loanSource, amount) => (loanSource === 'aave' ? (amount * 5n) / 10000n : 0n),
+    };
+    return new ArbTxBuilder(new ethers.Contract(ARB, ABI, provider), wallet, {
+      provider,
+      profitModel,
+      slippageCalculator: new SlippageCalculator(2),
+      dexes: new DexRegistry('mainnet'),
+      minProfit: () => E18 / 100n,
+      priorityFee: () => 3n * GWEI,
+      now: () => NOW,
+    });
+  }
+
+  it('builds a signed EIP-1559 flash-loan transaction with estimated gas, fees and per-hop minimums', async function () {
+    const builder = createBuilder();
+    const opp = { path: [WETH, USDC], pathReverse: [USDC, WETH], dex1: 'uniswap', dex2: 'sushiswap', amountIn: 10n * E18, amountsOut: [20000n * 10n ** 6n, 11n * E18] };
+
+    const { method, args, tx } = await builder.flashLoanTx(opp);
+    expect(method).to.equal('flashArbitrage');
+    expect(tx).to.deep.include({
+      type: 2,
+      chainId: 1n,
+      nonce: 7,
+      to: ARB,
+      value: 0n,
+      gasLimit: 300000n, // 250000 estimate + 20%
+      maxPriorityFeePerGas: 3n * GWEI,
+      maxFeePerGas: 44n * GWEI, // node's cap with its 1 gwei tip swapped for ours
+    });
+    expect(estimates[0]).to.deep.equal({ from: wallet.address, to: ARB, data: tx.data });
+
+    // Calldata carries each hop's expected output less 2% and a deadline 30 seconds out
+    const decoded = builder.contract.interface.decodeFunctionData('flashArbitrage', tx.data);
+    expect([...decoded].slice(4)).to.deep.equal([E18 / 100n, 19600n * 10n ** 6n, 1078n * E18 / 100n, BigInt(NOW / 1000 + 30)]);
+    expect(args[5]).to.equal(19600n * 10n ** 6n);
+
+    const signed = ethers.Transaction.from(await builder.sign(tx));
+    expect(signed.from).to.equal(wallet.address);
+    expect(signed.type).to.equal(2);
+    expect(signed.nonce).to.equal(7);
+
+    // Rebidding a built transaction moves the tip and the fee cap together
+    expect(builder.withPriorityFee(tx, 5n * GWEI)).to.deep.include({ maxPriorityFeePerGas: 5n * GWEI, maxFeePerGas: 46n * GWEI, nonce: 7 });
+  });
+
+  it('takes fixed nonces and gas limits, and falls back to the repayment floor without per-hop quotes', async function () {
+    const builder = createBuilder();
+    source = 'balancer';
+    const opp = { path: [WETH, USDC], pathReverse: [USDC, WETH], dex1: 'uniswap', dex2: 'sushiswap', amountIn: 10n * E18 };
+
+    const { method, tx } = await builder.flashLoanTx(opp, { nonce: 9, gasLimit: 800000n });
+    expect(method).to.equal('flashArbitrageBalancer');
+    expect(tx).to.deep.include({ nonce: 9, gasLimit: 800000n });
+    expect(estimates).to.have.length(0);
+
+    // The builder payment takes its value at signing, so it isn't estimated either
+    const payment = await builder.coinbasePaymentTx({ nonce: 10 });
+    expect(payment).to.deep.include({ nonce: 10, gasLimit: COINBASE_PAYMENT_GAS, value: 0n, data: builder.contract.interface.encodeFunctionData('payCoinbase') });
+    expect(estimates).to.have.length(0);
+
+    // Balancer charges nothing here: the second swap must return the loan plus minProfit
+    const decoded = builder.contract.interface.decodeFunctionData('flashArbitrageBalancer', tx.data);
+    expect(decoded[5]).to.equal(0n);
+    expect(decoded[6]).to.equal(10n * E18 + E18 / 100n);
+
+    // A call that would revert fails at estimation, and so does a node without fee data
+    provider.estimateGas = async () => { throw new Error('execution reverted: Arbitrage not profitable'); };
+    let reason = null;
+    await builder.legacyTx(E18).catch(error => { reason = error.message; });
+    expect(reason).to.match(/Arbitrage not profitable/);
+
+    provider.getFeeData = async () => ({ gasPrice: null, maxFeePerGas: null, maxPriorityFeePerGas: null });
+    reason = null;
+    await builder.legacyTx(E18, { gasLimit: 100000n }).catch(error => { reason = error.message; });
+    expect(reason).to.equal('Unable to determine gas price');
+  });
+
+  it('refuses routes flashArbitrage would trade through its V2 routers instead of the priced pools', async function () {
+    const builder = createBuilder();
+    const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+    const v2 = { path: [WETH, USDC], pathReverse: [USDC, WETH], dex1: 'uniswap', dex2: 'sushiswap', amountIn: E18 };
+    const cycle = {
+      ...v2,
+      path: [WETH, USDC, DAI],
+      pathReverse: [DAI, WETH],
+      hops: [{ tokenIn: WETH, tokenOut: USDC }, { tokenIn: USDC, tokenOut: DAI }, { tokenIn: DAI, tokenOut: WETH }],
+      protocol: 'V2 cycle',
+    };
+
+    expect(unsupportedRoute(v2)).to.equal(null);
+    expect(unsupportedRoute({ ...v2, protocol: 'V2' })).to.equal(null);
+    expect(unsupportedRoute(cycle)).to.equal('V2 cycle route');
+    expect(unsupportedRoute({ ...cycle, protocol: undefined })).to.equal('3-hop route');
+    expect(unsupportedRoute({ ...v2, protocol: 'V3' })).to.equal('V3 route');
+    expect(unsupportedRoute({ ...v2, protocol: 'V3→V2' })).to.equal('V3→V2 route');
+    expect(unsupportedRoute({ ...v2, pathReverse: [USDC, DAI, WETH] })).to.equal('route is not two single swaps');
+
+    let reason = null;
+    await builder.flashLoanTx(cycle).catch(error => { reason = error.message; });
+    expect(reason).to.equal('Not executable by the contract: V2 cycle route');
+    expect(estimates).to.have.length(0);
+  });
+
+  it('refuses V2 round trips priced on other venues than the contract routers, or in the other order', async function () {
+    const builder = createBuilder();
+    const v2 = { path: [WETH, USDC], pathReverse: [USDC, WETH], dex1: 'uniswap', dex2: 'sushiswap', amountIn: E18 };
+
+    expect(await builder.routerDexes()).to.deep.equal(['uniswap', 'sushiswap']);
+    expect(unsupportedRoute(v2, ['uniswap', 'sushiswap'])).to.equal(null);
+    expect(unsupportedRoute({ ...v2, dex1: 'shibaswap' }, ['uniswap', 'sushiswap'])).to.equal('shibaswap→sushiswap route (contract swaps uniswap→sushiswap)');
+
+    // Sushi first would sell on the Uniswap pair and buy back on the SushiSwap one: the trade reversed
+    let reason = null;
+    await builder.flashLoanTx({ ...v2, dex1: 'sushiswap', dex2: 'uniswap' }).catch(error => { reason = error.message; });
+    expect(reason).to.equal('Not executable by the contract: sushiswap→uniswap route (contract swaps uniswap→sushiswap)');
+    expect(estimates).to.have.length(0);
+
+    // A router no venue in the registry uses is named by its address, so nothing matches it
+    provider.addContract(ARB, ABI, { router1: () => [DEXES.mainnet.uniswap.router], router2: () => ['0x00000000000000000000000000000000000000f2'] });
+    const other = createBuilder();
+    expect(await other.routerDexes()).to.deep.equal(['uniswap', '0x00000000000000000000000000000000000000f2']);
+    expect(unsupportedRoute(v2, await other.routerDexes())).to.match(/^uniswap→sushiswap route/);
+  });
+});
@@ -0,0 +1,120 @@
+import { expect } from 'chai';
+import {
+  BalancerPoolSimulator,
+  ONE,
+  complement,
+  divUp,
+  exp,
+  mulDown,
+  pow,
+  stableInvariant,
+  stableOutGivenIn,
+  weightedOutGivenIn,
+} from '../lib/balancer-math.js';
+
+describe('Balancer math', function () {
+  const E18 = 10n ** 18n;
+  const E6 = 10n ** 6n;
+  const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+  const BAL = '0xba100000625a3754423978a60c9317c58a424e3D';
+  const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+  const WSTETH = '0x7f39C581F595B53c5cb19bD0b3f8dA6c935E2Ca0';
+
+  const fixed = value => BigInt(Math.round(value * 1e6)) * 10n ** 12n;
+  const relativeError = (actual, expected) => Math.abs(Number(actual) / 1e18 - expected) / expected;
+
+  describe('LogExpMath', function () {
+    it('matches floating-point pow and exp to 1e-14', function () {
+      for (const [x, y] of [[0.5, 0.25], [0.95, 4.1], [1.05, 0.3], [2.5, 3.3], [0.999, 1.5], [100, 0.5], [0.02, 0.8]]) {
+        expect(relativeError(pow(fixed(x), fixed(y)), x ** y)).to.be.below(1e-14);
+      }
+      expect(relativeError(exp(E18), Math.E)).to.be.below(1e-15);
+      expect(relativeError(exp(-3n * E18), Math.exp(-3))).to.be.below(1e-15);
+      expect(pow(0n, E18)).to.equal(0n);
+      expect(pow(fixed(7), 0n)).to.equal(E18);
+      expect(() => exp(131n * E18)).to.throw(/INVALID_EXPONENT/);
+    });
+  });
+
+  describe('Weighted pools', function () {
+    it('reduces to constant product at equal weights and caps the input at 30%', function () {
+      const half = E18 / 2n;
+      const balanceIn = 1000n * E18;
+      const balanceOut = 2000000n * E18;
+      const amountIn = 10n * E18;
+      const expected = mulDown(balanceOut, complement(divUp(balanceIn, balanceIn + amountIn)));
+      expect(weightedOutGivenIn(balanceIn, half, balanceOut, half, amountIn)).to.equal(expected);
+      expect(() => weightedOutGivenIn(balanceIn, half, balanceOut, half, 301n * E18)).to.throw(/MAX_IN_RATIO/);
+    });
+
+    it('prices 80/20 pools by their weights and charges the swap fee on the way in', function () {
+      // 80% BAL / 20% WETH holding 4000000 BAL and 1000 WETH: spot price 1 WETH = 1000 BAL
+      const pool = new BalancerPoolSimulator({
+        address: '0x5c6Ee304399DBdB9C8Ef030aB642B10820DB8F56',
+        poolId: '0x5c6ee304399dbdb9c8ef030ab642b10820db8f56000200000000000000000014',
+        kind: 'weighted',
+        tokens: [BAL, WETH],
+        balances: [4000000n * E18, 1000n * E18],
+        scalingFactors: [E18, E18],
+        weights: [8n * 10n ** 17n, 2n * 10n ** 17n],
+        swapFee: 3n * 10n ** 15n,
+      });
+      const bal = pool.quoteExactInput(WETH, BAL, E18).amountOut;
+      const afterFee = 0.997;
+      const ideal = 4000000 * (1 - (1000 / (1000 + afterFee)) ** 0.25);
+      expect(Math.abs(Number(bal) / 1e18 - ideal) / ideal).to.be.below(1e-9); // Float cancellation in 1 - base^0.25
+      expect(bal < 1000n * E18 * 997n / 1000n).to.equal(true);
+
+      // The legacy path (no exact powers) rounds up through LogExpMath and never pays more
+      const legacy = new BalancerPoolSimulator({ ...pool, kind: 'weighted', exactPowers: false });
+      expect(legacy.quoteExactInput(BAL, WETH, 1000n * E18).amountOut <= pool.quoteExactInput(BAL, WETH, 1000n * E18).amountOut).to.equal(true);
+    });
+
+    it('scales tokens by decimals', function () {
+      // 50/50 USDC/WETH at 2000 USDC per WETH
+      const pool = new BalancerPoolSimulator({
+        address: '0x96646936b91d6B9D7D0c47C496AfBF3D6ec7B6f8',
+        poolId: '0x96646936b91d6b9d7d0c47c496afbf3d6ec7b6f8000200000000000000000019',
+        kind: 'weighted',
+        tokens: [USDC, WETH],
+        balances: [20000000n * E6, 10000n * E18],
+        scalingFactors: [10n ** 12n * E18, E18],
+        weights: [ONE / 2n, ONE / 2n],
+        swapFee: 5n * 10n ** 14n,
+      });
+      const usdc = pool.quoteExactInput(WETH, USDC, E18).amountOut;
+      expect(usdc < 1999n * E6 && usdc > 1998n * E6).to.equal(true); // 0.05% fee plus 0.01% impact
+      expect(() => pool.quoteExactInput(BAL, USDC, E18)).to.throw(/cannot swap/);
+    });
+  });
+
+  describe('Stable pools', function () {
+    it('keeps the invariant and slips more at lower amplification', function () {
+      const balances = [1000000n * E18, 1200000n * E18];
+      const amp = 200000n; // A = 200 at AMP_PRECISION 1000
+      const amountIn = 50000n * E18;
+      const out = stableOutGivenIn(amp, balances, 0, 1, amountIn);
+      expect(out > 49900n * E18 && out < 50100n * E18).to.equal(true);
+      const after = stableInvariant(amp, [balances[0] + amountIn, balances[1] - out]);
+      expect(after >= stableInvariant(amp, balances)).to.equal(true);
+      // Buying the scarcer token costs more the flatter the curve
+      expect(stableOutGivenIn(10000n, balances, 1, 0, amountIn) < stableOutGivenIn(amp, balances, 1, 0, amountIn)).to.equal(true);
+    });
+
+    it('applies rate providers through the scaling factors', function () {
+      // Composable wstETH/WETH with wstETH at 1.15 WETH (its own BPT already dropped)
+      const pool = new BalancerPoolSimulator({
+        address: '0x93d199263632a4EF4Bb438F1feB99e57b4b5f0BD',
+        poolId: '0x93d199263632a4ef4bb438f1feb99e57b4b5f0bd0000000000000000000005c2',
+        kind: 'stable',
+        tokens: [WSTETH, WETH],
+        balances: [20000n * E18, 23000n * E18],
+        scalingFactors: [115n * E18 / 100n, E18],
+        amp: 50000n,
+        swapFee: 10n ** 14n,
+      });
+      const weth = pool.quoteExactInput(WSTETH, WETH, 10n * E18).amountOut;
+      expect(weth > 11498n * E18 / 1000n && weth < 115n * E18 / 10n).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import hre from 'hardhat';
+import { expect } from 'chai';
+import { BalancerScanner, BALANCER_WEIGHTED_GAS } from '../lib/balancer-scanner.js';
+import { BalancerPoolSimulator } from '../lib/balancer-math.js';
+import { CurveScanner } from '../lib/curve-scanner.js';
+import { CurvePoolSimulator } from '../lib/curve-math.js';
+import { getAmountOut } from '../lib/dex-registry.js';
+import { unsupportedRoute } from '../lib/arb-tx-builder.js';
+
+describe('BalancerScanner', function () {
+  const E18 = 10n ** 18n;
+  const E6 = 10n ** 6n;
+  const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+  const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+  const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+  const POOL = '0x96646936b91d6B9D7D0c47C496AfBF3D6ec7B6f8';
+  const V2_PAIR = '0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc';
+  const CURVE_POOL = '0xbEbc44782C7dB0a1A60Cb6fe97d0b483032FF1C7';
+
+  // 50/50 USDC/WETH at 2000 USDC per WETH
+  const simulator = new BalancerPoolSimulator({
+    address: POOL,
+    poolId: '0x96646936b91d6b9d7d0c47c496afbf3d6ec7b6f8000200000000000000000019',
+    kind: 'weighted',
+    tokens: [USDC, WETH],
+    balances: [20000000n * E6, 10000n * E18],
+    scalingFactors: [10n ** 12n * E18, E18],
+    weights: [E18 / 2n, E18 / 2n],
+    swapFee: 5n * 10n ** 14n,
+  });
+
+  // WETH sells for 2040 USDC on the V2 pair
+  const v2Reserves = { token0: USDC, token1: WETH, reserve0: 20400000n * E6, reserve1: 10000n * E18 };
+  const v2Scanner = {
+    pairs: { 'USDC-WETH-uni': { pair: V2_PAIR, dex: 'uniswap' } },
+    getSnapshot: async () => ({ blockNumber: 21, reserves: new Map([[V2_PAIR.toLowerCase(), v2Reserves]]) }),
+    pairFeeBps: () => 30,
+  };
+
+  function buildScanner() {
+    const scanner = new BalancerScanner({}, 'local', { pools: { '50USDC-50WETH': { pool: POOL } } });
+    scanner.loadPools = async () => [{ label: '50USDC-50WETH', simulator }];
+    return scanner;
+  }
+
+  it('finds Balancer↔V2 round trips in the scanners\' opportunity format', async function () {
+    const opportunities = await buildScanner().scanCrossVenue([{ token: WETH, amountIn: 10n * E18 }], { v2Scanner });
+
+    expect(opportunities).to.have.length(1);
+    const [opp] = opportunities;
+    expect(opp.protocol).to.equal('V2→Balancer');
+    expect(opp.path).to.deep.equal([WETH, USDC]);
+    expect([opp.pool1, opp.pool2]).to.deep.equal([V2_PAIR, POOL]);
+    expect([opp.dex1, opp.dex2]).to.deep.equal(['uniswap', 'balancer']);
+    expect(opp.fee2).to.equal(500); // 0.05% in V3 fee units
+    expect(opp.blockNumber).to.equal(21);
+    expect(opp.gasEstimate > BALANCER_WEIGHTED_GAS).to.equal(true);
+
+    // Sell WETH on the pair, buy it back from the pool
+    const usdc = getAmountOut(opp.amountIn, v2Reserves.reserve1, v2Reserves.reserve0, 30);
+    expect(opp.amountOut).to.equal(simulator.getAmountOut(0, 1, usdc));
+    expect(opp.profit).to.equal(opp.amountOut - opp.amountIn);
+
+    // The contract can't swap on the Vault: the route is reported, never executed
+    expect(unsupportedRoute(opp)).to.equal('V2→Balancer route');
+  });
+
+  it('prices legs against peer venues such as Curve', async function () {
+    // DAI/USDC: DAI is cheap on a DAI-heavy, low-amp Balancer stable pool and at par on Curve
+    const stable = new BalancerPoolSimulator({
+      address: '0x06Df3b2bbB68adc8B0e302443692037ED9f91b42',
+      poolId: '0x06df3b2bbb68adc8b0e302443692037ed9f91b42000000000000000000000063',
+      kind: 'stable',
+      tokens: [DAI, USDC],
+      balances: [30000000n * E18, 10000000n * E6],
+      scalingFactors: [E18, 10n ** 12n * E18],
+      amp: 5000n,
+      swapFee: 10n ** 14n,
+    });
+    const scanner = new BalancerScanner({ getBlockNumber: async () => 5 }, 'local', {});
+    scanner.loadPools = async () => [{ label: 'staBAL', simulator: stable }];
+    const curve = new CurveScanner({}, 'local', {});
+    const curveSimulator = new CurvePoolSimulator({
+      address: CURVE_POOL, kind: 'stable', coins: [DAI, USDC], decimals: [18, 6], balances: [100000000n * E18, 100000000n * E6], fee: 1000000n, amp: 2000n,
+    });
+    curve.loadPools = async () => [{ label: '3pool', simulator: curveSimulator }];
+
+    const [opp] = await scanner.scanCrossVenue([{ token: USDC, amountIn: 10000n * E6 }], { peers: [curve] });
+    expect(opp.protocol).to.equal('Balancer→Curve');
+    expect(opp.pairName).to.equal('staBAL / 3pool');
+    expect(opp.blockNumber).to.equal(5);
+    expect(unsupportedRoute(opp)).to.equal('Balancer→Curve route');
+  });
+
+  describe('Vault flash loans', function () {
+    async function deployFixture(feePercentage = 0n) {
+      const { ethers } = hre;
+      const [owner, attacker] = await ethers.getSigners();
+      const vault = await (await ethers.getContractFactory('MockBalancerVault')).deploy();
+      const router = await (await ethers.getContractFactory('MockUniswapRouter')).deploy();
+      const arbitrage = await (await ethers.getContractFactory('FlashArbitrage')).deploy(ethers.ZeroAddress, await router.getAddress(), await router.getAddress());
+      const TestToken = await ethers.getContractFactory('TestToken');
+      const tokenA = await TestToken.deploy('Token A', 'TKA', 0n);
+      const tokenB = await TestToken.deploy('Token B', 'TKB', 0n);
+      await tokenA.mint(await vault.getAddress(), 1000n * E18);
+      await vault.setFlashLoanFeePercentage(feePercentage);
+      await arbitrage.setBalancerVault(await vault.getAddress());
+      const paths = [[await tokenA.getAddress(), await tokenB.getAddress()], [await tokenB.getAddress(), await tokenA.getAddress()]];
+      const deadline = BigInt((await ethers.provider.getBlock('latest')).timestamp + 300);
+      return { owner, attacker, vault, arbitrage, tokenA, paths, deadline };
+    }
+
+    async function revertReason(promise) {
+      try {
+        await promise;
+      } catch (error) {
+        return error.message;
+      }
+      return null;
+    }
+
+    it('borrows from the Vault, repays it and records the profit', async function () {
+      const { vault, arbitrage, tokenA, paths, deadline } = await deployFixture();
+      await arbitrage.flashArbitrageBalancer(await tokenA.getAddress(), 100n * E18, paths[0], paths[1], 0n, 0n, 0n, deadline);
+
+      expect(await tokenA.balanceOf(await vault.getAddress())).to.equal(1000n * E18);
+      // The mock routers credit 1.5% per swap: 100 -> 101.5 -> 103.0225, and the loan costs nothing
+      expect(await arbitrage.totalProfits()).to.equal(30225n * E18 / 10000n);
+    });
+
+    it('reverts when the loan plus the Vault fee cannot be repaid or the caller is not the owner', async function () {
+      const { arbitrage, tokenA, attacker, paths, deadline } = await deployFixture(5n * 10n ** 16n); // 5% fee exceeds the 3% gain
+      const asset = await tokenA.getAddress();
+      expect(await revertReason(arbitrage.flashArbitrageBalancer(asset, 100n * E18, paths[0], paths[1], 0n, 0n, 0n, deadline))).to.match(/Arbitrage not profitable/);
+      expect(await revertReason(arbitrage.connect(attacker).flashArbitrageBalancer(asset, 100n * E18, paths[0], paths[1], 0n, 0n, 0n, deadline))).to.match(/Ownable/);
+    });
+
+    it('only accepts callbacks from the configured Vault during its own loan', async function () {
+      const { arbitrage, tokenA, attacker, paths } = await deployFixture();
+      const { ethers } = hre;
+      const userData = ethers.AbiCoder.defaultAbiCoder().encode(['address[]', 'address[]', 'uint256'], [paths[0], paths[1], 0n]);
+      const reason = await revertReason(arbitrage.connect(attacker).receiveFlashLoan([await tokenA.getAddress()], [E18], [0n], userData));
+      expect(reason).to.match(/Caller must be Balancer Vault/);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import { expect } from 'chai';
+import { BlockScheduler } from '../lib/block-scheduler.js';
+
+describe('BlockScheduler', function () {
+  // Blocks every 12s from t = 1,000,000s; the clock is set by each test
+  const blockTime = number => 1000000 + (number - 100) * 12;
+
+  function createProvider() {
+    const listeners = new Set();
+    return {
+      listeners,
+      async on(event, listener) { listeners.add(listener); },
+      async off(event, listener) { listeners.delete(listener); },
+      async getBlock(number) { return { number, hash: `0x${number.toString(16)}`, timestamp: blockTime(number) }; },
+      emit(number) { listeners.forEach(listener => listener(number)); },
+    };
+  }
+
+  it('scans each new head once, with its block number, and measures latency from the block timestamp', async function () {
+    const provider = createProvider();
+    let clock = 0;
+    const scanned = [];
+    const scheduler = new BlockScheduler(provider, {
+      now: () => clock,
+      scan: async (block) => {
+        scanned.push(block);
+        clock += 300; // Scan takes 300ms
+      },
+    });
+
+    clock = blockTime(100) * 1000 + 150; // Head seen 150ms after it was produced
+    const sample = await scheduler.handleBlock(100);
+    expect(scanned).to.deep.equal([{ number: 100, hash: '0x64', timestamp: blockTime(100) }]);
+    expect(sample).to.deep.equal({ blockNumber: 100, startDelayMs: 150, latencyMs: 450, durationMs: 300 });
+
+    // Duplicate and older heads are not scanned again
+    expect(await scheduler.handleBlock(100)).to.equal(null);
+    expect(await scheduler.handleBlock(99)).to.equal(null);
+
+    clock = blockTime(101) * 1000 + 50;
+    await scheduler.handleBlock(101);
+    const stats = scheduler.getStats();
+    expect(stats).to.deep.include({ heads: 4, scans: 2, stale: 2, skipped: 0, lastBlock: 101 });
+    expect(stats.latencyMs).to.deep.equal({ last: 350, avg: 400, p50: 450, p95: 450, max: 450 });
+  });
+
+  it('skips heads that arrive while the previous scan is still running', async function () {
+    const provider = createProvider();
+    let finishScan;
+    const scanned = [];
+    const scheduler = new BlockScheduler(provider, {
+      scan: async (block) => {
+        scanned.push(block.number);
+        if (block.number === 100) await new Promise(resolve => { finishScan = resolve; });
+      },
+    });
+    await scheduler.start();
+
+    const first = scheduler.handleBlock(100);
+    await new Promise(resolve => setImmediate(resolve)); // Let the scan start
+    provider.emit(101); // Mid-scan: dropped, not queued
+    await new Promise(resolve => setImmediate(resolve));
+    finishScan();
+    await first;
+
+    provider.emit(102);
+    await new Promise(resolve => setImmediate(resolve));
+    await new Promise(resolve => setImmediate(resolve));
+    expect(scanned).to.deep.equal([100, 102]);
+    expect(scheduler.getStats()).to.deep.include({ skipped: 1, scans: 2 });
+
+    await scheduler.stop();
+    expect(provider.listeners.size).to.equal(0);
+  });
+
+  it('counts failed scans and frees the scheduler for the next head', async function () {
+    const scheduler = new BlockScheduler(createProvider(), {
+      scan: async (block) => {
+        if (block.number === 100) throw new Error('RPC down');
+      },
+    });
+
+    let error;
+    try {
+      await scheduler.handleBlock(100);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal('RPC down');
+    expect(await scheduler.handleBlock(101)).to.not.equal(null);
+    expect(scheduler.getStats()).to.deep.include({ scans: 2, errors: 1 });
+  });
+});
@@ -0,0 +1,152 @@
+import { expect } from 'chai';
+import { BundleManager } from '../lib/bundle-manager.js';
+
+describe('BundleManager', function () {
+  const E18 = 10n ** 18n;
+  const GWEI = 10n ** 9n;
+  const ACCOUNT = '0x00000000000000000000000000000000000000aa';
+  const VICTIM = '0x00000000000000000000000000000000000000bb';
+
+  let relay;
+
+  // Simulated result of one of the strings trade() signs: the victim's swap, our trade (200000 gas at the
+  // tip it was signed with) or our transfer to the fee recipient
+  function simulated(signed) {
+    const [kind, amount] = signed.split('@');
+    if (kind === 'victim') return { txHash: '0x01', fromAddress: VICTIM, gasUsed: 100000, coinbaseDiff: String(100000n * GWEI) };
+    if (kind === 'ours') return { txHash: '0x02', fromAddress: ACCOUNT, gasUsed: 200000, coinbaseDiff: String(BigInt(amount) * 200000n) };
+    return { txHash: '0x03', fromAddress: ACCOUNT, gasUsed: 30000, coinbaseDiff: amount, ethSentToCoinbase: amount };
+  }
+
+  // Relay double: simulate() returns what `simulation(block)` returns, the signed transactions succeeding
+  // by default, and bundles land in `includedIn`
+  function createRelay({ includedIn = null, simulation = () => null } = {}) {
+    const calls = { simulate: [], sendRawBundle: [] };
+    return {
+      calls,
+      async simulate(signedTransactions, block) {
+        calls.simulate.push({ signedTransactions, block });
+        return simulation(block) || { results: signedTransactions.map(simulated) };
+      },
+      async sendRawBundle(signedTransactions, block) {
+        calls.sendRawBundle.push({ signedTransactions, block });
+        return { wait: async () => (block === includedIn ? 0 : 1) };
+      },
+    };
+  }
+
+  // A trade making `profit` ETH before the tip behind a victim; signs to strings naming the tip they pay
+  function trade(profit) {
+    return async () => ({
+      profit,
+      gas: 250000n,
+      sign: async (priorityFee, coinbasePayment) => ['victim', `ours@${priorityFee}`, ...(coinbasePayment > 0n ? [`pay@${coinbasePayment}`] : [])],
+    });
+  }
+
+  it('raises the tip each missed block, re-simulating at every target, until the bundle lands', async function () {
+    relay = createRelay({ includedIn: 102 });
+    const manager = new BundleManager(relay, { account: ACCOUNT.replace('aa', 'AA'), blocks: 4 });
+    const seen = [];
+    const prepared = [];
+
+    const result = await manager.submit(100, async (block, attempt) => {
+      prepared.push([block, attempt]);
+      return trade(E18 / 10n)();
+    }, { onBlock: entry => seen.push(entry.block) });
+
+    expect(result).to.deep.include({ included: true, block: 102, reason: null });
+    expect(prepared).to.deep.equal([[100, 0], [101, 1], [102, 2]]);
+    expect(relay.calls.simulate.map(call => call.block)).to.deep.equal([100, 101, 102]);
+    expect(seen).to.deep.equal([100, 101, 102]);
+
+    // 10%, 20%, 30% of 0.1 ETH over the gas: the estimate first, then our own gas from the simulation
+    expect(result.blocks.map(entry => [entry.status, entry.tipBps, entry.priorityFee])).to.deep.equal([
+      ['not included', 1000, E18 / 100n / 250000n],
+      ['not included', 2000, E18 / 50n / 200000n],
+      ['included', 3000, (E18 * 3n) / 100n / 200000n],
+    ]);
+    const fee = (E18 * 3n) / 100n / 200000n;
+    expect(result.blocks[2]).to.deep.include({ gasUsed: 200000n, paid: fee * 200000n, bidPerGas: fee, coinbasePayment: 0n });
+    expect(result.blocks[2].netProfit).to.equal(E18 / 10n - fee * 200000n);
+    expect(relay.calls.sendRawBundle[2].signedTransactions).to.deep.equal(['victim', `ours@${(E18 * 3n) / 100n / 200000n}`]);
+
+    expect(manager.getStats()).to.deep.equal({ bundles: 1, included: 1, cancelled: 0, expired: 0, blocksTargeted: 3 });
+  });
+
+  it('caps the tip share, floors the tip per gas, and expires after the window', async function () {
+    relay = createRelay();
+    const manager = new BundleManager(relay, { account: ACCOUNT, blocks: 3, startTipBps: 4000, tipStepBps: 2000, maxTipBps: 5000 });
+    const result = await manager.submit(100, trade(E18 / 1000n), { minPriorityFee: 1n * GWEI });
+
+    expect(result).to.deep.include({ included: false, block: null, reason: null });
+    expect(result.blocks.map(entry => entry.tipBps)).to.deep.equal([4000, 5000, 5000]);
+    // 40% of 0.001 ETH over 250000 gas is 1.6 gwei; 50% over the simulated 200000 is 2.5 gwei
+    expect(result.blocks.map(entry => entry.priorityFee)).to.deep.equal([1600000000n, 2500000000n, 2500000000n]);
+
+    const floored = await manager.submit(200, trade(E18 / 100000n), { minPriorityFee: 1n * GWEI });
+    expect(floored.blocks[0].priorityFee).to.equal(1n * GWEI);
+    expect(manager.getStats()).to.include({ bundles: 2, expired: 1 });
+  });
+
+  it('pays the tip as a transfer to the fee recipient and charges what the simulation shows', async function () {
+    relay = createRelay({ includedIn: 101 });
+    const manager = new BundleManager(relay, { account: ACCOUNT, blocks: 2, payment: 'coinbase' });
+    expect(manager.tip(E18, 250000n, 1, 2n * GWEI)).to.deep.equal({ priorityFee: 2n * GWEI, coinbasePayment: E18 / 5n });
+
+    const result = await manager.submit(100, trade(E18 / 10n), { minPriorityFee: 1n * GWEI });
+    expect(result).to.deep.include({ included: true, block: 101 });
+    expect(relay.calls.sendRawBundle[0].signedTransactions).to.deep.equal(['victim', `ours@${GWEI}`, `pay@${E18 / 100n}`]);
+
+    // Our trade's priority fee and the transfer; the victim's fee isn't ours
+    const [first, second] = result.blocks;
+    expect(first).to.deep.include({ priorityFee: 1n * GWEI, coinbasePayment: E18 / 100n, gasUsed: 230000n, paid: 200000n * GWEI + E18 / 100n });
+    expect(first.bidPerGas).to.equal((200000n * GWEI + E18 / 100n) / 230000n);
+    expect(first.simulation).to.deep.include({ ownEthSentToCoinbase: E18 / 100n, coinbaseDiff: 300000n * GWEI + E18 / 100n });
+    expect(second.coinbasePayment).to.equal(E18 / 50n);
+    expect(second.netProfit).to.equal(E18 / 10n - 200000n * GWEI - E18 / 50n);
+
+    expect(() => new BundleManager(relay, { payment: 'bribe' })).to.throw('Unknown tip payment: bribe');
+  });
+
+  it('cancels when re-pricing fails, the simulation reverts, or the profit no longer covers the tip', async function () {
+    relay = createRelay({ simulation: block => (block === 101 ? { results: [{ txHash: '0x02', fromAddress: ACCOUNT, gasUsed: 90000, revert: 'Slippage exceeded' }] } : null) });
+    const manager = new BundleManager(relay, { account: ACCOUNT, blocks: 3 });
+
+    // Reverts on the second block: cancelled there, nothing sent for it
+    const reverted = await manager.submit(100, trade(E18 / 10n));
+    expect(reverted).to.deep.include({ included: false, reason: 'simulation failed: Slippage exceeded' });
+    expect(reverted.blocks.map(entry => entry.status)).to.deep.equal(['not included', 'cancelled']);
+    expect(relay.calls.sendRawBundle.map(call => call.block)).to.deep.equal([100]);
+
+    // The opportunity is gone by the second block
+    const gone = await manager.submit(200, async (block, attempt) => (attempt === 0 ? trade(E18 / 10n)() : null));
+    expect(gone.reason).to.equal('no longer profitable');
+    expect(gone.blocks[1]).to.deep.include({ block: 201, status: 'cancelled', priorityFee: null });
+
+    // The minimum tip costs more than the trade makes
+    const underwater = await manager.submit(300, trade(E18 / 10000n), { minPriorityFee: 10n * GWEI });
+    expect(underwater.reason).to.equal('profit does not cover the simulated tip');
+    expect(underwater.blocks[0].netProfit).to.equal(E18 / 10000n - 10n * GWEI * 200000n);
+
+    expect(manager.getStats()).to.include({ bundles: 3, cancelled: 3, included: 0 });
+  });
+
+  it('keeps going past relay errors and stops once the nonce is used elsewhere', async function () {
+    relay = createRelay();
+    let sends = 0;
+    relay.sendRawBundle = async () => {
+      sends++;
+      if (sends === 1) return { error: { message: 'rate limited', code: 429 } };
+      return { wait: async () => 2 };
+    };
+    const manager = new BundleManager(relay, { account: ACCOUNT, blocks: 5 });
+
+    const result = await manager.submit(100, trade(E18 / 10n));
+    expect(result).to.deep.include({ included: false, reason: 'nonce too high' });
+    expect(result.blocks.map(entry => [entry.block, entry.status, entry.reason])).to.deep.equal([
+      [100, 'not included', 'relay error: rate limited'],
+      [101, 'not included', null],
+    ]);
+  });
+});
@@ -0,0 +1,54 @@
+import { expect } from 'chai';
+import { parseSimulation } from '../lib/bundle-simulation.js';
+
+describe('parseSimulation', function () {
+  const GWEI = 10n ** 9n;
+  const OURS = '0x00000000000000000000000000000000000000Aa';
+  const VICTIM = '0x00000000000000000000000000000000000000bb';
+
+  it('types a Flashbots simulation and prices our own transactions', function () {
+    // As FlashbotsBundleProvider.simulate returns it: bigint totals, per-transaction decimal strings
+    const simulation = parseSimulation({
+      bundleGasPrice: 3n * GWEI,
+      coinbaseDiff: 999n,
+      ethSentToCoinbase: 999n,
+      results: [
+        { txHash: '0x01', fromAddress: VICTIM, toAddress: '0xrouter', gasUsed: 120000, gasPrice: '21000000000', coinbaseDiff: String(120000n * GWEI), ethSentToCoinbase: '0' },
+        { txHash: '0x02', fromAddress: OURS, toAddress: '0xarb', gasUsed: 250000, gasPrice: '22000000000', coinbaseDiff: String(250000n * 2n * GWEI), ethSentToCoinbase: '0' },
+        { txHash: '0x03', fromAddress: OURS, toAddress: '0xarb', gasUsed: 30000, gasPrice: '22000000000', coinbaseDiff: String(30000n * 2n * GWEI + 10n ** 16n), ethSentToCoinbase: String(10n ** 16n) },
+      ],
+      totalGasUsed: 400000,
+    }, OURS.toLowerCase());
+
+    expect(simulation).to.deep.include({ ok: true, error: null, totalGasUsed: 400000n, ownGasUsed: 280000n, ownEthSentToCoinbase: 10n ** 16n });
+    expect(simulation.transactions[1]).to.deep.equal({
+      txHash: '0x02', from: OURS, to: '0xarb', ours: true, gasUsed: 250000n, gasPrice: 22n * GWEI,
+      coinbaseDiff: 500000n * GWEI, ethSentToCoinbase: 0n, error: null,
+    });
+    expect(simulation.transactions[0].ours).to.equal(false);
+
+    // Totals come from the transactions; our bid is our payment to the builder over our gas
+    const ownPaid = 560000n * GWEI + 10n ** 16n;
+    expect(simulation.ownCoinbaseDiff).to.equal(ownPaid);
+    expect(simulation.coinbaseDiff).to.equal(ownPaid + 120000n * GWEI);
+    expect(simulation.ethSentToCoinbase).to.equal(10n ** 16n);
+    expect(simulation.bidPerGas).to.equal(ownPaid / 280000n);
+    expect(simulation.bundleGasPrice).to.equal((ownPaid + 120000n * GWEI) / 400000n);
+  });
+
+  it('reports relay errors and reverts, and treats a bundle without known senders as ours', function () {
+    expect(parseSimulation({ error: { message: 'bundle too old', code: -32000 } })).to.deep.include({ ok: false, error: 'bundle too old', ownGasUsed: 0n, bidPerGas: 0n });
+
+    const reverted = parseSimulation({
+      results: [
+        { txHash: '0x01', fromAddress: OURS, gasUsed: 50000, coinbaseDiff: '0' },
+        { txHash: '0x02', fromAddress: OURS, gasUsed: 80000, coinbaseDiff: '0', error: 'execution reverted', revert: 'Slippage exceeded' },
+      ],
+    }, OURS);
+    expect(reverted).to.deep.include({ ok: false, error: 'Slippage exceeded' });
+
+    // eth_callBundle results from a relay that leaves out fromAddress, and hex amounts
+    const anonymous = parseSimulation({ results: [{ txHash: '0x01', gasUsed: 100000, coinbaseDiff: '0x5af3107a4000' }] }, OURS);
+    expect(anonymous).to.deep.include({ ownGasUsed: 100000n, ownCoinbaseDiff: 10n ** 14n, bidPerGas: 10n ** 9n });
+  });
+});
@@ -0,0 +1,151 @@
+import hre from 'hardhat';
+import { expect } from 'chai';
+import {
+  CurvePoolSimulator,
+  cryptoFee,
+  getD,
+  newtonD,
+  newtonY,
+} from '../lib/curve-math.js';
+
+describe('Curve math', function () {
+  const E18 = 10n ** 18n;
+  const E6 = 10n ** 6n;
+  const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+  const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+  const USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
+  const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+  const CRV = '0xD533a949740bb3306d119CC777fa900bA034cd52';
+  const WBTC = '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599';
+
+  // 3pool-era pool: A = 2000 without A_PRECISION, 0.01% fee, skewed toward USDT
+  const threePool = () => new CurvePoolSimulator({
+    address: '0xbEbc44782C7dB0a1A60Cb6fe97d0b483032FF1C7',
+    kind: 'stable',
+    coins: [DAI, USDC, USDT],
+    decimals: [18, 6, 6],
+    balances: [180000000n * E18, 210000000n * E6, 290000000n * E6],
+    fee: 1000000n,
+    amp: 2000n,
+    aPrecision: 1n,
+  });
+
+  // CRV/ETH-style CryptoSwap pool: 1 WETH = 3333.33 CRV, balanced
+  const priceScale = 3n * 10n ** 14n; // WETH per CRV
+  const cryptoPool = (balances = [10000n * E18, (10000n * E18 * E18) / priceScale]) => {
+    const state = {
+      address: '0x8301AE4fc9c624d1D396cbDAa1ed877821D7C511',
+      kind: 'crypto',
+      coins: [WETH, CRV],
+      decimals: [18, 18],
+      balances,
+      A: 400000n,
+      gamma: 145000000000000n,
+      priceScale: [priceScale],
+      midFee: 26000000n,
+      outFee: 45000000n,
+      feeGamma: 230000000000000n,
+    };
+    state.D = newtonD(state.A, state.gamma, [balances[0], (balances[1] * priceScale) / E18]);
+    return new CurvePoolSimulator(state);
+  };
+
+  describe('StableSwap', function () {
+    it('matches the pool contract get_dy to the wei', async function () {
+      const { ethers } = hre;
+      const MockCurvePool = await ethers.getContractFactory('MockCurvePool');
+      const local = threePool();
+      const legacy = await MockCurvePool.deploy([DAI, USDC, USDT], [18, 6, 6], 2000, 1, 1000000);
+      await legacy.setBalances(local.balances);
+
+      // A_PRECISION pool (A = 50 stored as 5000), 0.04% fee, heavily imbalanced
+      const preciseState = { ...local, kind: 'stable', coins: [DAI, USDC], decimals: [18, 6], balances: [1000000n * E18, 9000000n * E6], amp: 5000n, aPrecision: 100n, fee: 4000000n };
+      const precise = new CurvePoolSimulator(preciseState);
+      const preciseContract = await MockCurvePool.deploy([DAI, USDC], [18, 6], 5000, 100, 4000000);
+      await preciseContract.setBalances(preciseState.balances);
+
+      for (const [simulator, contract] of [[local, legacy], [precise, preciseContract]]) {
+        for (let i = 0; i < simulator.coins.length; i++) {
+          for (let j = 0; j < simulator.coins.length; j++) {
+            if (i === j) continue;
+            for (const share of [1n, 1000n, 100000n, 3000000n]) {
+              const dx = (simulator.balances[i] * share) / 10000000n;
+              expect(simulator.getDy(i, j, dx)).to.equal(await contract.get_dy(i, j, dx));
+            }
+          }
+        }
+      }
+    });
+
+    it('trades near par in a deep pool and keeps D after a swap', function () {
+      const pool = threePool();
+      const out = pool.quoteExactInput(DAI, USDC, 1000n * E18).amountOut;
+      expect(out > 999800000n && out < 1000n * E6).to.equal(true); // Fee of 0.1 USDC plus a little skew
+
+      const xp = pool.balances.map((balance, k) => (balance * pool.rates[k]) / E18);
+      const before = getD(xp, pool.amp);
+      const dx = 5000000n * E18;
+      const dy = pool.getDy(0, 1, dx);
+      const after = getD([xp[0] + dx, xp[1] - dy * 10n ** 12n, xp[2]], pool.amp);
+      expect(after >= before).to.equal(true); // The fee stays in the pool
+    });
+
+    it('slips more at lower A and refuses coins it does not hold', function () {
+      const highA = threePool();
+      const lowA = new CurvePoolSimulator({ ...threePool(), kind: 'stable', amp: 10n });
+      const dx = 20000000n * E6;
+      expect(lowA.getDy(2, 0, dx) < highA.getDy(2, 0, dx)).to.equal(true);
+      expect(() => highA.quoteExactInput(WETH, DAI, E18)).to.throw(/does not hold/);
+    });
+  });
+
+  describe('CryptoSwap', function () {
+    it('solves its own invariant and quotes at price_scale less the fee', function () {
+      const pool = cryptoPool();
+      const xp = [pool.balances[0], (pool.balances[1] * priceScale) / E18];
+      const y = newtonY(pool.A, pool.gamma, xp, pool.D, 1);
+      expect(y > xp[1] - xp[1] / 10n ** 12n && y < xp[1] + xp[1] / 10n ** 12n).to.equal(true);
+
+      // Balanced: the fee is mid_fee (0.26%)
+      expect(cryptoFee(pool, xp)).to.equal(pool.midFee);
+      const crv = pool.quoteExactInput(WETH, CRV, E18 / 100n).amountOut;
+      const ideal = (E18 / 100n * E18) / priceScale;
+      expect(crv < ideal && crv > (ideal * 9970n) / 10000n).to.equal(true);
+    });
+
+    it('charges more as the pool skews and a round trip loses money', function () {
+      const pool = cryptoPool();
+      const skewed = cryptoPool([20000n * E18, (5000n * E18 * E18) / priceScale]);
+      const skewedXp = [skewed.balances[0], (skewed.balances[1] * priceScale) / E18];
+      expect(cryptoFee(skewed, skewedXp) > skewed.midFee).to.equal(true);
+      expect(cryptoFee(skewed, skewedXp) <= skewed.outFee).to.equal(true);
+
+      const crv = pool.getDy(0, 1, 100n * E18);
+      const back = new CurvePoolSimulator({ ...pool, kind: 'crypto', balances: [pool.balances[0] + 100n * E18, pool.balances[1] - crv] });
+      expect(back.getDy(1, 0, crv) < 100n * E18).to.equal(true);
+    });
+
+    it('prices three-coin pools with per-coin price scales', function () {
+      const state = {
+        address: '0xD51a44d3FaE010294C616388b506AcdA1bfAAE46',
+        kind: 'crypto',
+        coins: [USDT, WBTC, WETH],
+        decimals: [6, 8, 18],
+        balances: [60000000n * E6, 2000n * 10n ** 8n, 30000n * E18],
+        A: 1707629n,
+        gamma: 11809167828997n,
+        priceScale: [30000n * E18, 2000n * E18], // USDT per WBTC, USDT per WETH
+        midFee: 3000000n,
+        outFee: 30000000n,
+        feeGamma: 500000000000000n,
+        ramping: true, // D comes from the balances
+        D: 0n,
+      };
+      const pool = new CurvePoolSimulator(state);
+      const usdt = pool.quoteExactInput(WETH, USDT, E18).amountOut;
+      expect(usdt < 2000n * E6 && usdt > 1998n * E6).to.equal(true); // 0.03% fee plus a sliver of impact
+      const wbtc = pool.quoteExactInput(USDT, WBTC, 30000n * E6).amountOut;
+      expect(wbtc < 10n ** 8n && wbtc > 99900000n).to.equal(true);
+    });
+  });
+});
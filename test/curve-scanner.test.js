@@ -0,0 +1,92 @@
+import { expect } from 'chai';
+import { CurveScanner, CURVE_STABLE_GAS } from '../lib/curve-scanner.js';
+import { CurvePoolSimulator } from '../lib/curve-math.js';
+import { CycleFinder } from '../lib/cycle-finder.js';
+import { getAmountOut } from '../lib/dex-registry.js';
+import { unsupportedRoute } from '../lib/arb-tx-builder.js';
+
+describe('CurveScanner', function () {
+  const E18 = 10n ** 18n;
+  const E6 = 10n ** 6n;
+  const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+  const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+  const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+  const USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
+  const POOL = '0xbEbc44782C7dB0a1A60Cb6fe97d0b483032FF1C7';
+  const V2_PAIR = '0xAE461cA67B15dc8dc81CE7615e0320dA1A9aB8D5';
+
+  const simulator = new CurvePoolSimulator({
+    address: POOL,
+    kind: 'stable',
+    coins: [DAI, USDC, USDT],
+    decimals: [18, 6, 6],
+    balances: [200000000n * E18, 200000000n * E6, 200000000n * E6],
+    fee: 1000000n,
+    amp: 2000n,
+  });
+
+  // DAI trades at 1.02 USDC on the V2 pair, at par on Curve
+  const v2Reserves = { token0: DAI, token1: USDC, reserve0: 5000000n * E18, reserve1: 5100000n * E6 };
+  const v2Scanner = {
+    pairs: { 'DAI-USDC-uni': { pair: V2_PAIR, dex: 'uniswap' } },
+    getSnapshot: async () => ({ blockNumber: 11, reserves: new Map([[V2_PAIR.toLowerCase(), v2Reserves]]) }),
+    pairFeeBps: () => 30,
+  };
+
+  function buildScanner() {
+    const scanner = new CurveScanner({}, 'local', { pools: { '3pool': { pool: POOL } } });
+    scanner.loadPools = async () => [{ label: '3pool', simulator }];
+    return scanner;
+  }
+
+  it('finds Curve↔V2 round trips in the scanners\' opportunity format', async function () {
+    const opportunities = await buildScanner().scanCrossVenue([{ token: DAI, amountIn: 10000n * E18 }], { v2Scanner });
+
+    expect(opportunities).to.have.length(1);
+    const [opp] = opportunities;
+    expect(opp.protocol).to.equal('V2→Curve');
+    expect(opp.path).to.deep.equal([DAI, USDC]);
+    expect(opp.pathReverse).to.deep.equal([USDC, DAI]);
+    expect([opp.pool1, opp.pool2]).to.deep.equal([V2_PAIR, POOL]);
+    expect([opp.dex1, opp.dex2]).to.deep.equal(['uniswap', 'curve']);
+    expect(opp.hops.map(hop => hop.protocol)).to.deep.equal(['V2', 'Curve']);
+    expect(opp.pairName).to.equal('DAI-USDC-uni / 3pool');
+    expect(opp.blockNumber).to.equal(11);
+    expect(opp.gasEstimate > CURVE_STABLE_GAS).to.equal(true);
+
+    // Sell DAI for USDC on the pair, buy it back on Curve
+    const usdc = getAmountOut(opp.amountIn, v2Reserves.reserve0, v2Reserves.reserve1, 30);
+    expect(opp.amountOut).to.equal(simulator.getDy(1, 0, usdc));
+    expect(opp.profit).to.equal(opp.amountOut - opp.amountIn);
+
+    // The contract has no Curve leg: the route is reported, never executed
+    expect(unsupportedRoute(opp)).to.equal('V2→Curve route');
+  });
+
+  it('skips tokens the registry flags as unsafe', async function () {
+    const scanner = buildScanner();
+    scanner.tokenRegistry = { isUnsafe: token => token.toLowerCase() === USDC.toLowerCase() };
+    expect(await scanner.scanCrossVenue([{ token: DAI, amountIn: 10000n * E18 }], { v2Scanner })).to.have.length(0);
+    expect(await scanner.coins()).to.deep.equal([DAI, USDT]);
+  });
+
+  it('routes cycles through Curve pools', async function () {
+    const finder = new CycleFinder({ maxHops: 3 });
+    // WETH sells for 2000 USDC but costs 1950 DAI; Curve closes DAI/USDC at par
+    finder.addV2Pair({ address: '0xpool-weth-usdc', dex: 'uniswap', token0: USDC, token1: WETH, reserve0: 2000000n * E6, reserve1: 1000n * E18 });
+    finder.addV2Pair({ address: '0xpool-dai-weth', dex: 'sushiswap', token0: DAI, token1: WETH, reserve0: 1950000n * E18, reserve1: 1000n * E18 });
+    finder.addCurvePool({ address: POOL, simulator });
+
+    const [cycle] = finder.findCycles(WETH);
+    expect(cycle.pools.map(pool => pool.address)).to.deep.equal(['0xpool-weth-usdc', POOL, '0xpool-dai-weth']);
+
+    const opp = await finder.evaluateCycle(cycle, E18);
+    expect(opp.profitable).to.equal(true);
+    expect(opp.protocol).to.equal('Curve/V2 cycle');
+    expect(opp.path).to.deep.equal([WETH, USDC, DAI]);
+    const usdc = getAmountOut(opp.amountIn, 1000n * E18, 2000000n * E6);
+    const dai = simulator.getDy(1, 0, usdc);
+    expect(opp.amountOut).to.equal(getAmountOut(dai, 1950000n * E18, 1000n * E18));
+    expect(unsupportedRoute(opp)).to.equal('Curve/V2 cycle route');
+  });
+});
@@ -0,0 +1,96 @@
+import { expect } from 'chai';
+import { CycleFinder } from '../lib/cycle-finder.js';
+import { unsupportedRoute } from '../lib/arb-tx-builder.js';
+
+describe('CycleFinder', function () {
+  const E18 = 10n ** 18n;
+  const E6 = 10n ** 6n;
+  const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+  const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+  const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+
+  // WETH sells for 2000 USDC, USDC/DAI is at par, but WETH only costs 1900 DAI
+  function v2Pairs(daiPerWeth = 1900n) {
+    return [
+      { address: '0xpool-weth-usdc', dex: 'uniswap', token0: USDC, token1: WETH, reserve0: 2000000n * E6, reserve1: 1000n * E18 },
+      { address: '0xpool-usdc-dai', dex: 'uniswap', token0: DAI, token1: USDC, reserve0: 5000000n * E18, reserve1: 5000000n * E6 },
+      { address: '0xpool-dai-weth', dex: 'sushiswap', token0: DAI, token1: WETH, reserve0: daiPerWeth * 1000n * E18, reserve1: 1000n * E18 },
+    ];
+  }
+
+  function buildGraph(daiPerWeth) {
+    const finder = new CycleFinder({ maxHops: 3 });
+    for (const pair of v2Pairs(daiPerWeth)) finder.addV2Pair(pair);
+    return finder;
+  }
+
+  function chainOut(amountIn) {
+    const hop = (amount, reserveIn, reserveOut) => (amount * 997n * reserveOut) / (reserveIn * 1000n + amount * 997n);
+    const usdc = hop(amountIn, 1000n * E18, 2000000n * E6);
+    const dai = hop(usdc, 5000000n * E6, 5000000n * E18);
+    return hop(dai, 1900000n * E18, 1000n * E18);
+  }
+
+  it('finds the negative cycle through the flash-loan asset with its pool sequence', function () {
+    const cycles = buildGraph().findCycles(WETH);
+
+    expect(cycles).to.have.length(1);
+    expect(cycles[0].tokens).to.deep.equal([WETH, USDC, DAI, WETH].map(t => t.toLowerCase()));
+    expect(cycles[0].pools.map(p => p.address)).to.deep.equal(['0xpool-weth-usdc', '0xpool-usdc-dai', '0xpool-dai-weth']);
+    expect(cycles[0].weight).to.be.closeTo(-Math.log(2000 / 1900) - 3 * Math.log(0.997), 1e-9);
+  });
+
+  it('reports nothing when fees eat the price gap', function () {
+    expect(buildGraph(1995n).findCycles(WETH)).to.have.length(0);
+  });
+
+  it('sizes a cycle into an opportunity that is reported but not executed', async function () {
+    const finder = buildGraph();
+    const [cycle] = finder.findCycles(WETH);
+    const opp = await finder.evaluateCycle(cycle, E18, { blockNumber: 42 });
+
+    expect(opp.profitable).to.equal(true);
+    expect(opp.amountOut).to.equal(chainOut(opp.amountIn));
+    expect(opp.profit).to.equal(opp.amountOut - opp.amountIn);
+    expect(opp.profit > chainOut(E18) - E18).to.equal(true); // Larger than the 1 WETH scan size
+    expect(opp.path).to.deep.equal([WETH, USDC, DAI]);
+    expect(opp.pathReverse).to.deep.equal([DAI, WETH]);
+    expect(opp.hops.map(h => h.dex)).to.deep.equal(['uniswap', 'uniswap', 'sushiswap']);
+    expect(opp.protocol).to.equal('V2 cycle');
+    expect(opp.blockNumber).to.equal(42);
+    // flashArbitrage swaps two legs on its own routers, so the cycle is monitoring only
+    expect(unsupportedRoute(opp)).to.equal('V2 cycle route');
+    expect(unsupportedRoute({ ...opp, protocol: undefined })).to.equal('3-hop route');
+  });
+
+  it('caps the size by flash-loan liquidity', async function () {
+    const finder = buildGraph();
+    const [cycle] = finder.findCycles(WETH);
+    const opp = await finder.evaluateCycle(cycle, E18, { flashLoanLiquidity: E18 / 2n });
+
+    expect(opp.amountIn <= E18 / 2n).to.equal(true);
+    expect(opp.sizeLimitedBy).to.equal('aaveLiquidity');
+  });
+
+  it('reads flash-loan liquidity at the snapshot block, and uncached at latest without one', async function () {
+    const pairs = v2Pairs();
+    const snapshot = { blockNumber: 42, reserves: new Map(pairs.map(pair => [pair.address, pair])) };
+    const liquidityReads = [];
+    const v2Scanner = {
+      pairs: Object.fromEntries(pairs.map(pair => [pair.address, { pair: pair.address, dex: pair.dex }])),
+      async getSnapshot() { return snapshot; },
+      pairFeeBps: () => 30,
+      async getFlashLoanLiquidity(asset, blockNumber) {
+        liquidityReads.push(blockNumber);
+        return 100n * E18;
+      },
+    };
+    const finder = new CycleFinder({ v2Scanner, maxHops: 3 });
+
+    expect(await finder.scan(WETH, E18)).to.have.length(1);
+    snapshot.blockNumber = null;
+    expect(await finder.scan(WETH, E18)).to.have.length(1);
+    // null, not 'latest': UniswapScanner caches by block number and would keep a 'latest' read forever
+    expect(liquidityReads).to.deep.equal([42, null]);
+  });
+});
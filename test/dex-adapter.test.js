@@ -0,0 +1,160 @@
+import { expect } from 'chai';
+import { ethers } from 'ethers';
+import { DexAdapterRegistry, V2Adapter, V3Adapter, V3_FACTORY, V3_SWAP_GAS, V3_TICK_CROSS_GAS, createDexAdapters } from '../lib/dex-adapter.js';
+import { DEXES, DexRegistry, getAmountOut } from '../lib/dex-registry.js';
+import { computeV2PairAddress, computeV3PoolAddress } from '../lib/pool-address.js';
+import { createMockProvider } from './helpers/mockProvider.mjs';
+
+describe('DEX adapters', function () {
+  const E18 = 10n ** 18n;
+  const E6 = 10n ** 6n;
+  const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+  const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+  const RECIPIENT = '0x00000000000000000000000000000000000000aa';
+  const UNI = DEXES.mainnet.uniswap;
+  const UNI_PAIR = computeV2PairAddress(UNI.factory, UNI.initCodeHash, WETH, USDC);
+  const SUSHI = DEXES.mainnet.sushiswap;
+  const SUSHI_PAIR = computeV2PairAddress(SUSHI.factory, SUSHI.initCodeHash, WETH, USDC);
+
+  const PAIR_ABI = [
+    'function getReserves() view returns (uint112, uint112, uint32)',
+    'function token0() view returns (address)',
+    'function token1() view returns (address)',
+  ];
+
+  // USDC/WETH pairs: 2000 USDC per WETH on Uniswap, 2040 on SushiSwap
+  function buildProvider() {
+    const provider = createMockProvider({ blockNumber: 500 });
+    provider.addContract(UNI_PAIR, PAIR_ABI, {
+      getReserves: () => [20000000n * E6, 10000n * E18, 0],
+      token0: () => [USDC],
+      token1: () => [WETH],
+    });
+    provider.addContract(SUSHI_PAIR, PAIR_ABI, {
+      getReserves: () => [20400000n * E6, 10000n * E18, 0],
+      token0: () => [USDC],
+      token1: () => [WETH],
+    });
+    return provider;
+  }
+
+  describe('V2Adapter', function () {
+    it('discovers, loads and quotes a pair in both directions with the venue fee', async function () {
+      const provider = buildProvider();
+      const dexes = new DexRegistry('mainnet', { dexes: { uniswap: { ...UNI, feeBps: 25 } } });
+      const adapter = new V2Adapter(provider, 'uniswap', { dexes });
+
+      const [pool] = await adapter.discover(WETH, USDC);
+      expect(pool).to.deep.include({ address: UNI_PAIR, dex: 'uniswap', protocol: 'V2', fee: 2500, feeBps: 25 });
+      expect(pool.tokens).to.deep.equal([USDC, WETH]);
+
+      const states = await adapter.loadState([pool]);
+      const state = states.get(UNI_PAIR.toLowerCase());
+      expect(state.blockNumber).to.equal(500);
+      expect(state.feeBps).to.equal(25);
+
+      const { amountOut } = await adapter.quoteExactIn(state, WETH, USDC, E18);
+      expect(amountOut).to.equal(getAmountOut(E18, 10000n * E18, 20000000n * E6, 25));
+
+      // Exact output: the smallest input that yields at least the requested amount
+      const { amountIn } = await adapter.quoteExactOut(state, WETH, USDC, 1990n * E6);
+      expect(getAmountOut(amountIn, 10000n * E18, 20000000n * E6, 25) >= 1990n * E6).to.equal(true);
+      expect(getAmountOut(amountIn - 1n, 10000n * E18, 20000000n * E6, 25) < 1990n * E6).to.equal(true);
+    });
+
+    it('builds router calldata for exact-input and exact-output swaps', function () {
+      const adapter = new V2Adapter(createMockProvider(), 'uniswap');
+      const router = new ethers.Interface([
+        'function swapExactTokensForTokens(uint, uint, address[], address, uint)',
+        'function swapTokensForExactTokens(uint, uint, address[], address, uint)',
+      ]);
+
+      const exactIn = adapter.buildSwapCalldata({ address: UNI_PAIR }, { tokenIn: WETH, tokenOut: USDC, amountIn: E18, amountOutMin: 1990n * E6, recipient: RECIPIENT, deadline: 1000n });
+      expect(exactIn.to).to.equal(UNI.router);
+      const decodedIn = router.parseTransaction({ data: exactIn.data });
+      expect(decodedIn.name).to.equal('swapExactTokensForTokens');
+      expect([...decodedIn.args].slice(0, 2)).to.deep.equal([E18, 1990n * E6]);
+      expect([...decodedIn.args[2]]).to.deep.equal([WETH, USDC]);
+
+      const exactOut = adapter.buildSwapCalldata({ address: UNI_PAIR }, { tokenIn: USDC, tokenOut: WETH, amountOut: E18, amountInMax: 2100n * E6, recipient: RECIPIENT });
+      const decodedOut = router.parseTransaction({ data: exactOut.data });
+      expect(decodedOut.name).to.equal('swapTokensForExactTokens');
+      expect([...decodedOut.args].slice(0, 2)).to.deep.equal([E18, 2100n * E6]);
+    });
+  });
+
+  describe('V3Adapter', function () {
+    it('discovers deployed fee tiers and quotes locally before falling back to QuoterV2', async function () {
+      const provider = createMockProvider();
+      const pool500 = computeV3PoolAddress(V3_FACTORY, WETH, USDC, 500);
+      provider.addContract(pool500, [], {});
+      const adapter = new V3Adapter(provider);
+
+      const pools = await adapter.discover(USDC, WETH);
+      expect(pools).to.have.length(1);
+      expect(pools[0]).to.deep.include({ address: pool500, dex: 'uniswapV3', protocol: 'V3', fee: 500, feeBps: 5 });
+
+      const quoterCalls = [];
+      adapter.quoteExactInputSingle = async (...args) => {
+        quoterCalls.push(args);
+        return { amountOut: 7n, sqrtPriceX96After: 0n, gasEstimate: 120000n };
+      };
+      const simulator = { quoteExactInput: () => ({ amountOut: 5n, sqrtPriceX96After: 1n, initializedTicksCrossed: 2 }) };
+      const local = await adapter.quoteExactIn({ fee: 500, simulator }, WETH, USDC, E18);
+      expect(local.amountOut).to.equal(5n);
+      expect(local.gasEstimate).to.equal(V3_SWAP_GAS + 2n * V3_TICK_CROSS_GAS);
+      expect(quoterCalls).to.have.length(0);
+
+      // Past the loaded ticks (or no simulator at all) the quoter answers
+      const outOfRange = { quoteExactInput: () => { throw new Error('tick bitmap word not loaded'); } };
+      expect((await adapter.quoteExactIn({ fee: 500, simulator: outOfRange }, WETH, USDC, E18)).amountOut).to.equal(7n);
+      expect((await adapter.quoteExactIn({ fee: 500, simulator: null }, WETH, USDC, E18)).amountOut).to.equal(7n);
+      expect(quoterCalls[1]).to.deep.equal([WETH, USDC, E18, 500]);
+    });
+
+    it('builds SwapRouter calldata with the pool fee and deadline', function () {
+      const adapter = new V3Adapter(createMockProvider());
+      const router = new ethers.Interface([
+        'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96))',
+        'function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96))',
+      ]);
+
+      const exactIn = adapter.buildSwapCalldata({ fee: 3000 }, { tokenIn: WETH, tokenOut: USDC, amountIn: E18, amountOutMin: 1990n * E6, recipient: RECIPIENT, deadline: 1234n });
+      const [paramsIn] = router.parseTransaction({ data: exactIn.data }).args;
+      expect(exactIn.to).to.equal(adapter.router);
+      expect([paramsIn.fee, paramsIn.deadline, paramsIn.amountIn, paramsIn.amountOutMinimum]).to.deep.equal([3000n, 1234n, E18, 1990n * E6]);
+
+      const exactOut = adapter.buildSwapCalldata({ fee: 500 }, { tokenIn: USDC, tokenOut: WETH, amountOut: E18, amountInMax: 2100n * E6, recipient: RECIPIENT });
+      const parsed = router.parseTransaction({ data: exactOut.data });
+      expect(parsed.name).to.equal('exactOutputSingle');
+      expect([parsed.args[0].amountOut, parsed.args[0].amountInMaximum]).to.deep.equal([E18, 2100n * E6]);
+    });
+  });
+
+  describe('DexAdapterRegistry', function () {
+    it('finds round trips across every registered venue', async function () {
+      const provider = buildProvider();
+      const registry = createDexAdapters(provider, 'mainnet');
+      expect(registry.all().map(adapter => adapter.name)).to.deep.equal(['uniswap', 'sushiswap', 'shibaswap', 'uniswapV3']);
+      registry.get('shibaswap').findPairAddresses = async lookups => lookups.map(() => null);
+
+      const routes = await registry.findRoundTrips(WETH, USDC, E18);
+      expect(routes).to.have.length(2);
+      const [best] = routes;
+      // Sell WETH where it is dear (SushiSwap), buy it back where it is cheap (Uniswap)
+      expect([best.pool1.dex, best.pool2.dex]).to.deep.equal(['sushiswap', 'uniswap']);
+      const usdc = getAmountOut(E18, 10000n * E18, 20400000n * E6, 30);
+      expect(best.amountMid).to.equal(usdc);
+      expect(best.amountOut).to.equal(getAmountOut(usdc, 20000000n * E6, 10000n * E18, 30));
+      expect(best.profit).to.equal(best.amountOut - E18);
+      expect(routes[1].profit < 0n).to.equal(true);
+    });
+
+    it('dispatches to the adapter that owns a pool', async function () {
+      const registry = new DexAdapterRegistry([new V3Adapter(createMockProvider(), { name: 'forkV3', router: RECIPIENT })]);
+      expect(registry.buildSwapCalldata({ dex: 'forkV3', fee: 500 }, { tokenIn: WETH, tokenOut: USDC, amountIn: E18, recipient: RECIPIENT }).to).to.equal(RECIPIENT);
+      expect(registry.byProtocol('V3')).to.have.length(1);
+      expect(() => registry.adapterFor({ dex: 'unknown' })).to.throw(/No adapter registered/);
+    });
+  });
+});
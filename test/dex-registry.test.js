@@ -0,0 +1,86 @@
+import hre from 'hardhat';
+import { expect } from 'chai';
+import { DexRegistry, getAmountOut } from '../lib/dex-registry.js';
+import { UniswapScanner } from '../lib/uniswap-scanner.js';
+import { UniswapV3Scanner } from '../lib/uniswap-v3-scanner.js';
+import { SlippageCalculator } from '../lib/slippage-calculator.js';
+import { createMockProvider } from './helpers/mockProvider.mjs';
+
+describe('DexRegistry - per-venue fees', function () {
+  const E18 = 10n ** 18n;
+  const E6 = 10n ** 6n;
+  const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+  const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+  const UNI_PAIR = '0x0000000000000000000000000000000000001001';
+  const CAKE_PAIR = '0x0000000000000000000000000000000000001002';
+  const FRAX_PAIR = '0x0000000000000000000000000000000000001003';
+
+  const dexes = {
+    pancakeswap: { factory: '0x0000000000000000000000000000000000000C4e', router: '0x0000000000000000000000000000000000000C4f', feeBps: 25 },
+    fraxswap: { factory: '0x0000000000000000000000000000000000000F4a', feeBps: 30, feeReader: 'fraxswap' },
+  };
+  const pairs = {
+    'USDC-WETH-uniswap': { pair: UNI_PAIR, dex: 'uniswap', token0: 'USDC', token1: 'WETH' },
+    'USDC-WETH-pancakeswap': { pair: CAKE_PAIR, dex: 'pancakeswap', token0: 'USDC', token1: 'WETH' },
+    'USDC-WETH-fraxswap': { pair: FRAX_PAIR, dex: 'fraxswap', token0: 'USDC', token1: 'WETH' },
+  };
+
+  it('matches the 997/1000 formula at 30 bps and adds venues from config', function () {
+    const amountIn = 3n * E18;
+    const expected = (amountIn * 997n * 2000000n * E6) / (1000n * E18 * 1000n + amountIn * 997n);
+    expect(getAmountOut(amountIn, 1000n * E18, 2000000n * E6)).to.equal(expected);
+
+    const registry = new DexRegistry('mainnet', { dexes });
+    expect(registry.feeBps('uniswap')).to.equal(30);
+    expect(registry.feeBps('pancakeswap')).to.equal(25);
+    expect(registry.factories()).to.include({ uniswap: '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f', pancakeswap: dexes.pancakeswap.factory });
+    expect(() => new DexRegistry('mainnet', { dexes: { bad: { feeBps: 10000 } } })).to.throw(/feeBps/);
+    expect(() => new DexRegistry('mainnet', { dexes: { bad: { feeBps: 30, feeReader: 'nope' } } })).to.throw(/fee reader/);
+  });
+
+  it('prices each pair with its venue fee, including fees read from the pair', async function () {
+    const provider = createMockProvider();
+    provider.addContract(FRAX_PAIR, ['function fee() view returns (uint256)'], { fee: () => [9980n] });
+
+    const scanner = new UniswapScanner(provider, 'mainnet', { registry: { pairs }, dexes });
+    await scanner.refreshDynamicFees();
+    expect(scanner.pairFeeBps(UNI_PAIR)).to.equal(30);
+    expect(scanner.pairFeeBps(CAKE_PAIR)).to.equal(25);
+    expect(scanner.pairFeeBps(FRAX_PAIR)).to.equal(20);
+
+    const reserves1 = { token0: USDC, token1: WETH, reserve0: 2200000n * E6, reserve1: 1000n * E18 };
+    const reserves2 = { token0: USDC, token1: WETH, reserve0: 2100000n * E6, reserve1: 1000n * E18 };
+    const viaUni = scanner.evaluateArbitrage(reserves1, reserves2, UNI_PAIR, UNI_PAIR, WETH, E18);
+    const viaCake = scanner.evaluateArbitrage(reserves1, reserves2, CAKE_PAIR, CAKE_PAIR, WETH, E18);
+    expect(viaCake).to.include({ feeBps1: 25, feeBps2: 25 });
+    expect(viaCake.profit > viaUni.profit).to.equal(true);
+
+    const out1 = getAmountOut(viaCake.amountIn, 1000n * E18, 2200000n * E6, 25);
+    expect(viaCake.amountOut).to.equal(getAmountOut(out1, 2100000n * E6, 1000n * E18, 25));
+
+    // The V2 leg of a cross-protocol route and the slippage bounds use the same fee
+    const v3Scanner = new UniswapV3Scanner(provider, 'mainnet');
+    expect(v3Scanner.calculateV2AmountOut(E18, 1000n * E18, 2200000n * E6, 25)).to.equal(getAmountOut(E18, 1000n * E18, 2200000n * E6, 25));
+    const slippage = new SlippageCalculator(0).calculateArbitrageSlippage({
+      reserve0A: 1000n * E18, reserve1A: 2200000n * E6, reserve0B: 2100000n * E6, reserve1B: 1000n * E18, feeBps1: 25, feeBps2: 25,
+    }, E18.toString());
+    expect(BigInt(slippage.minAmountOut1)).to.equal(getAmountOut(E18, 1000n * E18, 2200000n * E6, 25));
+  });
+
+  it('MockAMM charges its configured fee like getAmountOut', async function () {
+    const { ethers } = hre;
+    const [owner] = await ethers.getSigners();
+    const Token = await ethers.getContractFactory('TestToken');
+    const tokenA = await Token.deploy('A', 'A', 1000000n * E18);
+    const tokenB = await Token.deploy('B', 'B', 1000000n * E18);
+    const amm = await (await ethers.getContractFactory('MockAMM')).deploy(await tokenA.getAddress(), await tokenB.getAddress());
+    await tokenB.transfer(await amm.getAddress(), 2000n * E18);
+    await amm.setReserves(1000n * E18, 2000n * E18);
+    await amm.setFeeBps(25);
+    await tokenA.approve(await amm.getAddress(), E18);
+
+    const before = await tokenB.balanceOf(owner.address);
+    await amm.swapExactTokensForTokens(E18, await tokenA.getAddress(), owner.address);
+    expect((await tokenB.balanceOf(owner.address)) - before).to.equal(getAmountOut(E18, 1000n * E18, 2000n * E18, 25));
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * In-memory provider for unit tests of code that reads chain state.
+ * Contracts are plain handler tables; calls through Multicall3 are unpacked and
+ * dispatched to the same handlers, so batched and direct reads behave alike.
+ */
+import { ethers } from 'ethers';
+import { MULTICALL3_ABI, MULTICALL3_ADDRESS } from '../../lib/multicall.js';
+
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+
+/**
+ * @param {Object} options
+ * @param {number} options.blockNumber - Returned by getBlockNumber
+ * @param {Array} options.logs - Logs returned by getLogs (filtered by address, topics and block range)
+ * @returns {Object} provider with a `contracts` map: address (lowercase) -> { abi, handlers: { fn: (args) => result[] } }
+ */
+export function createMockProvider({ blockNumber = 100, logs = [] } = {}) {
+  const contracts = new Map();
+  const stats = { calls: 0, getLogs: 0, getCode: 0 };
+
+  // Returns { success, returnData } for one call
+  const dispatch = (target, data) => {
+    const contract = contracts.get(target.toLowerCase());
+    if (!contract) return { success: false, returnData: '0x' };
+    const iface = new ethers.Interface(contract.abi);
+    const parsed = iface.parseTransaction({ data });
+    const handler = parsed && contract.handlers[parsed.name];
+    if (!handler) return { success: false, returnData: '0x' };
+    try {
+      return { success: true, returnData: iface.encodeFunctionResult(parsed.name, handler([...parsed.args])) };
+    } catch (error) {
+      return { success: false, returnData: '0x' };
+    }
+  };
+
+  const topicMatches = (filterTopic, logTopic) => {
+    if (filterTopic === null || filterTopic === undefined) return true;
+    const options = Array.isArray(filterTopic) ? filterTopic : [filterTopic];
+    return options.some(topic => topic.toLowerCase() === logTopic?.toLowerCase());
+  };
+
+  return {
+    contracts,
+    stats,
+    blockNumber,
+
+    addContract(address, abi, handlers) {
+      contracts.set(address.toLowerCase(), { abi, handlers });
+    },
+
+    async getBlockNumber() {
+      return this.blockNumber;
+    },
+
+    async call(tx) {
+      stats.calls++;
+      if (tx.to.toLowerCase() === MULTICALL3_ADDRESS.toLowerCase()) {
+        const [calls] = multicallInterface.decodeFunctionData('aggregate3', tx.data);
+        const results = Array.from(calls).map(call => {
+          const { success, returnData } = dispatch(call[0], call[2]);
+          return [success, returnData];
+        });
+        return multicallInterface.encodeFunctionResult('aggregate3', [results]);
+      }
+      const { success, returnData } = dispatch(tx.to, tx.data);
+      if (!success) throw new Error('execution reverted');
+      return returnData;
+    },
+
+    // Registered contracts have (placeholder) code, every other address is empty
+    async getCode(address) {
+      stats.getCode++;
+      return contracts.has(address.toLowerCase()) ? '0x00' : '0x';
+    },
+
+    async getLogs(filter) {
+      stats.getLogs++;
+      return logs.filter(log =>
+        (!filter.address || log.address.toLowerCase() === filter.address.toLowerCase())
+        && log.blockNumber >= filter.fromBlock
+        && log.blockNumber <= filter.toBlock
+        && (filter.topics || []).every((topic, i) => topicMatches(topic, log.topics[i]))
+      );
+    },
+  };
+}
@@ -0,0 +1,37 @@
+/**
+ * Local JSON-RPC server standing in for a block builder's bundle endpoint in tests.
+ * Every request is recorded with its raw body and headers; replies come from a handler.
+ */
+import http from 'http';
+
+/**
+ * @param {Function} handler - (request) => { result } | { error } | { status, body } for a parsed
+ *   { method, params } request; default accepts eth_sendBundle with a fixed bundle hash
+ * @returns {Object} { url, requests, close }
+ */
+export async function startMockRelay(handler = () => ({ result: { bundleHash: '0x' + 'ab'.repeat(32) } })) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const request = JSON.parse(body);
+      requests.push({ method: request.method, params: request.params, headers: req.headers, body });
+      const reply = await handler(request);
+      if (reply.status) {
+        res.writeHead(reply.status, { 'Content-Type': 'text/plain' });
+        res.end(reply.body || '');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: request.id, ...reply }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
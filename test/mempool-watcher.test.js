@@ -0,0 +1,189 @@
+import { expect } from 'chai';
+import { ethers } from 'ethers';
+import { MempoolWatcher, decodeRouterCall, serializeSignedTransaction } from '../lib/mempool-watcher.js';
+import { V3_FACTORY, V3_SWAP_ROUTER, V3_SWAP_ROUTER02, createDexAdapters } from '../lib/dex-adapter.js';
+import { DEXES } from '../lib/dex-registry.js';
+import { computeV3PoolAddress } from '../lib/pool-address.js';
+import { UniswapScanner } from '../lib/uniswap-scanner.js';
+import { UniswapV3Scanner } from '../lib/uniswap-v3-scanner.js';
+import { V3PoolSimulator, getSqrtRatioAtTick } from '../lib/uniswap-v3-math.js';
+import { createMockProvider } from './helpers/mockProvider.mjs';
+
+describe('MempoolWatcher', function () {
+  const E18 = 10n ** 18n;
+  const E6 = 10n ** 6n;
+  const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+  const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+  const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+  const RECIPIENT = '0x00000000000000000000000000000000000000aa';
+  const UNI_PAIR = '0x0000000000000000000000000000000000000001';
+  const SUSHI_PAIR = '0x0000000000000000000000000000000000000002';
+  const V3_POOL = computeV3PoolAddress(V3_FACTORY, WETH, USDC, 500);
+  const V2_ROUTER = { dex: 'uniswap', protocol: 'V2' };
+  const ROUTER02 = { dex: 'uniswapV3', protocol: 'V3', v2Dex: 'uniswap' };
+
+  const router = new ethers.Interface([
+    'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+    'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable',
+    'function exactInput((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params)',
+    'function exactOutput((bytes path, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum) params)',
+  ]);
+  const router02 = new ethers.Interface([
+    'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to)',
+    'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
+    'function unwrapWETH9(uint256 amountMinimum, address recipient)',
+    'function multicall(uint256 deadline, bytes[] data)',
+  ]);
+  const v3Path = (...parts) => ethers.solidityPacked(parts.map((_, i) => (i % 2 ? 'uint24' : 'address')), parts);
+
+  // Signed transaction as a node would return it (the Transaction carries hash, from and signature)
+  async function signedTx(wallet, to, data, value = 0n) {
+    return ethers.Transaction.from(await wallet.signTransaction({
+      type: 2, chainId: 1, nonce: 7, to, data, value, gasLimit: 300000n, maxFeePerGas: 30n * 10n ** 9n, maxPriorityFeePerGas: 10n ** 9n,
+    }));
+  }
+
+  // Full-range-ish V3 pool around 2000 USDC per WETH (see the V3 scanner tests)
+  function buildV3Pool(liquidity) {
+    const tick = 200311;
+    const lower = Math.floor(tick / 10) * 10 - 2000;
+    const upper = lower + 4000;
+    const bitmap = new Map();
+    for (let word = (lower / 10) >> 8; word <= (upper / 10) >> 8; word++) bitmap.set(word, 0n);
+    for (const t of [lower, upper]) {
+      const compressed = t / 10;
+      bitmap.set(compressed >> 8, bitmap.get(compressed >> 8) | (1n << BigInt(compressed & 0xff)));
+    }
+    return new V3PoolSimulator({
+      address: V3_POOL, token0: USDC, token1: WETH, fee: 500, tickSpacing: 10,
+      sqrtPriceX96: getSqrtRatioAtTick(tick), tick, liquidity, bitmap,
+      liquidityNet: new Map([[lower, liquidity], [upper, -liquidity]]),
+    });
+  }
+
+  let wallet;
+  let snapshot;
+  let simulator;
+  let watcher;
+
+  beforeEach(function () {
+    wallet = ethers.Wallet.createRandom();
+    // Both V2 pairs price WETH at 2000 USDC: nothing to arbitrage until someone trades
+    snapshot = {
+      blockNumber: 100,
+      reserves: new Map([
+        [UNI_PAIR, { token0: USDC, token1: WETH, reserve0: 20000000n * E6, reserve1: 10000n * E18 }],
+        [SUSHI_PAIR, { token0: USDC, token1: WETH, reserve0: 20000000n * E6, reserve1: 10000n * E18 }],
+      ]),
+    };
+    const v2Scanner = new UniswapScanner({}, 'local');
+    v2Scanner.pairs = {
+      'WETH-USDC-uni': { pair: UNI_PAIR, dex: 'uniswap', token0: 'USDC', token1: 'WETH' },
+      'WETH-USDC-sushi': { pair: SUSHI_PAIR, dex: 'sushiswap', token0: 'USDC', token1: 'WETH' },
+    };
+    v2Scanner.getSnapshot = async () => snapshot;
+
+    simulator = buildV3Pool(10n ** 17n);
+    const v3Scanner = new UniswapV3Scanner({}, 'local');
+    v3Scanner.pools = { 'WETH-USDC-500': { pool: V3_POOL, fee: 500 } };
+    v3Scanner.getSimulators = async addresses => addresses.map(() => simulator);
+
+    watcher = new MempoolWatcher(null, {
+      routers: createDexAdapters(createMockProvider(), 'mainnet').routers(),
+      v2Scanner,
+      v3Scanner,
+      weth: WETH,
+    });
+  });
+
+  describe('decodeRouterCall', function () {
+    it('decodes V2 exact-input, ETH-input and exact-output swaps', function () {
+      const path = [WETH, USDC, DAI];
+      const [exactIn] = decodeRouterCall(router.encodeFunctionData('swapExactTokensForTokens', [5n * E18, 9000n * E6, path, RECIPIENT, 1n]), 0n, V2_ROUTER);
+      expect(exactIn).to.deep.include({ protocol: 'V2', dex: 'uniswap', exactInput: true, amountIn: 5n * E18, amountOutMin: 9000n * E6 });
+      expect(exactIn.hops).to.deep.equal([{ tokenIn: WETH, tokenOut: USDC }, { tokenIn: USDC, tokenOut: DAI }]);
+
+      const [ethIn] = decodeRouterCall(router.encodeFunctionData('swapExactETHForTokens', [1n, [WETH, USDC], RECIPIENT, 1n]), 3n * E18, V2_ROUTER);
+      expect(ethIn.amountIn).to.equal(3n * E18);
+
+      const [exactOut] = decodeRouterCall(router.encodeFunctionData('swapTokensForExactTokens', [E18, 2100n * E6, [USDC, WETH], RECIPIENT, 1n]), 0n, V2_ROUTER);
+      expect(exactOut).to.deep.include({ exactInput: false, amountOut: E18, amountInMax: 2100n * E6 });
+    });
+
+    it('decodes V3 paths in execution order and unwraps multicall', function () {
+      const [exactIn] = decodeRouterCall(router.encodeFunctionData('exactInput', [[v3Path(WETH, 500, USDC, 100, DAI), RECIPIENT, 1n, E18, 0n]]), 0n, ROUTER02);
+      expect(exactIn.hops).to.deep.equal([{ tokenIn: WETH, tokenOut: USDC, fee: 500 }, { tokenIn: USDC, tokenOut: DAI, fee: 100 }]);
+
+      // exactOutput paths start from the output token
+      const [exactOut] = decodeRouterCall(router.encodeFunctionData('exactOutput', [[v3Path(DAI, 100, USDC, 500, WETH), RECIPIENT, 1n, 2000n * E18, E18]]), 0n, ROUTER02);
+      expect(exactOut.hops).to.deep.equal([{ tokenIn: WETH, tokenOut: USDC, fee: 500 }, { tokenIn: USDC, tokenOut: DAI, fee: 100 }]);
+      expect(exactOut).to.deep.include({ exactInput: false, amountOut: 2000n * E18, amountInMax: E18 });
+
+      // SwapRouter02 multicall: a V2 swap (traded on Uniswap V2), a V3 swap and a non-swap call
+      const data = router02.encodeFunctionData('multicall', [1n, [
+        router02.encodeFunctionData('swapExactTokensForTokens', [E18, 0n, [WETH, USDC], RECIPIENT]),
+        router02.encodeFunctionData('exactInputSingle', [[WETH, USDC, 3000, RECIPIENT, 2n * E18, 0n, 0n]]),
+        router02.encodeFunctionData('unwrapWETH9', [0n, RECIPIENT]),
+      ]]);
+      const swaps = decodeRouterCall(data, 0n, ROUTER02);
+      expect(swaps.map(swap => [swap.protocol, swap.dex, swap.amountIn])).to.deep.equal([['V2', 'uniswap', E18], ['V3', 'uniswapV3', 2n * E18]]);
+      expect(swaps[1].hops).to.deep.equal([{ tokenIn: WETH, tokenOut: USDC, fee: 3000 }]);
+    });
+  });
+
+  it('rebuilds the signed bytes of a pending transaction', async function () {
+    const tx = await signedTx(wallet, DEXES.mainnet.uniswap.router, '0x1234', 5n);
+    expect(serializeSignedTransaction(tx)).to.equal(tx.serialized);
+  });
+
+  it('backruns a large V2 swap on the post-swap reserves without touching the cache', async function () {
+    const data = router.encodeFunctionData('swapExactTokensForTokens', [200n * E18, 390000n * E6, [WETH, USDC], RECIPIENT, 1n]);
+    const tx = await signedTx(wallet, DEXES.mainnet.uniswap.router, data);
+    const seen = [];
+    watcher.onOpportunities = async opportunities => seen.push(...opportunities);
+
+    const opportunities = await watcher.handlePendingTransaction(tx);
+
+    expect(opportunities.length).to.be.greaterThan(0);
+    const [best] = opportunities;
+    // The victim dumped WETH on Uniswap: sell it where it is still dear (SushiSwap), buy it back on Uniswap
+    expect([best.pair1, best.pair2]).to.deep.equal([SUSHI_PAIR, UNI_PAIR]);
+    expect([best.dex1, best.dex2]).to.deep.equal(['sushiswap', 'uniswap']);
+    expect(best.path).to.deep.equal([WETH, USDC]);
+    expect(best.profit > 0n).to.equal(true);
+    expect(best.victim).to.deep.equal({ hash: tx.hash, rawTransaction: tx.serialized, router: tx.to, dex: 'uniswap' });
+    expect(seen).to.have.length(opportunities.length);
+
+    // The V3 pool was not moved, but it is now dearer than Uniswap V2 too
+    expect(opportunities.some(opp => opp.protocol === 'V3→V2' && opp.pool2 === UNI_PAIR)).to.equal(true);
+    expect(snapshot.reserves.get(UNI_PAIR).reserve1).to.equal(10000n * E18);
+  });
+
+  it('backruns a V3 swap inside a SwapRouter02 multicall with the post-swap pool', async function () {
+    const sqrtPriceBefore = simulator.sqrtPriceX96;
+    const data = router02.encodeFunctionData('multicall', [1n, [
+      router02.encodeFunctionData('exactInputSingle', [[WETH, USDC, 500, RECIPIENT, 100n * E18, 0n, 0n]]),
+    ]]);
+    const opportunities = await watcher.handlePendingTransaction(await signedTx(wallet, V3_SWAP_ROUTER02, data));
+
+    // WETH is now cheap on V3: sell it on a V2 pair, buy it back on V3
+    expect(opportunities.length).to.be.greaterThan(0);
+    expect(opportunities.every(opp => opp.protocol === 'V2→V3' && opp.pool2 === V3_POOL)).to.equal(true);
+    expect(simulator.sqrtPriceX96).to.equal(sqrtPriceBefore);
+  });
+
+  it('skips swaps that would revert, small swaps and calls to unknown contracts', async function () {
+    // 200 WETH can't buy 400k USDC at 2000: the victim's own minimum reverts it
+    const reverting = router.encodeFunctionData('swapExactTokensForTokens', [200n * E18, 400000n * E6, [WETH, USDC], RECIPIENT, 1n]);
+    expect(await watcher.handlePendingTransaction(await signedTx(wallet, DEXES.mainnet.uniswap.router, reverting))).to.deep.equal([]);
+    expect(watcher.stats.reverting).to.equal(1);
+
+    const small = router.encodeFunctionData('swapExactTokensForTokens', [E18, 0n, [WETH, USDC], RECIPIENT, 1n]);
+    expect(await watcher.handlePendingTransaction(await signedTx(wallet, V3_SWAP_ROUTER, small))).to.deep.equal([]);
+    expect(await watcher.handlePendingTransaction(await signedTx(wallet, DEXES.mainnet.sushiswap.router, small))).to.deep.equal([]);
+    expect(await watcher.handlePendingTransaction(await signedTx(wallet, RECIPIENT, reverting))).to.deep.equal([]);
+
+    expect(watcher.stats).to.deep.include({ routerTxs: 3, largeSwaps: 1, backruns: 0 });
+  });
+});
@@ -0,0 +1,71 @@
+import { expect } from 'chai';
+import { OpportunityRanker } from '../lib/opportunity-ranker.js';
+
+describe('OpportunityRanker', function () {
+  const E15 = 10n ** 15n;
+  const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+  const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+  const UNI_WETH_USDC = '0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc';
+  const SUSHI_WETH_USDC = '0x397FF1542f962076d0BFE58eA045FfA2d347ACa0';
+  const V3_WETH_USDC = '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640';
+  const UNI_WETH_DAI = '0xA478c2975Ab1Ea89e8196811F51A7B7Ade33eB11';
+  const SUSHI_WETH_DAI = '0xC3D03e4F041Fd4cD388c549Ee2A29a9E5075882f';
+
+  const v2 = (pair1, pair2, profit, extra = {}) => ({ path: [WETH, USDC], pair1, pair2, dex1: 'sushiswap', dex2: 'uniswap', profit, ...extra });
+
+  it('keeps one trade per pool when scanners report the same edge', function () {
+    const ranker = new OpportunityRanker();
+    const v2Edge = v2(SUSHI_WETH_USDC, UNI_WETH_USDC, 8n * E15);
+    // The V3 scanner sees the same Uniswap V2 pool against the 5 bp pool
+    const crossEdge = { path: [WETH, USDC], pool1: V3_WETH_USDC, pool2: UNI_WETH_USDC.toLowerCase(), protocol: 'V3→V2', profit: 12n * E15 };
+    const daiEdge = v2(SUSHI_WETH_DAI, UNI_WETH_DAI, 3n * E15);
+
+    const { selected, discarded, groups } = ranker.rank([v2Edge, crossEdge, daiEdge]);
+    expect(groups).to.equal(2);
+    expect(selected.map(opp => opp.profit)).to.deep.equal([12n * E15, 3n * E15]);
+    expect(selected[0].netProfitEth).to.equal(12n * E15);
+    expect(discarded).to.deep.equal([v2Edge]);
+  });
+
+  it('picks the best pool-disjoint set, not just the single best opportunity', function () {
+    // A cycle through both pools beats either two-pool route alone, but not both together
+    const cycle = { hops: [{ pool: SUSHI_WETH_USDC }, { pool: V3_WETH_USDC }, { pool: UNI_WETH_DAI }, { pool: SUSHI_WETH_DAI }], path: [WETH, USDC], profit: 10n * E15 };
+    const usdc = v2(SUSHI_WETH_USDC, UNI_WETH_USDC, 6n * E15);
+    const dai = v2(SUSHI_WETH_DAI, UNI_WETH_DAI, 6n * E15);
+
+    const exact = new OpportunityRanker().rank([cycle, usdc, dai]);
+    expect(exact.groups).to.equal(1);
+    expect(exact.selected.map(opp => opp.profit)).to.deep.equal([6n * E15, 6n * E15]);
+    expect(exact.discarded).to.deep.equal([cycle]);
+
+    // Past maxExactGroupSize the ranker falls back to greedy by net profit
+    const greedy = new OpportunityRanker({ maxExactGroupSize: 2 }).rank([cycle, usdc, dai]);
+    expect(greedy.selected.map(opp => opp.profit)).to.deep.equal([10n * E15]);
+  });
+
+  it('ranks by profit in ETH net of each route\'s gas and drops what gas eats', function () {
+    const ranker = new OpportunityRanker();
+    const gasPrice = 10n ** 10n; // 10 gwei
+    // 0.009 ETH gross over a 600k-gas cycle nets 0.003, less than 0.007 over the default 300k (0.004);
+    // 0.002 ETH doesn't cover its gas at all
+    const cycle = { hops: [{ pool: SUSHI_WETH_USDC }, { pool: UNI_WETH_USDC }, { pool: UNI_WETH_DAI }], path: [WETH, USDC], profit: 1n, profitEth: 9n * E15, gasEstimate: 600000n };
+    const usdc = v2(SUSHI_WETH_USDC, V3_WETH_USDC, 7n * E15);
+    const dust = v2(SUSHI_WETH_DAI, UNI_WETH_DAI, 2n * E15);
+
+    const { selected, discarded } = ranker.rank([cycle, usdc, dust], { gasPrice });
+    expect(selected).to.have.length(1);
+    expect(selected[0].pair2).to.equal(V3_WETH_USDC);
+    expect(selected[0].netProfitEth).to.equal(4n * E15);
+    expect(discarded).to.deep.equal([cycle, dust]);
+    expect(ranker.getStats()).to.deep.equal({ ranked: 3, selected: 1, discarded: 2 });
+  });
+
+  it('keeps equally profitable opportunities in the order they were reported', function () {
+    const first = v2(SUSHI_WETH_USDC, UNI_WETH_USDC, 5n * E15, { id: 'first' });
+    const second = v2(SUSHI_WETH_DAI, UNI_WETH_DAI, 5n * E15, { id: 'second' });
+    const best = { path: [WETH, USDC], pool1: V3_WETH_USDC, pool2: '0x0000000000000000000000000000000000000001', protocol: 'V3→V2', profit: 6n * E15, id: 'best' };
+
+    const { selected } = new OpportunityRanker().rank([first, second, best]);
+    expect(selected.map(opp => opp.id)).to.deep.equal(['best', 'first', 'second']);
+  });
+});
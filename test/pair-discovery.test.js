@@ -0,0 +1,192 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import { PairDiscovery, loadRegistry } from '../lib/pair-discovery.js';
+import { UniswapScanner } from '../lib/uniswap-scanner.js';
+import { UniswapV3Scanner } from '../lib/uniswap-v3-scanner.js';
+import { createMockProvider } from './helpers/mockProvider.mjs';
+
+describe('PairDiscovery', function () {
+  const E18 = 10n ** 18n;
+  const E6 = 10n ** 6n;
+  const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+  const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+  const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+  const JUNK = '0x000000000000000000000000000000000000dEaD';
+  const FACTORY = '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f';
+  const V3_FACTORY = '0x1F98431c8aD98523631AE4a59f267346ea31F984';
+  const V3_POOL = '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640';
+  const pairAddress = (i) => ethers.getAddress(`0x${(0x1000 + i).toString(16).padStart(40, '0')}`);
+
+  const allowlist = [
+    { symbol: 'WETH', address: WETH, decimals: 18, minLiquidity: '10' },
+    { symbol: 'USDC', address: USDC, decimals: 6, minLiquidity: '10000' },
+    { symbol: 'DAI', address: DAI, decimals: 18, minLiquidity: '10000' },
+  ];
+
+  let provider;
+  let allPairs;
+  let registryPath;
+
+  function addPair(token0, token1, reserve0, reserve1) {
+    const address = pairAddress(allPairs.length);
+    allPairs.push(address);
+    provider.addContract(address, [
+      'function token0() view returns (address)',
+      'function token1() view returns (address)',
+      'function getReserves() view returns (uint112, uint112, uint32)',
+    ], {
+      token0: () => [token0],
+      token1: () => [token1],
+      getReserves: () => [reserve0, reserve1, 0],
+    });
+    return address;
+  }
+
+  beforeEach(function () {
+    const v3Factory = new ethers.Interface(['event PoolCreated(address indexed token0, address indexed token1, uint24 indexed fee, int24 tickSpacing, address pool)']);
+    const created = (token0, token1, fee, pool, blockNumber) => ({
+      ...v3Factory.encodeEventLog('PoolCreated', [token0, token1, fee, 10, pool]),
+      address: V3_FACTORY,
+      blockNumber,
+    });
+    provider = createMockProvider({
+      blockNumber: 1000,
+      logs: [
+        created(USDC, WETH, 500, V3_POOL, 200),
+        created(JUNK, WETH, 3000, '0x0000000000000000000000000000000000000BAD', 300),
+      ],
+    });
+
+    allPairs = [];
+    provider.addContract(FACTORY, [
+      'function allPairsLength() view returns (uint256)',
+      'function allPairs(uint256) view returns (address)',
+    ], {
+      allPairsLength: () => [allPairs.length],
+      allPairs: ([i]) => [allPairs[Number(i)]],
+    });
+
+    // ERC20 balances of the V3 pool
+    const balances = { [USDC.toLowerCase()]: 5000000n * E6, [WETH.toLowerCase()]: 2000n * E18 };
+    for (const token of [USDC, WETH]) {
+      provider.addContract(token, ['function balanceOf(address) view returns (uint256)'], {
+        balanceOf: () => [balances[token.toLowerCase()]],
+      });
+    }
+
+    registryPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'registry-')), 'pairs.json');
+  });
+
+  function createDiscovery() {
+    return new PairDiscovery(provider, 'mainnet', {
+      allowlist,
+      registryPath,
+      factories: { uniswap: FACTORY },
+      v3Factory: V3_FACTORY,
+      v3StartBlock: 0,
+      maxLogRange: 400,
+    });
+  }
+
+  it('keeps allowlisted pools that meet the liquidity minimums and saves the registry', async function () {
+    const liquid = addPair(USDC, WETH, 2000000n * E6, 1000n * E18);
+    addPair(JUNK, WETH, E18, E18); // Token not allowlisted
+    addPair(DAI, USDC, 500n * E18, 500n * E6); // Too shallow
+
+    const registry = await createDiscovery().discover();
+
+    expect(registry.pairs).to.deep.equal({
+      'USDC-WETH-uniswap': { pair: liquid, dex: 'uniswap', token0: 'USDC', token1: 'WETH', token0Address: USDC, token1Address: WETH },
+    });
+    expect(Object.keys(registry.v3Pools)).to.deep.equal(['USDC-WETH-500']);
+    expect(registry.v3Pools['USDC-WETH-500'].pool).to.equal(V3_POOL);
+    expect(registry.v2Cursors.uniswap).to.equal(3);
+    expect(registry.v3Cursor).to.equal(1001);
+    expect(loadRegistry(registryPath)).to.deep.equal(registry);
+  });
+
+  it('resumes from its cursors and re-checks liquidity of earlier candidates', async function () {
+    addPair(USDC, WETH, 2000000n * E6, 1000n * E18);
+    const shallow = addPair(DAI, USDC, 500n * E18, 500n * E6);
+    await createDiscovery().discover();
+
+    // The shallow pair fills up and a new pair is created
+    provider.contracts.get(shallow.toLowerCase()).handlers.getReserves = () => [50000n * E18, 50000n * E6, 0];
+    addPair(DAI, WETH, 100000n * E18, 50n * E18);
+    provider.blockNumber = 1200;
+    const logsBefore = provider.stats.getLogs;
+
+    const registry = await createDiscovery().discover();
+
+    expect(Object.keys(registry.pairs).sort()).to.deep.equal(['DAI-USDC-uniswap', 'DAI-WETH-uniswap', 'USDC-WETH-uniswap']);
+    expect(registry.v2Cursors.uniswap).to.equal(3);
+    expect(provider.stats.getLogs - logsBefore).to.equal(1); // Only blocks 1001..1200
+  });
+
+  it('saves each factory\'s cursor and candidates as soon as its range is read', async function () {
+    const uniPair = addPair(USDC, WETH, 2000000n * E6, 1000n * E18);
+    addPair(JUNK, WETH, E18, E18);
+
+    // A second factory whose reads fail on the first run
+    const SUSHI_FACTORY = '0xC0AEe478e3658e2610c5F7A4A2E1777cE9e4f2Ac';
+    const sushiPair = pairAddress(100);
+    provider.addContract(sushiPair, [
+      'function token0() view returns (address)',
+      'function token1() view returns (address)',
+      'function getReserves() view returns (uint112, uint112, uint32)',
+    ], {
+      token0: () => [DAI],
+      token1: () => [WETH],
+      getReserves: () => [100000n * E18, 50n * E18, 0],
+    });
+    provider.addContract(SUSHI_FACTORY, [
+      'function allPairsLength() view returns (uint256)',
+      'function allPairs(uint256) view returns (address)',
+    ], {
+      allPairsLength: () => [1],
+      allPairs: () => [sushiPair],
+    });
+    const call = provider.call.bind(provider);
+    let failing = true;
+    provider.call = async (tx) => {
+      if (failing && tx.data.toLowerCase().includes(SUSHI_FACTORY.slice(2).toLowerCase())) throw new Error('rate limited');
+      return call(tx);
+    };
+
+    const discovery = () => new PairDiscovery(provider, 'mainnet', {
+      allowlist,
+      registryPath,
+      factories: { uniswap: FACTORY, sushiswap: SUSHI_FACTORY },
+      v3Factory: null,
+    });
+    let reason = null;
+    await discovery().discover().catch(error => { reason = error.message; });
+    expect(reason).to.match(/rate limited/);
+
+    const saved = loadRegistry(registryPath);
+    expect(saved.v2Cursors).to.deep.equal({ uniswap: 2 });
+    expect(saved.candidates.v2.map(c => c.pair)).to.deep.equal([uniPair]);
+
+    // The rerun reads only SushiSwap's range
+    failing = false;
+    const calls = provider.stats.calls;
+    const registry = await discovery().discover();
+    expect(registry.v2Cursors).to.deep.equal({ uniswap: 2, sushiswap: 1 });
+    expect(Object.keys(registry.pairs).sort()).to.deep.equal(['DAI-WETH-sushiswap', 'USDC-WETH-uniswap']);
+    // allPairsLength per factory, SushiSwap's allPairs and tokens, then the liquidity check
+    expect(provider.stats.calls - calls).to.equal(5);
+  });
+
+  it('is what the scanners load at startup', async function () {
+    addPair(USDC, WETH, 2000000n * E6, 1000n * E18);
+    await createDiscovery().discover();
+    const registry = loadRegistry(registryPath);
+
+    expect(Object.keys(new UniswapScanner(provider, 'mainnet', { registry }).pairs)).to.deep.equal(['USDC-WETH-uniswap']);
+    expect(Object.keys(new UniswapV3Scanner(provider, 'mainnet', { registry }).pools)).to.deep.equal(['USDC-WETH-500']);
+    expect(Object.keys(new UniswapScanner(provider, 'mainnet', { registry: null }).pairs)).to.include('WETH-USDC-uni');
+  });
+});
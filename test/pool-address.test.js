@@ -0,0 +1,98 @@
+import { expect } from 'chai';
+import { computeV2PairAddress, computeV3PoolAddress, getDeployed, sortTokens } from '../lib/pool-address.js';
+import { DEXES, DexRegistry } from '../lib/dex-registry.js';
+import { UniswapScanner } from '../lib/uniswap-scanner.js';
+import { UniswapV3Scanner, V3_FACTORY } from '../lib/uniswap-v3-scanner.js';
+import { createMockProvider } from './helpers/mockProvider.mjs';
+
+describe('Pool address derivation', function () {
+  const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+  const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+  const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+  const UNI = DEXES.mainnet.uniswap;
+
+  it('derives mainnet V2 pairs and V3 pools regardless of token order', function () {
+    expect(sortTokens(WETH, USDC)).to.deep.equal([USDC, WETH]);
+    expect(computeV2PairAddress(UNI.factory, UNI.initCodeHash, WETH, USDC)).to.equal('0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc');
+    expect(computeV2PairAddress(UNI.factory, UNI.initCodeHash, DAI, WETH)).to.equal('0xA478c2975Ab1Ea89e8196811F51A7B7Ade33eB11');
+    expect(computeV3PoolAddress(V3_FACTORY, WETH, USDC, 500)).to.equal('0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640');
+    expect(computeV3PoolAddress(V3_FACTORY, USDC, WETH, 3000)).to.equal('0x8ad599c3A0ff1De082011EFDDc58f1908eb6e6D8');
+    expect(() => sortTokens(WETH, WETH.toLowerCase())).to.throw(/Identical/);
+  });
+
+  it('derives known mainnet pairs with every built-in V2 venue\'s init code hash', function () {
+    const SHIB = '0x95aD61b0a150d79219dCF64E1E6Cc01f0B64C4cE';
+    const known = {
+      uniswap: [[WETH, USDC, '0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc']],
+      sushiswap: [[WETH, USDC, '0x397FF1542f962076d0BFE58eA045FfA2d347ACa0'], [DAI, WETH, '0xC3D03e4F041Fd4cD388c549Ee2A29a9E5075882f']],
+      shibaswap: [[SHIB, WETH, '0xCF6dAAB95c476106ECa715D48DE4b13287ffDEAa']],
+    };
+    expect(Object.keys(known)).to.deep.equal(Object.keys(DEXES.mainnet));
+    for (const [name, pairs] of Object.entries(known)) {
+      const { factory, initCodeHash } = DEXES.mainnet[name];
+      for (const [tokenA, tokenB, pair] of pairs) {
+        expect(computeV2PairAddress(factory, initCodeHash, tokenA, tokenB), name).to.equal(pair);
+      }
+    }
+  });
+
+  it('finds pairs with one batched existence check and no factory calls', async function () {
+    const provider = createMockProvider();
+    const pair = computeV2PairAddress(UNI.factory, UNI.initCodeHash, WETH, USDC);
+    provider.addContract(pair, ['function token0() view returns (address)'], { token0: () => [USDC] });
+    const deployed = await getDeployed(provider, [pair, computeV2PairAddress(UNI.factory, UNI.initCodeHash, WETH, DAI)]);
+    expect([...deployed]).to.deep.equal([pair.toLowerCase()]);
+
+    const scanner = new UniswapScanner(provider, 'mainnet');
+    const found = await scanner.findPairAddresses([
+      { tokenA: WETH, tokenB: USDC, dex: 'uniswap' },
+      { tokenA: WETH, tokenB: DAI, dex: 'uniswap' },
+    ]);
+    expect(found).to.deep.equal([pair, null]);
+    expect(provider.stats.calls).to.equal(0);
+
+    // Confirmed pairs are remembered
+    const getCodeBefore = provider.stats.getCode;
+    expect(await scanner.findPairAddress(USDC, WETH, 'uniswap')).to.equal(pair);
+    expect(provider.stats.getCode).to.equal(getCodeBefore);
+  });
+
+  it('finds every deployed V3 fee tier', async function () {
+    const provider = createMockProvider();
+    for (const fee of [500, 3000]) {
+      provider.addContract(computeV3PoolAddress(V3_FACTORY, WETH, USDC, fee), [], {});
+    }
+    const pools = await new UniswapV3Scanner(provider, 'mainnet').findPools(WETH, USDC);
+    expect(pools).to.deep.equal([
+      { pool: '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640', fee: 500 },
+      { pool: '0x8ad599c3A0ff1De082011EFDDc58f1908eb6e6D8', fee: 3000 },
+    ]);
+  });
+
+  it('drops an init code hash that does not match the factory and falls back to getPair', async function () {
+    const provider = createMockProvider();
+    const factory = '0x0000000000000000000000000000000000000fac';
+    const realPair = '0x0000000000000000000000000000000000001234';
+    provider.addContract(factory, [
+      'function allPairs(uint256) view returns (address)',
+      'function getPair(address, address) view returns (address)',
+    ], {
+      allPairs: () => [realPair],
+      getPair: () => [realPair],
+    });
+    provider.addContract(realPair, [
+      'function token0() view returns (address)',
+      'function token1() view returns (address)',
+    ], {
+      token0: () => [USDC],
+      token1: () => [WETH],
+    });
+
+    const dexes = new DexRegistry('mainnet', { dexes: { forkdex: { factory, initCodeHash: UNI.initCodeHash, feeBps: 25 } } });
+    expect(await dexes.verifyInitCodeHash(provider, 'forkdex')).to.equal(false);
+    expect(dexes.pairAddress('forkdex', WETH, USDC)).to.equal(null);
+
+    const scanner = new UniswapScanner(provider, 'mainnet', { dexes });
+    expect(await scanner.findPairAddress(WETH, USDC, 'forkdex')).to.equal(realPair);
+  });
+});
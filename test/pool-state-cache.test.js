@@ -0,0 +1,161 @@
+import { expect } from 'chai';
+import { ethers } from 'ethers';
+import { PoolStateCache } from '../lib/pool-state-cache.js';
+
+describe('PoolStateCache', function () {
+  const E18 = 10n ** 18n;
+  const PAIR = '0x00000000000000000000000000000000000000a1';
+  const POOL = '0x00000000000000000000000000000000000000b2';
+  const TOKEN0 = '0x00000000000000000000000000000000000000c3';
+  const TOKEN1 = '0x00000000000000000000000000000000000000d4';
+  const Q96 = 2n ** 96n;
+
+  const v2Events = new ethers.Interface(['event Sync(uint112 reserve0, uint112 reserve1)']);
+  const v3Events = new ethers.Interface([
+    'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+    'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+    'event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+  ]);
+
+  let chain;
+  let v2Scanner;
+  let v3Scanner;
+
+  // Canonical blocks by number; `fork` names the branch a block's hash (and its child's parent hash) belongs to
+  function createChain(head) {
+    const forks = new Map();
+    const hash = n => ethers.id(`${forks.get(n) || 'main'}:${n}`);
+    const logs = [];
+    const calls = { getLogs: 0 };
+    return {
+      head,
+      forks,
+      logs,
+      calls,
+      async getBlock(tag) {
+        const number = tag === 'latest' ? this.head : tag;
+        if (number > this.head) return null;
+        return { number, hash: hash(number), parentHash: hash(number - 1) };
+      },
+      async getLogs(filter) {
+        calls.getLogs++;
+        const addresses = filter.address.map(address => address.toLowerCase());
+        return logs.filter(log => addresses.includes(log.address.toLowerCase())
+          && log.blockNumber >= filter.fromBlock && log.blockNumber <= filter.toBlock
+          && filter.topics[0].includes(log.topics[0]));
+      },
+    };
+  }
+
+  function log(iface, name, address, blockNumber, index, values) {
+    return { address, blockNumber, index, ...iface.encodeEventLog(iface.getEvent(name), values) };
+  }
+
+  const sync = (blockNumber, reserve0, reserve1, index = 0) => log(v2Events, 'Sync', PAIR, blockNumber, index, [reserve0, reserve1]);
+  const swap = (blockNumber, sqrtPriceX96, liquidity, tick) => log(v3Events, 'Swap', POOL, blockNumber, 1, [TOKEN0, TOKEN0, 1n, -1n, sqrtPriceX96, liquidity, tick]);
+
+  beforeEach(function () {
+    chain = createChain(100);
+    v2Scanner = {
+      pairs: { 'T0-T1': { pair: PAIR } },
+      seeded: [],
+      async getAllReserves(addresses, blockNumber) {
+        this.seeded.push(blockNumber);
+        return { blockNumber, reserves: new Map([[PAIR, { reserve0: 1000n * E18, reserve1: 2000n * E18, token0: TOKEN0, token1: TOKEN1 }]]) };
+      },
+    };
+    // Pool data as the chain has it: liquidity grows by one unit per block
+    v3Scanner = {
+      pools: { 'T0-T1-3000': { pool: POOL } },
+      reads: [],
+      failing: false,
+      async getPoolData(address, blockNumber) {
+        this.reads.push([address, blockNumber]);
+        if (this.failing) throw new Error('rpc timeout');
+        return { token0: TOKEN0, token1: TOKEN1, fee: 3000n, sqrtPriceX96: Q96, tick: 0n, liquidity: BigInt(blockNumber) * E18 };
+      },
+    };
+  });
+
+  function createCache(options = {}) {
+    return new PoolStateCache(chain, { v2Scanner, v3Scanner, ...options });
+  }
+
+  it('applies Sync and Swap logs, and re-reads a V3 pool after a Mint or Burn', async function () {
+    const cache = createCache();
+    await cache.seed();
+    expect(cache.getV3PoolState(POOL)).to.include({ liquidity: 100n * E18, blockNumber: 100 });
+
+    chain.logs.push(sync(101, 900n * E18, 2100n * E18), swap(101, 2n * Q96, 5n * E18, 13863n));
+    chain.head = 101;
+    await cache.sync(101);
+    expect(cache.getV2Snapshot().reserves.get(PAIR)).to.include({ reserve0: 900n * E18, reserve1: 2100n * E18, blockNumber: 101 });
+    expect(cache.getV3PoolState(POOL)).to.include({ sqrtPriceX96: 2n * Q96, liquidity: 5n * E18, tick: 13863n, blockNumber: 101 });
+    expect(v3Scanner.reads).to.have.length(1);
+
+    // A Mint moves liquidity at its range's ticks: the pool is read again at the head
+    chain.logs.push(log(v3Events, 'Mint', POOL, 102, 0, [TOKEN0, TOKEN0, -600n, 600n, 10n * E18, 1n, 1n]));
+    chain.head = 102;
+    await cache.sync(102);
+    expect(v3Scanner.reads[1]).to.deep.equal([POOL, 102]);
+    expect(cache.getV3PoolState(POOL)).to.include({ liquidity: 102n * E18, blockNumber: 102 });
+
+    // A Burn whose re-read fails leaves the pool stale, so scanners read it on-chain, until a later sync gets it
+    chain.logs.push(log(v3Events, 'Burn', POOL, 103, 0, [TOKEN0, -600n, 600n, 10n * E18, 1n, 1n]));
+    chain.head = 103;
+    v3Scanner.failing = true;
+    await cache.sync(103);
+    expect(cache.getV3PoolState(POOL)).to.equal(null);
+    expect(cache.getStats()).to.include({ staleV3Pools: 1, poolReseeds: 1 });
+
+    v3Scanner.failing = false;
+    chain.head = 104;
+    await cache.sync(104);
+    expect(cache.getV3PoolState(POOL)).to.include({ liquidity: 104n * E18, blockNumber: 104 });
+    expect(cache.getStats()).to.include({ staleV3Pools: 0, poolReseeds: 2, logs: 4, blocks: 4 });
+  });
+
+  it('rolls back to the last confirmed checkpoint on a reorg and replays the new branch', async function () {
+    const cache = createCache({ confirmations: 2 });
+    await cache.seed();
+    for (const [block, reserve0] of [[101, 1001n], [102, 1002n], [103, 1003n]]) {
+      chain.logs.push(sync(block, reserve0 * E18, 2000n * E18));
+      chain.head = block;
+      await cache.sync(block);
+    }
+    expect(cache.checkpoints.map(cp => cp.blockNumber)).to.deep.equal([101, 102, 103]);
+
+    // Block 103 is replaced, and 104 builds on the new one
+    chain.forks.set(103, 'uncle');
+    chain.forks.set(104, 'uncle');
+    chain.logs.splice(2, 1, sync(103, 1300n * E18, 2000n * E18));
+    chain.logs.push(sync(104, 1400n * E18, 2000n * E18));
+    chain.head = 104;
+    const getLogs = chain.calls.getLogs;
+    await cache.sync(104);
+
+    // Back to block 101 (103 less two confirmations), then 102..104 replayed from the new branch
+    expect(cache.getStats()).to.include({ reorgs: 1, reseeds: 0, lastBlock: 104 });
+    expect(chain.calls.getLogs).to.equal(getLogs + 1);
+    expect(cache.getV2Snapshot().reserves.get(PAIR)).to.include({ reserve0: 1400n * E18, blockNumber: 104 });
+    expect(cache.lastBlockHash).to.equal((await chain.getBlock(104)).hash);
+    expect(v2Scanner.seeded).to.deep.equal([100]);
+  });
+
+  it('reseeds instead of replaying logs across a gap wider than maxLogRange', async function () {
+    const cache = createCache({ maxLogRange: 10 });
+    await cache.seed();
+
+    chain.head = 110;
+    await cache.sync(110);
+    expect(chain.calls.getLogs).to.equal(1);
+    expect(cache.getStats()).to.include({ reseeds: 0, lastBlock: 110 });
+
+    chain.head = 121;
+    await cache.sync(121);
+    expect(chain.calls.getLogs).to.equal(1);
+    expect(v2Scanner.seeded).to.deep.equal([100, 121]);
+    expect(cache.getStats()).to.include({ reseeds: 1, lastBlock: 121 });
+    expect(cache.getV3PoolState(POOL)).to.include({ liquidity: 121n * E18, blockNumber: 121 });
+  });
+});
@@ -0,0 +1,91 @@
+import { expect } from 'chai';
+import { ethers } from 'ethers';
+import { ProfitModel, DEFAULT_ROUTE_GAS } from '../lib/profit-model.js';
+import { createMockProvider } from './helpers/mockProvider.mjs';
+
+describe('ProfitModel', function () {
+  const E18 = 10n ** 18n;
+  const GWEI = 10n ** 9n;
+  const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+  const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+  const AAVE_POOL = '0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2';
+
+  let provider;
+  let premiumBps;
+
+  beforeEach(function () {
+    premiumBps = 9n;
+    provider = createMockProvider({ blockNumber: 100 });
+    provider.addContract(AAVE_POOL, ['function FLASHLOAN_PREMIUM_TOTAL() view returns (uint128)'], {
+      FLASHLOAN_PREMIUM_TOTAL: () => [premiumBps],
+    });
+    provider.getBlock = async (tag) => ({ number: tag === 'latest' ? provider.blockNumber : tag, baseFeePerGas: 20n * GWEI });
+    provider.getFeeData = async () => ({ gasPrice: 22n * GWEI, maxFeePerGas: 42n * GWEI, maxPriorityFeePerGas: 1n * GWEI });
+  });
+
+  it('charges the Aave premium read from the pool, gas at the base fee and the tip', async function () {
+    const model = new ProfitModel(provider, 'mainnet', { priorityFee: 3n * GWEI, minProfitEth: E18 / 100n });
+    const fees = await model.refresh(100);
+    expect(fees).to.deep.equal({ blockNumber: 100, baseFee: 20n * GWEI, priorityFee: 3n * GWEI, aavePremiumBps: 9n, balancerFee: 0n });
+
+    const opp = { path: [WETH, USDC], amountIn: 100n * E18, profit: E18 / 5n, gasEstimate: 400000n };
+    const evaluation = await model.evaluate(opp);
+    expect(evaluation).to.deep.include({
+      source: 'aave',
+      premium: 9n * E18 / 100n, // 0.09% of 100 WETH
+      gasCostEth: 400000n * 20n * GWEI,
+      tipEth: 400000n * 3n * GWEI,
+      profitable: true,
+      reason: null,
+    });
+    expect(evaluation.netProfitEth).to.equal(E18 / 5n - 9n * E18 / 100n - 400000n * 23n * GWEI);
+
+    // Fees are read once per block; an unreadable premium keeps its last value
+    const calls = provider.stats.calls;
+    await model.refresh(100);
+    expect(provider.stats.calls).to.equal(calls);
+    premiumBps = null;
+    provider.blockNumber = 101;
+    expect((await model.refresh(101)).aavePremiumBps).to.equal(9n);
+
+    // Routes without a gas estimate are charged the default
+    const small = await model.evaluate({ path: [WETH, USDC], amountIn: E18, profit: E18 / 100n });
+    expect(small.gas).to.equal(DEFAULT_ROUTE_GAS);
+    expect(small).to.deep.include({ profitable: false, reason: 'net profit below minimum' });
+  });
+
+  it('prices Balancer loans with the Vault fee, pre-funded trades without a fee, and other assets through the registry', async function () {
+    const balancerScanner = {
+      async getFlashLoanFee() { return 10n ** 15n; }, // 0.1%
+      async getFlashLoanLiquidity(asset) { return asset === WETH ? 50n * E18 : 0n; },
+    };
+    // 1 USDC = 0.0005 ETH
+    const tokenRegistry = { valueInEth: (token, amount) => (token === USDC ? amount * 5n * 10n ** 8n : token === WETH ? amount : null) };
+    const model = new ProfitModel(provider, 'mainnet', { balancerScanner, tokenRegistry, flashLoanSource: 'auto' });
+    await model.refresh();
+
+    // The Vault holds enough WETH: Balancer, fee rounded up
+    const weth = await model.evaluate({ path: [WETH, USDC], amountIn: 10n * E18 + 1n, profit: E18 / 10n, gasEstimate: 300000n });
+    expect(weth.source).to.equal('balancer');
+    expect(weth.premium).to.equal(10n ** 16n + 1n);
+
+    // Not enough in the Vault: Aave, valued in ETH through the registry
+    const usdc = await model.evaluate({ path: [USDC, WETH], amountIn: 20000n * 10n ** 6n, profit: 200n * 10n ** 6n, gasEstimate: 300000n });
+    expect(usdc.source).to.equal('aave');
+    expect(usdc.premium).to.equal(18n * 10n ** 6n);
+    expect(usdc.grossProfitEth).to.equal(E18 / 10n);
+    expect(usdc.premiumEth).to.equal(9n * E18 / 1000n);
+
+    const prefunded = await model.evaluate({ path: [WETH, USDC], amountIn: 10n * E18, profit: E18 / 10n }, { source: 'none' });
+    expect(prefunded.premium).to.equal(0n);
+
+    const unpriced = await model.evaluate({ path: [ethers.ZeroAddress, WETH], amountIn: 1n, profit: 1n });
+    expect(unpriced).to.deep.include({ netProfitEth: null, profitable: false, reason: 'asset has no ETH price' });
+
+    // filterProfitable keeps what clears the minimum and stamps gross and net profit in ETH
+    const kept = await model.filterProfitable([{ path: [WETH, USDC], amountIn: 10n * E18 + 1n, profit: E18 / 10n, gasEstimate: 300000n }, { path: [ethers.ZeroAddress, WETH], amountIn: 1n, profit: 1n }]);
+    expect(kept).to.have.length(1);
+    expect(kept[0].profitEth).to.equal(E18 / 10n);
+    expect(kept[0].netProfitEth).to.equal(weth.netProfitEth);
+  });
+});
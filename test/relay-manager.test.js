@@ -0,0 +1,173 @@
+import { expect } from 'chai';
+import { ethers } from 'ethers';
+import { RelayManager, parseBuilderUrls } from '../lib/relay-manager.js';
+import { BundleManager } from '../lib/bundle-manager.js';
+import { startMockRelay } from './helpers/mockRelay.mjs';
+
+describe('RelayManager', function () {
+  const GWEI = 10n ** 9n;
+  const TITAN_COINBASE = '0x4838B106FCe9647Bdf1E7877BF73cE8B0BAD5f97';
+
+  let relays;
+  let wallet;
+  let authSigner;
+  let signed;
+
+  beforeEach(async function () {
+    relays = [];
+    wallet = ethers.Wallet.createRandom();
+    authSigner = ethers.Wallet.createRandom();
+    signed = await wallet.signTransaction({
+      type: 2, chainId: 1, nonce: 7, to: ethers.ZeroAddress, data: '0x', value: 0n,
+      gasLimit: 300000n, maxFeePerGas: 40n * GWEI, maxPriorityFeePerGas: 2n * GWEI,
+    });
+  });
+
+  afterEach(async function () {
+    await Promise.all(relays.map(relay => relay.close()));
+  });
+
+  async function relay(handler) {
+    const started = await startMockRelay(handler);
+    relays.push(started);
+    return started;
+  }
+
+  // Chain after the target block: `landed` tells whether our transaction made it, `nonce` is our count after it
+  function chain({ block = 101, landed = false, nonce = 7, miner = ethers.ZeroAddress, extraData = '0x' } = {}) {
+    return {
+      async getBlockNumber() { return block; },
+      async getTransactionReceipt() { return landed ? { blockNumber: block } : null; },
+      async getBlock() { return { number: block, miner, extraData }; },
+      async getTransactionCount() { return nonce; },
+    };
+  }
+
+  it('parses builder endpoints and fans a bundle out with signed eth_sendBundle requests', async function () {
+    expect(parseBuilderUrls('titan=https://rpc.titanbuilder.xyz, https://rpc.beaverbuild.org/')).to.deep.equal([
+      { name: 'titan', url: 'https://rpc.titanbuilder.xyz' },
+      { name: 'rpc.beaverbuild.org', url: 'https://rpc.beaverbuild.org/' },
+    ]);
+
+    const good = await relay();
+    const refusing = await relay(() => ({ error: { code: -32000, message: 'bundle too large' } }));
+    const broken = await relay(() => ({ status: 502, body: 'Bad Gateway' }));
+    const manager = new RelayManager([
+      { name: 'good', url: good.url },
+      { name: 'refusing', url: refusing.url },
+      { name: 'broken', url: broken.url },
+    ], { provider: chain(), authSigner, account: wallet.address });
+
+    const submission = await manager.sendRawBundle([signed], 101);
+    expect(submission.bundleHash).to.equal('0x' + 'ab'.repeat(32));
+    expect(submission.builders).to.deep.equal([
+      { name: 'good', accepted: true, bundleHash: '0x' + 'ab'.repeat(32), error: null },
+      { name: 'refusing', accepted: false, bundleHash: null, error: 'bundle too large' },
+      { name: 'broken', accepted: false, bundleHash: null, error: 'HTTP 502: Bad Gateway' },
+    ]);
+
+    // Same bundle to every builder, each request signed by the auth key
+    for (const { requests } of [good, refusing, broken]) {
+      expect(requests[0].method).to.equal('eth_sendBundle');
+      expect(requests[0].params).to.deep.equal([{ txs: [signed], blockNumber: '0x65' }]);
+      const [address, signature] = requests[0].headers['x-flashbots-signature'].split(':');
+      expect(address).to.equal(authSigner.address);
+      expect(ethers.verifyMessage(ethers.id(requests[0].body), signature)).to.equal(authSigner.address);
+    }
+
+    // Nobody accepting is a relay error
+    const alone = new RelayManager([{ name: 'refusing', url: refusing.url }], { provider: chain() });
+    const refused = await alone.sendRawBundle([signed], 101);
+    expect(refused.error.message).to.equal('no builder accepted the bundle (refusing: bundle too large)');
+
+    const [goodStats, refusingStats] = manager.getStats().builders;
+    expect(goodStats).to.include({ sent: 1, accepted: 1, rejected: 0, acceptanceRate: 1 });
+    expect(refusingStats).to.include({ sent: 1, accepted: 0, rejected: 1, acceptanceRate: 0, inclusionRate: null });
+  });
+
+  it('simulates with eth_callBundle on the simulator and reports the first revert', async function () {
+    const sim = await relay(({ method }) => ({
+      result: method === 'eth_callBundle' ? {
+        bundleHash: '0x01',
+        coinbaseDiff: '4000000000000000',
+        results: [
+          { txHash: '0xaa', fromAddress: wallet.address, gasUsed: 150000 },
+          { txHash: '0xbb', fromAddress: wallet.address, gasUsed: 50000, revert: 'Slippage exceeded' },
+        ],
+      } : { bundleHash: '0x01' },
+    }));
+    const other = await relay();
+    const manager = new RelayManager([{ name: 'other', url: other.url }, { name: 'sim', url: sim.url }], {
+      provider: chain(), simulator: 'sim',
+    });
+
+    const simulation = await manager.simulate([signed], 101);
+    expect(simulation).to.deep.include({ totalGasUsed: 200000, coinbaseDiff: 4000000000000000n });
+    expect(simulation.firstRevert.revert).to.equal('Slippage exceeded');
+    expect(sim.requests[0].params).to.deep.equal([{ txs: [signed], blockNumber: '0x65', stateBlockNumber: 'latest' }]);
+    expect(other.requests).to.have.length(0);
+    expect(manager.getStats().builders[1]).to.include({ simulations: 1, simulationFailures: 1, simulationRate: 0 });
+
+    // An unreachable simulator is a simulation error
+    await sim.close();
+    relays = relays.filter(r => r !== sim);
+    expect((await manager.simulate([signed], 101)).error.message).to.match(/^sim: /);
+  });
+
+  it('credits the builder that landed a bundle and drops builders that never do', async function () {
+    const titan = await relay();
+    const silent = await relay();
+    const spare = await relay();
+    const builders = [
+      { name: 'titan', url: titan.url, coinbase: TITAN_COINBASE },
+      { name: 'silent', url: silent.url },
+      { name: 'spare', url: spare.url },
+    ];
+    const manager = new RelayManager(builders, { provider: chain(), account: wallet.address, maxMisses: 2, pollMs: 1 });
+
+    // Not landed, then our nonce used elsewhere
+    expect(await (await manager.sendRawBundle([signed], 101)).wait()).to.equal(1);
+    manager.provider = chain({ nonce: 8 });
+    expect(await (await manager.sendRawBundle([signed], 101)).wait()).to.equal(2);
+    // Two misses each: all but the last active builder are dropped
+    expect(manager.activeBuilders().map(b => b.name)).to.deep.equal(['spare']);
+
+    // Landed in a Titan block: recognized by its fee recipient, or by name in the extra data
+    const fresh = new RelayManager(builders, { provider: chain({ landed: true, miner: TITAN_COINBASE }), account: wallet.address, maxMisses: 1 });
+    expect(await (await fresh.sendRawBundle([signed], 101)).wait()).to.equal(0);
+    fresh.provider = chain({ landed: true, extraData: ethers.hexlify(ethers.toUtf8Bytes('Titan (titanbuilder.xyz)')) });
+    expect(await (await fresh.sendRawBundle([signed], 101)).wait()).to.equal(0);
+    fresh.provider = chain({ landed: true, extraData: ethers.hexlify(ethers.toUtf8Bytes('someone else')) });
+    expect(await (await fresh.sendRawBundle([signed], 101)).wait()).to.equal(0);
+
+    const stats = fresh.getStats();
+    expect(stats.unattributed).to.equal(1);
+    expect(stats.builders.map(({ name, active, landed, inclusionRate }) => [name, active, landed, inclusionRate])).to.deep.equal([
+      ['titan', true, 2, 2 / 3],
+      ['silent', false, 0, 0],
+      ['spare', false, 0, 0],
+    ]);
+    expect(silent.requests).to.have.length(2 + 1); // dropped by the second manager after its first bundle
+  });
+
+  it('serves as the bundle manager\'s relay against local builders', async function () {
+    const sim = await relay(({ method }) => ({
+      result: method === 'eth_callBundle'
+        ? { results: [{ txHash: '0xaa', fromAddress: wallet.address, gasUsed: 200000 }] }
+        : { bundleHash: '0x02' },
+    }));
+    let head = 100;
+    const provider = {
+      ...chain(),
+      async getBlockNumber() { return ++head; },
+      async getTransactionReceipt() { return head >= 102 ? { blockNumber: 102 } : null; },
+    };
+    const relayManager = new RelayManager([{ name: 'sim', url: sim.url }], { provider, account: wallet.address, pollMs: 1 });
+    const bundles = new BundleManager(relayManager, { account: wallet.address, blocks: 3 });
+
+    const result = await bundles.submit(101, async () => ({ profit: 10n ** 16n, gas: 250000n, sign: async () => [signed] }));
+    expect(result).to.deep.include({ included: true, block: 102 });
+    expect(result.blocks.map(entry => entry.status)).to.deep.equal(['not included', 'included']);
+    expect(sim.requests.map(request => request.method)).to.deep.equal(['eth_callBundle', 'eth_sendBundle', 'eth_callBundle', 'eth_sendBundle']);
+  });
+});
@@ -0,0 +1,120 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import { TokenRegistry, v3VirtualReserves } from '../lib/token-registry.js';
+import { UniswapV3Scanner } from '../lib/uniswap-v3-scanner.js';
+import { ProfitModel } from '../lib/profit-model.js';
+import { createMockProvider } from './helpers/mockProvider.mjs';
+
+describe('TokenRegistry', function () {
+  const E18 = 10n ** 18n;
+  const E8 = 10n ** 8n;
+  const E6 = 10n ** 6n;
+  const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+  const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+  const WBTC = '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599';
+  const MKR = '0x9f8F72aA9304c8B593d555F12eF6589cC3A579A2';
+  const STETH = '0xae7ab96520DE3A18E5e111B5EaAb095312D7fE84';
+
+  let provider;
+  let cachePath;
+
+  function addToken(address, symbol, decimals, { bytes32Symbol = false } = {}) {
+    provider.addContract(address, [
+      bytes32Symbol ? 'function symbol() view returns (bytes32)' : 'function symbol() view returns (string)',
+      'function decimals() view returns (uint8)',
+    ], {
+      symbol: () => [bytes32Symbol ? ethers.encodeBytes32String(symbol) : symbol],
+      decimals: () => [decimals],
+    });
+  }
+
+  beforeEach(function () {
+    provider = createMockProvider();
+    addToken(WETH, 'WETH', 18);
+    addToken(USDC, 'USDC', 6);
+    addToken(WBTC, 'WBTC', 8);
+    addToken(MKR, 'MKR', 18, { bytes32Symbol: true });
+    addToken(STETH, 'stETH', 18);
+    cachePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-')), 'tokens.json');
+  });
+
+  it('resolves symbol and decimals in one batch and caches them on disk', async function () {
+    const registry = new TokenRegistry(provider, 'mainnet', { cachePath });
+    const [usdc, mkr, steth] = await registry.resolveMany([USDC, MKR, STETH]);
+
+    expect(usdc).to.include({ symbol: 'USDC', decimals: 6, feeOnTransfer: false, rebasing: false });
+    expect(mkr).to.include({ symbol: 'MKR', decimals: 18 });
+    expect(steth.rebasing).to.equal(true);
+    expect(registry.isUnsafe(STETH)).to.equal(true);
+    expect(provider.stats.calls).to.equal(1);
+    expect(registry.format(USDC, 1500250000n)).to.equal('1500.25 USDC');
+
+    // A fresh registry reads the cache instead of the chain
+    const reloaded = new TokenRegistry(provider, 'mainnet', { cachePath });
+    await reloaded.resolve(usdc.address.toLowerCase());
+    expect(provider.stats.calls).to.equal(1);
+    expect(reloaded.get(USDC).decimals).to.equal(6);
+  });
+
+  it('rejects tokens without decimals()', async function () {
+    const registry = new TokenRegistry(provider, 'mainnet');
+    const missing = '0x000000000000000000000000000000000000dEaD';
+    let error;
+    try {
+      await registry.resolve(missing);
+    } catch (err) {
+      error = err;
+    }
+    expect(error?.message).to.match(/no decimals/);
+  });
+
+  it('values tokens in ETH through the deepest pool, across hops and V3 pools', function () {
+    const registry = new TokenRegistry(provider, 'mainnet');
+    registry.updatePrices([
+      { token0: USDC, token1: WETH, reserve0: 2000n * 1000n * E6, reserve1: 1000n * E18 }, // 2000 USDC/ETH, deep
+      { token0: USDC, token1: WETH, reserve0: 3000n * E6, reserve1: 1n * E18 }, // 3000 USDC/ETH, shallow
+      { token0: WBTC, token1: USDC, reserve0: 10n * E8, reserve1: 600000n * E6 }, // 60000 USDC/BTC, no WETH pool
+    ], 123);
+
+    expect(registry.pricesBlock).to.equal(123);
+    expect(registry.valueInEth(WETH, E18)).to.equal(E18);
+    expect(registry.valueInEth(USDC, 2000n * E6)).to.equal(E18);
+    expect(registry.valueInEth(WBTC, E8)).to.equal(30n * E18);
+    expect(registry.amountForEth(USDC, E18)).to.equal(2000n * E6);
+    expect(registry.valueInEth(MKR, E18)).to.equal(null);
+
+    // A V3 pool at 2500 USDC/ETH (token0 = USDC, 6 decimals; token1 = WETH, 18 decimals)
+    const sqrtPriceX96 = BigInt(Math.floor(Math.sqrt(1e12 / 2500) * 2 ** 48)) * 2n ** 48n;
+    registry.updatePrices([v3VirtualReserves({ token0: USDC, token1: WETH, sqrtPriceX96, liquidity: 10n ** 24n })]);
+    const value = registry.valueInEth(USDC, 2500n * E6);
+    expect(Number(value) / 1e18).to.be.closeTo(1, 1e-6);
+  });
+
+  it('lets the profit model compare non-WETH profits to gas in ETH', async function () {
+    const registry = new TokenRegistry(provider, 'mainnet');
+    registry.updatePrices([{ token0: USDC, token1: WETH, reserve0: 2000n * 1000n * E6, reserve1: 1000n * E18 }]);
+    provider.getBlock = async () => ({ number: 100, baseFeePerGas: 10n ** 9n });
+    provider.getFeeData = async () => ({ maxFeePerGas: 10n ** 9n, gasPrice: 10n ** 9n, maxPriorityFeePerGas: 0n });
+
+    const opportunities = [
+      { path: [USDC, WETH], amountIn: 1000n * E6, profit: 100n * E6, gasEstimate: 300000n }, // 0.05 ETH
+      { path: [USDC, WETH], amountIn: 1000n * E6, profit: 10n * E6, gasEstimate: 300000n }, // 0.005 ETH: raw units would pass
+      { path: [MKR, WETH], amountIn: E18, profit: E18, gasEstimate: 300000n }, // Unpriced
+    ];
+
+    // Balancer without a Vault to read: no loan fee, so only gas separates the first two
+    const model = new ProfitModel(provider, 'mainnet', { tokenRegistry: registry, flashLoanSource: 'balancer', minProfitEth: E18 / 100n });
+    const profitable = await model.filterProfitable(opportunities);
+    expect(profitable.map(opp => opp.profitEth)).to.deep.equal([E18 / 20n]);
+  });
+
+  it('scales V3 prices by token decimals', function () {
+    const scanner = new UniswapV3Scanner(provider, 'mainnet');
+    // 2000 USDC per WETH in a WETH/USDC-ordered pool: raw price = 2000e6 / 1e18
+    const sqrtPriceX96 = BigInt(Math.floor(Math.sqrt(2000e6 / 1e18) * 2 ** 96));
+    expect(scanner.calculatePrice(sqrtPriceX96, 18, 6)).to.be.closeTo(2000, 1e-6);
+  });
+});
@@ -0,0 +1,117 @@
+import hre from 'hardhat';
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TokenRegistry } from '../lib/token-registry.js';
+import { TokenSafetyDetector } from '../lib/token-safety.js';
+import { UniswapScanner } from '../lib/uniswap-scanner.js';
+import { PairDiscovery } from '../lib/pair-discovery.js';
+
+describe('TokenSafetyDetector', function () {
+  const E18 = 10n ** 18n;
+  let holder;
+  let plainToken;
+  let taxedToken;
+  let registry;
+  let detector;
+  let cachePath;
+  let cachedTokens;
+
+  before(async function () {
+    const { ethers } = hre;
+    [, holder] = await ethers.getSigners();
+    plainToken = await (await ethers.getContractFactory('TestToken')).deploy('Plain', 'PLN', 1000n * E18);
+    taxedToken = await (await ethers.getContractFactory('FeeOnTransferToken')).deploy(1000n * E18, 150);
+    await plainToken.transfer(holder.address, 100n * E18);
+    await taxedToken.transfer(holder.address, 100n * E18);
+
+    // Metadata is normally read through Multicall3, which the in-process network doesn't have
+    cachedTokens = {};
+    for (const [token, symbol] of [[plainToken, 'PLN'], [taxedToken, 'FEE']]) {
+      const address = await token.getAddress();
+      cachedTokens[address.toLowerCase()] = { address, symbol, decimals: 18, feeOnTransfer: false, rebasing: false, transferFeeBps: 0 };
+    }
+    cachePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-')), 'tokens.json');
+  });
+
+  beforeEach(async function () {
+    fs.writeFileSync(cachePath, JSON.stringify({ network: 'hardhat', tokens: cachedTokens }));
+    registry = new TokenRegistry(hre.ethers.provider, 'hardhat', { cachePath });
+    detector = new TokenSafetyDetector(hre.ethers.provider, registry);
+  });
+
+  it('measures the transfer fee without moving any tokens', async function () {
+    const taxed = await detector.inspectToken(await taxedToken.getAddress(), holder.address);
+    const plain = await detector.inspectToken(await plainToken.getAddress(), holder.address);
+
+    expect(taxed).to.include({ symbol: 'FEE', feeOnTransfer: true, transferFeeBps: 150 });
+    expect(plain).to.include({ symbol: 'PLN', feeOnTransfer: false, transferFeeBps: 0 });
+    expect(registry.isUnsafe(await taxedToken.getAddress())).to.equal(true);
+    expect(await taxedToken.balanceOf(holder.address)).to.equal(100n * E18 - (100n * E18 * 150n) / 10000n);
+  });
+
+  it('makes the V2 scanner refuse or price fee-on-transfer pairs', async function () {
+    const taxed = await taxedToken.getAddress();
+    const weth = await plainToken.getAddress();
+    await detector.inspectToken(taxed, holder.address);
+
+    const pair = (token0, token1, reserve0, reserve1) => ({ token0, token1, reserve0, reserve1 });
+    const reserves1 = pair(weth, taxed, 1000n * E18, 1000n * E18);
+    const reserves2 = pair(weth, taxed, 1000n * E18, 900n * E18);
+
+    const refusing = new UniswapScanner(hre.ethers.provider, 'mainnet', { tokenRegistry: registry });
+    const refused = refusing.evaluateArbitrage(reserves1, reserves2, '0x1', '0x2', weth, E18);
+    expect(refused.profitable).to.equal(false);
+    expect(refused.refused).to.match(/fee-on-transfer \(150 bps\)/);
+
+    // Two 1.5% transfers of the taxed token eat into the ~11% price gap
+    const pricing = new UniswapScanner(hre.ethers.provider, 'mainnet', { tokenRegistry: registry, allowFeeOnTransfer: true });
+    const plain = new UniswapScanner(hre.ethers.provider, 'mainnet');
+    const priced = pricing.evaluateArbitrage(reserves1, reserves2, '0x1', '0x2', weth, E18);
+    const unaware = plain.evaluateArbitrage(reserves1, reserves2, '0x1', '0x2', weth, E18);
+    expect(priced.profitable).to.equal(true);
+    expect(priced.profit < unaware.profit).to.equal(true);
+
+    const tokenOut = pricing.afterTransferFee(taxed, pricing.calculateAmountOut(priced.amountIn, 1000n * E18, 1000n * E18));
+    const back = pricing.calculateAmountOut(pricing.afterTransferFee(taxed, tokenOut), 900n * E18, 1000n * E18);
+    expect(priced.amountOut).to.equal(back);
+  });
+
+  it('treats a token whose probe fails as unsafe and drops its pools from discovery', async function () {
+    const { ethers } = hre;
+    const otherToken = await (await ethers.getContractFactory('TestToken')).deploy('Other', 'OTH', 1000n * E18);
+    await otherToken.transfer(holder.address, 100n * E18);
+    const [plain, other] = [await plainToken.getAddress(), await otherToken.getAddress()];
+    fs.writeFileSync(cachePath, JSON.stringify({
+      network: 'hardhat',
+      tokens: { ...cachedTokens, [other.toLowerCase()]: { address: other, symbol: 'OTH', decimals: 18, feeOnTransfer: false, rebasing: false, transferFeeBps: 0 } },
+    }));
+    registry = new TokenRegistry(hre.ethers.provider, 'hardhat', { cachePath });
+    detector = new TokenSafetyDetector(hre.ethers.provider, registry);
+
+    // A node without state overrides can't probe OTH
+    const probeTransfer = detector.probeTransfer.bind(detector);
+    detector.probeTransfer = async (token, ...args) => {
+      if (token === other) throw new Error('state override not supported');
+      return probeTransfer(token, ...args);
+    };
+
+    const discovery = new PairDiscovery(hre.ethers.provider, 'hardhat', { tokenSafety: detector });
+    const liquid = await discovery.filterUnsafeTokens({
+      v2: [],
+      v3: [{ pool: holder.address, token0: plain, token1: other }],
+    }, 'latest');
+
+    expect(liquid.v3).to.have.length(0);
+    expect(registry.get(other)).to.include({ probeFailed: true });
+    expect(registry.isUnsafe(other)).to.equal(true);
+    expect(registry.tradeRestriction(other, { allowFeeOnTransfer: true })).to.equal('transfer probe failed');
+    expect(registry.isUnsafe(plain)).to.equal(false);
+
+    // Not cached as probed: a later probe that succeeds clears the flag
+    detector.probeTransfer = probeTransfer;
+    expect(await detector.inspectToken(other, holder.address)).to.include({ probeFailed: false, transferFeeBps: 0 });
+    expect(registry.isUnsafe(other)).to.equal(false);
+  });
+});
@@ -0,0 +1,133 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TradeRevalidator } from '../lib/trade-revalidator.js';
+import { createDexAdapters } from '../lib/dex-adapter.js';
+import { getAmountOut } from '../lib/dex-registry.js';
+import { createMockProvider } from './helpers/mockProvider.mjs';
+
+describe('TradeRevalidator', function () {
+  const E18 = 10n ** 18n;
+  const E6 = 10n ** 6n;
+  const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+  const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+  const UNI_PAIR = '0x0000000000000000000000000000000000000001';
+  const SUSHI_PAIR = '0x0000000000000000000000000000000000000002';
+  const PAIR_ABI = [
+    'function getReserves() view returns (uint112, uint112, uint32)',
+    'function token0() view returns (address)',
+    'function token1() view returns (address)',
+  ];
+
+  let provider;
+  let reserves;
+  let blockTags;
+  let clock;
+
+  beforeEach(function () {
+    // USDC/WETH at 2000 on Uniswap and 2040 on SushiSwap when the opportunity was scanned
+    reserves = {
+      [UNI_PAIR]: [20000000n * E6, 10000n * E18],
+      [SUSHI_PAIR]: [20400000n * E6, 10000n * E18],
+    };
+    provider = createMockProvider({ blockNumber: 500 });
+    for (const pair of [UNI_PAIR, SUSHI_PAIR]) {
+      provider.addContract(pair, PAIR_ABI, {
+        getReserves: () => [...reserves[pair], 0],
+        token0: () => [USDC],
+        token1: () => [WETH],
+      });
+    }
+    blockTags = [];
+    const call = provider.call;
+    provider.call = async (tx) => {
+      blockTags.push(tx.blockTag);
+      return call.call(provider, tx);
+    };
+    clock = 1000000;
+  });
+
+  // Sell WETH on SushiSwap, buy it back on Uniswap, priced on the scanned reserves
+  function buildOpportunity(amountIn = E18) {
+    const usdc = getAmountOut(amountIn, 10000n * E18, 20400000n * E6, 30);
+    const amountOut = getAmountOut(usdc, 20000000n * E6, 10000n * E18, 30);
+    return {
+      path: [WETH, USDC],
+      pathReverse: [USDC, WETH],
+      pair1: SUSHI_PAIR,
+      pair2: UNI_PAIR,
+      dex1: 'sushiswap',
+      dex2: 'uniswap',
+      amountIn,
+      profit: amountOut - amountIn,
+      blockNumber: 499,
+      timestamp: clock - 1500,
+    };
+  }
+
+  it('re-reads the route at pending and accepts an edge that held', async function () {
+    const revalidator = new TradeRevalidator(createDexAdapters(provider, 'mainnet'), { now: () => clock });
+    const opp = buildOpportunity();
+
+    const check = await revalidator.revalidate(opp);
+    expect(check).to.deep.include({ accepted: true, reason: null, profit: opp.profit, decayBps: 0, ageMs: 1500 });
+    // Each leg's output at pending, for the contract's per-hop minimums
+    const usdc = getAmountOut(opp.amountIn, 10000n * E18, 20400000n * E6, 30);
+    expect(check.amountsOut).to.deep.equal([usdc, opp.amountIn + opp.profit]);
+    expect(blockTags.length).to.be.greaterThan(0);
+    expect(blockTags.every(tag => tag === 'pending')).to.equal(true);
+  });
+
+  it('rejects an edge that decayed past the tolerance and logs the decay', async function () {
+    const logPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'revalidation-')), 'checks.jsonl');
+    const revalidator = new TradeRevalidator(createDexAdapters(provider, 'mainnet'), { toleranceBps: 2000, logPath, now: () => clock });
+    const opp = buildOpportunity();
+
+    // A pending trade bought WETH on Uniswap: the gap narrowed from 2% to ~1.2%
+    reserves[UNI_PAIR] = [20080000n * E6, 9960n * E18];
+    const narrowed = await revalidator.revalidate(opp);
+    expect(narrowed.accepted).to.equal(false);
+    expect(narrowed.decayBps).to.be.greaterThan(2000);
+    expect(narrowed.profit > 0n && narrowed.profit < opp.profit).to.equal(true);
+    expect(narrowed.reason).to.match(/edge decayed \d+ bps \(tolerance 2000\)/);
+
+    // Gone entirely
+    reserves[UNI_PAIR] = [20400000n * E6, 10000n * E18];
+    const gone = await revalidator.revalidate({ ...opp, timestamp: clock - 4000 });
+    expect(gone).to.deep.include({ accepted: false, reason: 'no longer profitable' });
+    expect(gone.profit < 0n).to.equal(true);
+
+    const stats = revalidator.getStats();
+    expect(stats).to.deep.include({ checks: 2, accepted: 0, rejected: 2, skipped: 0 });
+    expect(stats.byAge.map(bucket => [bucket.maxAgeMs, bucket.checks, bucket.rejected])).to.deep.equal([[2000, 1, 1], [6000, 1, 1]]);
+    expect(stats.byAge[0].avgDecayBps).to.equal(narrowed.decayBps);
+
+    const lines = fs.readFileSync(logPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).to.have.length(2);
+    expect(lines[0]).to.deep.include({ protocol: 'V2', pools: [SUSHI_PAIR, UNI_PAIR], scanBlock: 499, ageMs: 1500, decayBps: narrowed.decayBps, accepted: false });
+    expect(lines[0].expectedProfit).to.equal(opp.profit.toString());
+  });
+
+  it('maps every opportunity shape onto adapter pools and skips venues without an adapter', async function () {
+    const revalidator = new TradeRevalidator(createDexAdapters(provider, 'mainnet'));
+
+    // V3↔V3 scans carry fee tiers but no venue names
+    const v3Legs = revalidator.routeLegs({ protocol: 'V3', path: [WETH, USDC], pool1: UNI_PAIR, pool2: SUSHI_PAIR, fee1: 500n, fee2: 3000n });
+    expect(v3Legs.map(leg => [leg.pool.dex, leg.pool.fee, leg.tokenIn, leg.tokenOut])).to.deep.equal([
+      ['uniswapV3', 500, WETH, USDC],
+      ['uniswapV3', 3000, USDC, WETH],
+    ]);
+
+    // Cycle hops name their own tokens
+    const cycle = revalidator.routeLegs({ hops: [{ pool: UNI_PAIR, dex: 'uniswap', fee: 30, tokenIn: WETH, tokenOut: USDC }] });
+    expect(cycle[0].pool).to.deep.equal({ address: UNI_PAIR, dex: 'uniswap', protocol: 'V2', fee: null });
+
+    const curve = await revalidator.revalidate({
+      path: [WETH, USDC], amountIn: E18, profit: 1n,
+      hops: [{ pool: UNI_PAIR, dex: 'uniswap', tokenIn: WETH, tokenOut: USDC }, { pool: SUSHI_PAIR, dex: 'curve', tokenIn: USDC, tokenOut: WETH }],
+    });
+    expect(curve).to.deep.include({ accepted: true, skipped: true });
+    expect(revalidator.getStats()).to.deep.include({ checks: 0, skipped: 1 });
+  });
+});
@@ -0,0 +1,48 @@
+import { expect } from 'chai';
+import { optimizeTradeSize } from '../lib/trade-size-optimizer.js';
+import { UniswapScanner } from '../lib/uniswap-scanner.js';
+
+describe('optimizeTradeSize', function () {
+  const E18 = 10n ** 18n;
+  const E6 = 10n ** 6n;
+  const scanner = new UniswapScanner({}, 'local');
+
+  // Two constant-product legs with a known closed-form optimum to compare against
+  const reserves = [1000n * E18, 2200000n * E6, 2100000n * E6, 1000n * E18];
+  const route = async (amountIn) => {
+    const out1 = scanner.calculateAmountOut(amountIn, reserves[0], reserves[1]);
+    return scanner.calculateAmountOut(out1, reserves[2], reserves[3]);
+  };
+
+  it('converges on the profit-maximising input within the quote budget', async function () {
+    const exact = scanner.calculateOptimalAmountIn(...reserves);
+    const result = await optimizeTradeSize(route, { maxAmountIn: 100n * E18, maxQuotes: 40 });
+
+    expect(result.quotes).to.be.at.most(40);
+    expect(Number(result.amountIn - exact)).to.be.closeTo(0, Number(E18 / 1000n));
+    expect(result.profit).to.equal((await route(result.amountIn)) - result.amountIn);
+  });
+
+  it('returns every evaluated sample sorted by input size', async function () {
+    const result = await optimizeTradeSize(route, { maxAmountIn: 100n * E18, maxQuotes: 6 });
+
+    expect(result.quotes).to.equal(6);
+    expect(result.samples).to.have.length(6);
+    for (let i = 1; i < result.samples.length; i++) {
+      expect(result.samples[i].amountIn > result.samples[i - 1].amountIn).to.equal(true);
+    }
+    const bestProfit = result.samples.reduce((best, s) => (s.profit > best ? s.profit : best), result.samples[0].profit);
+    expect(result.profit).to.equal(bestProfit);
+  });
+
+  it('keeps extra quote fields and treats failed quotes as a total loss', async function () {
+    const result = await optimizeTradeSize(async (amountIn) => {
+      if (amountIn > 50n * E18) throw new Error('not enough liquidity');
+      return { amountOut: await route(amountIn), gasEstimate: 150000n };
+    }, { maxAmountIn: 100n * E18, maxQuotes: 12 });
+
+    expect(result.gasEstimate).to.equal(150000n);
+    const failed = result.samples.filter(s => s.amountIn > 50n * E18);
+    expect(failed.every(s => s.amountOut === 0n && s.profit === -s.amountIn)).to.equal(true);
+  });
+});
@@ -0,0 +1,165 @@
+import { expect } from 'chai';
+import { UniswapScanner, bigIntSqrt } from '../lib/uniswap-scanner.js';
+import { FLASH_LOAN_GAS, V2_SWAP_GAS } from '../lib/dex-adapter.js';
+import { createMockProvider } from './helpers/mockProvider.mjs';
+
+describe('UniswapScanner - trade sizing', function () {
+  const E18 = 10n ** 18n;
+  const E6 = 10n ** 6n;
+  const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+  const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+  // pool1 sells WETH at 2200 USDC, pool2 buys it back at 2100 USDC
+  const reserveIn1 = 1000n * E18;
+  const reserveOut1 = 2200000n * E6;
+  const reserveIn2 = 2100000n * E6;
+  const reserveOut2 = 1000n * E18;
+
+  let scanner;
+
+  beforeEach(function () {
+    scanner = new UniswapScanner({}, 'local', { maxPriceImpactPercent: 5 });
+  });
+
+  function roundTripProfit(amountIn) {
+    const out1 = scanner.calculateAmountOut(amountIn, reserveIn1, reserveOut1);
+    return scanner.calculateAmountOut(out1, reserveIn2, reserveOut2) - amountIn;
+  }
+
+  it('computes integer square roots exactly', function () {
+    expect(bigIntSqrt(0n)).to.equal(0n);
+    expect(bigIntSqrt(99n)).to.equal(9n);
+    expect(bigIntSqrt(10n ** 40n + 5n)).to.equal(10n ** 20n);
+    expect(bigIntSqrt(2n ** 255n)).to.equal(240615969168004511545033772477625056927n);
+  });
+
+  it('finds the profit-maximising input for a two-pool round trip', function () {
+    const optimal = scanner.calculateOptimalAmountIn(reserveIn1, reserveOut1, reserveIn2, reserveOut2);
+    const profit = roundTripProfit(optimal);
+
+    expect(optimal > 0n).to.equal(true);
+    expect(profit > roundTripProfit((optimal * 101n) / 100n)).to.equal(true);
+    expect(profit > roundTripProfit((optimal * 99n) / 100n)).to.equal(true);
+    expect(scanner.calculateMarginalPrice(optimal, reserveIn1, reserveOut1, reserveIn2, reserveOut2)).to.be.closeTo(1, 1e-9);
+  });
+
+  it('returns zero when fees eat the price gap', function () {
+    const optimal = scanner.calculateOptimalAmountIn(reserveIn1, reserveOut1, reserveOut1, reserveOut2);
+    expect(optimal).to.equal(0n);
+  });
+
+  it('caps the size by flash-loan liquidity and reports it on the opportunity', function () {
+    const opp = scanner.evaluateArbitrage(
+      { reserve0: reserveOut1, reserve1: reserveIn1, token0: USDC, token1: WETH },
+      { reserve0: reserveIn2, reserve1: reserveOut2, token0: USDC, token1: WETH },
+      '0xpair1',
+      '0xpair2',
+      WETH,
+      E18,
+      { blockNumber: 100, flashLoanLiquidity: 5n * E18 }
+    );
+
+    expect(opp.profitable).to.equal(true);
+    expect(opp.amountIn).to.equal(5n * E18);
+    expect(opp.sizeLimitedBy).to.equal('aaveLiquidity');
+    expect(opp.optimalAmountIn > opp.amountIn).to.equal(true);
+    expect(opp.expectedProfit).to.equal(roundTripProfit(5n * E18));
+    expect(opp.marginalPrice > 1).to.equal(true);
+    expect(opp.blockNumber).to.equal(100);
+    // Charged by the profit model: the flash loan and two V2 swaps
+    expect(opp.gasEstimate).to.equal(FLASH_LOAN_GAS + 2n * V2_SWAP_GAS);
+  });
+
+  it('caps the size by price impact on the first pool', function () {
+    scanner = new UniswapScanner({}, 'local', { maxPriceImpactPercent: 0.5 });
+    const opp = scanner.evaluateArbitrage(
+      { reserve0: reserveOut1, reserve1: reserveIn1, token0: USDC, token1: WETH },
+      { reserve0: reserveIn2, reserve1: reserveOut2, token0: USDC, token1: WETH },
+      '0xpair1',
+      '0xpair2',
+      WETH,
+      E18
+    );
+
+    expect(opp.sizeLimitedBy).to.equal('priceImpact');
+    expect(opp.amountIn).to.equal(BigInt(scanner.slippageCalculator.calculateSafeFlashLoanAmount(reserveIn1, reserveOut1, 0.5)));
+  });
+});
+
+describe('UniswapScanner - batched reserves', function () {
+  const E18 = 10n ** 18n;
+  const E6 = 10n ** 6n;
+  const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+  const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+  const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+  const PAIR_ABI = [
+    'function getReserves() view returns (uint112, uint112, uint32)',
+    'function token0() view returns (address)',
+    'function token1() view returns (address)',
+  ];
+  const pairAddress = (i) => `0x${(0x2000 + i).toString(16).padStart(40, '0')}`;
+
+  let provider;
+  let blockTags;
+
+  beforeEach(function () {
+    provider = createMockProvider({ blockNumber: 321 });
+    blockTags = [];
+    const call = provider.call.bind(provider);
+    provider.call = async (tx) => {
+      blockTags.push(tx.blockTag);
+      return call(tx);
+    };
+
+    provider.addContract(pairAddress(0), PAIR_ABI, {
+      getReserves: () => [2000000n * E6, 1000n * E18, 1700000000],
+      token0: () => [USDC],
+      token1: () => [WETH],
+    });
+    provider.addContract(pairAddress(1), PAIR_ABI, {
+      getReserves: () => [3000000n * E18, 1500n * E18, 1700000012],
+      token0: () => [DAI],
+      token1: () => [WETH],
+    });
+    // A pair whose getReserves reverts
+    provider.addContract(pairAddress(2), PAIR_ABI, {
+      getReserves: () => { throw new Error('reverted'); },
+      token0: () => [DAI],
+      token1: () => [USDC],
+    });
+  });
+
+  it('reads every pair at one block in chunks of multicallBatchSize calls', async function () {
+    const scanner = new UniswapScanner(provider, 'local', { multicallBatchSize: 4 });
+    const pairs = [0, 1, 2].map(pairAddress);
+
+    // getReserves + token0 + token1 per new pair: 9 calls in batches of 4, 4 and 1
+    const snapshot = await scanner.getAllReserves(pairs);
+    expect(snapshot.blockNumber).to.equal(321);
+    expect(provider.stats.calls).to.equal(3);
+    expect(blockTags).to.deep.equal([321, 321, 321]);
+
+    expect(snapshot.reserves.get(pairAddress(0))).to.deep.equal({
+      reserve0: 2000000n * E6, reserve1: 1000n * E18, token0: USDC, token1: WETH, timestamp: 1700000000n, blockNumber: 321,
+    });
+    expect(snapshot.reserves.get(pairAddress(1))).to.include({ reserve0: 3000000n * E18, reserve1: 1500n * E18, token0: DAI, token1: WETH });
+    // The reverted pair is left out; its tokens were still read and cached
+    expect([...snapshot.reserves.keys()]).to.deep.equal([pairAddress(0), pairAddress(1)]);
+    expect(scanner.tokenCache.get(pairAddress(2))).to.deep.equal({ token0: DAI, token1: USDC });
+
+    // Cached tokens: only getReserves, 3 calls in one batch, at the requested block
+    const again = await scanner.getAllReserves(pairs, 400);
+    expect(provider.stats.calls).to.equal(4);
+    expect(blockTags[3]).to.equal(400);
+    expect(again.reserves.get(pairAddress(1)).blockNumber).to.equal(400);
+  });
+
+  it('leaves out pairs that are not deployed', async function () {
+    const scanner = new UniswapScanner(provider, 'local');
+    const snapshot = await scanner.getAllReserves([pairAddress(0), pairAddress(9)]);
+
+    expect(provider.stats.calls).to.equal(1);
+    expect([...snapshot.reserves.keys()]).to.deep.equal([pairAddress(0)]);
+    expect(scanner.tokenCache.has(pairAddress(9))).to.equal(false);
+  });
+});
@@ -0,0 +1,109 @@
+import { expect } from 'chai';
+import {
+  MIN_TICK,
+  MAX_TICK,
+  MIN_SQRT_RATIO,
+  MAX_SQRT_RATIO,
+  Q96,
+  getSqrtRatioAtTick,
+  getTickAtSqrtRatio,
+  V3PoolSimulator,
+} from '../lib/uniswap-v3-math.js';
+
+describe('Uniswap V3 math', function () {
+  const E18 = 10n ** 18n;
+  const E21 = 10n ** 21n;
+  const TOKEN0 = '0x0000000000000000000000000000000000000001';
+  const TOKEN1 = '0x0000000000000000000000000000000000000002';
+
+  // 0.3% pool at tick 17 with three overlapping positions:
+  // [-600, 600] L=1e21, [-120, 180] L=5e21, [300, 1200] L=2e21
+  const liquidityNet = new Map([
+    [-600, E21], [600, -E21],
+    [-120, 5n * E21], [180, -5n * E21],
+    [300, 2n * E21], [1200, -2n * E21],
+  ]);
+
+  function buildPool(wordRange = 1) {
+    const bitmap = new Map();
+    for (let w = -wordRange; w <= wordRange; w++) bitmap.set(w, 0n);
+    for (const tick of liquidityNet.keys()) {
+      const compressed = Math.floor(tick / 60);
+      const word = compressed >> 8;
+      bitmap.set(word, (bitmap.get(word) ?? 0n) | (1n << BigInt(compressed & 0xff)));
+    }
+    return new V3PoolSimulator({
+      address: '0x0000000000000000000000000000000000000009',
+      token0: TOKEN0,
+      token1: TOKEN1,
+      fee: 3000,
+      tickSpacing: 60,
+      sqrtPriceX96: 79295531711850711101795959250n,
+      tick: 17,
+      liquidity: 6n * E21,
+      bitmap,
+      liquidityNet,
+    });
+  }
+
+  it('matches TickMath at the boundaries and in between', function () {
+    expect(getSqrtRatioAtTick(MIN_TICK)).to.equal(MIN_SQRT_RATIO);
+    expect(getSqrtRatioAtTick(MAX_TICK)).to.equal(MAX_SQRT_RATIO);
+    expect(getSqrtRatioAtTick(0)).to.equal(Q96);
+    expect(getSqrtRatioAtTick(100)).to.equal(79625275426524748796330556128n);
+
+    expect(getTickAtSqrtRatio(MIN_SQRT_RATIO)).to.equal(MIN_TICK);
+    expect(getTickAtSqrtRatio(MAX_SQRT_RATIO - 1n)).to.equal(MAX_TICK - 1);
+    expect(getTickAtSqrtRatio(getSqrtRatioAtTick(-5000))).to.equal(-5000);
+    expect(getTickAtSqrtRatio(getSqrtRatioAtTick(-5000) - 1n)).to.equal(-5001);
+  });
+
+  // Expected values come from the Uniswap v3-sdk Pool, which mirrors the core contracts
+  it('simulates exact-input swaps across initialised ticks', function () {
+    const pool = buildPool();
+
+    const small = pool.quoteExactInput(TOKEN0, E18);
+    expect(small.amountOut).to.equal(998530193077479716n);
+    expect(small.sqrtPriceX96After).to.equal(79282346426448620716826110281n);
+
+    const down = pool.quoteExactInput(TOKEN0, 40n * E18);
+    expect(down.amountOut).to.equal(39683860585889222194n);
+    expect(down.sqrtPriceX96After).to.equal(78771518485902004353887810094n);
+
+    const up = pool.quoteExactInput(TOKEN1, 90n * E18);
+    expect(up.amountOut).to.equal(87708807007338863493n);
+    expect(up.sqrtPriceX96After).to.equal(81337102135570243133671572690n);
+    expect(up.initializedTicksCrossed).to.equal(2); // 180 and 300
+
+    expect(pool.quoteExactInput(TOKEN1, 25n * E18).amountOut).to.equal(24779813592484649241n);
+  });
+
+  it('simulates exact-output swaps', function () {
+    const pool = buildPool();
+
+    const sellToken0 = pool.quoteExactOutput(TOKEN0, 30n * E18);
+    expect(sellToken0.amountIn).to.equal(30189985039714472631n);
+    expect(sellToken0.sqrtPriceX96After).to.equal(78899390899279389413827721541n);
+
+    const sellToken1 = pool.quoteExactOutput(TOKEN1, 60n * E18);
+    expect(sellToken1.amountIn).to.equal(60983684857615406967n);
+    expect(sellToken1.sqrtPriceX96After).to.equal(80573097934346590526285472819n);
+  });
+
+  it('does not mutate pool state when quoting', function () {
+    const pool = buildPool();
+    pool.quoteExactInput(TOKEN1, 90n * E18);
+
+    expect(pool.sqrtPriceX96).to.equal(79295531711850711101795959250n);
+    expect(pool.tick).to.equal(17);
+    expect(pool.liquidity).to.equal(6n * E21);
+  });
+
+  it('refuses to price swaps that leave the loaded tick range', function () {
+    const pool = buildPool(0);
+
+    // All liquidity ends at tick 1200; beyond it the walk needs the next bitmap word
+    expect(() => pool.quoteExactInput(TOKEN1, 10000n * E18)).to.throw(/outside the loaded range/);
+    expect(() => pool.quoteExactInput(TOKEN1, 0n)).to.throw();
+  });
+});
@@ -0,0 +1,102 @@
+import { expect } from 'chai';
+import { UniswapV3Scanner } from '../lib/uniswap-v3-scanner.js';
+import { V3PoolSimulator, getSqrtRatioAtTick } from '../lib/uniswap-v3-math.js';
+import { FLASH_LOAN_GAS, V2_SWAP_GAS, V3_SWAP_GAS } from '../lib/dex-adapter.js';
+
+describe('UniswapV3Scanner - cross-protocol', function () {
+  const E18 = 10n ** 18n;
+  const E6 = 10n ** 6n;
+  const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+  const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+  const V3_POOL = '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640';
+  const V2_PAIR = '0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc';
+
+  // V3 prices WETH at ~2000 USDC, the V2 pair at 2100 USDC
+  const v2Pair = { pair: V2_PAIR, dex: 'uniswap', token0: USDC, token1: WETH, reserve0: 2100000n * E6, reserve1: 1000n * E18 };
+
+  function buildV3Pool() {
+    // 1.0001^200311 ~= 1e18 / 2000e6 raw WETH per raw USDC
+    const tick = 200311;
+    const lower = Math.floor(tick / 10) * 10 - 2000;
+    const upper = lower + 4000;
+    const bitmap = new Map();
+    for (let word = (lower / 10) >> 8; word <= (upper / 10) >> 8; word++) bitmap.set(word, 0n);
+    for (const t of [lower, upper]) {
+      const compressed = t / 10;
+      bitmap.set(compressed >> 8, bitmap.get(compressed >> 8) | (1n << BigInt(compressed & 0xff)));
+    }
+    return new V3PoolSimulator({
+      address: V3_POOL,
+      token0: USDC,
+      token1: WETH,
+      fee: 500,
+      tickSpacing: 10,
+      sqrtPriceX96: getSqrtRatioAtTick(tick),
+      tick,
+      liquidity: 10n ** 22n,
+      bitmap,
+      liquidityNet: new Map([[lower, 10n ** 22n], [upper, -(10n ** 22n)]]),
+    });
+  }
+
+  let scanner;
+  let simulator;
+
+  beforeEach(function () {
+    simulator = buildV3Pool();
+    scanner = new UniswapV3Scanner({}, 'local');
+    scanner.pools = { 'WETH-USDC-500': { pool: V3_POOL, fee: 500 } };
+    scanner.getSimulators = async (addresses) => addresses.map(() => simulator);
+    scanner.getPoolState = async () => ({ token0: USDC, token1: WETH, fee: 500n, sqrtPriceX96: simulator.sqrtPriceX96, liquidity: simulator.liquidity });
+  });
+
+  it('returns an executable opportunity with path, pools in execution order and timestamp', async function () {
+    const opp = await scanner.findCrossProtocolArbitrage(V3_POOL, v2Pair, WETH, E18, false, { blockNumber: 7 });
+
+    expect(opp.profitable).to.equal(true);
+    expect(opp.protocol).to.equal('V2→V3');
+    expect(opp.path).to.deep.equal([WETH, USDC]);
+    expect(opp.pathReverse).to.deep.equal([USDC, WETH]);
+    expect([opp.pool1, opp.pool2]).to.deep.equal([V2_PAIR, V3_POOL]);
+    expect([opp.dex1, opp.dex2]).to.deep.equal(['uniswap', 'uniswapV3']);
+    expect(opp.quoteCalls).to.equal(0); // Simulated locally
+    expect(opp.blockNumber).to.equal(7);
+    expect(opp.timestamp).to.be.a('number');
+
+    // Sell WETH on V2 for USDC, buy it back on V3
+    const usdc = scanner.calculateV2AmountOut(opp.amountIn, v2Pair.reserve1, v2Pair.reserve0);
+    expect(opp.amountOut).to.equal(simulator.quoteExactInput(USDC, usdc).amountOut);
+    // The flash loan, the V2 swap and the V3 swap with its tick crossings
+    expect(opp.gasEstimate >= FLASH_LOAN_GAS + V2_SWAP_GAS + V3_SWAP_GAS).to.equal(true);
+  });
+
+  it('finds no edge in the losing direction', async function () {
+    const opp = await scanner.findCrossProtocolArbitrage(V3_POOL, v2Pair, WETH, E18, true);
+    expect(opp.profitable).to.equal(false);
+    expect([opp.pool1, opp.pool2]).to.deep.equal([V3_POOL, V2_PAIR]);
+  });
+
+  it('enumerates every V2 pair and V3 pool on the same tokens', async function () {
+    const v2Scanner = {
+      pairs: {
+        'WETH-USDC-uni': { pair: V2_PAIR, dex: 'uniswap' },
+        'WETH-DAI-uni': { pair: '0xA478c2975Ab1Ea89e8196811F51A7B7Ade33eB11', dex: 'uniswap' },
+      },
+      getSnapshot: async () => ({
+        blockNumber: 9,
+        reserves: new Map([
+          [V2_PAIR.toLowerCase(), v2Pair],
+          ['0xa478c2975ab1ea89e8196811f51a7b7ade33eb11', { token0: '0x6B175474E89094C44Da98b954EedeAC495271d0F', token1: WETH, reserve0: E18, reserve1: E18 }],
+        ]),
+      }),
+      pairFeeBps: () => 30,
+    };
+
+    const opportunities = await scanner.scanCrossProtocol(v2Scanner, WETH, E18);
+
+    expect(opportunities).to.have.length(1);
+    expect(opportunities[0].protocol).to.equal('V2→V3');
+    expect(opportunities[0].pairName).to.equal('WETH-USDC-500 / WETH-USDC-uni');
+    expect(opportunities[0].blockNumber).to.equal(9);
+  });
+});